@@ -0,0 +1,113 @@
+const express = require('express');
+const cors = require('cors');
+require('dotenv').config();
+
+// Import routes
+const healthRoutes = require('./routes/health');
+const metricsRoutes = require('./routes/metrics');
+const authRoutes = require('./routes/auth');
+const gardenRoutes = require('./routes/gardens');
+const gardenMemberRoutes = require('./routes/gardenMembers');
+const gardenBedRoutes = require('./routes/gardenBeds');
+const cropRoutes = require('./routes/crops');
+const sharedRoutes = require('./routes/shared');
+const taskRoutes = require('./routes/tasks');
+const catalogRoutes = require('./routes/catalog');
+const dashboardRoutes = require('./routes/dashboard');
+const conversationRoutes = require('./routes/conversations');
+const blockRoutes = require('./routes/blocks');
+const reportRoutes = require('./routes/reports');
+const exportRoutes = require('./routes/exports');
+const importRoutes = require('./routes/imports');
+const adminRoutes = require('./routes/admin');
+const trashRoutes = require('./routes/trash');
+const auditRoutes = require('./routes/audit');
+const uploadRoutes = require('./routes/uploads');
+const { requestId } = require('./middleware/requestId');
+const { logRequests, measureRequests } = require('./middleware/observe');
+const { auditRequests } = require('./middleware/audit');
+const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
+
+const app = express();
+
+// Behind a load balancer or reverse proxy, set TRUST_PROXY to the number of
+// proxies (or their addresses) so req.ip, used for rate limits, is the client's
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
+// Middleware
+app.use(requestId);
+app.use(logRequests);
+app.use(measureRequests);
+app.use(auditRequests);
+app.use(cors({
+  origin: ['http://localhost:3000', 'http://localhost:8080'], // Add your Flutter web URL
+  credentials: true,
+  exposedHeaders: ['X-Request-Id', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'X-Cache']
+}));
+// Imports read their own, larger, bodies; see routes/imports
+app.use('/api/import', importRoutes);
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+// Uploaded photos, for users who may see their crop
+app.use('/uploads', uploadRoutes);
+
+// Liveness and readiness checks, and Prometheus metrics
+app.use('/health', healthRoutes);
+app.use('/metrics', metricsRoutes);
+
+// API Documentation
+app.get('/api', (req, res) => {
+  res.json({
+    message: 'Harvest Hub API',
+    endpoints: {
+      auth: '/api/auth',
+      gardens: '/api/gardens',
+      crops: '/api/crops',
+      shared: '/api/shared',
+      tasks: '/api/tasks',
+      catalog: '/api/catalog',
+      dashboard: '/api/dashboard',
+      conversations: '/api/conversations',
+      blocks: '/api/blocks',
+      reports: '/api/reports',
+      export: '/api/export',
+      import: '/api/import',
+      trash: '/api/trash',
+      audit: '/api/audit',
+      admin: '/api/admin',
+      realtime: '/api/realtime (WebSocket)',
+      health: '/health/live, /health/ready',
+      metrics: '/metrics'
+    }
+  });
+});
+
+// Routes
+app.use('/api/auth', authRoutes);
+app.use('/api/gardens', gardenRoutes);
+app.use('/api/gardens', gardenMemberRoutes);
+app.use('/api/gardens', gardenBedRoutes);
+app.use('/api/crops', cropRoutes);
+app.use('/api/shared', sharedRoutes);
+app.use('/api/tasks', taskRoutes);
+app.use('/api/catalog', catalogRoutes);
+app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/blocks', blockRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/export', exportRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/admin', adminRoutes);
+
+// 404 handler
+app.use(notFoundHandler);
+
+// Error handler, see middleware/errorHandler for the response body
+app.use(errorHandler);
+
+module.exports = app;
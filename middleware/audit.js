@@ -0,0 +1,25 @@
+const { recordAudit } = require('../services/audit');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Record successful writes by signed-in users that their route didn't audit
+// itself (see services/audit), as '<METHOD> <route>' with the :id parameter
+// as the entity
+const auditRequests = (req, res, next) => {
+  if (!MUTATING_METHODS.includes(req.method)) return next();
+
+  res.on('finish', () => {
+    if (req.audited || !req.user || res.statusCode >= 400) return;
+
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : req.path;
+
+    recordAudit(req, {
+      action: `${req.method} ${route}`,
+      entityId: (req.params && req.params.id) || null
+    });
+  });
+
+  next();
+};
+
+module.exports = { auditRequests };
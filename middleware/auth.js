@@ -1,21 +1,57 @@
 const jwt = require('jsonwebtoken');
+const { getActiveSession } = require('../services/sessions');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
 require('dotenv').config();
 
-const authenticateToken = (req, res, next) => {
+// The user an access token belongs to, with their current role. Throws the
+// same errors authenticateToken responds with; also used by services/realtime.
+const verifyAccessToken = async (token) => {
+  if (!token) {
+    throw new UnauthorizedError('Access token required', { code: 'token_required' });
+  }
+
+  let user;
+  try {
+    user = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    throw new ForbiddenError('Invalid or expired token', { code: 'invalid_token' });
+  }
+
+  // Tokens are tied to a session so logout can revoke them before they expire
+  const session = await getActiveSession(user.sid);
+
+  if (!session) {
+    throw new UnauthorizedError('Session has been revoked', { code: 'session_revoked' });
+  }
+
+  if (session.users.suspended_at) {
+    throw new ForbiddenError('This account has been suspended', { code: 'account_suspended' });
+  }
+
+  // The role comes from the database so a change applies before the token expires
+  return { ...user, role: session.users.role };
+};
+
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
-  if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
+  try {
+    req.user = await verifyAccessToken(token);
+  } catch (error) {
+    return next(error);
+  }
+
+  next();
+};
+
+// Only for admins; use after authenticateToken
+const requireAdmin = (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return next(new ForbiddenError('Admin access required', { code: 'admin_required' }));
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
-    }
-    req.user = user;
-    next();
-  });
+  next();
 };
 
-module.exports = { authenticateToken };
\ No newline at end of file
+module.exports = { verifyAccessToken, authenticateToken, requireAdmin };
@@ -0,0 +1,77 @@
+const { logger } = require('../services/logger');
+const {
+  AppError,
+  BadRequestError,
+  NotFoundError,
+  PayloadTooLargeError,
+  fromDatabaseError
+} = require('../utils/errors');
+
+// Every error response has the same body:
+//
+//   {
+//     "success": false,
+//     "error": "Crop not found",        human-readable message
+//     "code": "not_found",              machine-readable, stable across releases
+//     "details": [...],                 optional, e.g. invalid fields (validation_failed)
+//     "request_id": "3f6c..."           also sent as the X-Request-Id header
+//   }
+//
+// Errors that are not AppErrors are reported as 500 internal_error without
+// their message, which may contain internals; they are logged with the
+// request id instead. The code is kept in res.locals.errorCode for metrics.
+
+const toAppError = (err) => {
+  if (err instanceof AppError) return err;
+
+  // Thrown by express.json() for bodies it can't read
+  if (err.type === 'entity.parse.failed') {
+    return new BadRequestError('Request body is not valid JSON', { code: 'invalid_json' });
+  }
+  if (err.type === 'entity.too.large') {
+    return new PayloadTooLargeError();
+  }
+
+  return fromDatabaseError(err) || new AppError('Internal server error');
+};
+
+const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+
+  const error = toAppError(err);
+
+  if (error.status >= 500) {
+    (req.log || logger).error('Request failed', {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      error: err
+    });
+  }
+
+  res.locals.errorCode = error.code;
+
+  const body = {
+    success: false,
+    error: error.message,
+    code: error.code
+  };
+
+  if (error.details !== undefined) {
+    body.details = error.details;
+  }
+
+  body.request_id = req.id;
+
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+
+  res.status(error.status).json(body);
+};
+
+// Requests that matched no route
+const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError('Route not found', { code: 'route_not_found' }));
+};
+
+module.exports = { errorHandler, notFoundHandler };
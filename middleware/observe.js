@@ -0,0 +1,80 @@
+const { logger } = require('../services/logger');
+const { observeRequest } = require('../services/metrics');
+
+// Probes hit these every few seconds; their requests are only logged at debug
+const QUIET_PATHS = ['/health', '/health/live', '/health/ready', '/metrics'];
+
+// The pattern of the route that handled a request, e.g. "/api/crops/:id".
+// Once an error has left a router Express has reset req.baseUrl, so the
+// mount path is then taken from the front of the URL.
+const routeOf = (req) => {
+  if (!req.route) return 'unmatched';
+  if (req.baseUrl) return `${req.baseUrl}${req.route.path}`;
+
+  const segments = req.originalUrl.split('?')[0].split('/').filter(Boolean);
+  const routeSegments = String(req.route.path).split('/').filter(Boolean);
+  const base = segments.slice(0, segments.length - routeSegments.length);
+
+  return `${base.length ? `/${base.join('/')}` : ''}${req.route.path}`;
+};
+
+// Calls `done(seconds)` once the response has been sent or the connection closed
+const onFinished = (res, done) => {
+  const startedAt = process.hrtime.bigint();
+  let called = false;
+
+  const finish = () => {
+    if (called) return;
+    called = true;
+    done(Number(process.hrtime.bigint() - startedAt) / 1e9);
+  };
+
+  res.on('finish', finish);
+  res.on('close', finish);
+};
+
+// Give the request a logger carrying its id, as req.log, and log every
+// request once it is done: method, route, path (without the query string,
+// which may hold tokens), status, duration and who made it. Errors are
+// logged at warn (4xx) or error (5xx).
+const logRequests = (req, res, next) => {
+  req.log = logger.child({ request_id: req.id });
+
+  onFinished(res, (seconds) => {
+    const status = res.headersSent ? res.statusCode : null;
+    const path = req.originalUrl.split('?')[0];
+
+    let level = 'info';
+    if (!status || status >= 500) level = 'error';
+    else if (status >= 400) level = 'warn';
+    else if (QUIET_PATHS.includes(path)) level = 'debug';
+
+    req.log[level](status ? 'Request completed' : 'Request aborted', {
+      method: req.method,
+      route: routeOf(req),
+      path,
+      status,
+      duration_ms: Math.round(seconds * 1000 * 10) / 10,
+      user_id: req.user ? req.user.id : null
+    });
+  });
+
+  next();
+};
+
+// Record every request's route, status and latency for /metrics
+const measureRequests = (req, res, next) => {
+  onFinished(res, (seconds) => {
+    observeRequest({
+      method: req.method,
+      route: routeOf(req),
+      status: res.statusCode,
+      seconds,
+      code: res.locals.errorCode
+    });
+  });
+
+  next();
+};
+
+module.exports = { logRequests, measureRequests };
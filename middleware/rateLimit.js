@@ -0,0 +1,80 @@
+const { getStore } = require('../services/rateLimit');
+const { TooManyRequestsError } = require('../utils/errors');
+require('dotenv').config();
+
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+// "20/15m" -> { max: 20, windowMs: 900000 }, i.e. 20 requests per 15 minutes.
+// The window is a number (1 if left out) and a unit: s, m or h.
+const parseLimit = (spec) => {
+  const match = /^(\d+)\/(\d*)([smh])$/.exec(String(spec).replace(/\s/g, ''));
+
+  if (!match || Number(match[1]) < 1) {
+    throw new Error(`Invalid rate limit "${spec}", expected requests/window such as 20/15m`);
+  }
+
+  return { max: Number(match[1]), windowMs: (Number(match[2]) || 1) * UNIT_MS[match[3]] };
+};
+
+// Limits are on unless RATE_LIMIT_ENABLED=false
+const isEnabled = () => process.env.RATE_LIMIT_ENABLED !== 'false';
+
+// Allow `limit` requests per window for each key, the client IP by default
+// (set TRUST_PROXY behind a proxy so that is the real client). Every counted
+// response gets RateLimit-Limit/-Remaining/-Reset headers; once the limit is
+// used up requests fail with 429 rate_limited and a Retry-After header.
+// Requests whose key is null are not counted.
+const rateLimit = ({ name, limit, key = (req) => req.ip }) => {
+  const { max, windowMs } = parseLimit(limit);
+
+  return async (req, res, next) => {
+    if (!isEnabled()) return next();
+
+    try {
+      const id = key(req);
+
+      if (id === null || id === undefined) return next();
+
+      const { count, resetAt } = await getStore().increment(`${name}:${id}`, windowMs);
+      const resetIn = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+      res.set({
+        'RateLimit-Limit': String(max),
+        'RateLimit-Remaining': String(Math.max(0, max - count)),
+        'RateLimit-Reset': String(resetIn)
+      });
+
+      if (count > max) {
+        throw new TooManyRequestsError(undefined, { retryAfter: resetIn });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Per client IP on sign-up, sign-in and the token endpoints
+const limitAuth = rateLimit({
+  name: 'auth',
+  limit: process.env.RATE_LIMIT_AUTH || '20/15m'
+});
+
+// Per email address on login and password reset requests, however many IPs
+// they come from. Use after validate() so the email is present.
+const limitAccount = rateLimit({
+  name: 'account',
+  limit: process.env.RATE_LIMIT_ACCOUNT || '10/15m',
+  key: (req) => (typeof req.body.email === 'string' ? req.body.email.toLowerCase() : null)
+});
+
+// Per user on routes that change gardens, crops, tasks and claims. Use after
+// authenticateToken.
+const limitWrites = rateLimit({
+  name: 'write',
+  limit: process.env.RATE_LIMIT_WRITES || '60/1m',
+  key: (req) => (req.user ? `user:${req.user.id}` : `ip:${req.ip}`)
+});
+
+module.exports = { parseLimit, rateLimit, limitAuth, limitAccount, limitWrites };
@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+
+// Client-supplied ids are kept so a request can be traced across services,
+// as long as they are short and printable
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Give every request an id, available as req.id and echoed in the
+// X-Request-Id response header and in error bodies
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = { requestId };
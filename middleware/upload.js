@@ -0,0 +1,41 @@
+const multer = require('multer');
+const { BadRequestError, PayloadTooLargeError } = require('../utils/errors');
+require('dotenv').config();
+
+const MAX_PHOTO_BYTES = Number(process.env.PHOTO_MAX_BYTES) || 5 * 1024 * 1024;
+const MAX_FILES_PER_UPLOAD = 5;
+const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_PHOTO_BYTES,
+    files: MAX_FILES_PER_UPLOAD
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_TYPES.includes(file.mimetype)) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = `Only ${ALLOWED_TYPES.join(', ')} files are allowed`;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+}).array('photos', MAX_FILES_PER_UPLOAD);
+
+// Accept up to MAX_FILES_PER_UPLOAD images in the "photos" field, turning
+// multer's errors into 400/413 application errors
+const uploadPhotos = (req, res, next) => {
+  photoUpload(req, res, (err) => {
+    if (!err) return next();
+
+    if (err instanceof multer.MulterError) {
+      return next(err.code === 'LIMIT_FILE_SIZE'
+        ? new PayloadTooLargeError(`Each photo must be smaller than ${Math.round(MAX_PHOTO_BYTES / 1024 / 1024)} MB`)
+        : new BadRequestError(err.message, { code: 'invalid_upload' }));
+    }
+
+    next(err);
+  });
+};
+
+module.exports = { uploadPhotos };
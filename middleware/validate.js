@@ -0,0 +1,46 @@
+const { ValidationError } = require('../utils/errors');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+const OPTIONS = {
+  abortEarly: false,
+  stripUnknown: true,
+  convert: true,
+  errors: { wrap: { label: false } }
+};
+
+// Validate a request against Joi schemas for any of params, query and body.
+// Valid values replace the originals, coerced and with unknown fields
+// removed. Otherwise fails with a 422 validation_failed error whose details
+// list every invalid field as { field, location, message }.
+const validate = (schemas) => (req, res, next) => {
+  const errors = [];
+
+  LOCATIONS.forEach((location) => {
+    const schema = schemas[location];
+    if (!schema) return;
+
+    const { value, error } = schema.validate(req[location] || {}, OPTIONS);
+
+    if (error) {
+      error.details.forEach((detail) => {
+        errors.push({
+          field: detail.path.join('.') || location,
+          location,
+          message: detail.message
+        });
+      });
+      return;
+    }
+
+    req[location] = value;
+  });
+
+  if (errors.length) {
+    return next(new ValidationError('Validation failed', { details: errors }));
+  }
+
+  next();
+};
+
+module.exports = { OPTIONS, validate };
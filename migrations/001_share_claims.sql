@@ -0,0 +1,20 @@
+-- Claims made by users on other users' shared crops
+create table if not exists share_claims (
+  id uuid primary key default gen_random_uuid(),
+  crop_id uuid not null references crops(id) on delete cascade,
+  grower_id uuid not null references users(id) on delete cascade,
+  requester_id uuid references users(id) on delete set null,
+  quantity numeric not null check (quantity > 0),
+  quantity_unit text,
+  message text,
+  status text not null default 'pending'
+    check (status in ('pending', 'accepted', 'declined', 'cancelled')),
+  responded_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists share_claims_crop_id_idx on share_claims (crop_id);
+create index if not exists share_claims_grower_id_idx on share_claims (grower_id, status);
+create index if not exists share_claims_requester_id_idx on share_claims (requester_id, status);
+create index if not exists crops_shared_idx on crops (is_shared, created_at desc) where is_shared;
@@ -0,0 +1,9 @@
+-- Structured coordinates for proximity search of shared crops
+alter table gardens
+  add column if not exists latitude double precision
+    check (latitude between -90 and 90),
+  add column if not exists longitude double precision
+    check (longitude between -180 and 180);
+
+create index if not exists gardens_coordinates_idx on gardens (latitude, longitude)
+  where latitude is not null and longitude is not null;
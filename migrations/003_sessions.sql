@@ -0,0 +1,15 @@
+-- Signed-in devices. Access tokens carry the session id (sid) and are only
+-- accepted while the session is not revoked or expired.
+create table if not exists sessions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id) on delete cascade,
+  refresh_token_hash text not null,
+  user_agent text,
+  ip_address text,
+  created_at timestamptz not null default now(),
+  last_used_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  revoked_at timestamptz
+);
+
+create index if not exists sessions_user_id_idx on sessions (user_id) where revoked_at is null;
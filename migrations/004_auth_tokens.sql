@@ -0,0 +1,16 @@
+-- Single-use tokens for password reset and email verification
+create table if not exists auth_tokens (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id) on delete cascade,
+  purpose text not null check (purpose in ('password_reset', 'email_verification')),
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists auth_tokens_user_purpose_idx on auth_tokens (user_id, purpose);
+
+alter table users
+  add column if not exists email_verified boolean not null default false,
+  add column if not exists email_verified_at timestamptz;
@@ -0,0 +1,16 @@
+-- Every lifecycle transition a crop goes through
+create table if not exists crop_status_history (
+  id uuid primary key default gen_random_uuid(),
+  crop_id uuid not null references crops(id) on delete cascade,
+  from_status text,
+  to_status text not null,
+  changed_by uuid references users(id) on delete set null,
+  changed_at timestamptz not null default now()
+);
+
+create index if not exists crop_status_history_crop_id_idx on crop_status_history (crop_id, changed_at);
+
+alter table crops
+  add constraint crops_status_check check (status in (
+    'planned', 'seeded', 'seedling', 'growing', 'flowering', 'ready', 'harvested', 'finished'
+  )) not valid;
@@ -0,0 +1,15 @@
+-- Individual harvest events logged against a crop
+create table if not exists harvests (
+  id uuid primary key default gen_random_uuid(),
+  crop_id uuid not null references crops(id) on delete cascade,
+  garden_id uuid not null references gardens(id) on delete cascade,
+  user_id uuid references users(id) on delete set null,
+  harvested_on date not null default current_date,
+  amount numeric not null check (amount > 0),
+  unit text not null,
+  notes text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists harvests_crop_id_idx on harvests (crop_id, harvested_on desc);
+create index if not exists harvests_garden_id_idx on harvests (garden_id, harvested_on);
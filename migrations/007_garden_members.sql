@@ -0,0 +1,31 @@
+-- Gardens shared between several users with owner, editor and viewer roles
+create table if not exists garden_members (
+  garden_id uuid not null references gardens(id) on delete cascade,
+  user_id uuid not null references users(id) on delete cascade,
+  role text not null check (role in ('owner', 'editor', 'viewer')),
+  created_at timestamptz not null default now(),
+  primary key (garden_id, user_id)
+);
+
+create index if not exists garden_members_user_id_idx on garden_members (user_id);
+
+-- Every existing garden is owned by the user who created it
+insert into garden_members (garden_id, user_id, role, created_at)
+select id, user_id, 'owner', created_at from gardens
+on conflict (garden_id, user_id) do nothing;
+
+create table if not exists garden_invitations (
+  id uuid primary key default gen_random_uuid(),
+  garden_id uuid not null references gardens(id) on delete cascade,
+  code text not null unique,
+  email text,
+  role text not null check (role in ('owner', 'editor', 'viewer')),
+  invited_by uuid references users(id) on delete set null,
+  expires_at timestamptz not null,
+  accepted_by uuid references users(id) on delete set null,
+  accepted_at timestamptz,
+  revoked_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists garden_invitations_garden_id_idx on garden_invitations (garden_id);
@@ -0,0 +1,30 @@
+-- Recurring care tasks (watering, fertilising...) for a garden or a crop
+create table if not exists care_tasks (
+  id uuid primary key default gen_random_uuid(),
+  garden_id uuid not null references gardens(id) on delete cascade,
+  crop_id uuid references crops(id) on delete cascade,
+  title text not null,
+  task_type text not null default 'other'
+    check (task_type in ('water', 'fertilise', 'prune', 'weed', 'pest_check', 'mulch', 'other')),
+  interval_days integer not null check (interval_days > 0),
+  next_due_on date not null,
+  last_completed_at timestamptz,
+  last_reminded_on date,
+  notes text,
+  active boolean not null default true,
+  created_by uuid references users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists care_tasks_due_idx on care_tasks (garden_id, next_due_on) where active;
+
+create table if not exists care_task_completions (
+  id uuid primary key default gen_random_uuid(),
+  task_id uuid not null references care_tasks(id) on delete cascade,
+  completed_by uuid references users(id) on delete set null,
+  completed_at timestamptz not null default now(),
+  notes text
+);
+
+create index if not exists care_task_completions_task_id_idx on care_task_completions (task_id, completed_at desc);
@@ -0,0 +1,19 @@
+-- Photos uploaded for a crop. The cover photo is mirrored into crops.image_url.
+create table if not exists crop_photos (
+  id uuid primary key default gen_random_uuid(),
+  crop_id uuid not null references crops(id) on delete cascade,
+  storage_key text not null,
+  thumbnail_key text not null,
+  url text not null,
+  thumbnail_url text not null,
+  content_type text not null,
+  size_bytes integer not null,
+  width integer,
+  height integer,
+  is_cover boolean not null default false,
+  uploaded_by uuid references users(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists crop_photos_crop_id_idx on crop_photos (crop_id, created_at);
+create unique index if not exists crop_photos_one_cover_idx on crop_photos (crop_id) where is_cover;
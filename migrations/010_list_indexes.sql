@@ -0,0 +1,8 @@
+-- Indexes backing cursor pagination, filters and search on list endpoints
+create extension if not exists pg_trgm;
+
+create index if not exists crops_garden_created_idx on crops (garden_id, created_at desc, id desc);
+create index if not exists crops_garden_status_idx on crops (garden_id, status);
+create index if not exists crops_name_trgm_idx on crops using gin (name gin_trgm_ops);
+create index if not exists crops_variety_trgm_idx on crops using gin (variety gin_trgm_ops);
+create index if not exists gardens_created_idx on gardens (created_at desc, id desc);
@@ -0,0 +1,38 @@
+-- Admin role, account suspension, hidden listings and user reports.
+-- Make someone an admin with: update users set role = 'admin' where email = '...';
+alter table users add column if not exists role text not null default 'user'
+  check (role in ('user', 'admin'));
+alter table users add column if not exists suspended_at timestamptz;
+alter table users add column if not exists suspended_reason text;
+
+alter table crops add column if not exists hidden_at timestamptz;
+alter table crops add column if not exists hidden_reason text;
+alter table crops add column if not exists hidden_by uuid references users(id) on delete set null;
+
+create index if not exists crops_shared_visible_idx on crops (created_at desc)
+  where is_shared and hidden_at is null;
+
+create table if not exists reports (
+  id uuid primary key default gen_random_uuid(),
+  reporter_id uuid references users(id) on delete set null,
+  target_type text not null check (target_type in ('crop', 'user')),
+  crop_id uuid references crops(id) on delete cascade,
+  reported_user_id uuid references users(id) on delete cascade,
+  reason text not null check (reason in ('spam', 'abuse', 'inappropriate', 'misleading', 'other')),
+  details text,
+  status text not null default 'open' check (status in ('open', 'resolved', 'dismissed')),
+  resolution_note text,
+  resolved_by uuid references users(id) on delete set null,
+  resolved_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check ((target_type = 'crop') = (crop_id is not null))
+);
+
+create index if not exists reports_queue_idx on reports (status, created_at);
+
+-- One open report per reporter and target
+create unique index if not exists reports_open_crop_idx on reports (reporter_id, crop_id)
+  where status = 'open' and crop_id is not null;
+create unique index if not exists reports_open_user_idx on reports (reporter_id, reported_user_id)
+  where status = 'open' and target_type = 'user';
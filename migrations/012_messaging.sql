@@ -0,0 +1,39 @@
+-- Conversations between a grower and someone interested in their shared crop,
+-- so pickups can be arranged without exchanging phone numbers
+create table if not exists conversations (
+  id uuid primary key default gen_random_uuid(),
+  crop_id uuid references crops(id) on delete set null,
+  grower_id uuid not null references users(id) on delete cascade,
+  requester_id uuid not null references users(id) on delete cascade,
+  grower_read_at timestamptz,
+  requester_read_at timestamptz,
+  last_message_at timestamptz,
+  created_at timestamptz not null default now(),
+  check (grower_id <> requester_id)
+);
+
+-- One thread per listing and requester
+create unique index if not exists conversations_crop_requester_idx on conversations (crop_id, requester_id);
+create index if not exists conversations_grower_idx on conversations (grower_id, last_message_at desc);
+create index if not exists conversations_requester_idx on conversations (requester_id, last_message_at desc);
+
+create table if not exists messages (
+  id uuid primary key default gen_random_uuid(),
+  conversation_id uuid not null references conversations(id) on delete cascade,
+  sender_id uuid references users(id) on delete set null,
+  body text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists messages_conversation_idx on messages (conversation_id, created_at desc, id desc);
+
+-- Users who may not message each other, in either direction
+create table if not exists user_blocks (
+  blocker_id uuid not null references users(id) on delete cascade,
+  blocked_id uuid not null references users(id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (blocker_id, blocked_id),
+  check (blocker_id <> blocked_id)
+);
+
+create index if not exists user_blocks_blocked_idx on user_blocks (blocked_id);
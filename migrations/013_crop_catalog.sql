@@ -0,0 +1,3 @@
+-- Optional link from a crop to the crop catalogue (data/catalog.json), by
+-- species or variety id such as 'tomato' or 'tomato-moneymaker'.
+alter table crops add column if not exists catalog_id text;
@@ -0,0 +1,38 @@
+-- Beds, rows and grids inside a garden, and where crops sit in them.
+-- Positions and sizes are in centimetres: beds from the garden's top-left
+-- corner, placements from their bed's.
+create table if not exists garden_beds (
+  id uuid primary key default gen_random_uuid(),
+  garden_id uuid not null references gardens(id) on delete cascade,
+  name text not null,
+  kind text not null default 'bed' check (kind in ('bed', 'row', 'grid')),
+  x_cm integer not null check (x_cm >= 0),
+  y_cm integer not null check (y_cm >= 0),
+  width_cm integer not null check (width_cm > 0),
+  length_cm integer not null check (length_cm > 0),
+  cell_cm integer check (cell_cm > 0),
+  notes text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (garden_id, name),
+  check ((kind = 'grid') = (cell_cm is not null))
+);
+
+-- One position per crop. Placements of harvested and finished crops are kept
+-- as the bed's history for rotation warnings.
+create table if not exists crop_placements (
+  id uuid primary key default gen_random_uuid(),
+  crop_id uuid not null unique references crops(id) on delete cascade,
+  bed_id uuid not null references garden_beds(id) on delete cascade,
+  garden_id uuid not null references gardens(id) on delete cascade,
+  x_cm integer not null check (x_cm >= 0),
+  y_cm integer not null check (y_cm >= 0),
+  width_cm integer not null check (width_cm > 0),
+  length_cm integer not null check (length_cm > 0),
+  placed_by uuid references users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists crop_placements_bed_idx on crop_placements (bed_id);
+create index if not exists crop_placements_garden_idx on crop_placements (garden_id);
@@ -0,0 +1,30 @@
+-- Append-only trail of changes and sign-ins. Ids are kept without foreign
+-- keys so entries outlive the users and rows they mention.
+create table if not exists audit_log (
+  id uuid primary key default gen_random_uuid(),
+  actor_id uuid,
+  action text not null,
+  entity_type text,
+  entity_id text,
+  garden_id uuid,
+  changes jsonb,
+  snapshot jsonb,
+  metadata jsonb,
+  request_id text,
+  ip text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists audit_log_actor_idx on audit_log (actor_id, created_at desc);
+create index if not exists audit_log_entity_idx on audit_log (entity_type, entity_id, created_at desc);
+create index if not exists audit_log_created_idx on audit_log (created_at desc);
+
+create or replace function audit_log_append_only() returns trigger as $$
+begin
+  raise exception 'audit_log is append-only';
+end;
+$$ language plpgsql;
+
+drop trigger if exists audit_log_append_only on audit_log;
+create trigger audit_log_append_only before update or delete on audit_log
+  for each row execute function audit_log_append_only();
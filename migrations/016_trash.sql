@@ -0,0 +1,11 @@
+-- Deleted gardens and crops stay in the trash until they are restored or
+-- purged. A garden's crops go with it and share its deleted_at.
+alter table gardens add column if not exists deleted_at timestamptz;
+alter table gardens add column if not exists deleted_by uuid references users(id) on delete set null;
+
+alter table crops add column if not exists deleted_at timestamptz;
+alter table crops add column if not exists deleted_by uuid references users(id) on delete set null;
+
+-- Lists only read rows outside the trash; purging reads the rest by age
+create index if not exists gardens_deleted_at_idx on gardens (deleted_at) where deleted_at is not null;
+create index if not exists crops_deleted_at_idx on crops (deleted_at) where deleted_at is not null;
@@ -0,0 +1,10 @@
+-- Emails are stored and looked up in lowercase. Lowercase the ones stored
+-- before that, unless another account has the same address in another case;
+-- find those with:
+--   select lower(email), count(*) from users group by 1 having count(*) > 1;
+update users set email = lower(email)
+where email <> lower(email)
+  and not exists (
+    select 1 from users other
+    where lower(other.email) = lower(users.email) and other.id <> users.id
+  );
@@ -0,0 +1,13 @@
+-- Photos are served from /uploads to users who may see their crop, so the
+-- bucket no longer needs to be public. Point URLs saved when it was at
+-- /uploads, relative to the API (change the bucket id if
+-- SUPABASE_STORAGE_BUCKET is set).
+update storage.buckets set public = false where id = 'crop-photos';
+
+update crop_photos set
+  url = regexp_replace(url, '^.*/storage/v1/object/public/[^/]+/', '/uploads/'),
+  thumbnail_url = regexp_replace(thumbnail_url, '^.*/storage/v1/object/public/[^/]+/', '/uploads/')
+where url like '%/storage/v1/object/public/%';
+
+update crops set image_url = regexp_replace(image_url, '^.*/storage/v1/object/public/[^/]+/', '/uploads/')
+where image_url like '%/storage/v1/object/public/%/crops/%';
@@ -0,0 +1,17 @@
+// Either side of a conversation
+const participant = (userId) => ({ $or: [{ grower_id: userId }, { requester_id: userId }] });
+
+const createConversationsRepository = (table) => ({
+  ...table,
+
+  findForUser(userId, options) {
+    return table.find(participant(userId), options);
+  },
+
+  // A conversation the user takes part in, or null
+  findForParticipant(id, userId, options) {
+    return table.findOne({ id, ...participant(userId) }, options);
+  }
+});
+
+module.exports = createConversationsRepository;
@@ -0,0 +1,27 @@
+const { hideTrashed } = require('./trash');
+
+const createCropsRepository = (base) => {
+  const table = hideTrashed(base);
+
+  return {
+    ...table,
+
+    // Crops on offer: shared, not hidden by a moderator and with some quantity left
+    findShared(filter = {}, options) {
+      return table.find({ ...filter, is_shared: true, hidden_at: null, quantity: { gt: 0 } }, options);
+    },
+
+    // A shared crop that hasn't been hidden, or null; filter usually has the id
+    findListing(filter, options) {
+      return table.findOne({ ...filter, is_shared: true, hidden_at: null }, options);
+    },
+
+    // Ids of the crops in the given gardens; withTrashed includes those in the trash
+    async findIdsInGardens(gardenIds, { withTrashed } = {}) {
+      const crops = await table.find({ garden_id: gardenIds }, { columns: ['id'], withTrashed });
+      return crops.map((crop) => crop.id);
+    }
+  };
+};
+
+module.exports = createCropsRepository;
@@ -0,0 +1,13 @@
+const createGardenMembersRepository = (table) => ({
+  ...table,
+
+  findMembership(gardenId, userId, options) {
+    return table.findOne({ garden_id: gardenId, user_id: userId }, options);
+  },
+
+  countOwners(gardenId) {
+    return table.count({ garden_id: gardenId, role: 'owner' });
+  }
+});
+
+module.exports = createGardenMembersRepository;
@@ -0,0 +1,26 @@
+const { hideTrashed } = require('./trash');
+
+const createGardensRepository = (base) => {
+  const table = hideTrashed(base);
+
+  return {
+    ...table,
+
+    // Gardens whose coordinates fall inside a bounding box from utils/geo. The
+    // longitude bounds are skipped when they are null (the box wraps around).
+    findInBox(box, filter = {}, options) {
+      const inBox = {
+        ...filter,
+        latitude: { gte: box.minLat, lte: box.maxLat }
+      };
+
+      if (box.minLng !== null) {
+        inBox.longitude = { gte: box.minLng, lte: box.maxLng };
+      }
+
+      return table.find(inBox, options);
+    }
+  };
+};
+
+module.exports = createGardensRepository;
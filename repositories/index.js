@@ -0,0 +1,111 @@
+require('dotenv').config();
+const TABLES = require('./tables');
+
+// Data access. Routes and services read and write through these repositories
+// instead of calling Supabase, so the API can also run on the in-memory store
+// (DATA_STORE=memory) for tests and local development.
+//
+// Every repository has the same basic operations on its table:
+//   find(filter, options)            rows
+//   findOne(filter, options)         first row or null
+//   findById(id, options)            row or null
+//   count(filter, { search })        number of rows
+//   page(filter, page, options)      one page of rows plus one, see utils/pagination
+//   insert(row | rows, options)      inserted row (or rows, for an array)
+//   update(filter, changes, options) updated rows
+//   remove(filter, options)          removed rows
+//
+// A filter is an object of column conditions that must all hold:
+//   { garden_id: id }                equal (null means "is null")
+//   { status: ['ready', 'growing'] } one of
+//   { quantity: { gt: 0 } }          neq, gt, gte, lt, lte, in, notIn, ilike
+//   { $or: [filter, filter] }        any of
+//
+// Options for reads and for the rows returned by writes:
+//   columns   array of columns, all by default
+//   include   related rows to embed, { relation: columns }, see tables.js
+//   order     array of columns, "-" prefixed for descending (nulls last)
+//   limit     maximum number of rows
+//   search    { term, columns }, case-insensitive match in any of the columns
+//
+// Gardens and crops have a trash: their reads skip deleted rows unless asked
+// for them, see trash.js.
+//
+// Some repositories add methods of their own on top (users.js, gardens.js, ...).
+
+const REPOSITORIES = {
+  users: ['users', require('./users')],
+  sessions: ['sessions'],
+  authTokens: ['auth_tokens'],
+  gardens: ['gardens', require('./gardens')],
+  gardenMembers: ['garden_members', require('./gardenMembers')],
+  gardenInvitations: ['garden_invitations'],
+  crops: ['crops', require('./crops')],
+  cropStatusHistory: ['crop_status_history'],
+  harvests: ['harvests'],
+  cropPhotos: ['crop_photos'],
+  shareClaims: ['share_claims'],
+  careTasks: ['care_tasks'],
+  careTaskCompletions: ['care_task_completions'],
+  reports: ['reports'],
+  conversations: ['conversations', require('./conversations')],
+  messages: ['messages'],
+  userBlocks: ['user_blocks', require('./userBlocks')],
+  gardenBeds: ['garden_beds'],
+  cropPlacements: ['crop_placements'],
+  auditLog: ['audit_log']
+};
+
+// Stores are loaded lazily so the memory one doesn't need Supabase credentials
+const stores = {
+  supabase: () => {
+    const { createSupabaseTable } = require('./stores/supabase');
+    return (name) => createSupabaseTable(name, TABLES[name]);
+  },
+  memory: () => {
+    const { createMemoryStore } = require('./stores/memory');
+    return createMemoryStore(TABLES).table;
+  }
+};
+
+// A full set of repositories on a new store; a memory store starts empty
+const createRepositories = (storeName = process.env.DATA_STORE || 'supabase') => {
+  const store = stores[storeName];
+
+  if (!store) {
+    throw new Error(`Unknown DATA_STORE "${storeName}"`);
+  }
+
+  const createTable = store();
+
+  return Object.fromEntries(
+    Object.entries(REPOSITORIES).map(([name, [table, extend]]) => {
+      const base = createTable(table);
+      return [name, extend ? extend(base) : base];
+    })
+  );
+};
+
+let repositories = null;
+
+const getRepositories = () => {
+  if (!repositories) {
+    repositories = createRepositories();
+  }
+
+  return repositories;
+};
+
+const setRepositories = (customRepositories) => {
+  repositories = customRepositories;
+};
+
+module.exports = { createRepositories, getRepositories, setRepositories };
+
+// repositories.crops and so on, resolved on use so setRepositories applies everywhere
+Object.keys(REPOSITORIES).forEach((name) => {
+  Object.defineProperty(module.exports, name, {
+    enumerable: true,
+    get: () => getRepositories()[name]
+  });
+});
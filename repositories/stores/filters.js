@@ -0,0 +1,34 @@
+// Helpers for the filter objects repositories accept (see repositories/index.js)
+
+const OPERATORS = ['neq', 'gt', 'gte', 'lt', 'lte', 'in', 'notIn', 'ilike'];
+
+// { gt: 3 } style conditions, as opposed to a plain value to compare with
+const isOperator = (value) =>
+  Boolean(value) &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  Object.keys(value).length > 0 &&
+  Object.keys(value).every((key) => OPERATORS.includes(key));
+
+// Separate column conditions from the $or alternatives
+const splitFilter = ({ $or, ...conditions } = {}) => ({
+  conditions,
+  alternatives: $or ? [$or] : []
+});
+
+// Column list for a read: all columns by default
+const selection = (columns) => {
+  if (!columns || columns === '*') return ['*'];
+  if (typeof columns === 'string') return columns.split(',').map((column) => column.trim());
+  return [...columns];
+};
+
+// Updates and deletes must say which rows they touch
+const requireFilter = (filter, action) => {
+  if (!filter || !Object.keys(filter).length) {
+    throw new Error(`Refusing to ${action} every row without a filter`);
+  }
+};
+
+module.exports = { OPERATORS, isOperator, splitFilter, selection, requireFilter };
@@ -0,0 +1,280 @@
+const crypto = require('crypto');
+const { searchTerm } = require('../../utils/pagination');
+const { isOperator, splitFilter, selection, requireFilter } = require('./filters');
+
+// In-memory tables for tests and running the API without a database. Rows
+// live in plain arrays; defaults, unique keys and foreign keys come from the
+// table definitions. Errors for violated constraints carry the same
+// Postgres codes Supabase returns, so they map to the same responses.
+
+const databaseError = (code, message) => Object.assign(new Error(message), { code });
+
+const isMissing = (value) => value === null || value === undefined;
+
+const same = (a, b) => a === b || (!isMissing(a) && !isMissing(b) && String(a) === String(b));
+
+// Order two non-null values: numbers numerically, anything else as text
+const compare = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  const [left, right] = [String(a), String(b)];
+  if (left === right) return 0;
+  return left < right ? -1 : 1;
+};
+
+const likePattern = (pattern) =>
+  new RegExp(`^${String(pattern).split('%').map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i');
+
+const OPERATIONS = {
+  neq: (value, operand) => (operand === null ? !isMissing(value) : !isMissing(value) && !same(value, operand)),
+  gt: (value, operand) => !isMissing(value) && compare(value, operand) > 0,
+  gte: (value, operand) => !isMissing(value) && compare(value, operand) >= 0,
+  lt: (value, operand) => !isMissing(value) && compare(value, operand) < 0,
+  lte: (value, operand) => !isMissing(value) && compare(value, operand) <= 0,
+  in: (value, operand) => operand.some((item) => same(value, item)),
+  notIn: (value, operand) => !isMissing(value) && !operand.some((item) => same(value, item)),
+  ilike: (value, operand) => !isMissing(value) && likePattern(operand).test(String(value))
+};
+
+const matches = (row, filter) => {
+  const { conditions, alternatives } = splitFilter(filter);
+
+  return alternatives.every((alternative) => alternative.some((option) => matches(row, option))) &&
+    Object.entries(conditions).every(([column, expected]) => {
+      const value = row[column];
+
+      if (expected === null) return isMissing(value);
+      if (Array.isArray(expected)) return OPERATIONS.in(value, expected);
+
+      if (isOperator(expected)) {
+        return Object.entries(expected).every(([operator, operand]) => OPERATIONS[operator](value, operand));
+      }
+
+      return same(value, expected);
+    });
+};
+
+const matchesSearch = (row, search) => {
+  const term = search && searchTerm(search.term);
+  if (!term) return true;
+
+  const needle = term.toLowerCase();
+  return search.columns.some((column) => !isMissing(row[column]) && String(row[column]).toLowerCase().includes(needle));
+};
+
+// Nulls sort last in both directions, as in the Supabase store
+const sortBy = (rows, order) => {
+  const sorts = order.map((sort) => ({
+    column: sort.startsWith('-') ? sort.slice(1) : sort,
+    direction: sort.startsWith('-') ? -1 : 1
+  }));
+
+  return [...rows].sort((a, b) => {
+    for (const { column, direction } of sorts) {
+      const [left, right] = [a[column], b[column]];
+
+      if (isMissing(left) && isMissing(right)) continue;
+      if (isMissing(left)) return 1;
+      if (isMissing(right)) return -1;
+
+      const result = compare(left, right) * direction;
+      if (result) return result;
+    }
+    return 0;
+  });
+};
+
+// Rows strictly after the cursor, see utils/pagination
+const isAfterCursor = (row, { field, ascending, cursor }) => {
+  const after = (a, b) => (ascending ? compare(a, b) > 0 : compare(a, b) < 0);
+  const value = row[field];
+
+  if (cursor.v === null) {
+    return isMissing(value) && after(row.id, cursor.id);
+  }
+
+  return isMissing(value) || after(value, cursor.v) || (same(value, cursor.v) && after(row.id, cursor.id));
+};
+
+const pick = (row, columns) => {
+  const fields = selection(columns);
+  if (fields.includes('*')) return { ...row };
+
+  return fields.reduce((picked, column) => {
+    picked[column] = row[column] === undefined ? null : row[column];
+    return picked;
+  }, {});
+};
+
+// A set of in-memory tables that can reference each other
+const createMemoryStore = (definitions) => {
+  const rowsByTable = new Map(Object.keys(definitions).map((name) => [name, []]));
+
+  const rowsOf = (name) => rowsByTable.get(name);
+
+  const primaryKey = (definition) => definition.primaryKey || ['id'];
+
+  const findByKey = (definition, name, row) =>
+    rowsOf(name).find((existing) => primaryKey(definition).every((column) => same(existing[column], row[column])));
+
+  const checkUnique = (name, definition, row, ignore) => {
+    (definition.unique || []).forEach((columns) => {
+      const clash = rowsOf(name).find((existing) =>
+        existing !== ignore && columns.every((column) => !isMissing(row[column]) && same(existing[column], row[column])));
+
+      if (clash) {
+        throw databaseError('23505', `duplicate key value violates unique constraint on ${name} (${columns.join(', ')})`);
+      }
+    });
+  };
+
+  const output = (name, row, { columns, include } = {}) => {
+    const definition = definitions[name];
+    const result = pick(row, columns);
+
+    Object.entries(include || {}).forEach(([key, relationColumns]) => {
+      const relation = definition.relations[key];
+      const target = rowsOf(relation.table).find((candidate) => same(candidate.id, row[relation.foreignKey]));
+      result[key] = target ? pick(target, relationColumns) : null;
+    });
+
+    return result;
+  };
+
+  // Apply "on delete" rules of every table that references the removed rows
+  const cascade = (name, removed) => {
+    if (!removed.length) return;
+
+    const ids = removed.map((row) => row.id);
+
+    Object.entries(definitions).forEach(([childName, childDefinition]) => {
+      Object.entries(childDefinition.references || {}).forEach(([column, [parent, rule]]) => {
+        if (parent !== name) return;
+
+        if (rule === 'cascade') {
+          removeRows(childName, { [column]: ids });
+        } else {
+          rowsOf(childName)
+            .filter((row) => ids.some((id) => same(row[column], id)))
+            .forEach((row) => { row[column] = null; });
+        }
+      });
+    });
+  };
+
+  const removeRows = (name, filter) => {
+    const rows = rowsOf(name);
+    const removed = rows.filter((row) => matches(row, filter));
+
+    rowsByTable.set(name, rows.filter((row) => !removed.includes(row)));
+    cascade(name, removed);
+
+    return removed;
+  };
+
+  const createTable = (name) => {
+    const definition = definitions[name];
+
+    const select = (filter, search) =>
+      rowsOf(name).filter((row) => matches(row, filter) && matchesSearch(row, search));
+
+    const newRow = (values) => {
+      const row = {};
+
+      Object.entries(definition.defaults || {}).forEach(([column, value]) => {
+        row[column] = typeof value === 'function' ? value() : value;
+      });
+      Object.entries(values).forEach(([column, value]) => {
+        if (value !== undefined) row[column] = value;
+      });
+
+      if (!definition.primaryKey && isMissing(row.id)) {
+        row.id = crypto.randomUUID();
+      }
+
+      if (findByKey(definition, name, row)) {
+        throw databaseError('23505', `duplicate key value violates primary key of ${name}`);
+      }
+      checkUnique(name, definition, row);
+
+      rowsOf(name).push(row);
+      return row;
+    };
+
+    const table = {
+      name,
+
+      async find(filter = {}, options = {}) {
+        let rows = sortBy(select(filter, options.search), options.order || []);
+
+        if (options.limit) {
+          rows = rows.slice(0, options.limit);
+        }
+
+        return rows.map((row) => output(name, row, options));
+      },
+
+      async findOne(filter, options = {}) {
+        const rows = await table.find(filter, { ...options, limit: 1 });
+        return rows[0] || null;
+      },
+
+      async findById(id, options) {
+        return table.findOne({ id }, options);
+      },
+
+      async count(filter = {}, { search } = {}) {
+        return select(filter, search).length;
+      },
+
+      async page(filter, page, options = {}) {
+        const sort = page.ascending ? page.field : `-${page.field}`;
+        const idSort = page.ascending ? 'id' : '-id';
+
+        return sortBy(select(filter, options.search), [sort, idSort])
+          .filter((row) => !page.cursor || isAfterCursor(row, page))
+          .slice(0, page.limit + 1)
+          .map((row) => output(name, row, options));
+      },
+
+      // All rows are inserted or, when one breaks a constraint, none
+      async insert(data, options = {}) {
+        const before = rowsOf(name).length;
+        let created;
+
+        try {
+          created = (Array.isArray(data) ? data : [data]).map((values) => newRow(values));
+        } catch (error) {
+          rowsOf(name).splice(before);
+          throw error;
+        }
+
+        const rows = created.map((row) => output(name, row, options));
+        return Array.isArray(data) ? rows : rows[0];
+      },
+
+      async update(filter, changes, options = {}) {
+        requireFilter(filter, 'update');
+
+        const updated = rowsOf(name).filter((row) => matches(row, filter));
+
+        updated.forEach((row) => {
+          checkUnique(name, definition, { ...row, ...changes }, row);
+        });
+        updated.forEach((row) => Object.assign(row, changes));
+
+        return updated.map((row) => output(name, row, options));
+      },
+
+      async remove(filter, options = {}) {
+        requireFilter(filter, 'delete');
+        return removeRows(name, filter).map((row) => output(name, row, options));
+      }
+    };
+
+    return table;
+  };
+
+  return { table: createTable };
+};
+
+module.exports = { createMemoryStore };
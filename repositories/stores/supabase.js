@@ -0,0 +1,182 @@
+const supabase = require('../../supabase');
+const { timeQuery } = require('../../services/metrics');
+const { paginate, applyConditions, searchCondition, quote } = require('../../utils/pagination');
+const { isOperator, splitFilter, selection, requireFilter } = require('./filters');
+
+// Columns plus embedded relations, as a PostgREST select list
+const selectList = (definition, { columns, include } = {}) => {
+  const fields = selection(columns);
+
+  Object.entries(include || {}).forEach(([name, relationColumns]) => {
+    const relation = definition.relations[name];
+    const target = relation.hint ? `${relation.table}!${relation.hint}` : relation.table;
+    const alias = name === relation.table ? '' : `${name}:`;
+
+    fields.push(`${alias}${target} (${selection(relationColumns).join(', ')})`);
+  });
+
+  return fields.join(', ');
+};
+
+const applyOperator = (query, column, operator, operand) => {
+  switch (operator) {
+    case 'neq':
+      return operand === null ? query.not(column, 'is', null) : query.neq(column, operand);
+    case 'in':
+      return query.in(column, operand);
+    case 'notIn':
+      return operand.length ? query.not(column, 'in', `(${operand.map(quote).join(',')})`) : query;
+    default:
+      return query[operator](column, operand);
+  }
+};
+
+// Apply the column conditions of a filter (everything but $or)
+const applyFilter = (query, conditions) =>
+  Object.entries(conditions).reduce((filtered, [column, expected]) => {
+    if (expected === null) return filtered.is(column, null);
+    if (Array.isArray(expected)) return filtered.in(column, expected);
+
+    if (isOperator(expected)) {
+      return Object.entries(expected).reduce(
+        (operated, [operator, operand]) => applyOperator(operated, column, operator, operand),
+        filtered
+      );
+    }
+
+    return filtered.eq(column, expected);
+  }, query);
+
+// A filter as a PostgREST condition, for use inside or()
+const toCondition = (filter) => {
+  const parts = [];
+
+  Object.entries(filter).forEach(([column, expected]) => {
+    if (column === '$or') {
+      parts.push(`or(${expected.map(toCondition).join(',')})`);
+    } else if (expected === null) {
+      parts.push(`${column}.is.null`);
+    } else if (Array.isArray(expected)) {
+      parts.push(`${column}.in.(${expected.map(quote).join(',')})`);
+    } else if (isOperator(expected)) {
+      Object.entries(expected).forEach(([operator, operand]) => {
+        if (operator === 'neq' && operand === null) parts.push(`${column}.not.is.null`);
+        else if (operator === 'in') parts.push(`${column}.in.(${operand.map(quote).join(',')})`);
+        else if (operator === 'notIn') parts.push(`${column}.not.in.(${operand.map(quote).join(',')})`);
+        else parts.push(`${column}.${operator}.${quote(operand)}`);
+      });
+    } else {
+      parts.push(`${column}.eq.${quote(expected)}`);
+    }
+  });
+
+  return parts.length === 1 ? parts[0] : `and(${parts.join(',')})`;
+};
+
+// Filters and "or" conditions (from $or and a search) for a query
+const buildQuery = (query, filter, search) => {
+  const { conditions, alternatives } = splitFilter(filter);
+  const orConditions = alternatives.map((alternative) => alternative.map(toCondition).join(','));
+
+  if (search) {
+    orConditions.push(searchCondition(search.term, search.columns));
+  }
+
+  return { query: applyFilter(query, conditions), orConditions };
+};
+
+const applyOrder = (query, order) =>
+  (order || []).reduce((ordered, sort) => {
+    const ascending = !sort.startsWith('-');
+    return ordered.order(ascending ? sort : sort.slice(1), { ascending, nullsFirst: false });
+  }, query);
+
+// Await a query, timed by table and operation for /metrics. Resolves with
+// Supabase's { data, error, count }.
+const execute = async (table, operation, query) => {
+  const done = timeQuery(table, operation);
+
+  try {
+    const result = await query;
+    done(result.error ? 'error' : 'ok');
+    return result;
+  } catch (error) {
+    done('error');
+    throw error;
+  }
+};
+
+const run = async (table, operation, query) => {
+  const { data, error } = await execute(table, operation, query);
+  if (error) throw error;
+  return data;
+};
+
+// Repository over a Supabase table
+const createSupabaseTable = (name, definition) => {
+  const from = () => supabase.from(name);
+  const select = (options) => selectList(definition, options);
+
+  const table = {
+    name,
+
+    async find(filter = {}, options = {}) {
+      const { query, orConditions } = buildQuery(from().select(select(options)), filter, options.search);
+      let ordered = applyOrder(applyConditions(query, orConditions), options.order);
+
+      if (options.limit) {
+        ordered = ordered.limit(options.limit);
+      }
+
+      return run(name, 'select', ordered);
+    },
+
+    async findOne(filter, options = {}) {
+      const rows = await table.find(filter, { ...options, limit: 1 });
+      return rows[0] || null;
+    },
+
+    async findById(id, options) {
+      return table.findOne({ id }, options);
+    },
+
+    async count(filter = {}, { search } = {}) {
+      const { query, orConditions } = buildQuery(
+        from().select('*', { count: 'exact', head: true }),
+        filter,
+        search
+      );
+      const { count, error } = await execute(name, 'count', applyConditions(query, orConditions));
+
+      if (error) throw error;
+
+      return count;
+    },
+
+    async page(filter, page, options = {}) {
+      const { query, orConditions } = buildQuery(from().select(select(options)), filter, options.search);
+      return run(name, 'select', paginate(query, page, orConditions));
+    },
+
+    async insert(data, options = {}) {
+      const rows = await run(name, 'insert', from().insert(Array.isArray(data) ? data : [data]).select(select(options)));
+      return Array.isArray(data) ? rows : rows[0];
+    },
+
+    async update(filter, changes, options = {}) {
+      requireFilter(filter, 'update');
+      const { query, orConditions } = buildQuery(from().update(changes), filter);
+      return run(name, 'update', applyConditions(query, orConditions).select(select(options)));
+    },
+
+    async remove(filter, options = {}) {
+      requireFilter(filter, 'delete');
+      const { query, orConditions } = buildQuery(from().delete(), filter);
+      return run(name, 'delete', applyConditions(query, orConditions).select(select(options)));
+    }
+  };
+
+  return table;
+};
+
+module.exports = { createSupabaseTable };
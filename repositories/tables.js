@@ -0,0 +1,225 @@
+// Table definitions shared by the data stores.
+//
+//   relations    rows of other tables that can be embedded when reading, by
+//                the key they appear under: { table, foreignKey, hint }. The
+//                hint names the foreign key when PostgREST needs it to pick
+//                between several links to the same table.
+//   primaryKey   'id' (generated uuid) unless listed, e.g. a composite key
+//
+// The rest is only used by the in-memory store, which has no database to
+// enforce it, and mirrors migrations/:
+//   defaults     column values (or functions returning them) for new rows
+//   unique       column sets that must be unique
+//   references   foreign keys: { column: [table, 'cascade' | 'set null'] }
+
+const now = () => new Date().toISOString();
+const today = () => now().slice(0, 10);
+
+const TABLES = {
+  users: {
+    defaults: { role: 'user', email_verified: false, created_at: now, updated_at: now },
+    unique: [['email']]
+  },
+
+  sessions: {
+    relations: {
+      users: { table: 'users', foreignKey: 'user_id' }
+    },
+    defaults: { created_at: now, last_used_at: now },
+    references: { user_id: ['users', 'cascade'] }
+  },
+
+  auth_tokens: {
+    defaults: { created_at: now },
+    unique: [['token_hash']],
+    references: { user_id: ['users', 'cascade'] }
+  },
+
+  gardens: {
+    defaults: { created_at: now, updated_at: now },
+    references: { deleted_by: ['users', 'set null'] }
+  },
+
+  garden_members: {
+    primaryKey: ['garden_id', 'user_id'],
+    relations: {
+      gardens: { table: 'gardens', foreignKey: 'garden_id' },
+      users: { table: 'users', foreignKey: 'user_id' }
+    },
+    defaults: { created_at: now },
+    unique: [['garden_id', 'user_id']],
+    references: {
+      garden_id: ['gardens', 'cascade'],
+      user_id: ['users', 'cascade']
+    }
+  },
+
+  garden_invitations: {
+    defaults: { created_at: now },
+    unique: [['code']],
+    references: {
+      garden_id: ['gardens', 'cascade'],
+      invited_by: ['users', 'set null'],
+      accepted_by: ['users', 'set null']
+    }
+  },
+
+  crops: {
+    relations: {
+      gardens: { table: 'gardens', foreignKey: 'garden_id' },
+      grower: { table: 'users', foreignKey: 'user_id', hint: 'crops_user_id_fkey' }
+    },
+    defaults: { created_at: now, updated_at: now },
+    references: {
+      garden_id: ['gardens', 'cascade'],
+      hidden_by: ['users', 'set null'],
+      deleted_by: ['users', 'set null']
+    }
+  },
+
+  crop_status_history: {
+    defaults: { changed_at: now },
+    references: {
+      crop_id: ['crops', 'cascade'],
+      changed_by: ['users', 'set null']
+    }
+  },
+
+  harvests: {
+    relations: {
+      crops: { table: 'crops', foreignKey: 'crop_id' }
+    },
+    defaults: { harvested_on: today, created_at: now },
+    references: {
+      crop_id: ['crops', 'cascade'],
+      garden_id: ['gardens', 'cascade'],
+      user_id: ['users', 'set null']
+    }
+  },
+
+  crop_photos: {
+    defaults: { is_cover: false, created_at: now },
+    references: {
+      crop_id: ['crops', 'cascade'],
+      uploaded_by: ['users', 'set null']
+    }
+  },
+
+  share_claims: {
+    relations: {
+      crops: { table: 'crops', foreignKey: 'crop_id' },
+      grower: { table: 'users', foreignKey: 'grower_id', hint: 'share_claims_grower_id_fkey' },
+      requester: { table: 'users', foreignKey: 'requester_id', hint: 'share_claims_requester_id_fkey' }
+    },
+    defaults: { status: 'pending', created_at: now, updated_at: now },
+    references: {
+      crop_id: ['crops', 'cascade'],
+      grower_id: ['users', 'cascade'],
+      requester_id: ['users', 'set null']
+    }
+  },
+
+  care_tasks: {
+    relations: {
+      crops: { table: 'crops', foreignKey: 'crop_id' },
+      gardens: { table: 'gardens', foreignKey: 'garden_id' }
+    },
+    defaults: { task_type: 'other', active: true, created_at: now, updated_at: now },
+    references: {
+      garden_id: ['gardens', 'cascade'],
+      crop_id: ['crops', 'cascade'],
+      created_by: ['users', 'set null']
+    }
+  },
+
+  care_task_completions: {
+    relations: {
+      users: { table: 'users', foreignKey: 'completed_by' }
+    },
+    defaults: { completed_at: now },
+    references: {
+      task_id: ['care_tasks', 'cascade'],
+      completed_by: ['users', 'set null']
+    }
+  },
+
+  reports: {
+    relations: {
+      reporter: { table: 'users', foreignKey: 'reporter_id', hint: 'reports_reporter_id_fkey' },
+      reported_user: { table: 'users', foreignKey: 'reported_user_id', hint: 'reports_reported_user_id_fkey' },
+      crops: { table: 'crops', foreignKey: 'crop_id' }
+    },
+    defaults: { status: 'open', created_at: now, updated_at: now },
+    references: {
+      reporter_id: ['users', 'set null'],
+      crop_id: ['crops', 'cascade'],
+      reported_user_id: ['users', 'cascade'],
+      resolved_by: ['users', 'set null']
+    }
+  },
+
+  conversations: {
+    relations: {
+      crops: { table: 'crops', foreignKey: 'crop_id' },
+      grower: { table: 'users', foreignKey: 'grower_id', hint: 'conversations_grower_id_fkey' },
+      requester: { table: 'users', foreignKey: 'requester_id', hint: 'conversations_requester_id_fkey' }
+    },
+    defaults: { created_at: now },
+    unique: [['crop_id', 'requester_id']],
+    references: {
+      crop_id: ['crops', 'set null'],
+      grower_id: ['users', 'cascade'],
+      requester_id: ['users', 'cascade']
+    }
+  },
+
+  messages: {
+    relations: {
+      sender: { table: 'users', foreignKey: 'sender_id' }
+    },
+    defaults: { created_at: now },
+    references: {
+      conversation_id: ['conversations', 'cascade'],
+      sender_id: ['users', 'set null']
+    }
+  },
+
+  user_blocks: {
+    primaryKey: ['blocker_id', 'blocked_id'],
+    relations: {
+      blocked: { table: 'users', foreignKey: 'blocked_id', hint: 'user_blocks_blocked_id_fkey' }
+    },
+    defaults: { created_at: now },
+    unique: [['blocker_id', 'blocked_id']],
+    references: {
+      blocker_id: ['users', 'cascade'],
+      blocked_id: ['users', 'cascade']
+    }
+  },
+
+  garden_beds: {
+    defaults: { kind: 'bed', created_at: now, updated_at: now },
+    unique: [['garden_id', 'name']],
+    references: { garden_id: ['gardens', 'cascade'] }
+  },
+
+  crop_placements: {
+    relations: {
+      crops: { table: 'crops', foreignKey: 'crop_id' }
+    },
+    defaults: { created_at: now, updated_at: now },
+    unique: [['crop_id']],
+    references: {
+      crop_id: ['crops', 'cascade'],
+      bed_id: ['garden_beds', 'cascade'],
+      garden_id: ['gardens', 'cascade'],
+      placed_by: ['users', 'set null']
+    }
+  },
+
+  audit_log: {
+    defaults: { created_at: now }
+  }
+};
+
+module.exports = TABLES;
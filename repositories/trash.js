@@ -0,0 +1,19 @@
+// Reads on a table with a trash (a deleted_at column, see services/trash)
+// leave out the rows in it. A filter with its own deleted_at condition, such
+// as { deleted_at: { neq: null } } for the trash alone, is used as it is, and
+// the withTrashed option reads every row.
+const hideTrashed = (table) => {
+  const visible = (filter = {}, { withTrashed } = {}) =>
+    withTrashed || Object.prototype.hasOwnProperty.call(filter, 'deleted_at') ? filter : { ...filter, deleted_at: null };
+
+  return {
+    ...table,
+    find: (filter, options) => table.find(visible(filter, options), options),
+    findOne: (filter, options) => table.findOne(visible(filter, options), options),
+    findById: (id, options) => table.findOne(visible({ id }, options), options),
+    count: (filter, options) => table.count(visible(filter, options), options),
+    page: (filter, page, options) => table.page(visible(filter, options), page, options)
+  };
+};
+
+module.exports = { hideTrashed };
@@ -0,0 +1,20 @@
+const createUserBlocksRepository = (table) => ({
+  ...table,
+
+  // Whether either user has blocked the other
+  async isBlockedBetween(userId, otherId) {
+    const block = await table.findOne(
+      {
+        $or: [
+          { blocker_id: userId, blocked_id: otherId },
+          { blocker_id: otherId, blocked_id: userId }
+        ]
+      },
+      { columns: ['blocker_id'] }
+    );
+
+    return Boolean(block);
+  }
+});
+
+module.exports = createUserBlocksRepository;
@@ -0,0 +1,20 @@
+// Columns that are safe to send back to the user (everything but the password hash)
+const PROFILE_COLUMNS = ['id', 'email', 'name', 'phone', 'role', 'email_verified', 'created_at', 'updated_at'];
+
+const createUsersRepository = (table) => ({
+  ...table,
+
+  PROFILE_COLUMNS,
+
+  findByEmail(email, options) {
+    return table.findOne({ email }, options);
+  },
+
+  // Ids of suspended accounts, whose listings are kept out of the shared feed
+  async findSuspendedIds() {
+    const users = await table.find({ suspended_at: { neq: null } }, { columns: ['id'] });
+    return users.map((user) => user.id);
+  }
+});
+
+module.exports = createUsersRepository;
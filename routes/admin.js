@@ -0,0 +1,388 @@
+const express = require('express');
+const router = express.Router();
+const repositories = require('../repositories');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/admin');
+const { BadRequestError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+const { parsePagination, invalidQuery, buildPage } = require('../utils/pagination');
+const { revokeAllSessions } = require('../services/sessions');
+const { notify } = require('../services/notifier');
+const { recordAudit } = require('../services/audit');
+
+const USER_COLUMNS = [
+  'id', 'email', 'name', 'phone', 'role', 'email_verified',
+  'suspended_at', 'suspended_reason', 'created_at', 'updated_at'
+];
+const USER_SORT_FIELDS = ['created_at', 'name', 'email', 'suspended_at'];
+const USER_SEARCH_COLUMNS = ['name', 'email'];
+
+const LISTING_FIELDS = {
+  columns: [
+    'id', 'name', 'variety', 'category', 'quantity', 'quantity_unit', 'notes', 'image_url', 'user_id', 'garden_id',
+    'hidden_at', 'hidden_reason', 'hidden_by', 'created_at', 'updated_at'
+  ],
+  include: { gardens: ['name'], grower: ['name', 'email'] }
+};
+const LISTING_SORT_FIELDS = ['created_at', 'name', 'hidden_at'];
+const LISTING_SEARCH_COLUMNS = ['name', 'variety', 'notes'];
+
+const REPORT_FIELDS = {
+  include: {
+    reporter: ['name', 'email'],
+    reported_user: ['name', 'email', 'suspended_at'],
+    crops: ['name', 'is_shared', 'hidden_at']
+  }
+};
+const REPORT_SORT_FIELDS = ['created_at', 'updated_at'];
+
+// Every route here needs a signed-in admin
+router.use(authenticateToken, requireAdmin);
+
+// "true" / "false" query flag as a repository condition on a timestamp column
+const timestampSet = (flag) => (flag === 'true' ? { neq: null } : null);
+
+// List users, searched by name or email
+router.get('/users', validate(schemas.listUsers), async (req, res, next) => {
+  try {
+    const page = parsePagination(req.query, { sortFields: USER_SORT_FIELDS });
+
+    if (page.error) {
+      throw invalidQuery(page);
+    }
+
+    const filter = {};
+    if (req.query.role) filter.role = req.query.role;
+    if (req.query.suspended) filter.suspended_at = timestampSet(req.query.suspended);
+
+    const search = { term: req.query.q, columns: USER_SEARCH_COLUMNS };
+
+    const [rows, total] = await Promise.all([
+      repositories.users.page(filter, page, { columns: USER_COLUMNS, search }),
+      repositories.users.count(filter, { search })
+    ]);
+
+    const { items, next_cursor } = buildPage(rows, page);
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      total,
+      next_cursor,
+      users: items
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a user with the number of open reports against them
+router.get('/users/:id', validate(schemas.byId), async (req, res, next) => {
+  try {
+    const user = await repositories.users.findById(req.params.id, { columns: USER_COLUMNS });
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const openReports = await repositories.reports.count({ reported_user_id: user.id, status: 'open' });
+
+    res.status(200).json({
+      success: true,
+      user: { ...user, open_reports: openReports }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Suspend an account, signing it out everywhere
+router.post('/users/:id/suspend', validate(schemas.suspend), async (req, res, next) => {
+  try {
+    if (req.params.id === req.user.id) {
+      throw new BadRequestError('You cannot suspend your own account', { code: 'cannot_suspend_self' });
+    }
+
+    const user = await repositories.users.findById(req.params.id, { columns: ['id', 'role', 'suspended_at'] });
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (user.role === 'admin') {
+      throw new ForbiddenError('Admins cannot be suspended', { code: 'cannot_suspend_admin' });
+    }
+
+    if (user.suspended_at) {
+      throw new ConflictError('User is already suspended', { code: 'already_suspended' });
+    }
+
+    const now = new Date().toISOString();
+    const [suspended] = await repositories.users.update(
+      { id: user.id },
+      { suspended_at: now, suspended_reason: req.body.reason || null, updated_at: now },
+      { columns: USER_COLUMNS }
+    );
+
+    const sessionsRevoked = await revokeAllSessions(user.id);
+
+    await recordAudit(req, {
+      action: 'user.suspended',
+      entityType: 'user',
+      entityId: user.id,
+      before: { suspended_at: null, suspended_reason: null },
+      after: { suspended_at: suspended.suspended_at, suspended_reason: suspended.suspended_reason },
+      metadata: { sessions_revoked: sessionsRevoked }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User suspended successfully',
+      user: suspended,
+      sessions_revoked: sessionsRevoked
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Lift a suspension
+router.post('/users/:id/unsuspend', validate(schemas.unsuspend), async (req, res, next) => {
+  try {
+    const user = await repositories.users.findById(req.params.id, {
+      columns: ['id', 'suspended_at', 'suspended_reason']
+    });
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (!user.suspended_at) {
+      throw new ConflictError('User is not suspended', { code: 'not_suspended' });
+    }
+
+    const [unsuspended] = await repositories.users.update(
+      { id: user.id },
+      { suspended_at: null, suspended_reason: null, updated_at: new Date().toISOString() },
+      { columns: USER_COLUMNS }
+    );
+
+    await recordAudit(req, {
+      action: 'user.unsuspended',
+      entityType: 'user',
+      entityId: user.id,
+      before: { suspended_at: user.suspended_at, suspended_reason: user.suspended_reason },
+      after: { suspended_at: null, suspended_reason: null }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User unsuspended successfully',
+      user: unsuspended
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List shared listings, including hidden ones
+router.get('/listings', validate(schemas.listListings), async (req, res, next) => {
+  try {
+    const page = parsePagination(req.query, { sortFields: LISTING_SORT_FIELDS });
+
+    if (page.error) {
+      throw invalidQuery(page);
+    }
+
+    const filter = { is_shared: true };
+    if (req.query.hidden) filter.hidden_at = timestampSet(req.query.hidden);
+
+    const search = { term: req.query.q, columns: LISTING_SEARCH_COLUMNS };
+
+    const [rows, total] = await Promise.all([
+      repositories.crops.page(filter, page, { ...LISTING_FIELDS, search }),
+      repositories.crops.count(filter, { search })
+    ]);
+
+    const { items, next_cursor } = buildPage(rows, page);
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      total,
+      next_cursor,
+      listings: items
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Hide a shared listing from the feed and tell the grower why
+router.post('/listings/:id/hide', validate(schemas.hide), async (req, res, next) => {
+  try {
+    const crop = await repositories.crops.findOne(
+      { id: req.params.id, is_shared: true },
+      { columns: ['id', 'name', 'user_id', 'garden_id', 'hidden_at'] }
+    );
+
+    if (!crop) {
+      throw new NotFoundError('Listing not found');
+    }
+
+    if (crop.hidden_at) {
+      throw new ConflictError('Listing is already hidden', { code: 'already_hidden' });
+    }
+
+    const reason = req.body.reason || null;
+    const [listing] = await repositories.crops.update(
+      { id: crop.id },
+      { hidden_at: new Date().toISOString(), hidden_reason: reason, hidden_by: req.user.id },
+      LISTING_FIELDS
+    );
+
+    await recordAudit(req, {
+      action: 'crop.hidden',
+      entityType: 'crop',
+      entityId: crop.id,
+      gardenId: crop.garden_id,
+      before: { hidden_at: null, hidden_reason: null, hidden_by: null },
+      after: { hidden_at: listing.hidden_at, hidden_reason: listing.hidden_reason, hidden_by: listing.hidden_by }
+    });
+
+    await notify(crop.user_id, {
+      title: `Your listing ${crop.name} was hidden`,
+      body: reason
+        ? `A moderator hid ${crop.name} from the shared feed: ${reason}`
+        : `A moderator hid ${crop.name} from the shared feed`,
+      data: { type: 'listing_hidden', crop_id: crop.id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Listing hidden successfully',
+      listing
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Put a hidden listing back in the feed
+router.post('/listings/:id/unhide', validate(schemas.unhide), async (req, res, next) => {
+  try {
+    const crop = await repositories.crops.findOne(
+      { id: req.params.id, is_shared: true, hidden_at: { neq: null } },
+      { columns: ['id', 'garden_id', 'hidden_at', 'hidden_reason', 'hidden_by'] }
+    );
+
+    if (!crop) {
+      throw new NotFoundError('Hidden listing not found');
+    }
+
+    const listings = await repositories.crops.update(
+      { id: crop.id, hidden_at: { neq: null } },
+      { hidden_at: null, hidden_reason: null, hidden_by: null },
+      LISTING_FIELDS
+    );
+
+    if (!listings.length) {
+      throw new NotFoundError('Hidden listing not found');
+    }
+
+    await recordAudit(req, {
+      action: 'crop.unhidden',
+      entityType: 'crop',
+      entityId: crop.id,
+      gardenId: crop.garden_id,
+      before: { hidden_at: crop.hidden_at, hidden_reason: crop.hidden_reason, hidden_by: crop.hidden_by },
+      after: { hidden_at: null, hidden_reason: null, hidden_by: null }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Listing is visible again',
+      listing: listings[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The moderation queue, oldest reports first
+router.get('/reports', validate(schemas.listReports), async (req, res, next) => {
+  try {
+    const page = parsePagination(req.query, { sortFields: REPORT_SORT_FIELDS, defaultSort: 'created_at' });
+
+    if (page.error) {
+      throw invalidQuery(page);
+    }
+
+    const filter = { status: req.query.status };
+    if (req.query.target_type) filter.target_type = req.query.target_type;
+
+    const [rows, total] = await Promise.all([
+      repositories.reports.page(filter, page, REPORT_FIELDS),
+      repositories.reports.count(filter)
+    ]);
+
+    const { items, next_cursor } = buildPage(rows, page);
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      total,
+      next_cursor,
+      reports: items
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Resolve or dismiss an open report
+router.patch('/reports/:id', validate(schemas.updateReport), async (req, res, next) => {
+  try {
+    const report = await repositories.reports.findById(req.params.id, { columns: ['id', 'status'] });
+
+    if (!report) {
+      throw new NotFoundError('Report not found');
+    }
+
+    // Only update while still open, so two admins can't both close it
+    const now = new Date().toISOString();
+    const [closed] = await repositories.reports.update(
+      { id: report.id, status: 'open' },
+      {
+        status: req.body.status,
+        resolution_note: req.body.note || null,
+        resolved_by: req.user.id,
+        resolved_at: now,
+        updated_at: now
+      },
+      REPORT_FIELDS
+    );
+
+    if (!closed) {
+      throw new ConflictError('Report has already been closed', { code: 'report_closed' });
+    }
+
+    await recordAudit(req, {
+      action: 'report.updated',
+      entityType: 'report',
+      entityId: report.id,
+      before: { status: report.status },
+      after: { status: closed.status, resolution_note: closed.resolution_note }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Report ${req.body.status}`,
+      report: closed
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,202 @@
+const express = require('express');
+const router = express.Router();
+const repositories = require('../repositories');
+const { authenticateToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { limitWrites } = require('../middleware/rateLimit');
+const schemas = require('../validators/audit');
+const { BadRequestError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+const { parsePagination, invalidQuery, buildPage } = require('../utils/pagination');
+const { addDays } = require('../utils/schedule');
+const { hasRole, getGardenAccess } = require('../services/permissions');
+const { recordAudit } = require('../services/audit');
+const { restoreSnapshot } = require('../services/restore');
+const { restoreCrop, restoreGarden, publishRestored } = require('../services/trash');
+
+// Snapshots can be large, so lists leave them out and say whether there is one
+const LIST_COLUMNS = [
+  'id', 'actor_id', 'action', 'entity_type', 'entity_id', 'garden_id',
+  'changes', 'metadata', 'request_id', 'ip', 'created_at'
+];
+const AUDIT_SORT_FIELDS = ['created_at'];
+
+// Deletions that can be undone, and the repository the entity lives in
+const RESTORABLE = {
+  'crop.deleted': { repository: 'crops', entityType: 'crop' },
+  'crop.purged': { repository: 'crops', entityType: 'crop' },
+  'garden.deleted': { repository: 'gardens', entityType: 'garden' },
+  'garden.purged': { repository: 'gardens', entityType: 'garden' }
+};
+
+const isAdmin = (user) => user.role === 'admin';
+
+// Entries a user can see: what they did, and what was done to their account
+const ownHistory = (userId) => ({
+  $or: [{ actor_id: userId }, { entity_type: 'user', entity_id: userId }]
+});
+
+const canSee = (user, entry) =>
+  isAdmin(user) || entry.actor_id === user.id || (entry.entity_type === 'user' && entry.entity_id === user.id);
+
+// The snapshot left when an entity was purged from the trash, if it was
+const findPurgeSnapshot = async (entityType, entityId) => {
+  const purged = await repositories.auditLog.findOne(
+    { action: `${entityType}.purged`, entity_id: entityId },
+    { columns: ['snapshot'], order: ['-created_at'] }
+  );
+
+  return purged ? purged.snapshot : null;
+};
+
+const withRestorable = (entry) => ({ ...entry, restorable: Boolean(RESTORABLE[entry.action]) });
+
+// List audit entries, newest first. Admins see everyone's and can filter by
+// actor_id; other users see their own history. Filters: action, entity_type,
+// entity_id, garden_id and created_from / created_to (YYYY-MM-DD).
+router.get('/', authenticateToken, validate(schemas.list), async (req, res, next) => {
+  try {
+    const page = parsePagination(req.query, { sortFields: AUDIT_SORT_FIELDS });
+
+    if (page.error) {
+      throw invalidQuery(page);
+    }
+
+    const { action, entity_type, entity_id, garden_id, actor_id, created_from, created_to } = req.query;
+
+    if (actor_id && !isAdmin(req.user) && actor_id !== req.user.id) {
+      throw new ForbiddenError('Only admins can see other users\' history');
+    }
+
+    const filter = isAdmin(req.user) ? {} : ownHistory(req.user.id);
+
+    if (action) filter.action = action;
+    if (entity_type) filter.entity_type = entity_type;
+    if (entity_id) filter.entity_id = entity_id;
+    if (garden_id) filter.garden_id = garden_id;
+    if (actor_id) filter.actor_id = actor_id;
+
+    if (created_from || created_to) {
+      filter.created_at = {};
+      if (created_from) filter.created_at.gte = created_from;
+      // created_at is a timestamp, so the whole of the last day counts
+      if (created_to) filter.created_at.lt = addDays(created_to, 1);
+    }
+
+    const [rows, total] = await Promise.all([
+      repositories.auditLog.page(filter, page, { columns: LIST_COLUMNS }),
+      repositories.auditLog.count(filter)
+    ]);
+
+    const { items, next_cursor } = buildPage(rows, page);
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      total,
+      next_cursor,
+      entries: items.map(withRestorable)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get an audit entry, with its snapshot
+router.get('/:id', authenticateToken, validate(schemas.byId), async (req, res, next) => {
+  try {
+    const entry = await repositories.auditLog.findById(req.params.id);
+
+    if (!entry || !canSee(req.user, entry)) {
+      throw new NotFoundError('Audit entry not found');
+    }
+
+    res.status(200).json({
+      success: true,
+      entry: withRestorable(entry)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Bring back a deleted crop or garden: out of the trash while it is there,
+// and from the snapshot left when it was purged after that. A crop needs
+// editor access to its garden, which must not be deleted; a garden can be
+// restored by whoever deleted it, or an admin.
+router.post('/:id/restore', authenticateToken, limitWrites, validate(schemas.restore), async (req, res, next) => {
+  try {
+    const entry = await repositories.auditLog.findById(req.params.id);
+
+    if (!entry || !canSee(req.user, entry)) {
+      throw new NotFoundError('Audit entry not found');
+    }
+
+    const restorable = RESTORABLE[entry.action];
+
+    if (!restorable) {
+      throw new BadRequestError('Only deleted crops and gardens can be restored', { code: 'not_restorable' });
+    }
+
+    const { repository, entityType } = restorable;
+
+    const trashed = await repositories[repository].findById(entry.entity_id, { withTrashed: true });
+
+    if (trashed && !trashed.deleted_at) {
+      throw new ConflictError(`This ${entityType} has already been restored`, { code: 'already_restored' });
+    }
+
+    const snapshot = trashed ? null : entry.snapshot || (await findPurgeSnapshot(entityType, entry.entity_id));
+
+    if (!trashed && !snapshot) {
+      throw new BadRequestError(`This ${entityType} has been deleted for good`, { code: 'not_restorable' });
+    }
+
+    if (entityType === 'crop') {
+      const garden = await repositories.gardens.findById(entry.garden_id, { columns: ['id'] });
+
+      if (!garden) {
+        throw new ConflictError('The garden this crop was in has been deleted; restore it first', {
+          code: 'garden_deleted'
+        });
+      }
+
+      const access = await getGardenAccess(garden.id, req.user.id);
+
+      if (!isAdmin(req.user) && (!access || !hasRole(access.role, 'editor'))) {
+        throw new ForbiddenError('You need editor access to this garden');
+      }
+    } else if (!isAdmin(req.user) && entry.actor_id !== req.user.id) {
+      throw new ForbiddenError('Only whoever deleted this garden, or an admin, can restore it');
+    }
+
+    if (!trashed) {
+      await restoreSnapshot(snapshot, { repository, id: entry.entity_id });
+    } else if (!(await (entityType === 'crop' ? restoreCrop(trashed) : restoreGarden(trashed)))) {
+      // A concurrent restore or purge got there first
+      throw new ConflictError(`This ${entityType} is no longer in the trash`, { code: 'already_restored' });
+    }
+
+    const restored = await repositories[repository].findById(entry.entity_id);
+
+    await recordAudit(req, {
+      action: `${entityType}.restored`,
+      entityType,
+      entityId: entry.entity_id,
+      gardenId: entry.garden_id,
+      after: restored,
+      metadata: { audit_id: entry.id }
+    });
+
+    await publishRestored(entityType, restored);
+
+    res.status(200).json({
+      success: true,
+      message: `${entityType === 'crop' ? 'Crop' : 'Garden'} restored successfully`,
+      [entityType]: restored
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
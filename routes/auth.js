@@ -1,119 +1,163 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const supabase = require('../supabase');
+const repositories = require('../repositories');
+const { authenticateToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { limitAuth, limitAccount } = require('../middleware/rateLimit');
+const schemas = require('../validators/auth');
+const {
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  TooManyRequestsError
+} = require('../utils/errors');
+const {
+  createSession,
+  rotateSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+} = require('../services/sessions');
+const { PURPOSES, issueAuthToken, consumeAuthToken } = require('../services/authTokens');
+const { sendMail } = require('../services/mailer');
+const mailTemplates = require('../services/mailer/templates');
+const { deleteAccount } = require('../services/accounts');
+const { getLockout, recordFailedLogin, clearFailedLogins } = require('../services/loginAttempts');
+const { recordAudit } = require('../services/audit');
 require('dotenv').config();
 
+const hashPassword = async (password) => {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+};
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueAuthToken(user.id, PURPOSES.emailVerification);
+  await sendMail(mailTemplates.emailVerification(user, token));
+};
+
+const accountLocked = (retryAfter) =>
+  new TooManyRequestsError('Too many failed login attempts, please try again later', {
+    code: 'account_locked',
+    retryAfter
+  });
+
+// Audit a refused login, against the account when the email has one. The
+// email itself is not kept: it may be anyone's, and audit entries can't be
+// erased.
+const auditFailedLogin = (req, user, reason) =>
+  recordAudit(req, {
+    action: 'auth.login_failed',
+    actorId: null,
+    entityType: 'user',
+    entityId: user ? user.id : null,
+    metadata: { reason }
+  });
+
+// Count a failed login; the error to respond with is a lockout once there
+// have been too many
+const failedLogin = async (req, email, user) => {
+  await auditFailedLogin(req, user, 'invalid_credentials');
+
+  const lockedFor = await recordFailedLogin(email);
+
+  return lockedFor
+    ? accountLocked(lockedFor)
+    : new UnauthorizedError('Invalid credentials', { code: 'invalid_credentials' });
+};
+
 // Register user
-router.post('/register', async (req, res) => {
+router.post('/register', limitAuth, validate(schemas.register), async (req, res, next) => {
   try {
     const { email, password, name, phone } = req.body;
 
-    // Validate input
-    if (!email || !password || !name) {
-      return res.status(400).json({ error: 'Email, password, and name are required' });
-    }
-
     // Check if user already exists
-    const { data: existingUser, error: checkError } = await supabase
-      .from('users')
-      .select('*')
-      .eq('email', email)
-      .single();
+    const existingUser = await repositories.users.findByEmail(email, { columns: ['id'] });
 
     if (existingUser) {
-      return res.status(400).json({ error: 'User already exists' });
+      throw new BadRequestError('User already exists', { code: 'user_exists' });
     }
 
     // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
-
-    // Create user in Supabase
-    const { data: user, error } = await supabase
-      .from('users')
-      .insert([
-        {
-          email,
-          password_hash: hashedPassword,
-          name,
-          phone: phone || null,
-          created_at: new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        }
-      ])
-      .select()
-      .single();
-
-    if (error) {
-      console.error('Supabase error:', error);
-      return res.status(500).json({ error: 'Error creating user' });
-    }
-
-    // Create JWT token
-    const token = jwt.sign(
-      { 
-        id: user.id, 
-        email: user.email, 
-        name: user.name 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    const hashedPassword = await hashPassword(password);
+
+    // Create user
+    const user = await repositories.users.insert({
+      email,
+      password_hash: hashedPassword,
+      name,
+      phone: phone || null,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    });
+
+    // Start a session with a short-lived access token and a refresh token
+    const tokens = await createSession(user, req);
+
+    // A mail outage shouldn't block sign-up; the user can ask for a new link
+    sendVerificationEmail(user).catch((mailError) => {
+      req.log.error('Verification email failed', { user_id: user.id, error: mailError });
+    });
 
     // Remove password hash from response
     const { password_hash, ...userWithoutPassword } = user;
 
+    await recordAudit(req, {
+      action: 'auth.register',
+      actorId: user.id,
+      entityType: 'user',
+      entityId: user.id,
+      after: userWithoutPassword
+    });
+
     res.status(201).json({
       message: 'User registered successfully',
       user: userWithoutPassword,
-      token
+      ...tokens
     });
 
   } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    next(error);
   }
 });
 
 // Login user
-router.post('/login', async (req, res) => {
+router.post('/login', limitAuth, validate(schemas.login), limitAccount, async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
-    // Validate input
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
-    }
+    const user = await repositories.users.findByEmail(email);
 
-    // Get user from Supabase
-    const { data: user, error } = await supabase
-      .from('users')
-      .select('*')
-      .eq('email', email)
-      .single();
+    // A locked address is refused even with the right password
+    const lockedFor = await getLockout(email);
+    if (lockedFor) {
+      await auditFailedLogin(req, user, 'account_locked');
+      throw accountLocked(lockedFor);
+    }
 
-    if (error || !user) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    if (!user) {
+      throw await failedLogin(req, email, null);
     }
 
     // Check password
     const validPassword = await bcrypt.compare(password, user.password_hash);
     if (!validPassword) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
-
-    // Create JWT token
-    const token = jwt.sign(
-      { 
-        id: user.id, 
-        email: user.email, 
-        name: user.name 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+      throw await failedLogin(req, email, user);
+    }
+
+    await clearFailedLogins(email);
+
+    if (user.suspended_at) {
+      await auditFailedLogin(req, user, 'account_suspended');
+      throw new ForbiddenError('This account has been suspended', { code: 'account_suspended' });
+    }
+
+    // Start a session with a short-lived access token and a refresh token
+    const tokens = await createSession(user, req);
+
+    await recordAudit(req, { action: 'auth.login', actorId: user.id, entityType: 'user', entityId: user.id });
 
     // Remove password hash from response
     const { password_hash, ...userWithoutPassword } = user;
@@ -121,112 +165,351 @@ router.post('/login', async (req, res) => {
     res.status(200).json({
       message: 'Login successful',
       user: userWithoutPassword,
-      token
+      ...tokens
     });
 
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    next(error);
   }
 });
 
-// Get current user
-// Get current user
-router.get('/me', async (req, res) => {
+// Exchange a refresh token for a new token pair
+router.post('/refresh', limitAuth, validate(schemas.refresh), async (req, res, next) => {
+  try {
+    const { refresh_token } = req.body;
+
+    const tokens = await rotateSession(refresh_token, req);
+
+    if (!tokens) {
+      throw new UnauthorizedError('Invalid or expired refresh token', { code: 'invalid_refresh_token' });
+    }
+
+    res.status(200).json({
+      message: 'Token refreshed successfully',
+      ...tokens
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Request a password reset email
+router.post('/forgot-password', limitAuth, validate(schemas.forgotPassword), limitAccount, async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const user = await repositories.users.findByEmail(email, { columns: ['id', 'email', 'name'] });
+
+    if (user) {
+      const token = await issueAuthToken(user.id, PURPOSES.passwordReset);
+      await sendMail(mailTemplates.passwordReset(user, token));
+    }
+
+    // Same answer whether or not the account exists, so emails can't be probed
+    res.status(200).json({
+      message: 'If an account exists for that email, a reset link has been sent'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Set a new password using a reset token
+router.post('/reset-password', limitAuth, validate(schemas.resetPassword), async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    const authToken = await consumeAuthToken(token, PURPOSES.passwordReset);
+
+    if (!authToken) {
+      throw new BadRequestError('Invalid or expired reset token', { code: 'invalid_reset_token' });
+    }
+
+    const hashedPassword = await hashPassword(password);
+
+    await repositories.users.update(
+      { id: authToken.user_id },
+      { password_hash: hashedPassword, updated_at: new Date().toISOString() }
+    );
+
+    // Whoever had the old password shouldn't stay signed in
+    await revokeAllSessions(authToken.user_id);
+
+    await recordAudit(req, {
+      action: 'auth.password_reset',
+      actorId: authToken.user_id,
+      entityType: 'user',
+      entityId: authToken.user_id
+    });
+
+    res.status(200).json({ message: 'Password reset successfully, please log in' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Confirm an email address using a verification token
+router.post('/verify-email', limitAuth, validate(schemas.verifyEmail), async (req, res, next) => {
   try {
-    // Get token from Authorization header
-    const authHeader = req.headers['authorization'];
-    
-    if (!authHeader) {
-      return res.status(401).json({ 
-        success: false,
-        error: 'Authorization header is required' 
-      });
-    }
-
-    // Check if it's a Bearer token
-    if (!authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ 
-        success: false,
-        error: 'Invalid authorization format. Use: Bearer <token>' 
-      });
-    }
-
-    const token = authHeader.split(' ')[1];
-    
-    if (!token) {
-      return res.status(401).json({ 
-        success: false,
-        error: 'Token is required' 
-      });
-    }
-
-    console.log('🔍 Verifying token for /me endpoint');
-    
-    // Verify the token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    console.log('✅ Token decoded:', { id: decoded.id, email: decoded.email });
-    
-    // Get user from database
-    const { data: user, error } = await supabase
-      .from('users')
-      .select('id, email, name, phone, created_at, updated_at')
-      .eq('id', decoded.id)
-      .single();
-
-    if (error) {
-      console.error('❌ Supabase error:', error);
-      return res.status(404).json({ 
-        success: false,
-        error: 'User not found in database' 
-      });
+    const { token } = req.body;
+
+    const authToken = await consumeAuthToken(token, PURPOSES.emailVerification);
+
+    if (!authToken) {
+      throw new BadRequestError('Invalid or expired verification token', { code: 'invalid_verification_token' });
     }
 
+    await repositories.users.update(
+      { id: authToken.user_id },
+      {
+        email_verified: true,
+        email_verified_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }
+    );
+
+    await recordAudit(req, {
+      action: 'auth.email_verified',
+      actorId: authToken.user_id,
+      entityType: 'user',
+      entityId: authToken.user_id
+    });
+
+    res.status(200).json({ message: 'Email verified successfully' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Send a new verification email to the current user
+router.post('/resend-verification', authenticateToken, limitAuth, async (req, res, next) => {
+  try {
+    const user = await repositories.users.findById(req.user.id, {
+      columns: ['id', 'email', 'name', 'email_verified']
+    });
+
     if (!user) {
-      return res.status(404).json({ 
-        success: false,
-        error: 'User not found' 
-      });
+      throw new NotFoundError('User not found');
+    }
+
+    if (user.email_verified) {
+      throw new BadRequestError('Email is already verified', { code: 'already_verified' });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.status(200).json({ message: 'Verification email sent' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get current user
+router.get('/me', authenticateToken, async (req, res, next) => {
+  try {
+    const user = await repositories.users.findById(req.user.id, {
+      columns: repositories.users.PROFILE_COLUMNS
+    });
+
+    if (!user) {
+      throw new NotFoundError('User not found');
     }
 
-    console.log('✅ User found:', user.email);
-    
     res.status(200).json({ 
       success: true,
       user 
     });
 
   } catch (error) {
-    console.error('💥 /me endpoint error:', error.name, error.message);
-    
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ 
-        success: false,
-        error: 'Invalid token',
-        details: error.message
-      });
-    }
-    
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ 
-        success: false,
-        error: 'Token expired',
-        details: 'Please login again'
-      });
-    }
-    
-    res.status(500).json({ 
-      success: false,
-      error: 'Internal server error',
-      message: error.message,
-      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    next(error);
+  }
+});
+
+// Update current user's profile
+router.patch('/me', authenticateToken, validate(schemas.updateProfile), async (req, res, next) => {
+  try {
+    const { name, phone } = req.body;
+    const updateData = { updated_at: new Date().toISOString() };
+
+    if (name !== undefined) {
+      updateData.name = name;
+    }
+
+    if (phone !== undefined) {
+      updateData.phone = phone || null;
+    }
+
+    const existingUser = await repositories.users.findById(req.user.id, {
+      columns: repositories.users.PROFILE_COLUMNS
+    });
+
+    if (!existingUser) {
+      throw new NotFoundError('User not found');
+    }
+
+    const [user] = await repositories.users.update({ id: existingUser.id }, updateData, {
+      columns: repositories.users.PROFILE_COLUMNS
+    });
+
+    await recordAudit(req, {
+      action: 'user.updated',
+      entityType: 'user',
+      entityId: user.id,
+      before: existingUser,
+      after: user,
+      // Which profile fields changed, since their values aren't recorded
+      metadata: { fields: Object.keys(updateData).filter((field) => field !== 'updated_at') }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile updated successfully',
+      user
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Change password, signing out every other device
+router.post('/change-password', authenticateToken, validate(schemas.changePassword), async (req, res, next) => {
+  try {
+    const { current_password, new_password } = req.body;
+
+    const user = await repositories.users.findById(req.user.id, { columns: ['id', 'password_hash'] });
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const validPassword = await bcrypt.compare(current_password, user.password_hash);
+    if (!validPassword) {
+      throw new UnauthorizedError('Current password is incorrect', { code: 'incorrect_password' });
+    }
+
+    await repositories.users.update(
+      { id: user.id },
+      { password_hash: await hashPassword(new_password), updated_at: new Date().toISOString() }
+    );
+
+    const revoked = await revokeAllSessions(user.id, { except: req.user.sid });
+
+    await recordAudit(req, {
+      action: 'auth.password_changed',
+      entityType: 'user',
+      entityId: user.id,
+      metadata: { sessions_revoked: revoked }
+    });
+
+    res.status(200).json({
+      message: 'Password changed successfully',
+      sessions_revoked: revoked
     });
+
+  } catch (error) {
+    next(error);
   }
 });
 
-// Logout (client-side token removal - this is just for API consistency)
-router.post('/logout', (req, res) => {
-  res.status(200).json({ message: 'Logged out successfully' });
+// Delete current user's account and all their gardens and crops
+router.delete('/me', authenticateToken, validate(schemas.deleteAccount), async (req, res, next) => {
+  try {
+    const { password } = req.body;
+
+    const user = await repositories.users.findById(req.user.id, { columns: ['id', 'password_hash'] });
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const validPassword = await bcrypt.compare(password, user.password_hash);
+    if (!validPassword) {
+      throw new UnauthorizedError('Password is incorrect', { code: 'incorrect_password' });
+    }
+
+    await deleteAccount(user.id);
+
+    await recordAudit(req, { action: 'user.deleted', entityType: 'user', entityId: user.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deleted successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List the current user's signed-in devices
+router.get('/sessions', authenticateToken, async (req, res, next) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session.id === req.user.sid
+      }))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Sign out one of the current user's devices
+router.delete('/sessions/:id', authenticateToken, validate(schemas.sessionParams), async (req, res, next) => {
+  try {
+    const revoked = await revokeSession(req.params.id, req.user.id);
+
+    if (!revoked) {
+      throw new NotFoundError('Session not found');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Logout the current session
+router.post('/logout', authenticateToken, async (req, res, next) => {
+  try {
+    await revokeSession(req.user.sid, req.user.id);
+    await recordAudit(req, { action: 'auth.logout', entityType: 'user', entityId: req.user.id });
+    res.status(200).json({ message: 'Logged out successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Logout every session, including the current one
+router.post('/logout-all', authenticateToken, async (req, res, next) => {
+  try {
+    const count = await revokeAllSessions(req.user.id);
+    await recordAudit(req, {
+      action: 'auth.logout_all',
+      entityType: 'user',
+      entityId: req.user.id,
+      metadata: { sessions_revoked: count }
+    });
+    res.status(200).json({ message: 'Logged out of all sessions', count });
+  } catch (error) {
+    next(error);
+  }
 });
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const repositories = require('../repositories');
+const { authenticateToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { limitWrites } = require('../middleware/rateLimit');
+const schemas = require('../validators/conversations');
+const { BadRequestError, NotFoundError, ConflictError } = require('../utils/errors');
+
+// Get the users the current user has blocked
+router.get('/', authenticateToken, async (req, res, next) => {
+  try {
+    const blocks = await repositories.userBlocks.find(
+      { blocker_id: req.user.id },
+      { columns: ['blocked_id', 'created_at'], include: { blocked: ['name'] }, order: ['-created_at'] }
+    );
+
+    res.status(200).json({
+      success: true,
+      count: blocks.length,
+      blocks
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Block a user; neither side can message the other until it is lifted
+router.post('/', authenticateToken, limitWrites, validate(schemas.block), async (req, res, next) => {
+  try {
+    const { user_id } = req.body;
+
+    if (user_id === req.user.id) {
+      throw new BadRequestError('You cannot block yourself', { code: 'cannot_block_self' });
+    }
+
+    const user = await repositories.users.findById(user_id, { columns: ['id'] });
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (await repositories.userBlocks.findOne({ blocker_id: req.user.id, blocked_id: user.id })) {
+      throw new ConflictError('You have already blocked this user', { code: 'already_blocked' });
+    }
+
+    const block = await repositories.userBlocks.insert(
+      { blocker_id: req.user.id, blocked_id: user.id },
+      { columns: ['blocked_id', 'created_at'], include: { blocked: ['name'] } }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'User blocked',
+      block
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Unblock a user
+router.delete('/:userId', authenticateToken, limitWrites, validate(schemas.unblock), async (req, res, next) => {
+  try {
+    const removed = await repositories.userBlocks.remove({ blocker_id: req.user.id, blocked_id: req.params.userId });
+
+    if (!removed.length) {
+      throw new NotFoundError('Block not found');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'User unblocked'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
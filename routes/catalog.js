@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/catalog');
+const { NotFoundError } = require('../utils/errors');
+const { getEntry, getSpecies, searchCatalog } = require('../services/catalog');
+
+// Companion and antagonist ids with the species' names
+const namedSpecies = (ids) => ids.map((id) => ({ id, name: getSpecies(id).name }));
+
+// Search the crop catalogue by name and growing conditions
+router.get('/', authenticateToken, validate(schemas.search), (req, res) => {
+  const species = searchCatalog(req.query);
+
+  res.status(200).json({
+    success: true,
+    count: species.length,
+    species
+  });
+});
+
+// Get a species or variety with its companion and antagonist plants
+router.get('/:id', authenticateToken, validate(schemas.byId), (req, res, next) => {
+  try {
+    const entry = getEntry(req.params.id);
+
+    if (!entry) {
+      throw new NotFoundError('Catalogue entry not found');
+    }
+
+    res.status(200).json({
+      success: true,
+      entry: {
+        ...entry,
+        companions: namedSpecies(entry.companions),
+        antagonists: namedSpecies(entry.antagonists),
+        varieties: getSpecies(entry.species_id).varieties
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
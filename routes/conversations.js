@@ -0,0 +1,273 @@
+const express = require('express');
+const router = express.Router();
+const repositories = require('../repositories');
+const { authenticateToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { limitWrites } = require('../middleware/rateLimit');
+const schemas = require('../validators/conversations');
+const { BadRequestError, ForbiddenError, NotFoundError } = require('../utils/errors');
+const { parsePagination, invalidQuery, buildPage } = require('../utils/pagination');
+const { notify } = require('../services/notifier');
+const { publish } = require('../services/events');
+
+// Only names are shared between participants, never emails or phone numbers
+const CONVERSATION_FIELDS = {
+  columns: [
+    'id', 'crop_id', 'grower_id', 'requester_id', 'grower_read_at', 'requester_read_at', 'last_message_at', 'created_at'
+  ],
+  include: { crops: ['name', 'image_url'], grower: ['name'], requester: ['name'] }
+};
+const MESSAGE_COLUMNS = ['id', 'conversation_id', 'sender_id', 'body', 'created_at'];
+const PREVIEW_LENGTH = 100;
+
+// 'grower' or 'requester', the user's side of the conversation
+const sideOf = (conversation, userId) => (conversation.grower_id === userId ? 'grower' : 'requester');
+
+const otherParticipant = (conversation, userId) =>
+  (conversation.grower_id === userId ? conversation.requester_id : conversation.grower_id);
+
+const blocked = () => new ForbiddenError('You cannot message this user', { code: 'blocked' });
+
+// Messages from the other participant since the user last read the conversation
+const countUnread = (conversation, userId) => {
+  const readAt = conversation[`${sideOf(conversation, userId)}_read_at`];
+  const filter = { conversation_id: conversation.id, sender_id: { neq: userId } };
+
+  if (readAt) {
+    filter.created_at = { gt: readAt };
+  }
+
+  return repositories.messages.count(filter);
+};
+
+const withUnread = async (conversations, userId) => {
+  const counts = await Promise.all(conversations.map((conversation) => countUnread(conversation, userId)));
+  return conversations.map((conversation, index) => ({ ...conversation, unread_count: counts[index] }));
+};
+
+const markRead = async (conversation, userId, at = new Date().toISOString()) => {
+  await repositories.conversations.update(
+    { id: conversation.id },
+    { [`${sideOf(conversation, userId)}_read_at`]: at }
+  );
+};
+
+// Add a message, which also marks the conversation read for the sender, and
+// let the other participant know
+const postMessage = async (conversation, sender, body) => {
+  const message = await repositories.messages.insert(
+    { conversation_id: conversation.id, sender_id: sender.id, body },
+    { columns: MESSAGE_COLUMNS }
+  );
+
+  await repositories.conversations.update(
+    { id: conversation.id },
+    {
+      last_message_at: message.created_at,
+      [`${sideOf(conversation, sender.id)}_read_at`]: message.created_at
+    }
+  );
+
+  // Both sides, so the sender's other devices see it too
+  publish('message.created', {
+    userIds: [conversation.grower_id, conversation.requester_id],
+    data: { conversation_id: conversation.id, message }
+  });
+
+  await notify(otherParticipant(conversation, sender.id), {
+    title: `New message from ${sender.name}`,
+    body: body.length > PREVIEW_LENGTH ? `${body.slice(0, PREVIEW_LENGTH - 1)}…` : body,
+    data: { type: 'message', conversation_id: conversation.id, message_id: message.id }
+  });
+
+  return message;
+};
+
+const findConversation = async (id, userId) => {
+  const conversation = await repositories.conversations.findForParticipant(id, userId, CONVERSATION_FIELDS);
+
+  if (!conversation) {
+    throw new NotFoundError('Conversation not found');
+  }
+
+  return conversation;
+};
+
+// Get the current user's conversations, most recent first
+router.get('/', authenticateToken, async (req, res, next) => {
+  try {
+    const conversations = await repositories.conversations.findForUser(req.user.id, {
+      ...CONVERSATION_FIELDS,
+      order: ['-last_message_at', '-created_at']
+    });
+
+    const withCounts = await withUnread(conversations, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      count: withCounts.length,
+      unread_count: withCounts.reduce((total, conversation) => total + conversation.unread_count, 0),
+      conversations: withCounts
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the number of unread messages, e.g. for a badge
+router.get('/unread', authenticateToken, async (req, res, next) => {
+  try {
+    const conversations = await repositories.conversations.findForUser(req.user.id, {
+      columns: CONVERSATION_FIELDS.columns
+    });
+
+    const withCounts = await withUnread(conversations, req.user.id);
+    const unread = withCounts.filter((conversation) => conversation.unread_count > 0);
+
+    res.status(200).json({
+      success: true,
+      unread_count: unread.reduce((total, conversation) => total + conversation.unread_count, 0),
+      unread_conversations: unread.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Message the grower about a shared crop, starting the conversation if needed
+router.post('/', authenticateToken, limitWrites, validate(schemas.create), async (req, res, next) => {
+  try {
+    const { crop_id, message } = req.body;
+
+    const crop = await repositories.crops.findListing(
+      { id: crop_id, user_id: { notIn: await repositories.users.findSuspendedIds() } },
+      { columns: ['id', 'user_id'] }
+    );
+
+    if (!crop) {
+      throw new NotFoundError('Shared crop not found');
+    }
+
+    if (crop.user_id === req.user.id) {
+      throw new BadRequestError('You cannot message yourself about your own crop', { code: 'own_listing' });
+    }
+
+    if (await repositories.userBlocks.isBlockedBetween(req.user.id, crop.user_id)) {
+      throw blocked();
+    }
+
+    let conversation = await repositories.conversations.findOne(
+      { crop_id: crop.id, requester_id: req.user.id },
+      CONVERSATION_FIELDS
+    );
+    const created = !conversation;
+
+    if (created) {
+      conversation = await repositories.conversations.insert(
+        { crop_id: crop.id, grower_id: crop.user_id, requester_id: req.user.id },
+        CONVERSATION_FIELDS
+      );
+    }
+
+    const sent = await postMessage(conversation, req.user, message);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Conversation started' : 'Message sent',
+      conversation: await repositories.conversations.findById(conversation.id, CONVERSATION_FIELDS),
+      sent
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a conversation
+router.get('/:id', authenticateToken, validate(schemas.byId), async (req, res, next) => {
+  try {
+    const conversation = await findConversation(req.params.id, req.user.id);
+    const [withCount] = await withUnread([conversation], req.user.id);
+
+    res.status(200).json({
+      success: true,
+      conversation: {
+        ...withCount,
+        blocked: await repositories.userBlocks.isBlockedBetween(req.user.id, otherParticipant(conversation, req.user.id))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get messages, newest first, marking the conversation read
+router.get('/:id/messages', authenticateToken, validate(schemas.messages), async (req, res, next) => {
+  try {
+    const conversation = await findConversation(req.params.id, req.user.id);
+    const page = parsePagination(req.query, { sortFields: ['created_at'] });
+
+    if (page.error) {
+      throw invalidQuery(page);
+    }
+
+    const rows = await repositories.messages.page(
+      { conversation_id: conversation.id },
+      page,
+      { columns: MESSAGE_COLUMNS, include: { sender: ['name'] } }
+    );
+    const { items, next_cursor } = buildPage(rows, page);
+
+    // Older pages don't hold anything the first one hasn't already shown
+    if (!page.cursor) {
+      await markRead(conversation, req.user.id);
+    }
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      next_cursor,
+      messages: items
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Send a message
+router.post('/:id/messages', authenticateToken, limitWrites, validate(schemas.sendMessage), async (req, res, next) => {
+  try {
+    const conversation = await findConversation(req.params.id, req.user.id);
+
+    if (await repositories.userBlocks.isBlockedBetween(req.user.id, otherParticipant(conversation, req.user.id))) {
+      throw blocked();
+    }
+
+    const message = await postMessage(conversation, req.user, req.body.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Message sent',
+      sent: message
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mark a conversation read without fetching its messages
+router.post('/:id/read', authenticateToken, limitWrites, validate(schemas.byId), async (req, res, next) => {
+  try {
+    const conversation = await findConversation(req.params.id, req.user.id);
+
+    await markRead(conversation, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Conversation marked as read'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
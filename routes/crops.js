@@ -1,162 +1,543 @@
 const express = require('express');
 const router = express.Router();
-const supabase = require('../supabase');
+const repositories = require('../repositories');
 const { authenticateToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { limitWrites } = require('../middleware/rateLimit');
+const schemas = require('../validators/crops');
+const { BadRequestError, ForbiddenError, NotFoundError } = require('../utils/errors');
+const {
+  DEFAULT_STAGE,
+  FINISHED_STAGES,
+  isValidStage,
+  allowedTransitions,
+  canTransition,
+  computeProgress,
+  withProgress
+} = require('../utils/cropLifecycle');
+const { KNOWN_UNITS, normalizeUnit, sumAmounts } = require('../utils/units');
+const { parsePagination, invalidQuery, buildPage, dateRange, listParam } = require('../utils/pagination');
+const {
+  hasRole,
+  getGardenAccess,
+  getCropAccess,
+  getMemberGardenIds
+} = require('../services/permissions');
+const { uploadPhotos } = require('../middleware/upload');
+const { storeCropPhoto, removePhotoFiles } = require('../services/photos');
+const { publish } = require('../services/events');
+const { getEntry, estimateHarvest, fillFromCatalog, antagonistWarnings } = require('../services/catalog');
+const { recordAudit } = require('../services/audit');
+const { trashCrop, purgeAt } = require('../services/trash');
+
+const MAX_PHOTOS_PER_CROP = 10;
+
+const CROP_SORT_FIELDS = ['created_at', 'updated_at', 'name', 'planting_date', 'expected_harvest', 'status'];
+const CROP_SEARCH_COLUMNS = ['name', 'variety', 'notes'];
+
+const forbidden = (minRole) => new ForbiddenError(`You need ${minRole} access to this garden`);
+
+// Warnings about crops still growing in the same garden that don't do well
+// next to this one, see services/catalog
+const gardenWarnings = async (crop) => {
+  if (FINISHED_STAGES.includes(crop.status)) return [];
+
+  const others = await repositories.crops.find(
+    { garden_id: crop.garden_id, id: { neq: crop.id }, status: { notIn: FINISHED_STAGES } },
+    { columns: ['id', 'name', 'catalog_id'] }
+  );
+
+  return antagonistWarnings(crop, others);
+};
+
+// Make one photo the crop's cover and mirror it into crops.image_url so
+// clients that only read image_url keep working
+const setCoverPhoto = async (cropId, photo) => {
+  const currentCover = { crop_id: cropId, is_cover: true };
+
+  if (photo) {
+    currentCover.id = { neq: photo.id };
+  }
+
+  await repositories.cropPhotos.update(currentCover, { is_cover: false }, { columns: ['id'] });
+
+  if (photo) {
+    await repositories.cropPhotos.update({ id: photo.id }, { is_cover: true }, { columns: ['id'] });
+  }
+
+  await repositories.crops.update(
+    { id: cropId },
+    { image_url: photo ? photo.url : null, updated_at: new Date().toISOString() },
+    { columns: ['id'] }
+  );
+};
+
+const recordStatusChange = async (cropId, fromStatus, toStatus, userId) => {
+  await repositories.cropStatusHistory.insert({
+    crop_id: cropId,
+    from_status: fromStatus,
+    to_status: toStatus,
+    changed_by: userId,
+    changed_at: new Date().toISOString()
+  }, { columns: ['id'] });
+};
+
+// One page of crops from the given gardens, filtered, searched and sorted by
+// the list query parameters:
+//   status, category       comma-separated values
+//   is_shared              true | false
+//   planted_from/_to       planting_date range
+//   harvest_from/_to       expected_harvest range
+//   q                      search in name, variety and notes
+//   sort, limit, cursor    see utils/pagination
+// Throws a 422 ValidationError for invalid parameters.
+const listCrops = async (gardenIds, query) => {
+  const page = parsePagination(query, { sortFields: CROP_SORT_FIELDS });
+  if (page.error) throw invalidQuery(page);
+
+  const filter = { garden_id: gardenIds };
+
+  if (query.status) {
+    const statuses = listParam(query.status);
+    const invalid = statuses.find((status) => !isValidStage(status));
+    if (invalid) throw invalidQuery({ error: `Invalid status "${invalid}"`, param: 'status' });
+    filter.status = statuses;
+  }
+
+  if (query.category) {
+    filter.category = listParam(query.category);
+  }
+
+  if (query.is_shared !== undefined) {
+    filter.is_shared = query.is_shared === 'true';
+  }
+
+  for (const [label, column] of [['planted', 'planting_date'], ['harvest', 'expected_harvest']]) {
+    const dates = dateRange(query, label);
+    if (dates.error) throw invalidQuery(dates);
+    if (dates.range) filter[column] = dates.range;
+  }
+
+  const search = { term: query.q, columns: CROP_SEARCH_COLUMNS };
 
-// Get all crops for current user
-router.get('/', authenticateToken, async (req, res) => {
+  const [rows, total] = await Promise.all([
+    repositories.crops.page(filter, page, { search }),
+    repositories.crops.count(filter, { search })
+  ]);
+
+  const { items, next_cursor } = buildPage(rows, page);
+
+  return { crops: items.map(withProgress), total, next_cursor };
+};
+
+// Get all crops in the current user's gardens
+router.get('/', authenticateToken, validate(schemas.list), async (req, res, next) => {
   try {
-    const { data: crops, error } = await supabase
-      .from('crops')
-      .select('*')
-      .eq('user_id', req.user.id)
-      .order('created_at', { ascending: false });
+    const gardenIds = await getMemberGardenIds(req.user.id);
+    const result = await listCrops(gardenIds, req.query);
 
-    if (error) throw error;
+    res.status(200).json({
+      success: true,
+      count: result.crops.length,
+      total: result.total,
+      next_cursor: result.next_cursor,
+      crops: result.crops
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get crops by garden
+router.get('/garden/:gardenId', authenticateToken, validate(schemas.gardenList), async (req, res, next) => {
+  try {
+    // Verify user is a member of the garden
+    const access = await getGardenAccess(req.params.gardenId, req.user.id);
+
+    if (!access) {
+      throw new NotFoundError('Garden not found or access denied');
+    }
+
+    const result = await listCrops([access.garden.id], req.query);
 
     res.status(200).json({
       success: true,
-      count: crops.length,
-      crops
+      count: result.crops.length,
+      total: result.total,
+      next_cursor: result.next_cursor,
+      crops: result.crops
     });
   } catch (error) {
-    console.error('Get crops error:', error);
-    res.status(500).json({ 
-      success: false,
-      error: 'Failed to fetch crops' 
+    next(error);
+  }
+});
+
+// Get single crop
+router.get('/:id', authenticateToken, validate(schemas.byId), async (req, res, next) => {
+  try {
+    const crop = await repositories.crops.findById(req.params.id, {
+      include: { gardens: ['name', 'location'] }
+    });
+
+    if (!crop || !(await getGardenAccess(crop.garden_id, req.user.id))) {
+      throw new NotFoundError('Crop not found');
+    }
+
+    res.status(200).json({
+      success: true,
+      crop: withProgress(crop)
     });
+  } catch (error) {
+    next(error);
   }
 });
 
-// Get crops by garden
-router.get('/garden/:gardenId', authenticateToken, async (req, res) => {
+// Get a crop's status history
+router.get('/:id/history', authenticateToken, validate(schemas.byId), async (req, res, next) => {
   try {
-    // Verify garden belongs to user
-    const { data: garden, error: gardenError } = await supabase
-      .from('gardens')
-      .select('id')
-      .eq('id', req.params.gardenId)
-      .eq('user_id', req.user.id)
-      .single();
-
-    if (gardenError || !garden) {
-      return res.status(404).json({
-        success: false,
-        error: 'Garden not found or access denied'
-      });
+    const access = await getCropAccess(req.params.id, req.user.id, 'id, status');
+
+    if (!access) {
+      throw new NotFoundError('Crop not found or access denied');
     }
 
-    const { data: crops, error } = await supabase
-      .from('crops')
-      .select('*')
-      .eq('garden_id', req.params.gardenId)
-      .order('created_at', { ascending: false });
+    const { crop } = access;
 
-    if (error) throw error;
+    const history = await repositories.cropStatusHistory.find(
+      { crop_id: crop.id },
+      { columns: ['id', 'from_status', 'to_status', 'changed_by', 'changed_at'], order: ['changed_at'] }
+    );
 
     res.status(200).json({
       success: true,
-      count: crops.length,
-      crops
+      status: crop.status,
+      next_statuses: allowedTransitions(crop.status),
+      count: history.length,
+      history
     });
   } catch (error) {
-    console.error('Get garden crops error:', error);
-    res.status(500).json({ 
-      success: false,
-      error: 'Failed to fetch garden crops' 
+    next(error);
+  }
+});
+
+// Log a harvest for a crop
+router.post('/:id/harvests', authenticateToken, limitWrites, validate(schemas.createHarvest), async (req, res, next) => {
+  try {
+    const { harvested_on, amount, unit, notes } = req.body;
+
+    const access = await getCropAccess(req.params.id, req.user.id, 'id, quantity_unit');
+
+    if (!access) {
+      throw new NotFoundError('Crop not found or access denied');
+    }
+
+    if (!hasRole(access.role, 'editor')) {
+      throw forbidden('editor');
+    }
+
+    const { crop } = access;
+
+    const harvestUnit = normalizeUnit(unit || crop.quantity_unit);
+
+    if (!harvestUnit) {
+      throw new BadRequestError(`Unit must be one of: ${KNOWN_UNITS.join(', ')}`);
+    }
+
+    const harvestDate = harvested_on || new Date().toISOString().slice(0, 10);
+
+    const harvest = await repositories.harvests.insert({
+      crop_id: crop.id,
+      garden_id: crop.garden_id,
+      user_id: req.user.id,
+      harvested_on: harvestDate,
+      amount,
+      unit: harvestUnit,
+      notes: notes || null,
+      created_at: new Date().toISOString()
+    });
+
+    await recordAudit(req, {
+      action: 'harvest.created',
+      entityType: 'harvest',
+      entityId: harvest.id,
+      gardenId: harvest.garden_id,
+      after: harvest
     });
+
+    publish('harvest.created', { gardenId: harvest.garden_id, data: { harvest } });
+
+    res.status(201).json({
+      success: true,
+      message: 'Harvest logged successfully',
+      harvest
+    });
+  } catch (error) {
+    next(error);
   }
 });
 
-// Get single crop
-router.get('/:id', authenticateToken, async (req, res) => {
+// Get harvests and yield totals for a crop
+router.get('/:id/harvests', authenticateToken, validate(schemas.byId), async (req, res, next) => {
   try {
-    const { data: crop, error } = await supabase
-      .from('crops')
-      .select(`
-        *,
-        gardens (
-          name,
-          location
-        )
-      `)
-      .eq('id', req.params.id)
-      .eq('user_id', req.user.id)
-      .single();
-
-    if (error) throw error;
+    const access = await getCropAccess(req.params.id, req.user.id, 'id');
 
-    if (!crop) {
-      return res.status(404).json({
-        success: false,
-        error: 'Crop not found'
-      });
+    if (!access) {
+      throw new NotFoundError('Crop not found or access denied');
     }
 
+    const { crop } = access;
+
+    const harvests = await repositories.harvests.find({ crop_id: crop.id }, { order: ['-harvested_on'] });
+
     res.status(200).json({
       success: true,
-      crop
+      count: harvests.length,
+      totals: sumAmounts(harvests),
+      harvests
     });
   } catch (error) {
-    console.error('Get crop error:', error);
-    res.status(500).json({ 
-      success: false,
-      error: 'Failed to fetch crop' 
+    next(error);
+  }
+});
+
+// Delete a logged harvest
+router.delete('/:id/harvests/:harvestId', authenticateToken, limitWrites, validate(schemas.harvestParams), async (req, res, next) => {
+  try {
+    const access = await getCropAccess(req.params.id, req.user.id, 'id');
+
+    if (!access) {
+      throw new NotFoundError('Crop not found or access denied');
+    }
+
+    if (!hasRole(access.role, 'editor')) {
+      throw forbidden('editor');
+    }
+
+    const harvests = await repositories.harvests.remove({ id: req.params.harvestId, crop_id: access.crop.id });
+
+    if (!harvests.length) {
+      throw new NotFoundError('Harvest not found or access denied');
+    }
+
+    await recordAudit(req, {
+      action: 'harvest.deleted',
+      entityType: 'harvest',
+      entityId: harvests[0].id,
+      gardenId: access.crop.garden_id,
+      before: harvests[0]
     });
+
+    publish('harvest.deleted', { gardenId: access.crop.garden_id, data: { id: harvests[0].id, crop_id: access.crop.id } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Harvest deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Upload photos for a crop (multipart, field "photos")
+router.post('/:id/photos', authenticateToken, limitWrites, validate(schemas.byId), uploadPhotos, async (req, res, next) => {
+  try {
+    const access = await getCropAccess(req.params.id, req.user.id, 'id');
+
+    if (!access) {
+      throw new NotFoundError('Crop not found or access denied');
+    }
+
+    if (!hasRole(access.role, 'editor')) {
+      throw forbidden('editor');
+    }
+
+    if (!req.files || !req.files.length) {
+      throw new BadRequestError('At least one photo is required in the "photos" field');
+    }
+
+    const existingPhotos = await repositories.cropPhotos.find(
+      { crop_id: access.crop.id },
+      { columns: ['id', 'is_cover'] }
+    );
+
+    if (existingPhotos.length + req.files.length > MAX_PHOTOS_PER_CROP) {
+      throw new BadRequestError(`A crop can have at most ${MAX_PHOTOS_PER_CROP} photos`);
+    }
+
+    const stored = [];
+    try {
+      for (const file of req.files) {
+        stored.push(await storeCropPhoto(access.crop.id, file));
+      }
+    } catch (processError) {
+      await removePhotoFiles(stored);
+      throw processError;
+    }
+
+    let photos;
+    try {
+      photos = await repositories.cropPhotos.insert(stored.map((photo) => ({
+        ...photo,
+        is_cover: false,
+        uploaded_by: req.user.id,
+        created_at: new Date().toISOString()
+      })));
+    } catch (insertError) {
+      await removePhotoFiles(stored);
+      throw insertError;
+    }
+
+    // The first photo a crop gets becomes its cover
+    if (!existingPhotos.some((photo) => photo.is_cover)) {
+      await setCoverPhoto(access.crop.id, photos[0]);
+      photos[0].is_cover = true;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Photos uploaded successfully',
+      photos
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a crop's photos, cover first
+router.get('/:id/photos', authenticateToken, validate(schemas.byId), async (req, res, next) => {
+  try {
+    const access = await getCropAccess(req.params.id, req.user.id, 'id');
+
+    if (!access) {
+      throw new NotFoundError('Crop not found or access denied');
+    }
+
+    const photos = await repositories.cropPhotos.find(
+      { crop_id: access.crop.id },
+      { order: ['-is_cover', 'created_at'] }
+    );
+
+    res.status(200).json({
+      success: true,
+      count: photos.length,
+      photos
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Make a photo the crop's cover image
+router.put('/:id/photos/:photoId/cover', authenticateToken, limitWrites, validate(schemas.photoParams), async (req, res, next) => {
+  try {
+    const access = await getCropAccess(req.params.id, req.user.id, 'id');
+
+    if (!access) {
+      throw new NotFoundError('Crop not found or access denied');
+    }
+
+    if (!hasRole(access.role, 'editor')) {
+      throw forbidden('editor');
+    }
+
+    const photo = await repositories.cropPhotos.findOne({ id: req.params.photoId, crop_id: access.crop.id });
+
+    if (!photo) {
+      throw new NotFoundError('Photo not found');
+    }
+
+    await setCoverPhoto(access.crop.id, photo);
+
+    res.status(200).json({
+      success: true,
+      message: 'Cover photo updated',
+      photo: { ...photo, is_cover: true }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a crop photo
+router.delete('/:id/photos/:photoId', authenticateToken, limitWrites, validate(schemas.photoParams), async (req, res, next) => {
+  try {
+    const access = await getCropAccess(req.params.id, req.user.id, 'id');
+
+    if (!access) {
+      throw new NotFoundError('Crop not found or access denied');
+    }
+
+    if (!hasRole(access.role, 'editor')) {
+      throw forbidden('editor');
+    }
+
+    const [photo] = await repositories.cropPhotos.remove({ id: req.params.photoId, crop_id: access.crop.id });
+
+    if (!photo) {
+      throw new NotFoundError('Photo not found');
+    }
+
+    await removePhotoFiles([photo]);
+
+    // Promote the oldest remaining photo when the cover is removed
+    if (photo.is_cover) {
+      const remaining = await repositories.cropPhotos.findOne(
+        { crop_id: access.crop.id },
+        { order: ['created_at'] }
+      );
+
+      await setCoverPhoto(access.crop.id, remaining);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Photo deleted successfully'
+    });
+  } catch (error) {
+    next(error);
   }
 });
 
 // Create new crop
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, limitWrites, validate(schemas.create), async (req, res, next) => {
   try {
     const { 
       garden_id, 
+      catalog_id, 
       name, 
       category, 
       variety, 
       planting_date, 
       expected_harvest, 
       status, 
-      progress, 
       notes, 
       image_url, 
       is_shared, 
       quantity, 
       quantity_unit 
-    } = req.body;
+    } = fillFromCatalog(req.body);
 
-    if (!name || !garden_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'Crop name and garden ID are required'
-      });
-    }
+    // Verify user can add crops to the garden
+    const access = await getGardenAccess(garden_id, req.user.id);
 
-    // Verify garden belongs to user
-    const { data: garden, error: gardenError } = await supabase
-      .from('gardens')
-      .select('id')
-      .eq('id', garden_id)
-      .eq('user_id', req.user.id)
-      .single();
+    if (!access) {
+      throw new NotFoundError('Garden not found or access denied');
+    }
 
-    if (gardenError || !garden) {
-      return res.status(404).json({
-        success: false,
-        error: 'Garden not found or access denied'
-      });
+    if (!hasRole(access.role, 'editor')) {
+      throw forbidden('editor');
     }
 
     const cropData = {
       garden_id,
       user_id: req.user.id,
+      catalog_id: catalog_id || null,
       name,
       category: category || 'vegetable',
       variety: variety || null,
       planting_date: planting_date || null,
       expected_harvest: expected_harvest || null,
-      status: status || 'seedling',
-      progress: progress || 0,
+      status: status || DEFAULT_STAGE,
       notes: notes || null,
       image_url: image_url || null,
       is_shared: is_shared || false,
@@ -165,55 +546,80 @@ router.post('/', authenticateToken, async (req, res) => {
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString()
     };
+    cropData.progress = computeProgress(cropData);
+
+    const crop = await repositories.crops.insert(cropData);
+
+    await recordStatusChange(crop.id, null, crop.status, req.user.id);
 
-    const { data: crop, error } = await supabase
-      .from('crops')
-      .insert([cropData])
-      .select()
-      .single();
+    await recordAudit(req, {
+      action: 'crop.created',
+      entityType: 'crop',
+      entityId: crop.id,
+      gardenId: crop.garden_id,
+      after: crop
+    });
 
-    if (error) throw error;
+    publish('crop.created', { gardenId: crop.garden_id, data: { crop } });
 
     res.status(201).json({
       success: true,
       message: 'Crop created successfully',
-      crop
+      crop,
+      warnings: await gardenWarnings(crop)
     });
   } catch (error) {
-    console.error('Create crop error:', error);
-    res.status(500).json({ 
-      success: false,
-      error: 'Failed to create crop' 
-    });
+    next(error);
   }
 });
 
 // Update crop
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, limitWrites, validate(schemas.update), async (req, res, next) => {
   try {
-    // First check if crop exists and belongs to user
-    const { data: existingCrop, error: checkError } = await supabase
-      .from('crops')
-      .select('*')
-      .eq('id', req.params.id)
-      .eq('user_id', req.user.id)
-      .single();
-
-    if (checkError || !existingCrop) {
-      return res.status(404).json({
-        success: false,
-        error: 'Crop not found or access denied'
+    // First check if crop exists and user can edit it
+    const access = await getCropAccess(req.params.id, req.user.id);
+
+    if (!access) {
+      throw new NotFoundError('Crop not found or access denied');
+    }
+
+    if (!hasRole(access.role, 'editor')) {
+      throw forbidden('editor');
+    }
+
+    const existingCrop = access.crop;
+
+    const nextStatus = req.body.status || existingCrop.status;
+
+    if (req.body.status !== undefined && !canTransition(existingCrop.status, nextStatus)) {
+      throw new BadRequestError(`Cannot change status from "${existingCrop.status}" to "${nextStatus}"`, {
+        code: 'invalid_transition',
+        details: { allowed: allowedTransitions(existingCrop.status) }
       });
     }
 
+    const catalogId = req.body.catalog_id !== undefined ? req.body.catalog_id : existingCrop.catalog_id;
+    const plantingDate = req.body.planting_date !== undefined ? req.body.planting_date : existingCrop.planting_date;
+    let expectedHarvest = req.body.expected_harvest !== undefined ? req.body.expected_harvest : existingCrop.expected_harvest;
+
+    // Re-estimate the harvest date for a new planting date or catalogue
+    // entry, unless it was set by hand
+    if (req.body.expected_harvest === undefined) {
+      const previousEstimate = estimateHarvest(getEntry(existingCrop.catalog_id), existingCrop.planting_date);
+
+      if (!existingCrop.expected_harvest || existingCrop.expected_harvest === previousEstimate) {
+        expectedHarvest = estimateHarvest(getEntry(catalogId), plantingDate) || existingCrop.expected_harvest;
+      }
+    }
+
     const updateData = {
+      catalog_id: catalogId,
       name: req.body.name || existingCrop.name,
       category: req.body.category || existingCrop.category,
       variety: req.body.variety !== undefined ? req.body.variety : existingCrop.variety,
-      planting_date: req.body.planting_date !== undefined ? req.body.planting_date : existingCrop.planting_date,
-      expected_harvest: req.body.expected_harvest !== undefined ? req.body.expected_harvest : existingCrop.expected_harvest,
-      status: req.body.status || existingCrop.status,
-      progress: req.body.progress !== undefined ? req.body.progress : existingCrop.progress,
+      planting_date: plantingDate,
+      expected_harvest: expectedHarvest,
+      status: nextStatus,
       notes: req.body.notes !== undefined ? req.body.notes : existingCrop.notes,
       image_url: req.body.image_url !== undefined ? req.body.image_url : existingCrop.image_url,
       is_shared: req.body.is_shared !== undefined ? req.body.is_shared : existingCrop.is_shared,
@@ -221,65 +627,81 @@ router.put('/:id', authenticateToken, async (req, res) => {
       quantity_unit: req.body.quantity_unit !== undefined ? req.body.quantity_unit : existingCrop.quantity_unit,
       updated_at: new Date().toISOString()
     };
+    updateData.progress = computeProgress(updateData);
 
-    const { data: crop, error } = await supabase
-      .from('crops')
-      .update(updateData)
-      .eq('id', req.params.id)
-      .select()
-      .single();
+    // Not if someone moved it to the trash in the meantime
+    const [crop] = await repositories.crops.update({ id: existingCrop.id, deleted_at: null }, updateData);
 
-    if (error) throw error;
+    if (!crop) {
+      throw new NotFoundError('Crop not found or access denied');
+    }
+
+    if (crop.status !== existingCrop.status) {
+      await recordStatusChange(crop.id, existingCrop.status, crop.status, req.user.id);
+    }
+
+    await recordAudit(req, {
+      action: 'crop.updated',
+      entityType: 'crop',
+      entityId: crop.id,
+      gardenId: crop.garden_id,
+      before: existingCrop,
+      after: crop
+    });
+
+    publish('crop.updated', { gardenId: crop.garden_id, data: { crop } });
 
     res.status(200).json({
       success: true,
       message: 'Crop updated successfully',
-      crop
+      crop,
+      warnings: await gardenWarnings(crop)
     });
   } catch (error) {
-    console.error('Update crop error:', error);
-    res.status(500).json({ 
-      success: false,
-      error: 'Failed to update crop' 
-    });
+    next(error);
   }
 });
 
-// Delete crop
-router.delete('/:id', authenticateToken, async (req, res) => {
+// Delete crop: it goes to the trash until it is restored or purged, see
+// services/trash
+router.delete('/:id', authenticateToken, limitWrites, validate(schemas.byId), async (req, res, next) => {
   try {
-    // First check if crop exists and belongs to user
-    const { data: existingCrop, error: checkError } = await supabase
-      .from('crops')
-      .select('id')
-      .eq('id', req.params.id)
-      .eq('user_id', req.user.id)
-      .single();
-
-    if (checkError || !existingCrop) {
-      return res.status(404).json({
-        success: false,
-        error: 'Crop not found or access denied'
-      });
+    // First check if crop exists and user can delete it
+    const access = await getCropAccess(req.params.id, req.user.id);
+
+    if (!access) {
+      throw new NotFoundError('Crop not found or access denied');
+    }
+
+    if (!hasRole(access.role, 'editor')) {
+      throw forbidden('editor');
     }
 
-    const { error } = await supabase
-      .from('crops')
-      .delete()
-      .eq('id', req.params.id);
+    const crop = await trashCrop(access.crop.id, req.user.id);
 
-    if (error) throw error;
+    // Someone else moved it to the trash in the meantime
+    if (!crop) {
+      throw new NotFoundError('Crop not found or access denied');
+    }
+
+    await recordAudit(req, {
+      action: 'crop.deleted',
+      entityType: 'crop',
+      entityId: crop.id,
+      gardenId: crop.garden_id,
+      before: access.crop,
+      after: crop
+    });
+
+    publish('crop.deleted', { gardenId: crop.garden_id, data: { id: crop.id } });
 
     res.status(200).json({
       success: true,
-      message: 'Crop deleted successfully'
+      message: 'Crop moved to the trash',
+      purge_at: purgeAt(crop.deleted_at)
     });
   } catch (error) {
-    console.error('Delete crop error:', error);
-    res.status(500).json({ 
-      success: false,
-      error: 'Failed to delete crop' 
-    });
+    next(error);
   }
 });
 
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/dashboard');
+const { getDashboard } = require('../services/dashboard');
+
+// Get the home screen aggregates for the current user's gardens; see
+// services/dashboard. ?days sets the upcoming harvest window (default 14) and
+// ?season the year for sharing totals and plantings (default this year).
+router.get('/', authenticateToken, validate(schemas.show), async (req, res, next) => {
+  try {
+    const { dashboard, cached } = await getDashboard(req.user, req.query);
+
+    res.set('Cache-Control', 'private, no-cache');
+    res.set('X-Cache', cached ? 'HIT' : 'MISS');
+    res.status(200).json({
+      success: true,
+      ...dashboard
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
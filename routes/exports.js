@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/exports');
+const { buildArchive, CSV_COLUMNS } = require('../services/exports');
+const { toCsv } = require('../utils/csv');
+
+// Download everything in the user's gardens: a JSON archive by default, or
+// one table as CSV with ?format=csv&table=crops
+router.get('/', authenticateToken, validate(schemas.archive), async (req, res, next) => {
+  try {
+    const archive = await buildArchive(req.user);
+    const date = archive.exported_at.slice(0, 10);
+
+    if (req.query.format === 'csv') {
+      const { table } = req.query;
+
+      res
+        .status(200)
+        .attachment(`harvest-hub-${table}-${date}.csv`)
+        .type('text/csv; charset=utf-8')
+        .send(toCsv(archive[table], CSV_COLUMNS[table]));
+      return;
+    }
+
+    res.status(200).attachment(`harvest-hub-export-${date}.json`).json(archive);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
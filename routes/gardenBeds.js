@@ -0,0 +1,374 @@
+const express = require('express');
+const router = express.Router();
+const repositories = require('../repositories');
+const { authenticateToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { limitWrites } = require('../middleware/rateLimit');
+const schemas = require('../validators/gardenBeds');
+const { BadRequestError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+const { FINISHED_STAGES } = require('../utils/cropLifecycle');
+const { overlaps, fitsInside, onGrid, extent, seasonOf } = require('../utils/layout');
+const { hasRole, getGardenAccess } = require('../services/permissions');
+const { findEntryFor, rotationWarnings } = require('../services/catalog');
+const { publish } = require('../services/events');
+
+// A plant family should stay out of a bed for this many seasons
+const ROTATION_SEASONS = Number(process.env.CROP_ROTATION_SEASONS || 3);
+
+const BED_COLUMNS = [
+  'id', 'garden_id', 'name', 'kind', 'x_cm', 'y_cm', 'width_cm', 'length_cm', 'cell_cm', 'notes', 'created_at', 'updated_at'
+];
+const PLACEMENT_COLUMNS = [
+  'id', 'crop_id', 'bed_id', 'x_cm', 'y_cm', 'width_cm', 'length_cm', 'placed_by', 'created_at', 'updated_at'
+];
+const CROP_COLUMNS = ['id', 'name', 'variety', 'catalog_id', 'status', 'planting_date', 'expected_harvest', 'created_at'];
+
+const forbidden = (minRole) => new ForbiddenError(`You need ${minRole} access to this garden`);
+
+const isGrowing = (crop) => !FINISHED_STAGES.includes(crop.status);
+
+// The garden in the :id parameter, when the user has at least minRole in it
+const requireGarden = async (req, minRole) => {
+  const access = await getGardenAccess(req.params.id, req.user.id);
+
+  if (!access) {
+    throw new NotFoundError('Garden not found or access denied');
+  }
+
+  if (!hasRole(access.role, minRole)) {
+    throw forbidden(minRole);
+  }
+
+  return access.garden;
+};
+
+const findBed = async (gardenId, bedId) => {
+  const bed = await repositories.gardenBeds.findOne({ id: bedId, garden_id: gardenId }, { columns: BED_COLUMNS });
+
+  if (!bed) {
+    throw new NotFoundError('Bed not found');
+  }
+
+  return bed;
+};
+
+// Placements in the given beds, each with its crop. Placements of crops in
+// the trash are left out.
+const findPlacements = async (filter) => {
+  const placements = await repositories.cropPlacements.find(filter, {
+    columns: PLACEMENT_COLUMNS,
+    include: { crops: [...CROP_COLUMNS, 'deleted_at'] }
+  });
+
+  return placements
+    .filter((placement) => !(placement.crops && placement.crops.deleted_at))
+    .map(({ crops, ...placement }) => {
+      if (!crops) return { ...placement, crops };
+
+      const { deleted_at, ...crop } = crops;
+      return { ...placement, crops: crop };
+    });
+};
+
+// Reject a bed that overlaps another in the garden, or whose size doesn't
+// line up with its grid
+const checkBed = async (bed, exceptId) => {
+  if (bed.kind === 'grid' && !bed.cell_cm) {
+    throw new BadRequestError('Grid beds need a cell_cm', { code: 'cell_size_required' });
+  }
+
+  if (bed.cell_cm && (bed.width_cm % bed.cell_cm || bed.length_cm % bed.cell_cm)) {
+    throw new BadRequestError(`Width and length must be multiples of the ${bed.cell_cm} cm cells`, {
+      code: 'not_on_grid'
+    });
+  }
+
+  const beds = await repositories.gardenBeds.find({ garden_id: bed.garden_id }, { columns: BED_COLUMNS });
+
+  const sameName = beds.find((other) => other.id !== exceptId && other.name.toLowerCase() === bed.name.toLowerCase());
+  if (sameName) {
+    throw new ConflictError(`There is already a bed named "${sameName.name}"`, { code: 'already_exists' });
+  }
+
+  const overlapping = beds.find((other) => other.id !== exceptId && overlaps(bed, other));
+  if (overlapping) {
+    throw new ConflictError(`Overlaps the bed "${overlapping.name}"`, {
+      code: 'overlap',
+      details: { bed_id: overlapping.id }
+    });
+  }
+};
+
+// Placement response, with the crop and its plant family for drawing
+const toPlan = ({ crops: crop, ...placement }) => {
+  const entry = findEntryFor(crop);
+  return { ...placement, crop: { ...crop, family: entry ? entry.family : null } };
+};
+
+// Get a garden's plan: its beds with the crops placed in them, and the crops
+// not placed yet. Shows the crops in the ground, or those of a past or
+// planned season with ?season=YYYY. Sizes are in centimetres; width_cm and
+// length_cm of the plan cover all its beds.
+router.get('/:id/layout', authenticateToken, validate(schemas.layout), async (req, res, next) => {
+  try {
+    const garden = await requireGarden(req, 'viewer');
+    const { season } = req.query;
+
+    const [beds, placements, crops] = await Promise.all([
+      repositories.gardenBeds.find({ garden_id: garden.id }, { columns: BED_COLUMNS, order: ['y_cm', 'x_cm'] }),
+      findPlacements({ garden_id: garden.id }),
+      repositories.crops.find({ garden_id: garden.id }, { columns: CROP_COLUMNS, order: ['name'] })
+    ]);
+
+    const inPlan = season ? (crop) => seasonOf(crop) === season : isGrowing;
+    const shown = placements.filter((placement) => placement.crops && inPlan(placement.crops));
+    const placedIds = new Set(placements.map((placement) => placement.crop_id));
+
+    res.status(200).json({
+      success: true,
+      garden: { id: garden.id, name: garden.name, size: garden.size },
+      season: season || null,
+      ...extent(beds),
+      beds: beds.map((bed) => ({
+        ...bed,
+        placements: shown.filter((placement) => placement.bed_id === bed.id).map(toPlan)
+      })),
+      unplaced: crops.filter((crop) => inPlan(crop) && !placedIds.has(crop.id))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add a bed, row or grid to a garden
+router.post('/:id/beds', authenticateToken, limitWrites, validate(schemas.createBed), async (req, res, next) => {
+  try {
+    const garden = await requireGarden(req, 'editor');
+    const { name, kind, x_cm, y_cm, width_cm, length_cm, cell_cm, notes } = req.body;
+
+    const bedData = {
+      garden_id: garden.id,
+      name,
+      kind: kind || 'bed',
+      x_cm,
+      y_cm,
+      width_cm,
+      length_cm,
+      cell_cm: kind === 'grid' ? cell_cm : null,
+      notes: notes || null
+    };
+
+    await checkBed(bedData);
+
+    const bed = await repositories.gardenBeds.insert(
+      { ...bedData, created_at: new Date().toISOString(), updated_at: new Date().toISOString() },
+      { columns: BED_COLUMNS }
+    );
+
+    publish('layout.updated', { gardenId: garden.id, data: { bed_id: bed.id } });
+
+    res.status(201).json({
+      success: true,
+      message: 'Bed created successfully',
+      bed
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update a bed; crops growing in it must still fit
+router.put('/:id/beds/:bedId', authenticateToken, limitWrites, validate(schemas.updateBed), async (req, res, next) => {
+  try {
+    const garden = await requireGarden(req, 'editor');
+    const existingBed = await findBed(garden.id, req.params.bedId);
+
+    const pick = (field) => (req.body[field] !== undefined ? req.body[field] : existingBed[field]);
+    const kind = pick('kind');
+
+    const bedData = {
+      garden_id: garden.id,
+      name: pick('name'),
+      kind,
+      x_cm: pick('x_cm'),
+      y_cm: pick('y_cm'),
+      width_cm: pick('width_cm'),
+      length_cm: pick('length_cm'),
+      cell_cm: kind === 'grid' ? pick('cell_cm') : null,
+      notes: pick('notes')
+    };
+
+    await checkBed(bedData, existingBed.id);
+
+    const placements = (await findPlacements({ bed_id: existingBed.id }))
+      .filter((placement) => placement.crops && isGrowing(placement.crops));
+    const misplaced = placements.find((placement) =>
+      !fitsInside(placement, bedData) || (bedData.cell_cm && !onGrid(placement, bedData.cell_cm)));
+
+    if (misplaced) {
+      throw new ConflictError(`${misplaced.crops.name} would no longer fit in the bed; move it first`, {
+        code: 'placement_outside_bed',
+        details: { crop_id: misplaced.crop_id }
+      });
+    }
+
+    const [bed] = await repositories.gardenBeds.update(
+      { id: existingBed.id },
+      { ...bedData, updated_at: new Date().toISOString() },
+      { columns: BED_COLUMNS }
+    );
+
+    // Deleted in the meantime
+    if (!bed) {
+      throw new NotFoundError('Bed not found');
+    }
+
+    publish('layout.updated', { gardenId: garden.id, data: { bed_id: bed.id } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Bed updated successfully',
+      bed
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove a bed and the placements in it; the crops stay in the garden
+router.delete('/:id/beds/:bedId', authenticateToken, limitWrites, validate(schemas.deleteBed), async (req, res, next) => {
+  try {
+    const garden = await requireGarden(req, 'editor');
+    const bed = await findBed(garden.id, req.params.bedId);
+
+    await repositories.gardenBeds.remove({ id: bed.id }, { columns: ['id'] });
+
+    publish('layout.updated', { gardenId: garden.id, data: { bed_id: bed.id } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Bed deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Place a crop in a bed, or move it. Size defaults to one cell in a grid and
+// to the crop's spacing in the catalogue elsewhere. Crops in the ground can't
+// overlap; rotation warnings list crops of the same family that grew in the
+// bed in recent seasons.
+router.put('/:id/placements/:cropId', authenticateToken, limitWrites, validate(schemas.place), async (req, res, next) => {
+  try {
+    const garden = await requireGarden(req, 'editor');
+    const { bed_id, x_cm, y_cm } = req.body;
+
+    const crop = await repositories.crops.findOne(
+      { id: req.params.cropId, garden_id: garden.id },
+      { columns: CROP_COLUMNS }
+    );
+
+    if (!crop) {
+      throw new NotFoundError('Crop not found in this garden');
+    }
+
+    const bed = await findBed(garden.id, bed_id);
+
+    const entry = findEntryFor(crop);
+    const defaultSize = bed.cell_cm || (entry && entry.spacing_cm);
+    const rect = {
+      x_cm,
+      y_cm,
+      width_cm: req.body.width_cm || defaultSize,
+      length_cm: req.body.length_cm || defaultSize
+    };
+
+    if (!rect.width_cm || !rect.length_cm) {
+      throw new BadRequestError('width_cm and length_cm are required for crops that are not in the catalogue', {
+        code: 'size_required'
+      });
+    }
+
+    if (!fitsInside(rect, bed)) {
+      throw new BadRequestError(`${crop.name} does not fit inside the bed at this position`, { code: 'outside_bed' });
+    }
+
+    if (bed.cell_cm && !onGrid(rect, bed.cell_cm)) {
+      throw new BadRequestError(`Positions and sizes in this bed must be multiples of ${bed.cell_cm} cm`, {
+        code: 'not_on_grid'
+      });
+    }
+
+    const inBed = (await findPlacements({ bed_id: bed.id }))
+      .filter((placement) => placement.crops && placement.crop_id !== crop.id);
+
+    const clash = isGrowing(crop) && inBed.find((placement) => isGrowing(placement.crops) && overlaps(rect, placement));
+
+    if (clash) {
+      throw new ConflictError(`Overlaps ${clash.crops.name} in this bed`, {
+        code: 'overlap',
+        details: { crop_id: clash.crop_id }
+      });
+    }
+
+    const existing = await repositories.cropPlacements.findOne({ crop_id: crop.id }, { columns: ['id'] });
+    const placementData = {
+      bed_id: bed.id,
+      garden_id: garden.id,
+      ...rect,
+      placed_by: req.user.id,
+      updated_at: new Date().toISOString()
+    };
+
+    let [placement] = existing
+      ? await repositories.cropPlacements.update({ id: existing.id }, placementData, { columns: PLACEMENT_COLUMNS })
+      : [];
+    const moved = Boolean(placement);
+
+    // Not placed yet, or taken out of the plan in the meantime
+    if (!placement) {
+      placement = await repositories.cropPlacements.insert(
+        { ...placementData, crop_id: crop.id, created_at: new Date().toISOString() },
+        { columns: PLACEMENT_COLUMNS }
+      );
+    }
+
+    publish('layout.updated', { gardenId: garden.id, data: { bed_id: bed.id, crop_id: crop.id } });
+
+    res.status(moved ? 200 : 201).json({
+      success: true,
+      message: 'Crop placed successfully',
+      placement,
+      warnings: rotationWarnings(crop, inBed.map((other) => other.crops), ROTATION_SEASONS)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Take a crop out of the plan; it stays in the garden
+router.delete('/:id/placements/:cropId', authenticateToken, limitWrites, validate(schemas.unplace), async (req, res, next) => {
+  try {
+    const garden = await requireGarden(req, 'editor');
+
+    const [placement] = await repositories.cropPlacements.remove(
+      { crop_id: req.params.cropId, garden_id: garden.id },
+      { columns: ['id', 'bed_id'] }
+    );
+
+    if (!placement) {
+      throw new NotFoundError('Crop is not placed in this garden');
+    }
+
+    publish('layout.updated', { gardenId: garden.id, data: { bed_id: placement.bed_id, crop_id: req.params.cropId } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Crop removed from the plan'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
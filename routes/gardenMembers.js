@@ -0,0 +1,355 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const repositories = require('../repositories');
+const { authenticateToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { limitWrites } = require('../middleware/rateLimit');
+const schemas = require('../validators/gardens');
+const { ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+const { hasRole, getGardenAccess } = require('../services/permissions');
+const { sendMail } = require('../services/mailer');
+const mailTemplates = require('../services/mailer/templates');
+const { publish } = require('../services/events');
+const { recordAudit } = require('../services/audit');
+
+const INVITATION_TTL_DAYS = 14;
+const INVITATION_FIELDS = ['id', 'code', 'email', 'role', 'invited_by', 'expires_at', 'created_at'];
+// No 0/O or 1/I so codes can be read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const generateInviteCode = () =>
+  Array.from(crypto.randomBytes(8), (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+
+const forbidden = (minRole) => new ForbiddenError(`You need ${minRole} access to this garden`);
+
+// Join a garden with an invite code
+router.post('/join', authenticateToken, limitWrites, validate(schemas.join), async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const invitation = await repositories.gardenInvitations.findOne({
+      code,
+      accepted_at: null,
+      revoked_at: null,
+      expires_at: { gt: new Date().toISOString() }
+    });
+
+    // Invitations to a garden in the trash wait until it is restored
+    if (!invitation || !(await repositories.gardens.findById(invitation.garden_id, { columns: ['id'] }))) {
+      throw new NotFoundError('Invitation not found or expired');
+    }
+
+    // Email invitations are personal, for whoever has proved they own the
+    // address; code-only invitations can be shared
+    if (invitation.email) {
+      const user = await repositories.users.findById(req.user.id, { columns: ['email', 'email_verified'] });
+
+      if (!user || invitation.email.toLowerCase() !== user.email.toLowerCase()) {
+        throw new ForbiddenError('This invitation was sent to a different email address');
+      }
+
+      if (!user.email_verified) {
+        throw new ForbiddenError('Verify your email address to accept this invitation', {
+          code: 'email_not_verified'
+        });
+      }
+    }
+
+    if (await getGardenAccess(invitation.garden_id, req.user.id)) {
+      throw new ConflictError('You are already a member of this garden');
+    }
+
+    const membership = await repositories.gardenMembers.insert(
+      {
+        garden_id: invitation.garden_id,
+        user_id: req.user.id,
+        role: invitation.role,
+        created_at: new Date().toISOString()
+      },
+      { columns: ['garden_id', 'role'], include: { gardens: '*' } }
+    );
+
+    if (invitation.email) {
+      await repositories.gardenInvitations.update(
+        { id: invitation.id },
+        { accepted_by: req.user.id, accepted_at: new Date().toISOString() }
+      );
+    }
+
+    await recordAudit(req, {
+      action: 'member.joined',
+      entityType: 'user',
+      entityId: req.user.id,
+      gardenId: invitation.garden_id,
+      after: { role: membership.role },
+      metadata: { invitation_id: invitation.id }
+    });
+
+    publish('member.joined', {
+      gardenId: invitation.garden_id,
+      userIds: [req.user.id],
+      data: { user_id: req.user.id, role: membership.role }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Joined garden successfully',
+      garden: { ...membership.gardens, role: membership.role }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get members of a garden
+router.get('/:id/members', authenticateToken, validate(schemas.byId), async (req, res, next) => {
+  try {
+    const access = await getGardenAccess(req.params.id, req.user.id);
+
+    if (!access) {
+      throw new NotFoundError('Garden not found or access denied');
+    }
+
+    const members = await repositories.gardenMembers.find(
+      { garden_id: access.garden.id },
+      {
+        columns: ['user_id', 'role', 'created_at'],
+        include: { users: ['name', 'email'] },
+        order: ['created_at']
+      }
+    );
+
+    // Only owners, who send the invitations, get to see email addresses
+    const showEmail = hasRole(access.role, 'owner');
+
+    res.status(200).json({
+      success: true,
+      count: members.length,
+      members: members.map(({ users: user, ...member }) => ({
+        ...member,
+        name: user ? user.name : null,
+        email: showEmail && user ? user.email : undefined
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Change a member's role
+router.patch('/:id/members/:userId', authenticateToken, limitWrites, validate(schemas.updateMember), async (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    const access = await getGardenAccess(req.params.id, req.user.id);
+
+    if (!access) {
+      throw new NotFoundError('Garden not found or access denied');
+    }
+
+    if (!hasRole(access.role, 'owner')) {
+      throw forbidden('owner');
+    }
+
+    const member = await repositories.gardenMembers.findMembership(access.garden.id, req.params.userId, {
+      columns: ['user_id', 'role']
+    });
+
+    if (!member) {
+      throw new NotFoundError('Member not found');
+    }
+
+    if (member.role === 'owner' && role !== 'owner' && (await repositories.gardenMembers.countOwners(access.garden.id)) <= 1) {
+      throw new ConflictError('A garden must keep at least one owner');
+    }
+
+    const [updatedMember] = await repositories.gardenMembers.update(
+      { garden_id: access.garden.id, user_id: member.user_id },
+      { role },
+      { columns: ['user_id', 'role', 'created_at'] }
+    );
+
+    await recordAudit(req, {
+      action: 'member.updated',
+      entityType: 'user',
+      entityId: member.user_id,
+      gardenId: access.garden.id,
+      before: { role: member.role },
+      after: { role: updatedMember.role }
+    });
+
+    publish('member.updated', { gardenId: access.garden.id, userIds: [member.user_id], data: { member: updatedMember } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Member role updated successfully',
+      member: updatedMember
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove a member, or leave a garden when removing yourself
+router.delete('/:id/members/:userId', authenticateToken, limitWrites, validate(schemas.removeMember), async (req, res, next) => {
+  try {
+    const access = await getGardenAccess(req.params.id, req.user.id);
+
+    if (!access) {
+      throw new NotFoundError('Garden not found or access denied');
+    }
+
+    const leaving = req.params.userId === req.user.id;
+
+    if (!leaving && !hasRole(access.role, 'owner')) {
+      throw forbidden('owner');
+    }
+
+    const member = await repositories.gardenMembers.findMembership(access.garden.id, req.params.userId, {
+      columns: ['user_id', 'role']
+    });
+
+    if (!member) {
+      throw new NotFoundError('Member not found');
+    }
+
+    if (member.role === 'owner' && (await repositories.gardenMembers.countOwners(access.garden.id)) <= 1) {
+      throw new ConflictError('A garden must keep at least one owner. Transfer ownership or delete the garden instead');
+    }
+
+    await repositories.gardenMembers.remove({ garden_id: access.garden.id, user_id: member.user_id });
+
+    await recordAudit(req, {
+      action: leaving ? 'member.left' : 'member.removed',
+      entityType: 'user',
+      entityId: member.user_id,
+      gardenId: access.garden.id,
+      before: { role: member.role }
+    });
+
+    publish('member.removed', { gardenId: access.garden.id, userIds: [member.user_id], data: { user_id: member.user_id } });
+
+    res.status(200).json({
+      success: true,
+      message: leaving ? 'You left the garden' : 'Member removed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get pending invitations for a garden
+router.get('/:id/invitations', authenticateToken, validate(schemas.byId), async (req, res, next) => {
+  try {
+    const access = await getGardenAccess(req.params.id, req.user.id);
+
+    if (!access) {
+      throw new NotFoundError('Garden not found or access denied');
+    }
+
+    if (!hasRole(access.role, 'owner')) {
+      throw forbidden('owner');
+    }
+
+    const invitations = await repositories.gardenInvitations.find(
+      {
+        garden_id: access.garden.id,
+        accepted_at: null,
+        revoked_at: null,
+        expires_at: { gt: new Date().toISOString() }
+      },
+      { columns: INVITATION_FIELDS, order: ['-created_at'] }
+    );
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      invitations
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Invite someone to a garden, by email or with a shareable code
+router.post('/:id/invitations', authenticateToken, limitWrites, validate(schemas.createInvitation), async (req, res, next) => {
+  try {
+    const { email, role } = req.body;
+
+    const access = await getGardenAccess(req.params.id, req.user.id);
+
+    if (!access) {
+      throw new NotFoundError('Garden not found or access denied');
+    }
+
+    if (!hasRole(access.role, 'owner')) {
+      throw forbidden('owner');
+    }
+
+    const invitation = await repositories.gardenInvitations.insert(
+      {
+        garden_id: access.garden.id,
+        code: generateInviteCode(),
+        email: email || null,
+        role,
+        invited_by: req.user.id,
+        expires_at: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+        created_at: new Date().toISOString()
+      },
+      { columns: INVITATION_FIELDS }
+    );
+
+    if (invitation.email) {
+      await sendMail(mailTemplates.gardenInvitation({
+        email: invitation.email,
+        garden: access.garden,
+        inviter: req.user,
+        code: invitation.code,
+        role
+      }));
+    }
+
+    res.status(201).json({
+      success: true,
+      message: invitation.email ? 'Invitation sent successfully' : 'Invite code created successfully',
+      invitation
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke an invitation
+router.delete('/:id/invitations/:invitationId', authenticateToken, limitWrites, validate(schemas.revokeInvitation), async (req, res, next) => {
+  try {
+    const access = await getGardenAccess(req.params.id, req.user.id);
+
+    if (!access) {
+      throw new NotFoundError('Garden not found or access denied');
+    }
+
+    if (!hasRole(access.role, 'owner')) {
+      throw forbidden('owner');
+    }
+
+    const invitations = await repositories.gardenInvitations.update(
+      { id: req.params.invitationId, garden_id: access.garden.id, revoked_at: null },
+      { revoked_at: new Date().toISOString() },
+      { columns: ['id'] }
+    );
+
+    if (!invitations.length) {
+      throw new NotFoundError('Invitation not found');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,81 +1,171 @@
 const express = require('express');
 const router = express.Router();
-const supabase = require('../supabase');
+const repositories = require('../repositories');
 const { authenticateToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { limitWrites } = require('../middleware/rateLimit');
+const schemas = require('../validators/gardens');
+const { ForbiddenError, NotFoundError } = require('../utils/errors');
+const { sumAmounts } = require('../utils/units');
+const { hasRole, getGardenAccess } = require('../services/permissions');
+const { publish } = require('../services/events');
+const { recordAudit } = require('../services/audit');
+const { trashGarden, purgeAt } = require('../services/trash');
+const { parsePagination, invalidQuery, buildPage, listParam } = require('../utils/pagination');
 
-// Get all gardens for current user
-router.get('/', authenticateToken, async (req, res) => {
+const GARDEN_SORT_FIELDS = ['created_at', 'updated_at', 'name'];
+const GARDEN_SEARCH_COLUMNS = ['name', 'location', 'description'];
+
+const forbidden = (minRole) => new ForbiddenError(`You need ${minRole} access to this garden`);
+
+// Get the current user's gardens. Supports type and size filters
+// (comma-separated), q to search name, location and description, and
+// sort, limit and cursor (see utils/pagination).
+router.get('/', authenticateToken, validate(schemas.list), async (req, res, next) => {
   try {
-    const { data: gardens, error } = await supabase
-      .from('gardens')
-      .select('*')
-      .eq('user_id', req.user.id)
-      .order('created_at', { ascending: false });
+    const page = parsePagination(req.query, { sortFields: GARDEN_SORT_FIELDS });
+
+    if (page.error) {
+      throw invalidQuery(page);
+    }
+
+    const memberships = await repositories.gardenMembers.find(
+      { user_id: req.user.id },
+      { columns: ['garden_id', 'role'] }
+    );
+    const roles = new Map(memberships.map((membership) => [membership.garden_id, membership.role]));
 
-    if (error) throw error;
+    const filter = { id: [...roles.keys()] };
+
+    if (req.query.type) {
+      filter.type = listParam(req.query.type);
+    }
+
+    if (req.query.size) {
+      filter.size = listParam(req.query.size);
+    }
+
+    const search = { term: req.query.q, columns: GARDEN_SEARCH_COLUMNS };
+
+    const [rows, total] = await Promise.all([
+      repositories.gardens.page(filter, page, { search }),
+      repositories.gardens.count(filter, { search })
+    ]);
+
+    const { items, next_cursor } = buildPage(rows, page);
+
+    const gardens = items.map((garden) => ({ ...garden, role: roles.get(garden.id) }));
 
     res.status(200).json({
       success: true,
       count: gardens.length,
+      total,
+      next_cursor,
       gardens
     });
   } catch (error) {
-    console.error('Get gardens error:', error);
-    res.status(500).json({ 
-      success: false,
-      error: 'Failed to fetch gardens' 
-    });
+    next(error);
   }
 });
 
 // Get single garden
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, validate(schemas.byId), async (req, res, next) => {
   try {
-    const { data: garden, error } = await supabase
-      .from('gardens')
-      .select('*')
-      .eq('id', req.params.id)
-      .eq('user_id', req.user.id)
-      .single();
-
-    if (error) throw error;
+    const access = await getGardenAccess(req.params.id, req.user.id);
 
-    if (!garden) {
-      return res.status(404).json({
-        success: false,
-        error: 'Garden not found'
-      });
+    if (!access) {
+      throw new NotFoundError('Garden not found');
     }
 
     res.status(200).json({
       success: true,
-      garden
+      garden: { ...access.garden, role: access.role }
     });
   } catch (error) {
-    console.error('Get garden error:', error);
-    res.status(500).json({ 
-      success: false,
-      error: 'Failed to fetch garden' 
-    });
+    next(error);
   }
 });
 
-// Create new garden
-router.post('/', authenticateToken, async (req, res) => {
+// Get what a garden produced, per crop and per season (calendar year)
+router.get('/:id/yield', authenticateToken, validate(schemas.gardenYield), async (req, res, next) => {
   try {
-    const { name, location, type, size, description } = req.body;
+    const access = await getGardenAccess(req.params.id, req.user.id);
 
-    if (!name) {
-      return res.status(400).json({
-        success: false,
-        error: 'Garden name is required'
-      });
+    if (!access) {
+      throw new NotFoundError('Garden not found or access denied');
     }
 
+    const garden = { id: access.garden.id, name: access.garden.name };
+
+    const filter = { garden_id: garden.id };
+
+    if (req.query.season) {
+      const { season } = req.query;
+      filter.harvested_on = { gte: `${season}-01-01`, lte: `${season}-12-31` };
+    }
+
+    const gardenHarvests = await repositories.harvests.find(filter, {
+      columns: ['crop_id', 'harvested_on', 'amount', 'unit'],
+      include: { crops: ['name', 'variety', 'deleted_at'] },
+      order: ['harvested_on']
+    });
+
+    // Harvests of crops in the trash don't count
+    const harvests = gardenHarvests.filter((harvest) => !(harvest.crops && harvest.crops.deleted_at));
+
+    const byCrop = new Map();
+    const bySeason = new Map();
+
+    harvests.forEach((harvest) => {
+      if (!byCrop.has(harvest.crop_id)) {
+        byCrop.set(harvest.crop_id, {
+          crop_id: harvest.crop_id,
+          name: harvest.crops ? harvest.crops.name : null,
+          variety: harvest.crops ? harvest.crops.variety : null,
+          harvests: []
+        });
+      }
+      byCrop.get(harvest.crop_id).harvests.push(harvest);
+
+      const season = Number(String(harvest.harvested_on).slice(0, 4));
+      if (!bySeason.has(season)) {
+        bySeason.set(season, []);
+      }
+      bySeason.get(season).push(harvest);
+    });
+
+    res.status(200).json({
+      success: true,
+      garden,
+      harvest_count: harvests.length,
+      totals: sumAmounts(harvests),
+      by_crop: [...byCrop.values()].map(({ harvests: cropHarvests, ...crop }) => ({
+        ...crop,
+        harvest_count: cropHarvests.length,
+        totals: sumAmounts(cropHarvests)
+      })),
+      by_season: [...bySeason.entries()].map(([season, seasonHarvests]) => ({
+        season,
+        harvest_count: seasonHarvests.length,
+        totals: sumAmounts(seasonHarvests)
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create new garden
+router.post('/', authenticateToken, limitWrites, validate(schemas.create), async (req, res, next) => {
+  try {
+    const { name, location, latitude, longitude, type, size, description } = req.body;
+
     const gardenData = {
       user_id: req.user.id,
       name,
       location: location || null,
+      latitude: latitude !== undefined ? latitude : null,
+      longitude: longitude !== undefined ? longitude : null,
       type: type || 'outdoor',
       size: size || 'medium',
       description: description || null,
@@ -83,65 +173,81 @@ router.post('/', authenticateToken, async (req, res) => {
       updated_at: new Date().toISOString()
     };
 
-    const { data: garden, error } = await supabase
-      .from('gardens')
-      .insert([gardenData])
-      .select()
-      .single();
+    const garden = await repositories.gardens.insert(gardenData);
 
-    if (error) throw error;
+    await repositories.gardenMembers.insert({
+      garden_id: garden.id,
+      user_id: req.user.id,
+      role: 'owner',
+      created_at: new Date().toISOString()
+    });
+
+    await recordAudit(req, {
+      action: 'garden.created',
+      entityType: 'garden',
+      entityId: garden.id,
+      gardenId: garden.id,
+      after: garden
+    });
+
+    publish('garden.created', { userIds: [req.user.id], data: { garden } });
 
     res.status(201).json({
       success: true,
       message: 'Garden created successfully',
-      garden
+      garden: { ...garden, role: 'owner' }
     });
   } catch (error) {
-    console.error('Create garden error:', error);
-    res.status(500).json({ 
-      success: false,
-      error: 'Failed to create garden' 
-    });
+    next(error);
   }
 });
 
 // Update garden
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, limitWrites, validate(schemas.update), async (req, res, next) => {
   try {
-    const { name, location, type, size, description } = req.body;
-
-    // First check if garden exists and belongs to user
-    const { data: existingGarden, error: checkError } = await supabase
-      .from('gardens')
-      .select('id')
-      .eq('id', req.params.id)
-      .eq('user_id', req.user.id)
-      .single();
-
-    if (checkError || !existingGarden) {
-      return res.status(404).json({
-        success: false,
-        error: 'Garden not found or access denied'
-      });
+    const { name, location, latitude, longitude, type, size, description } = req.body;
+
+    // First check if garden exists and user can edit it
+    const access = await getGardenAccess(req.params.id, req.user.id);
+
+    if (!access) {
+      throw new NotFoundError('Garden not found or access denied');
+    }
+
+    if (!hasRole(access.role, 'editor')) {
+      throw forbidden('editor');
     }
 
+    const existingGarden = access.garden;
+
     const updateData = {
       name: name || existingGarden.name,
       location: location !== undefined ? location : existingGarden.location,
+      latitude: latitude !== undefined ? latitude : existingGarden.latitude,
+      longitude: longitude !== undefined ? longitude : existingGarden.longitude,
       type: type || existingGarden.type,
       size: size || existingGarden.size,
       description: description !== undefined ? description : existingGarden.description,
       updated_at: new Date().toISOString()
     };
 
-    const { data: garden, error } = await supabase
-      .from('gardens')
-      .update(updateData)
-      .eq('id', req.params.id)
-      .select()
-      .single();
+    // Not if someone moved it to the trash in the meantime
+    const [garden] = await repositories.gardens.update({ id: existingGarden.id, deleted_at: null }, updateData);
+
+    if (!garden) {
+      throw new NotFoundError('Garden not found or access denied');
+    }
+
+    await recordAudit(req, {
+      action: 'garden.updated',
+      entityType: 'garden',
+      entityId: garden.id,
+      gardenId: garden.id,
+      before: existingGarden,
+      after: garden
+    });
 
-    if (error) throw error;
+    publish('garden.updated', { gardenId: garden.id, data: { garden } });
 
     res.status(200).json({
       success: true,
@@ -149,49 +255,50 @@ router.put('/:id', authenticateToken, async (req, res) => {
       garden
     });
   } catch (error) {
-    console.error('Update garden error:', error);
-    res.status(500).json({ 
-      success: false,
-      error: 'Failed to update garden' 
-    });
+    next(error);
   }
 });
 
-// Delete garden
-router.delete('/:id', authenticateToken, async (req, res) => {
+// Delete garden: it goes to the trash with its crops until it is restored or
+// purged, see services/trash
+router.delete('/:id', authenticateToken, limitWrites, validate(schemas.byId), async (req, res, next) => {
   try {
-    // First check if garden exists and belongs to user
-    const { data: existingGarden, error: checkError } = await supabase
-      .from('gardens')
-      .select('id')
-      .eq('id', req.params.id)
-      .eq('user_id', req.user.id)
-      .single();
-
-    if (checkError || !existingGarden) {
-      return res.status(404).json({
-        success: false,
-        error: 'Garden not found or access denied'
-      });
+    // First check if garden exists and user owns it
+    const access = await getGardenAccess(req.params.id, req.user.id);
+
+    if (!access) {
+      throw new NotFoundError('Garden not found or access denied');
     }
 
-    const { error } = await supabase
-      .from('gardens')
-      .delete()
-      .eq('id', req.params.id);
+    if (!hasRole(access.role, 'owner')) {
+      throw forbidden('owner');
+    }
+
+    const garden = await trashGarden(access.garden.id, req.user.id);
+
+    // Someone else moved it to the trash in the meantime
+    if (!garden) {
+      throw new NotFoundError('Garden not found or access denied');
+    }
+
+    await recordAudit(req, {
+      action: 'garden.deleted',
+      entityType: 'garden',
+      entityId: garden.id,
+      gardenId: garden.id,
+      before: access.garden,
+      after: garden
+    });
 
-    if (error) throw error;
+    publish('garden.deleted', { gardenId: garden.id, data: { id: garden.id } });
 
     res.status(200).json({
       success: true,
-      message: 'Garden deleted successfully'
+      message: 'Garden moved to the trash',
+      purge_at: purgeAt(garden.deleted_at)
     });
   } catch (error) {
-    console.error('Delete garden error:', error);
-    res.status(500).json({ 
-      success: false,
-      error: 'Failed to delete garden' 
-    });
+    next(error);
   }
 });
 
@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const repositories = require('../repositories');
+
+// How long the readiness check waits for the database
+const CHECK_TIMEOUT_MS = Number(process.env.HEALTH_CHECK_TIMEOUT_MS || 2000);
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms} ms`)), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Read one row, so the check fails when the database can't be reached or
+// the service key is wrong
+const checkDatabase = async () => {
+  const startedAt = Date.now();
+
+  try {
+    await withTimeout(repositories.users.findOne({}, { columns: ['id'] }), CHECK_TIMEOUT_MS);
+    return { status: 'ok', duration_ms: Date.now() - startedAt };
+  } catch (error) {
+    return { status: 'error', duration_ms: Date.now() - startedAt, error: error.message };
+  }
+};
+
+// Liveness: the process is up and answering. /health is kept for existing
+// monitors.
+router.get(['/', '/live'], (req, res) => {
+  res.status(200).json({
+    status: 'OK',
+    message: 'Harvest Hub API is running',
+    uptime_seconds: Math.round(process.uptime()),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Readiness: the API can serve requests, i.e. the database answers. 503
+// while it doesn't, so a load balancer stops sending traffic.
+router.get('/ready', async (req, res, next) => {
+  try {
+    const database = await checkDatabase();
+    const ready = database.status === 'ok';
+
+    if (!ready) {
+      req.log.error('Readiness check failed', { check: 'database', error: database.error });
+    }
+
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'OK' : 'UNAVAILABLE',
+      checks: { database },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,107 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { limitWrites } = require('../middleware/rateLimit');
+const schemas = require('../validators/imports');
+const { BadRequestError, PayloadTooLargeError, ValidationError } = require('../utils/errors');
+const { MAX_IMPORT_ROWS, planImport, runImport } = require('../services/imports');
+const { parseCsv } = require('../utils/csv');
+
+// Imports can be far bigger than other requests. app.js mounts this router
+// before its own body parsers, so bodies are only read once authenticated.
+const IMPORT_BODY_LIMIT = process.env.IMPORT_BODY_LIMIT || '5mb';
+const readBody = [
+  express.json({ limit: IMPORT_BODY_LIMIT }),
+  express.text({ type: ['text/csv', 'text/plain'], limit: IMPORT_BODY_LIMIT })
+];
+
+// The rows to import by table: from a JSON object with gardens and/or crops
+// arrays (an export archive works as it is), or from CSV for ?table=
+const tablesFrom = (req) => {
+  if (typeof req.body === 'string') {
+    if (!req.query.table) {
+      throw new BadRequestError('Say which table the CSV holds with ?table=gardens or ?table=crops', {
+        code: 'table_required'
+      });
+    }
+
+    const { records, error } = parseCsv(req.body);
+
+    if (error) {
+      throw new BadRequestError(error, { code: 'invalid_csv' });
+    }
+
+    return { [req.query.table]: records };
+  }
+
+  const body = req.body || {};
+  const tables = {};
+
+  schemas.IMPORT_TABLES.forEach((table) => {
+    if (body[table] === undefined) return;
+
+    if (!Array.isArray(body[table])) {
+      throw new BadRequestError(`${table} must be an array`, { code: 'invalid_import' });
+    }
+
+    tables[table] = body[table];
+  });
+
+  if (!Object.keys(tables).length) {
+    throw new BadRequestError('Send JSON with gardens and/or crops arrays, or CSV with ?table=', {
+      code: 'nothing_to_import'
+    });
+  }
+
+  return tables;
+};
+
+// Import gardens and crops. With ?dry_run=true every row is checked and the
+// errors reported without writing anything. Otherwise nothing is imported
+// unless every row is valid.
+router.post('/', authenticateToken, limitWrites, readBody, validate(schemas.run), async (req, res, next) => {
+  try {
+    const tables = tablesFrom(req);
+    const rowCount = Object.values(tables).reduce((total, rows) => total + rows.length, 0);
+
+    if (rowCount > MAX_IMPORT_ROWS) {
+      throw new PayloadTooLargeError(`Imports are limited to ${MAX_IMPORT_ROWS} rows`, { code: 'too_many_rows' });
+    }
+
+    const plan = await planImport(req.user, tables);
+    const summary = { gardens: plan.gardens.length, crops: plan.crops.length };
+
+    if (req.query.dry_run) {
+      res.status(200).json({
+        success: true,
+        dry_run: true,
+        valid: plan.errors.length === 0,
+        summary,
+        errors: plan.errors
+      });
+      return;
+    }
+
+    if (plan.errors.length) {
+      throw new ValidationError('Some rows are invalid, nothing was imported', {
+        code: 'import_invalid',
+        details: plan.errors
+      });
+    }
+
+    const imported = await runImport(req.user, plan);
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${summary.gardens} garden(s) and ${summary.crops} crop(s)`,
+      summary,
+      gardens: imported.gardens,
+      crops: imported.crops
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const { register } = require('../services/metrics');
+const { UnauthorizedError } = require('../utils/errors');
+
+// Whether the request carries METRICS_TOKEN as a bearer token
+const hasMetricsToken = (req) => {
+  const expected = Buffer.from(`Bearer ${process.env.METRICS_TOKEN}`);
+  const given = Buffer.from(req.get('Authorization') || '');
+
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// Get the metrics in Prometheus text format, see services/metrics. When
+// METRICS_TOKEN is set, scrapers must send it as a bearer token.
+router.get('/', async (req, res, next) => {
+  try {
+    if (process.env.METRICS_TOKEN && !hasMetricsToken(req)) {
+      throw new UnauthorizedError('A valid metrics token is required');
+    }
+
+    res.set('Content-Type', register.contentType);
+    res.status(200).send(await register.metrics());
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
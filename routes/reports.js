@@ -0,0 +1,97 @@
+const express = require('express');
+const router = express.Router();
+const repositories = require('../repositories');
+const { authenticateToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { limitWrites } = require('../middleware/rateLimit');
+const schemas = require('../validators/reports');
+const { BadRequestError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const REPORT_COLUMNS = [
+  'id', 'target_type', 'crop_id', 'reported_user_id', 'reason', 'details', 'status', 'resolved_at', 'created_at'
+];
+
+// What a report points at, as { crop_id, reported_user_id }. Crop reports also
+// record the grower, so admins can see everything reported about an account.
+const findTarget = async (type, id) => {
+  if (type === 'crop') {
+    const crop = await repositories.crops.findListing({ id }, { columns: ['id', 'user_id'] });
+
+    if (!crop) {
+      throw new NotFoundError('Listing not found');
+    }
+
+    return { crop_id: crop.id, reported_user_id: crop.user_id };
+  }
+
+  const user = await repositories.users.findById(id, { columns: ['id'] });
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  return { crop_id: null, reported_user_id: user.id };
+};
+
+// Report a shared listing or another user to the moderators
+router.post('/', authenticateToken, limitWrites, validate(schemas.create), async (req, res, next) => {
+  try {
+    const { target_type, target_id, reason, details } = req.body;
+
+    const target = await findTarget(target_type, target_id);
+
+    if (target.reported_user_id === req.user.id) {
+      throw new BadRequestError('You cannot report yourself or your own listings', { code: 'cannot_report_self' });
+    }
+
+    const duplicate = await repositories.reports.findOne(
+      target_type === 'crop'
+        ? { reporter_id: req.user.id, status: 'open', crop_id: target.crop_id }
+        : { reporter_id: req.user.id, status: 'open', target_type, reported_user_id: target.reported_user_id },
+      { columns: ['id'] }
+    );
+
+    if (duplicate) {
+      throw new ConflictError('You have already reported this', { code: 'already_reported' });
+    }
+
+    const report = await repositories.reports.insert(
+      {
+        reporter_id: req.user.id,
+        target_type,
+        ...target,
+        reason,
+        details: details || null
+      },
+      { columns: REPORT_COLUMNS }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Thanks, a moderator will take a look',
+      report
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the reports the current user has made
+router.get('/', authenticateToken, async (req, res, next) => {
+  try {
+    const reports = await repositories.reports.find(
+      { reporter_id: req.user.id },
+      { columns: REPORT_COLUMNS, order: ['-created_at'] }
+    );
+
+    res.status(200).json({
+      success: true,
+      count: reports.length,
+      reports
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
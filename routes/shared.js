@@ -0,0 +1,439 @@
+const express = require('express');
+const router = express.Router();
+const repositories = require('../repositories');
+const { authenticateToken } = require('../middleware/auth');
+const { limitWrites } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/shared');
+const { BadRequestError, NotFoundError, ConflictError } = require('../utils/errors');
+const { haversineKm, boundingBox, blurCoordinates, blurDistance } = require('../utils/geo');
+const { hasRole, getCropAccess, getMemberGardenIds, findFeedListing } = require('../services/permissions');
+const { publish } = require('../services/events');
+const { recordAudit } = require('../services/audit');
+
+const LISTING_COLUMNS = [
+  'id',
+  'name',
+  'category',
+  'variety',
+  'status',
+  'quantity',
+  'quantity_unit',
+  'image_url',
+  'expected_harvest',
+  'notes',
+  'created_at',
+  'updated_at'
+];
+
+// Not the garden's location, which is often a street address: nearby
+// searches give a blurred position instead
+const LISTING_FIELDS = {
+  columns: LISTING_COLUMNS,
+  include: { gardens: ['name'], grower: ['name'] }
+};
+
+// Listings from suspended accounts are kept out, like hidden ones
+const activeGrowers = async () => ({ notIn: await repositories.users.findSuspendedIds() });
+
+// Owners and editors of a garden, who handle the claims on its crops
+const claimHandlerIds = async (gardenId) => {
+  const members = await repositories.gardenMembers.find(
+    { garden_id: gardenId, role: ['owner', 'editor'] },
+    { columns: ['user_id'] }
+  );
+
+  return members.map((member) => member.user_id);
+};
+
+// Browse crops other users are sharing
+router.get('/', authenticateToken, validate(schemas.list), async (req, res, next) => {
+  try {
+    const gardenIds = await getMemberGardenIds(req.user.id);
+
+    // Leave out crops from gardens the user already belongs to
+    const filter = {
+      user_id: { ...(await activeGrowers()), neq: req.user.id },
+      garden_id: { notIn: gardenIds }
+    };
+
+    if (req.query.category) {
+      filter.category = req.query.category;
+    }
+
+    const listings = await repositories.crops.findShared(filter, { ...LISTING_FIELDS, order: ['-created_at'] });
+
+    res.status(200).json({
+      success: true,
+      count: listings.length,
+      listings
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Find shared crops near a point, closest first
+router.get('/nearby', authenticateToken, validate(schemas.nearby), async (req, res, next) => {
+  try {
+    const { lat, lng, radius_km: radiusKm } = req.query;
+
+    const box = boundingBox(lat, lng, radiusKm);
+    const gardenIds = await getMemberGardenIds(req.user.id);
+
+    const gardens = await repositories.gardens.findInBox(
+      box,
+      { id: { notIn: gardenIds } },
+      { columns: ['id'] }
+    );
+
+    const filter = {
+      user_id: { ...(await activeGrowers()), neq: req.user.id },
+      garden_id: gardens.map((garden) => garden.id)
+    };
+
+    if (req.query.category) {
+      filter.category = req.query.category;
+    }
+
+    const crops = await repositories.crops.findShared(filter, {
+      columns: LISTING_COLUMNS,
+      include: { gardens: ['name', 'latitude', 'longitude'], grower: ['name'] }
+    });
+
+    const listings = crops
+      .map((crop) => {
+        const { gardens: garden, ...listing } = crop;
+        const distance = haversineKm(lat, lng, garden.latitude, garden.longitude);
+
+        return {
+          distance,
+          listing: {
+            ...listing,
+            distance_km: blurDistance(distance),
+            gardens: {
+              name: garden.name,
+              approximate_location: blurCoordinates(garden.latitude, garden.longitude)
+            }
+          }
+        };
+      })
+      .filter(({ distance }) => distance <= radiusKm)
+      .sort((a, b) => a.distance - b.distance)
+      .map(({ listing }) => listing);
+
+    res.status(200).json({
+      success: true,
+      count: listings.length,
+      radius_km: radiusKm,
+      listings
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get claims made on crops in gardens the current user can edit
+router.get('/claims/incoming', authenticateToken, validate(schemas.claims), async (req, res, next) => {
+  try {
+    const gardenIds = await getMemberGardenIds(req.user.id, 'editor');
+    const cropIds = await repositories.crops.findIdsInGardens(gardenIds);
+
+    const filter = { crop_id: cropIds };
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const claims = await repositories.shareClaims.find(filter, {
+      include: {
+        crops: ['name', 'garden_id', 'quantity', 'quantity_unit'],
+        requester: ['name']
+      },
+      order: ['-created_at']
+    });
+
+    res.status(200).json({
+      success: true,
+      count: claims.length,
+      claims
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get claims the current user has made
+router.get('/claims/outgoing', authenticateToken, validate(schemas.claims), async (req, res, next) => {
+  try {
+    const filter = { requester_id: req.user.id };
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const claims = await repositories.shareClaims.find(filter, {
+      include: { crops: ['name', 'quantity_unit'], grower: ['name'] },
+      order: ['-created_at']
+    });
+
+    res.status(200).json({
+      success: true,
+      count: claims.length,
+      claims
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Accept a claim on a crop in a garden the current user can edit
+router.post('/claims/:claimId/accept', authenticateToken, limitWrites, validate(schemas.claimParams), async (req, res, next) => {
+  try {
+    const claim = await repositories.shareClaims.findById(req.params.claimId);
+
+    const access = claim && await getCropAccess(claim.crop_id, req.user.id, 'id, quantity');
+
+    if (!access || !hasRole(access.role, 'editor')) {
+      throw new NotFoundError('Claim not found or access denied');
+    }
+
+    if (claim.status !== 'pending') {
+      throw new ConflictError(`Claim has already been ${claim.status}`);
+    }
+
+    const { crop } = access;
+
+    if (Number(crop.quantity) < Number(claim.quantity)) {
+      throw new ConflictError('Not enough quantity left to accept this claim');
+    }
+
+    // Flip the claim first so two concurrent accepts can't both go through
+    const [acceptedClaim] = await repositories.shareClaims.update(
+      { id: claim.id, status: 'pending' },
+      {
+        status: 'accepted',
+        responded_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }
+    );
+
+    if (!acceptedClaim) {
+      throw new ConflictError('Claim is no longer pending');
+    }
+
+    // Only decrement if nobody else changed the quantity since we read it
+    let updatedCrops;
+    let updateError = null;
+    try {
+      updatedCrops = await repositories.crops.update(
+        { id: crop.id, quantity: crop.quantity },
+        {
+          quantity: Number(crop.quantity) - Number(claim.quantity),
+          updated_at: new Date().toISOString()
+        },
+        { columns: ['id', 'quantity', 'quantity_unit'] }
+      );
+    } catch (error) {
+      updateError = error;
+    }
+
+    if (updateError || !updatedCrops.length) {
+      await repositories.shareClaims.update(
+        { id: claim.id },
+        { status: 'pending', responded_at: null },
+        { columns: ['id'] }
+      );
+
+      if (updateError) throw updateError;
+
+      throw new ConflictError('Crop quantity changed, please try again');
+    }
+
+    await recordAudit(req, {
+      action: 'claim.accepted',
+      entityType: 'claim',
+      entityId: claim.id,
+      gardenId: crop.garden_id,
+      before: claim,
+      after: acceptedClaim,
+      metadata: { crop_id: crop.id, quantity: { from: crop.quantity, to: updatedCrops[0].quantity } }
+    });
+
+    publish('claim.updated', {
+      userIds: [acceptedClaim.requester_id],
+      data: { claim: acceptedClaim, crop: updatedCrops[0] }
+    });
+    publish('crop.updated', { gardenId: crop.garden_id, data: { crop: updatedCrops[0] } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Claim accepted',
+      claim: acceptedClaim,
+      crop: updatedCrops[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Decline a claim on a crop in a garden the current user can edit
+router.post('/claims/:claimId/decline', authenticateToken, limitWrites, validate(schemas.claimParams), async (req, res, next) => {
+  try {
+    const pendingClaim = await repositories.shareClaims.findById(req.params.claimId, {
+      columns: ['id', 'crop_id']
+    });
+
+    const access = pendingClaim && await getCropAccess(pendingClaim.crop_id, req.user.id, 'id');
+
+    if (!access || !hasRole(access.role, 'editor')) {
+      throw new NotFoundError('Pending claim not found or access denied');
+    }
+
+    const [claim] = await repositories.shareClaims.update(
+      { id: pendingClaim.id, status: 'pending' },
+      {
+        status: 'declined',
+        responded_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }
+    );
+
+    if (!claim) {
+      throw new NotFoundError('Pending claim not found or access denied');
+    }
+
+    await recordAudit(req, {
+      action: 'claim.declined',
+      entityType: 'claim',
+      entityId: claim.id,
+      gardenId: access.crop.garden_id,
+      before: { status: 'pending', responded_at: null },
+      after: { status: claim.status, responded_at: claim.responded_at }
+    });
+
+    publish('claim.updated', { userIds: [claim.requester_id], data: { claim } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Claim declined',
+      claim
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Withdraw a claim the current user made
+router.post('/claims/:claimId/cancel', authenticateToken, limitWrites, validate(schemas.claimParams), async (req, res, next) => {
+  try {
+    const [claim] = await repositories.shareClaims.update(
+      { id: req.params.claimId, requester_id: req.user.id, status: 'pending' },
+      { status: 'cancelled', updated_at: new Date().toISOString() }
+    );
+
+    if (!claim) {
+      throw new NotFoundError('Pending claim not found or access denied');
+    }
+
+    const crop = await repositories.crops.findById(claim.crop_id, { columns: ['garden_id'] });
+
+    await recordAudit(req, {
+      action: 'claim.cancelled',
+      entityType: 'claim',
+      entityId: claim.id,
+      gardenId: crop ? crop.garden_id : null,
+      before: { status: 'pending' },
+      after: { status: claim.status }
+    });
+
+    if (crop) {
+      publish('claim.updated', { userIds: await claimHandlerIds(crop.garden_id), data: { claim } });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Claim cancelled',
+      claim
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a single shared crop
+router.get('/:id', authenticateToken, validate(schemas.byId), async (req, res, next) => {
+  try {
+    const listing = await findFeedListing(req.params.id, LISTING_FIELDS);
+
+    if (!listing) {
+      throw new NotFoundError('Shared crop not found');
+    }
+
+    res.status(200).json({
+      success: true,
+      listing
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Claim part of a shared crop
+router.post('/:id/claims', authenticateToken, limitWrites, validate(schemas.createClaim), async (req, res, next) => {
+  try {
+    const { quantity: amount, message } = req.body;
+
+    const crop = await findFeedListing(req.params.id, {
+      columns: ['id', 'user_id', 'garden_id', 'quantity', 'quantity_unit']
+    });
+
+    if (!crop) {
+      throw new NotFoundError('Shared crop not found');
+    }
+
+    const gardenIds = await getMemberGardenIds(req.user.id);
+
+    if (crop.user_id === req.user.id || gardenIds.includes(crop.garden_id)) {
+      throw new BadRequestError('You cannot claim crops from your own garden');
+    }
+
+    if (amount > Number(crop.quantity)) {
+      throw new BadRequestError(`Only ${crop.quantity} ${crop.quantity_unit || ''} available`.trim());
+    }
+
+    const claimData = {
+      crop_id: crop.id,
+      grower_id: crop.user_id,
+      requester_id: req.user.id,
+      quantity: amount,
+      quantity_unit: crop.quantity_unit,
+      message: message || null,
+      status: 'pending',
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+
+    const claim = await repositories.shareClaims.insert(claimData);
+
+    await recordAudit(req, {
+      action: 'claim.created',
+      entityType: 'claim',
+      entityId: claim.id,
+      gardenId: crop.garden_id,
+      after: claim
+    });
+
+    publish('claim.created', { userIds: await claimHandlerIds(crop.garden_id), data: { claim } });
+
+    res.status(201).json({
+      success: true,
+      message: 'Claim submitted successfully',
+      claim
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,360 @@
+const express = require('express');
+const router = express.Router();
+const repositories = require('../repositories');
+const { authenticateToken } = require('../middleware/auth');
+const { limitWrites } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/tasks');
+const { ForbiddenError, NotFoundError } = require('../utils/errors');
+const {
+  hasRole,
+  getGardenAccess,
+  getCropAccess,
+  getGardenRole,
+  getMemberGardenIds
+} = require('../services/permissions');
+const { today, addDays, toIntervalDays, nextDueAfter } = require('../utils/schedule');
+const { recordAudit } = require('../services/audit');
+
+const TASK_FIELDS = { include: { crops: ['name', 'deleted_at'], gardens: ['name'] } };
+
+// Tasks for a crop in the trash are hidden with it
+const isVisible = (task) => !(task.crops && task.crops.deleted_at);
+
+// A task as the audit log records it, without the crop and garden joined in
+const auditRow = ({ crops, gardens, ...task }) => task;
+
+const forbidden = (minRole) => new ForbiddenError(`You need ${minRole} access to this garden`);
+
+// Returns { task, role } when the user is a member of the task's garden, otherwise null
+const getTaskAccess = async (taskId, userId) => {
+  const task = await repositories.careTasks.findById(taskId, TASK_FIELDS);
+
+  if (!task || !isVisible(task)) return null;
+
+  const role = await getGardenRole(task.garden_id, userId);
+
+  return role ? { task, role } : null;
+};
+
+const withDueState = (task, onDate = today()) => ({
+  ...task,
+  overdue: Boolean(task.active && task.next_due_on && task.next_due_on < onDate)
+});
+
+// Get care tasks in the current user's gardens
+router.get('/', authenticateToken, validate(schemas.list), async (req, res, next) => {
+  try {
+    const gardenIds = await getMemberGardenIds(req.user.id);
+
+    const filter = { garden_id: gardenIds };
+
+    if (req.query.garden_id) {
+      filter.garden_id = gardenIds.filter((id) => id === req.query.garden_id);
+    }
+
+    if (req.query.crop_id) {
+      filter.crop_id = req.query.crop_id;
+    }
+
+    if (req.query.active !== undefined) {
+      filter.active = req.query.active === 'true';
+    }
+
+    const tasks = (await repositories.careTasks.find(filter, { ...TASK_FIELDS, order: ['next_due_on'] }))
+      .filter(isVisible);
+
+    res.status(200).json({
+      success: true,
+      count: tasks.length,
+      tasks: tasks.map((task) => withDueState(task))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Agenda: overdue tasks and tasks due in the next N days (default 7)
+router.get('/due', authenticateToken, validate(schemas.due), async (req, res, next) => {
+  try {
+    const { days } = req.query;
+    const gardenIds = await getMemberGardenIds(req.user.id);
+    const from = today();
+    const until = addDays(from, days);
+
+    const tasks = await repositories.careTasks.find(
+      { garden_id: gardenIds, active: true, next_due_on: { lte: until } },
+      { ...TASK_FIELDS, order: ['next_due_on'] }
+    );
+
+    const agenda = tasks.filter(isVisible).map((task) => withDueState(task, from));
+
+    res.status(200).json({
+      success: true,
+      from,
+      until,
+      count: agenda.length,
+      overdue_count: agenda.filter((task) => task.overdue).length,
+      tasks: agenda
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get single task
+router.get('/:id', authenticateToken, validate(schemas.byId), async (req, res, next) => {
+  try {
+    const access = await getTaskAccess(req.params.id, req.user.id);
+
+    if (!access) {
+      throw new NotFoundError('Task not found');
+    }
+
+    res.status(200).json({
+      success: true,
+      task: withDueState(access.task)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a recurring care task for a garden or one of its crops
+router.post('/', authenticateToken, limitWrites, validate(schemas.create), async (req, res, next) => {
+  try {
+    const { garden_id, crop_id, title, task_type, starts_on, notes } = req.body;
+    const type = task_type || 'other';
+    const intervalDays = toIntervalDays(req.body);
+
+    let access;
+    let gardenId = garden_id;
+
+    if (crop_id) {
+      access = await getCropAccess(crop_id, req.user.id, 'id, name');
+      gardenId = access ? access.crop.garden_id : null;
+    } else {
+      access = await getGardenAccess(garden_id, req.user.id);
+    }
+
+    if (!access || (garden_id && gardenId !== garden_id)) {
+      throw new NotFoundError('Garden or crop not found or access denied');
+    }
+
+    if (!hasRole(access.role, 'editor')) {
+      throw forbidden('editor');
+    }
+
+    const taskData = {
+      garden_id: gardenId,
+      crop_id: crop_id || null,
+      title: title || `${type.replace('_', ' ')} ${access.crop ? access.crop.name : access.garden.name}`,
+      task_type: type,
+      interval_days: intervalDays,
+      next_due_on: starts_on || today(),
+      notes: notes || null,
+      active: true,
+      created_by: req.user.id,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+
+    const task = await repositories.careTasks.insert(taskData, TASK_FIELDS);
+
+    await recordAudit(req, {
+      action: 'task.created',
+      entityType: 'task',
+      entityId: task.id,
+      gardenId: task.garden_id,
+      after: auditRow(task)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Task created successfully',
+      task: withDueState(task)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update task
+router.put('/:id', authenticateToken, limitWrites, validate(schemas.update), async (req, res, next) => {
+  try {
+    const access = await getTaskAccess(req.params.id, req.user.id);
+
+    if (!access) {
+      throw new NotFoundError('Task not found or access denied');
+    }
+
+    if (!hasRole(access.role, 'editor')) {
+      throw forbidden('editor');
+    }
+
+    const existingTask = access.task;
+    const { title, task_type, next_due_on, notes, active } = req.body;
+    const changesInterval = req.body.interval_days !== undefined || req.body.every !== undefined;
+    const intervalDays = changesInterval ? toIntervalDays(req.body) : existingTask.interval_days;
+
+    const updateData = {
+      title: title || existingTask.title,
+      task_type: task_type || existingTask.task_type,
+      interval_days: intervalDays,
+      next_due_on: next_due_on || existingTask.next_due_on,
+      notes: notes !== undefined ? notes : existingTask.notes,
+      active: active !== undefined ? active : existingTask.active,
+      updated_at: new Date().toISOString()
+    };
+
+    // A new interval counts from the last time the task was done
+    if (changesInterval && next_due_on === undefined && existingTask.last_completed_at) {
+      updateData.next_due_on = nextDueAfter(existingTask.last_completed_at.slice(0, 10), intervalDays);
+    }
+
+    const [task] = await repositories.careTasks.update({ id: existingTask.id }, updateData, TASK_FIELDS);
+
+    // Deleted in the meantime
+    if (!task) {
+      throw new NotFoundError('Task not found or access denied');
+    }
+
+    await recordAudit(req, {
+      action: 'task.updated',
+      entityType: 'task',
+      entityId: task.id,
+      gardenId: task.garden_id,
+      before: auditRow(existingTask),
+      after: auditRow(task)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Task updated successfully',
+      task: withDueState(task)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete task
+router.delete('/:id', authenticateToken, limitWrites, validate(schemas.byId), async (req, res, next) => {
+  try {
+    const access = await getTaskAccess(req.params.id, req.user.id);
+
+    if (!access) {
+      throw new NotFoundError('Task not found or access denied');
+    }
+
+    if (!hasRole(access.role, 'editor')) {
+      throw forbidden('editor');
+    }
+
+    await repositories.careTasks.remove({ id: access.task.id }, { columns: ['id'] });
+
+    await recordAudit(req, {
+      action: 'task.deleted',
+      entityType: 'task',
+      entityId: access.task.id,
+      gardenId: access.task.garden_id,
+      before: auditRow(access.task)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Task deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mark a task as done and schedule the next occurrence
+router.post('/:id/complete', authenticateToken, limitWrites, validate(schemas.complete), async (req, res, next) => {
+  try {
+    const access = await getTaskAccess(req.params.id, req.user.id);
+
+    if (!access) {
+      throw new NotFoundError('Task not found or access denied');
+    }
+
+    if (!hasRole(access.role, 'editor')) {
+      throw forbidden('editor');
+    }
+
+    const completedAt = req.body.completed_at || new Date();
+
+    const completion = await repositories.careTaskCompletions.insert({
+      task_id: access.task.id,
+      completed_by: req.user.id,
+      completed_at: completedAt.toISOString(),
+      notes: req.body.notes || null
+    });
+
+    const [task] = await repositories.careTasks.update(
+      { id: access.task.id },
+      {
+        last_completed_at: completedAt.toISOString(),
+        next_due_on: nextDueAfter(completedAt.toISOString().slice(0, 10), access.task.interval_days),
+        last_reminded_on: null,
+        updated_at: new Date().toISOString()
+      },
+      TASK_FIELDS
+    );
+
+    // Deleted in the meantime, taking the completion with it
+    if (!task) {
+      throw new NotFoundError('Task not found or access denied');
+    }
+
+    await recordAudit(req, {
+      action: 'task.completed',
+      entityType: 'task',
+      entityId: task.id,
+      gardenId: task.garden_id,
+      before: auditRow(access.task),
+      after: auditRow(task),
+      metadata: { completion_id: completion.id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Task completed',
+      completion,
+      task: withDueState(task)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get who completed a task and when
+router.get('/:id/completions', authenticateToken, validate(schemas.byId), async (req, res, next) => {
+  try {
+    const access = await getTaskAccess(req.params.id, req.user.id);
+
+    if (!access) {
+      throw new NotFoundError('Task not found or access denied');
+    }
+
+    const completions = await repositories.careTaskCompletions.find(
+      { task_id: access.task.id },
+      {
+        columns: ['id', 'completed_by', 'completed_at', 'notes'],
+        include: { users: ['name'] },
+        order: ['-completed_at']
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      count: completions.length,
+      completions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
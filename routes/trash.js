@@ -0,0 +1,155 @@
+const express = require('express');
+const router = express.Router();
+const repositories = require('../repositories');
+const { authenticateToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { limitWrites } = require('../middleware/rateLimit');
+const schemas = require('../validators/trash');
+const { ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+const { hasRole, getMemberGardenIds } = require('../services/permissions');
+const { recordAudit } = require('../services/audit');
+const {
+  RETENTION_DAYS,
+  purgeAt,
+  restoreCrop,
+  restoreGarden,
+  publishRestored
+} = require('../services/trash');
+
+const inTrash = { deleted_at: { neq: null } };
+
+const withPurgeAt = (row) => ({ ...row, purge_at: purgeAt(row.deleted_at) });
+
+// Trashed gardens the user owns, each with the number of crops that went
+// with it
+const findTrashedGardens = async (userId) => {
+  const memberships = await repositories.gardenMembers.find(
+    { user_id: userId, role: 'owner' },
+    { columns: ['garden_id'], include: { gardens: '*' } }
+  );
+  const gardens = memberships
+    .map((membership) => membership.gardens)
+    .filter((garden) => garden && garden.deleted_at)
+    .sort((a, b) => b.deleted_at.localeCompare(a.deleted_at));
+
+  return Promise.all(gardens.map(async (garden) => ({
+    ...withPurgeAt(garden),
+    crop_count: await repositories.crops.count({ garden_id: garden.id, deleted_at: garden.deleted_at })
+  })));
+};
+
+// Crops trashed on their own in gardens the user can edit
+const findTrashedCrops = async (userId) => {
+  const gardenIds = await getMemberGardenIds(userId, 'editor');
+
+  const crops = await repositories.crops.find(
+    { garden_id: gardenIds, ...inTrash },
+    { include: { gardens: ['name'] }, order: ['-deleted_at'] }
+  );
+
+  return crops.map(withPurgeAt);
+};
+
+// Get what the user can restore: gardens they own and crops in gardens they
+// can edit, newest first, with the time each will be purged. ?type=garden or
+// ?type=crop lists only those.
+router.get('/', authenticateToken, validate(schemas.list), async (req, res, next) => {
+  try {
+    const { type } = req.query;
+
+    const [gardens, crops] = await Promise.all([
+      type === 'crop' ? [] : findTrashedGardens(req.user.id),
+      type === 'garden' ? [] : findTrashedCrops(req.user.id)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      retention_days: RETENTION_DAYS,
+      count: gardens.length + crops.length,
+      gardens,
+      crops
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The trashed garden and the role needed to restore it, for a user
+const findGardenToRestore = async (gardenId, userId) => {
+  const membership = await repositories.gardenMembers.findMembership(gardenId, userId, {
+    columns: ['role'],
+    include: { gardens: '*' }
+  });
+
+  if (!membership || !membership.gardens || !membership.gardens.deleted_at) {
+    throw new NotFoundError('Garden not found in the trash');
+  }
+
+  if (!hasRole(membership.role, 'owner')) {
+    throw new ForbiddenError('You need owner access to this garden');
+  }
+
+  return membership.gardens;
+};
+
+const findCropToRestore = async (cropId, userId) => {
+  const crop = await repositories.crops.findOne({ id: cropId, ...inTrash });
+  const membership = crop && await repositories.gardenMembers.findMembership(crop.garden_id, userId, {
+    columns: ['role'],
+    include: { gardens: ['deleted_at'] }
+  });
+
+  if (!membership || !membership.gardens) {
+    throw new NotFoundError('Crop not found in the trash');
+  }
+
+  if (membership.gardens.deleted_at) {
+    throw new ConflictError('This crop\'s garden is in the trash; restore the garden instead', {
+      code: 'garden_in_trash'
+    });
+  }
+
+  if (!hasRole(membership.role, 'editor')) {
+    throw new ForbiddenError('You need editor access to this garden');
+  }
+
+  return crop;
+};
+
+// Take a garden (owners) or crop (editors) out of the trash. A garden comes
+// back with the crops deleted along with it.
+router.post('/:type/:id/restore', authenticateToken, limitWrites, validate(schemas.restore), async (req, res, next) => {
+  try {
+    const { type, id } = req.params;
+
+    const restored = type === 'garden'
+      ? await restoreGarden(await findGardenToRestore(id, req.user.id))
+      : await restoreCrop(await findCropToRestore(id, req.user.id));
+
+    // A concurrent restore or purge got there first
+    if (!restored) {
+      throw new ConflictError(`This ${type} is no longer in the trash`, { code: 'already_restored' });
+    }
+
+    await recordAudit(req, {
+      action: `${type}.restored`,
+      entityType: type,
+      entityId: restored.id,
+      gardenId: type === 'garden' ? restored.id : restored.garden_id,
+      after: restored,
+      metadata: { from: 'trash' }
+    });
+
+    await publishRestored(type, restored);
+
+    res.status(200).json({
+      success: true,
+      message: `${type === 'garden' ? 'Garden' : 'Crop'} restored successfully`,
+      [type]: restored
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
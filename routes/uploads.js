@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const repositories = require('../repositories');
+const { authenticateToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/uploads');
+const { NotFoundError } = require('../utils/errors');
+const { getCropAccess, findFeedListing } = require('../services/permissions');
+const { getStorage } = require('../services/storage');
+
+// Browsers and apps may keep a photo this long; signed storage links last
+// longer than that
+const CACHE_SECONDS = 5 * 60;
+
+// Whether the user may see a crop's photos: members of its garden can, and
+// so can anyone while the feed shows the crop
+const canSeePhotos = async (cropId, userId) =>
+  Boolean((await getCropAccess(cropId, userId, 'id')) || (await findFeedListing(cropId, { columns: ['id'] })));
+
+// Get a crop photo or thumbnail. Photo and thumbnail URLs point here rather
+// than at the storage, so private crops' photos need a signed-in user who
+// can see the crop.
+router.get('/crops/:cropId/:file', authenticateToken, validate(schemas.cropFile), async (req, res, next) => {
+  try {
+    const { cropId, file } = req.params;
+    const key = `crops/${cropId}/${file}`;
+
+    const photo = await repositories.cropPhotos.findOne(
+      { crop_id: cropId, $or: [{ storage_key: key }, { thumbnail_key: key }] },
+      { columns: ['id', 'content_type'] }
+    );
+
+    if (!photo || !(await canSeePhotos(cropId, req.user.id))) {
+      throw new NotFoundError('Photo not found');
+    }
+
+    const location = await getStorage().locate(key);
+
+    res.set('Cache-Control', `private, max-age=${CACHE_SECONDS}`);
+
+    if (location.path) {
+      res.type(photo.content_type).sendFile(location.path);
+      return;
+    }
+
+    res.redirect(302, location.url);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
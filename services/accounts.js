@@ -0,0 +1,99 @@
+const repositories = require('../repositories');
+const { deleteGardenPhotoFiles } = require('./photos');
+const { recordAudit } = require('./audit');
+
+// Who takes over a garden the user is leaving: another owner, else the
+// longest-standing editor, who is made an owner. Returns their membership,
+// or null when only viewers are left.
+const findSuccessor = async (gardenId, userId) => {
+  for (const role of ['owner', 'editor']) {
+    const member = await repositories.gardenMembers.findOne(
+      { garden_id: gardenId, role, user_id: { neq: userId } },
+      { columns: ['user_id', 'role'], order: ['created_at'] }
+    );
+
+    if (member) return member;
+  }
+
+  return null;
+};
+
+const promoteToOwner = async (gardenId, member, userId) => {
+  await repositories.gardenMembers.update(
+    { garden_id: gardenId, user_id: member.user_id },
+    { role: 'owner' },
+    { columns: ['user_id'] }
+  );
+
+  await recordAudit(null, {
+    action: 'member.updated',
+    actorId: userId,
+    entityType: 'user',
+    entityId: member.user_id,
+    gardenId,
+    before: { role: member.role },
+    after: { role: 'owner' },
+    metadata: { reason: 'owner_deleted_account' }
+  });
+};
+
+// Every garden the user is tied to, in the trash or not: as a member, as its
+// creator, or through crops they added
+const findUserGardenIds = async (userId) => {
+  const [memberships, gardens, crops] = await Promise.all([
+    repositories.gardenMembers.find({ user_id: userId }, { columns: ['garden_id'] }),
+    repositories.gardens.find({ user_id: userId }, { columns: ['id'], withTrashed: true }),
+    repositories.crops.find({ user_id: userId }, { columns: ['garden_id'], withTrashed: true })
+  ]);
+
+  return [...new Set([
+    ...memberships.map((row) => row.garden_id),
+    ...gardens.map((row) => row.id),
+    ...crops.map((row) => row.garden_id)
+  ])];
+};
+
+// Permanently remove a user. Shared gardens are handed to another owner, or
+// to an editor made owner, along with the crops the user added; gardens with
+// nobody else who can edit them are deleted with their crops. Claims they
+// made on other people's crops are kept for the grower's records but no
+// longer point at them. Sessions, auth tokens and memberships go with the
+// user row (on delete cascade).
+const deleteAccount = async (userId) => {
+  await repositories.shareClaims.update(
+    { requester_id: userId },
+    { requester_id: null, message: null, updated_at: new Date().toISOString() }
+  );
+
+  const gardenIds = await findUserGardenIds(userId);
+
+  for (const gardenId of gardenIds) {
+    const successor = await findSuccessor(gardenId, userId);
+
+    if (!successor) {
+      await deleteGardenPhotoFiles(gardenId);
+
+      await repositories.crops.remove({ garden_id: gardenId });
+      await repositories.gardens.remove({ id: gardenId });
+      continue;
+    }
+
+    if (successor.role !== 'owner') {
+      await promoteToOwner(gardenId, successor, userId);
+    }
+
+    await repositories.gardens.update(
+      { id: gardenId, user_id: userId },
+      { user_id: successor.user_id, updated_at: new Date().toISOString() }
+    );
+
+    await repositories.crops.update(
+      { garden_id: gardenId, user_id: userId },
+      { user_id: successor.user_id, updated_at: new Date().toISOString() }
+    );
+  }
+
+  await repositories.users.remove({ id: userId });
+};
+
+module.exports = { deleteAccount };
@@ -0,0 +1,114 @@
+const repositories = require('../repositories');
+const { logger } = require('./logger');
+
+// Append-only audit trail. An entry records who did what to which entity:
+//   actor_id      the signed-in user, or null (failed logins)
+//   action        e.g. 'crop.updated', 'auth.login_failed', or
+//                 'POST /api/gardens/:id/beds' for routes without their own
+//   entity_type   'garden', 'crop', 'user'...; entity_id its id
+//   garden_id     the garden the entity belongs to, if any
+//   changes       { field: { from, to } } of the fields that changed
+//   snapshot      what is needed to restore a deleted crop or garden, see
+//                 services/restore
+//   metadata      anything else worth keeping
+//   request_id    the X-Request-Id of the request, and its ip
+
+// Never stored, whichever table they come from
+const SENSITIVE_FIELDS = ['password', 'password_hash', 'token', 'token_hash', 'refresh_token', 'refresh_token_hash'];
+// Personal data, by entity type. The log can't be edited once written, so
+// none of it goes in: deleting an account must leave nothing of the person
+// behind. Entries about a user identify them by entity_id alone, a claim's
+// message to the grower is left out, and so is where a garden is (often the
+// grower's home) and its description. Snapshots leave them out too, so a
+// garden restored from one comes back without them.
+const PERSONAL_FIELDS = {
+  user: ['email', 'name', 'phone'],
+  claim: ['message'],
+  garden: ['location', 'latitude', 'longitude', 'description']
+};
+// Snapshot tables whose rows are of those entity types
+const SNAPSHOT_ENTITY_TYPES = { gardens: 'garden' };
+// Change on every write, so not worth a diff entry
+const IGNORED_FIELDS = ['updated_at'];
+
+const redact = (row) => {
+  if (!row) return row;
+  return Object.fromEntries(Object.entries(row).filter(([field]) => !SENSITIVE_FIELDS.includes(field)));
+};
+
+const omit = (row, fields) => {
+  if (!row || !fields.length) return row;
+  return Object.fromEntries(Object.entries(row).filter(([field]) => !fields.includes(field)));
+};
+
+const omitFromSnapshot = (snapshot) => {
+  if (!snapshot || !snapshot.tables) return snapshot;
+
+  const tables = Object.fromEntries(Object.entries(snapshot.tables).map(([table, rows]) => {
+    const personal = PERSONAL_FIELDS[SNAPSHOT_ENTITY_TYPES[table]] || [];
+    return [table, rows.map((row) => omit(row, personal))];
+  }));
+
+  return { ...snapshot, tables };
+};
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Fields that differ between two versions of a row. A created row has only
+// `to` values and a deleted one only `from` values. Returns null when nothing
+// changed.
+const diff = (before, after) => {
+  const from = redact(before) || {};
+  const to = redact(after) || {};
+  const changes = {};
+
+  new Set([...Object.keys(from), ...Object.keys(to)]).forEach((field) => {
+    if (IGNORED_FIELDS.includes(field) || same(from[field], to[field])) return;
+
+    changes[field] = {};
+    if (before) changes[field].from = from[field] === undefined ? null : from[field];
+    if (after) changes[field].to = to[field] === undefined ? null : to[field];
+  });
+
+  return Object.keys(changes).length ? changes : null;
+};
+
+// Add an entry for a request, or with a null req for something the app did
+// on its own (such as purging the trash). Marks the request as audited so
+// middleware/audit doesn't add a generic one. A failed write is logged and
+// doesn't fail the request, which has already happened.
+const recordAudit = async (req, {
+  action,
+  entityType = null,
+  entityId = null,
+  gardenId = null,
+  actorId,
+  before = null,
+  after = null,
+  snapshot = null,
+  metadata = null
+}) => {
+  if (req) req.audited = true;
+
+  const personal = PERSONAL_FIELDS[entityType] || [];
+
+  try {
+    await repositories.auditLog.insert({
+      actor_id: actorId !== undefined ? actorId : (req && req.user && req.user.id) || null,
+      action,
+      entity_type: entityType,
+      entity_id: entityId,
+      garden_id: gardenId,
+      changes: diff(omit(before, personal), omit(after, personal)),
+      snapshot: omitFromSnapshot(snapshot),
+      metadata,
+      request_id: (req && req.id) || null,
+      ip: (req && req.ip) || null,
+      created_at: new Date().toISOString()
+    }, { columns: ['id'] });
+  } catch (error) {
+    ((req && req.log) || logger).error('Audit log write failed', { action, error });
+  }
+};
+
+module.exports = { SENSITIVE_FIELDS, PERSONAL_FIELDS, redact, diff, recordAudit };
@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const repositories = require('../repositories');
+
+// Single-use tokens emailed to users (password reset, email verification).
+// Only a hash is stored, so a leaked table can't be used to take over accounts.
+const PURPOSES = {
+  passwordReset: { name: 'password_reset', ttlMinutes: 60 },
+  emailVerification: { name: 'email_verification', ttlMinutes: 24 * 60 }
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a fresh token, invalidating any earlier unused ones for the same purpose
+const issueAuthToken = async (userId, purpose) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+
+  await repositories.authTokens.remove({ user_id: userId, purpose: purpose.name, used_at: null });
+
+  await repositories.authTokens.insert({
+    user_id: userId,
+    purpose: purpose.name,
+    token_hash: hashToken(token),
+    expires_at: new Date(now.getTime() + purpose.ttlMinutes * 60 * 1000).toISOString(),
+    created_at: now.toISOString()
+  });
+
+  return token;
+};
+
+// Mark a token as used and return its row, or null when it is unknown,
+// expired or already used
+const consumeAuthToken = async (token, purpose) => {
+  if (typeof token !== 'string' || !token) return null;
+
+  const now = new Date().toISOString();
+
+  const [authToken] = await repositories.authTokens.update(
+    { token_hash: hashToken(token), purpose: purpose.name, used_at: null, expires_at: { gt: now } },
+    { used_at: now },
+    { columns: ['id', 'user_id'] }
+  );
+
+  return authToken || null;
+};
+
+module.exports = { PURPOSES, issueAuthToken, consumeAuthToken };
@@ -0,0 +1,164 @@
+const species = require('../data/catalog.json');
+const { addDays } = require('../utils/schedule');
+const { seasonOf } = require('../utils/layout');
+
+// Reference catalogue of crop species and their varieties, read from
+// data/catalog.json. Each species has its botanical family, growing metadata
+// (days_to_maturity, spacing_cm, row_spacing_cm, sun, water) and lists
+// companion and antagonist species by id. A variety has its own id and
+// days_to_maturity and inherits everything else from its species.
+
+const SUN_LEVELS = ['full', 'partial', 'shade'];
+const WATER_LEVELS = ['low', 'medium', 'high'];
+
+const normalize = (text) => String(text).trim().toLowerCase();
+
+// A catalogue entry as crops see it: the species with a variety's name and
+// days to maturity when it is one
+const toEntry = (item, variety) => {
+  const { varieties, ...fields } = item;
+
+  if (!variety) {
+    return { ...fields, species_id: item.id, variety: null };
+  }
+
+  return {
+    ...fields,
+    id: variety.id,
+    species_id: item.id,
+    variety: variety.name,
+    days_to_maturity: variety.days_to_maturity || item.days_to_maturity
+  };
+};
+
+const entries = new Map();
+const byName = new Map();
+
+species.forEach((item) => {
+  entries.set(item.id, toEntry(item));
+  [item.name, ...item.aliases].forEach((name) => byName.set(normalize(name), item.id));
+  item.varieties.forEach((variety) => entries.set(variety.id, toEntry(item, variety)));
+});
+
+const isCatalogId = (id) => entries.has(id);
+
+// Species or variety by id, or null
+const getEntry = (id) => entries.get(id) || null;
+
+const getSpecies = (id) => species.find((item) => item.id === id) || null;
+
+// Species matching all the given filters, each with its varieties. q matches
+// the name, scientific name, aliases and variety names.
+const searchCatalog = ({ q, category, family, sun, water, limit } = {}) => {
+  const term = q ? normalize(q) : '';
+
+  const matches = species.filter((item) => {
+    if (category && item.category !== category) return false;
+    if (family && normalize(item.family) !== normalize(family)) return false;
+    if (sun && item.sun !== sun) return false;
+    if (water && item.water !== water) return false;
+    if (!term) return true;
+
+    return [item.name, item.scientific_name, ...item.aliases, ...item.varieties.map((variety) => variety.name)]
+      .some((name) => normalize(name).includes(term));
+  });
+
+  return limit ? matches.slice(0, limit) : matches;
+};
+
+// The entry a crop is linked to by catalog_id or, failing that, the species
+// its name matches (e.g. "Tomato", "corn")
+const findEntryFor = ({ catalog_id, name }) => {
+  if (catalog_id) return getEntry(catalog_id);
+  if (!name) return null;
+
+  const speciesId = byName.get(normalize(name));
+  return speciesId ? getEntry(speciesId) : null;
+};
+
+// Expected harvest date for an entry planted on `plantingDate`, or null
+const estimateHarvest = (entry, plantingDate) =>
+  entry && plantingDate ? addDays(plantingDate, entry.days_to_maturity) : null;
+
+// Fill in what a new crop linked to the catalogue leaves out: name, variety
+// and category, and expected_harvest from planting_date when it is omitted.
+// An explicit null expected_harvest is kept.
+const fillFromCatalog = (fields) => {
+  const entry = fields.catalog_id ? getEntry(fields.catalog_id) : null;
+
+  if (!entry) return fields;
+
+  return {
+    ...fields,
+    name: fields.name || entry.name,
+    variety: fields.variety || entry.variety,
+    category: fields.category || entry.category,
+    expected_harvest: fields.expected_harvest !== undefined
+      ? fields.expected_harvest
+      : estimateHarvest(entry, fields.planting_date)
+  };
+};
+
+// Whether two species should not be grown together. Either one listing the
+// other as an antagonist is enough.
+const areAntagonists = (a, b) =>
+  a.species_id !== b.species_id && (a.antagonists.includes(b.species_id) || b.antagonists.includes(a.species_id));
+
+// Warnings for a crop about the antagonistic crops among `others` (rows with
+// id, name and catalog_id). Crops that aren't in the catalogue are skipped.
+const antagonistWarnings = (crop, others) => {
+  const entry = findEntryFor(crop);
+  if (!entry) return [];
+
+  return others
+    .filter((other) => other.id !== crop.id)
+    .map((other) => ({ other, otherEntry: findEntryFor(other) }))
+    .filter(({ otherEntry }) => otherEntry && areAntagonists(entry, otherEntry))
+    .map(({ other }) => ({
+      code: 'antagonist',
+      message: `${crop.name} does not grow well next to ${other.name}`,
+      crop_id: other.id,
+      crop_name: other.name
+    }));
+};
+
+// Warnings for a crop placed in a bed where crops of the same family grew
+// fewer than `seasons` seasons before it. `others` are the bed's other crops
+// (id, name, catalog_id, planting_date, created_at).
+const rotationWarnings = (crop, others, seasons) => {
+  const entry = findEntryFor(crop);
+  if (!entry) return [];
+
+  const season = seasonOf(crop);
+
+  return others
+    .filter((other) => other.id !== crop.id)
+    .filter((other) => {
+      const otherEntry = findEntryFor(other);
+      const gap = season - seasonOf(other);
+      return otherEntry && otherEntry.family === entry.family && gap > 0 && gap < seasons;
+    })
+    .map((other) => ({
+      code: 'rotation',
+      message: `${other.name} (${entry.family}) grew in this bed in ${seasonOf(other)}; ` +
+        `wait ${seasons} seasons before growing ${entry.family} there again`,
+      crop_id: other.id,
+      crop_name: other.name,
+      season: seasonOf(other)
+    }));
+};
+
+module.exports = {
+  SUN_LEVELS,
+  WATER_LEVELS,
+  isCatalogId,
+  getEntry,
+  getSpecies,
+  searchCatalog,
+  findEntryFor,
+  estimateHarvest,
+  fillFromCatalog,
+  areAntagonists,
+  antagonistWarnings,
+  rotationWarnings
+};
@@ -0,0 +1,189 @@
+const repositories = require('../repositories');
+const events = require('./events');
+const { FINISHED_STAGES } = require('../utils/cropLifecycle');
+const { today, addDays } = require('../utils/schedule');
+const { sumAmounts } = require('../utils/units');
+
+// Home screen aggregates for GET /api/dashboard, cached per user and query.
+// Events about a garden or user (see services/events) drop the cached
+// dashboards they affect; DASHBOARD_CACHE_SECONDS bounds how stale one can be
+// when a change publishes nothing.
+const CACHE_TTL_MS = Number(process.env.DASHBOARD_CACHE_SECONDS || 60) * 1000;
+const CACHE_MAX_ENTRIES = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CROP_COLUMNS = ['id', 'garden_id', 'name', 'status', 'category', 'planting_date', 'expected_harvest'];
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+
+const countBy = (rows, key) => {
+  const counts = {};
+  rows.forEach((row) => {
+    counts[row[key]] = (counts[row[key]] || 0) + 1;
+  });
+  return counts;
+};
+
+// What was harvested and not given away, per dimension
+const keptAmounts = (harvested, shared) =>
+  harvested.map((total) => {
+    const given = shared.find((amount) => amount.dimension === total.dimension);
+    return { ...total, amount: round(Math.max(0, total.amount - (given ? given.amount : 0))) };
+  });
+
+const inSeason = (value, season) => Boolean(value) && String(value).startsWith(`${season}-`);
+
+// Aggregates over the gardens the user belongs to:
+//   gardens              crop counts by status and category per garden
+//   upcoming_harvests    growing crops expected within `days` days
+//   overdue_harvests     growing crops whose expected_harvest has passed
+//   sharing              harvested, shared (accepted claims) and kept amounts
+//                        in `season`, and claims waiting for an answer
+//   plantings_by_month   crops planted in each month of `season`
+const buildDashboard = async (user, { days, season }) => {
+  const memberships = await repositories.gardenMembers.find(
+    { user_id: user.id },
+    { columns: ['role'], include: { gardens: ['id', 'name', 'deleted_at'] } }
+  );
+  const gardens = memberships
+    .filter((membership) => membership.gardens && !membership.gardens.deleted_at)
+    .map(({ gardens: { id, name }, role }) => ({ id, name, role }));
+  const gardenIds = gardens.map((garden) => garden.id);
+
+  const [crops, gardenHarvests] = await Promise.all([
+    repositories.crops.find({ garden_id: gardenIds }, { columns: CROP_COLUMNS }),
+    repositories.harvests.find(
+      { garden_id: gardenIds, harvested_on: { gte: `${season}-01-01`, lte: `${season}-12-31` } },
+      { columns: ['crop_id', 'amount', 'unit'] }
+    )
+  ]);
+
+  // Harvests of crops in the trash don't count
+  const cropIds = new Set(crops.map((crop) => crop.id));
+  const harvests = gardenHarvests.filter((harvest) => cropIds.has(harvest.crop_id));
+
+  const claims = await repositories.shareClaims.find(
+    { crop_id: crops.map((crop) => crop.id), status: ['pending', 'accepted'] },
+    { columns: ['status', 'quantity', 'quantity_unit', 'responded_at'] }
+  );
+
+  const gardenNames = new Map(gardens.map((garden) => [garden.id, garden.name]));
+  const growing = crops.filter((crop) => !FINISHED_STAGES.includes(crop.status));
+  const now = today();
+  const horizon = addDays(now, days);
+
+  const harvestEntry = (crop) => ({
+    id: crop.id,
+    name: crop.name,
+    status: crop.status,
+    garden_id: crop.garden_id,
+    garden_name: gardenNames.get(crop.garden_id) || null,
+    expected_harvest: crop.expected_harvest
+  });
+
+  const byDate = (a, b) => a.expected_harvest.localeCompare(b.expected_harvest);
+
+  const harvested = sumAmounts(harvests);
+  const shared = sumAmounts(claims
+    .filter((claim) => claim.status === 'accepted' && inSeason(claim.responded_at, season))
+    .map((claim) => ({ amount: claim.quantity, unit: claim.quantity_unit })));
+
+  return {
+    generated_at: new Date().toISOString(),
+    season,
+    days,
+    totals: {
+      gardens: gardens.length,
+      crops: crops.length,
+      growing: growing.length
+    },
+    gardens: gardens.map((garden) => {
+      const gardenCrops = crops.filter((crop) => crop.garden_id === garden.id);
+      return {
+        ...garden,
+        crop_count: gardenCrops.length,
+        by_status: countBy(gardenCrops, 'status'),
+        by_category: countBy(gardenCrops, 'category')
+      };
+    }),
+    upcoming_harvests: growing
+      .filter((crop) => crop.expected_harvest && crop.expected_harvest >= now && crop.expected_harvest <= horizon)
+      .sort(byDate)
+      .map((crop) => ({ ...harvestEntry(crop), days_until: daysBetween(now, crop.expected_harvest) })),
+    overdue_harvests: growing
+      .filter((crop) => crop.expected_harvest && crop.expected_harvest < now)
+      .sort(byDate)
+      .map((crop) => ({ ...harvestEntry(crop), days_overdue: daysBetween(crop.expected_harvest, now) })),
+    sharing: {
+      harvested,
+      shared,
+      kept: keptAmounts(harvested, shared),
+      pending_claims: claims.filter((claim) => claim.status === 'pending').length
+    },
+    plantings_by_month: Array.from({ length: 12 }, (_, index) => {
+      const month = `${season}-${String(index + 1).padStart(2, '0')}`;
+      return { month, count: crops.filter((crop) => inSeason(crop.planting_date, month)).length };
+    })
+  };
+};
+
+// key -> { dashboard, userId, gardenIds, expiresAt }, oldest first
+const cache = new Map();
+
+// The latest events, numbered, to tell whether one touched a dashboard while
+// it was being built
+const RECENT_EVENTS = 500;
+const recentEvents = [];
+let sequence = 0;
+
+const affects = (event, entry) =>
+  event.user_ids.includes(entry.userId) || Boolean(event.garden_id && entry.gardenIds.includes(event.garden_id));
+
+events.subscribe((event) => {
+  sequence += 1;
+  recentEvents.push({ sequence, event });
+  if (recentEvents.length > RECENT_EVENTS) recentEvents.shift();
+
+  cache.forEach((entry, key) => {
+    if (affects(event, entry)) cache.delete(key);
+  });
+});
+
+// The user's dashboard, from the cache when it's fresh. Returns
+// { dashboard, cached }.
+const getDashboard = async (user, { days, season }) => {
+  const key = `${user.id}:${days}:${season}`;
+  const cached = cache.get(key);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return { dashboard: cached.dashboard, cached: true };
+  }
+
+  const startedAt = sequence;
+  const dashboard = await buildDashboard(user, { days, season });
+
+  const entry = {
+    dashboard,
+    userId: user.id,
+    gardenIds: dashboard.gardens.map((garden) => garden.id),
+    expiresAt: Date.now() + CACHE_TTL_MS
+  };
+  const stale = sequence - startedAt > RECENT_EVENTS ||
+    recentEvents.some((recent) => recent.sequence > startedAt && affects(recent.event, entry));
+
+  if (!stale) {
+    cache.delete(key);
+    cache.set(key, entry);
+
+    if (cache.size > CACHE_MAX_ENTRIES) {
+      cache.delete(cache.keys().next().value);
+    }
+  }
+
+  return { dashboard, cached: false };
+};
+
+module.exports = { buildDashboard, getDashboard };
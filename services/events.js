@@ -0,0 +1,38 @@
+const { EventEmitter } = require('events');
+const { logger } = require('./logger');
+
+// In-process bus for changes clients and caches may want to hear about as
+// they happen. An event is { type, garden_id, user_ids, data, at }:
+//   garden_id   the garden it happened in, if any; delivered to clients
+//               subscribed to that garden
+//   user_ids    users it concerns directly, whatever they subscribed to
+//
+// Only listeners in this process hear an event. Running several API
+// instances needs a shared broker (e.g. Postgres LISTEN/NOTIFY or Redis) that
+// publishes into each instance's bus.
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+const publish = (type, { gardenId = null, userIds = [], data = {} } = {}) => {
+  const event = { type, garden_id: gardenId, user_ids: userIds, data, at: new Date().toISOString() };
+  bus.emit('event', event);
+  return event;
+};
+
+// Call listener(event) for every event. A listener that throws only loses
+// that event; the request that published it carries on. Returns a function
+// that removes the listener.
+const subscribe = (listener) => {
+  const safeListener = (event) => {
+    try {
+      listener(event);
+    } catch (error) {
+      logger.error('Event listener failed', { event: event.type, error });
+    }
+  };
+
+  bus.on('event', safeListener);
+  return () => bus.off('event', safeListener);
+};
+
+module.exports = { publish, subscribe };
@@ -0,0 +1,102 @@
+const repositories = require('../repositories');
+const { hasRole } = require('./permissions');
+
+const ARCHIVE_FORMAT = 'harvest-hub-export';
+const ARCHIVE_VERSION = 1;
+
+// Columns of the tables that can also be exported as CSV. Crops, harvests
+// and tasks carry their garden's name so a file can be imported into another
+// account, where the ids mean nothing.
+const CSV_COLUMNS = {
+  gardens: [
+    'id', 'name', 'location', 'latitude', 'longitude', 'type', 'size', 'description', 'role', 'created_at', 'updated_at'
+  ],
+  crops: [
+    'id', 'garden_id', 'garden_name', 'catalog_id', 'name', 'category', 'variety', 'status', 'planting_date', 'expected_harvest',
+    'quantity', 'quantity_unit', 'is_shared', 'notes', 'image_url', 'created_at', 'updated_at'
+  ],
+  harvests: ['id', 'crop_id', 'crop_name', 'garden_id', 'garden_name', 'harvested_on', 'amount', 'unit', 'notes', 'created_at'],
+  care_tasks: [
+    'id', 'garden_id', 'garden_name', 'crop_id', 'crop_name', 'title', 'task_type', 'interval_days', 'next_due_on',
+    'last_completed_at', 'notes', 'active', 'created_at', 'updated_at'
+  ]
+};
+
+// Storage keys are internal; the URLs are enough to download the photos
+const PHOTO_COLUMNS = [
+  'id', 'crop_id', 'url', 'thumbnail_url', 'content_type', 'size_bytes', 'width', 'height', 'is_cover', 'created_at'
+];
+
+const nameOf = (rows) => {
+  const names = new Map(rows.map((row) => [row.id, row.name]));
+  return (id) => (id ? names.get(id) || null : null);
+};
+
+// Everything in the gardens the user belongs to: the gardens (with the
+// user's role) and their bed layout, their crops and the crops' history,
+// harvests, photos, care tasks and claims. What is in the trash is left out,
+// and so are the claims on crops in gardens where the user is only a viewer,
+// as they can't see those in the app either.
+const buildArchive = async (user) => {
+  const memberships = await repositories.gardenMembers.find(
+    { user_id: user.id },
+    { columns: ['role'], include: { gardens: '*' } }
+  );
+  const gardens = memberships
+    .filter((membership) => membership.gardens && !membership.gardens.deleted_at)
+    .map((membership) => ({ ...membership.gardens, role: membership.role }));
+  const gardenIds = gardens.map((garden) => garden.id);
+
+  const crops = await repositories.crops.find({ garden_id: gardenIds }, { order: ['created_at'] });
+  const cropIds = crops.map((crop) => crop.id);
+
+  const claimGardenIds = gardens.filter((garden) => hasRole(garden.role, 'editor')).map((garden) => garden.id);
+  const claimCropIds = crops.filter((crop) => claimGardenIds.includes(crop.garden_id)).map((crop) => crop.id);
+
+  const [beds, placements, history, harvests, photos, allTasks, claims] = await Promise.all([
+    repositories.gardenBeds.find({ garden_id: gardenIds }, { order: ['created_at'] }),
+    repositories.cropPlacements.find({ crop_id: cropIds }, { order: ['created_at'] }),
+    repositories.cropStatusHistory.find({ crop_id: cropIds }, { order: ['changed_at'] }),
+    repositories.harvests.find({ crop_id: cropIds }, { order: ['harvested_on'] }),
+    repositories.cropPhotos.find({ crop_id: cropIds }, { columns: PHOTO_COLUMNS, order: ['created_at'] }),
+    repositories.careTasks.find({ garden_id: gardenIds }, { order: ['created_at'] }),
+    repositories.shareClaims.find({ crop_id: claimCropIds }, { order: ['created_at'] })
+  ]);
+
+  const tasks = allTasks.filter((task) => !task.crop_id || cropIds.includes(task.crop_id));
+
+  const completions = await repositories.careTaskCompletions.find(
+    { task_id: tasks.map((task) => task.id) },
+    { order: ['completed_at'] }
+  );
+
+  const gardenName = nameOf(gardens);
+  const cropName = nameOf(crops);
+
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exported_at: new Date().toISOString(),
+    user: { id: user.id, email: user.email, name: user.name },
+    gardens,
+    garden_beds: beds,
+    crops: crops.map((crop) => ({ ...crop, garden_name: gardenName(crop.garden_id) })),
+    crop_placements: placements,
+    crop_status_history: history,
+    harvests: harvests.map((harvest) => ({
+      ...harvest,
+      crop_name: cropName(harvest.crop_id),
+      garden_name: gardenName(harvest.garden_id)
+    })),
+    crop_photos: photos,
+    care_tasks: tasks.map((task) => ({
+      ...task,
+      garden_name: gardenName(task.garden_id),
+      crop_name: cropName(task.crop_id)
+    })),
+    care_task_completions: completions,
+    share_claims: claims
+  };
+};
+
+module.exports = { ARCHIVE_FORMAT, ARCHIVE_VERSION, CSV_COLUMNS, buildArchive };
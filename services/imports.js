@@ -0,0 +1,221 @@
+const repositories = require('../repositories');
+const { OPTIONS } = require('../middleware/validate');
+const { rows: schemas } = require('../validators/imports');
+const { DEFAULT_STAGE, computeProgress } = require('../utils/cropLifecycle');
+const { publish } = require('./events');
+const { fillFromCatalog } = require('./catalog');
+
+const MAX_IMPORT_ROWS = Number(process.env.IMPORT_MAX_ROWS || 5000);
+
+const normalizeName = (name) => name.trim().toLowerCase();
+
+// One entry per invalid field: { table, row, field, message }. Rows are
+// numbered from 1, not counting a CSV header.
+const rowErrors = (table, row, error) =>
+  error.details.map((detail) => ({ table, row, field: detail.path.join('.') || 'row', message: detail.message }));
+
+// Same defaults as POST /api/gardens and POST /api/crops
+const gardenData = (user, fields) => ({
+  user_id: user.id,
+  name: fields.name,
+  location: fields.location || null,
+  latitude: fields.latitude !== undefined ? fields.latitude : null,
+  longitude: fields.longitude !== undefined ? fields.longitude : null,
+  type: fields.type || 'outdoor',
+  size: fields.size || 'medium',
+  description: fields.description || null
+});
+
+const cropData = (user, row) => {
+  const fields = fillFromCatalog(row);
+  const crop = {
+    user_id: user.id,
+    catalog_id: fields.catalog_id || null,
+    name: fields.name,
+    category: fields.category || 'vegetable',
+    variety: fields.variety || null,
+    planting_date: fields.planting_date || null,
+    expected_harvest: fields.expected_harvest || null,
+    status: fields.status || DEFAULT_STAGE,
+    notes: fields.notes || null,
+    image_url: fields.image_url || null,
+    is_shared: fields.is_shared || false,
+    quantity: fields.quantity !== undefined ? fields.quantity : 1,
+    quantity_unit: fields.quantity_unit || null
+  };
+  crop.progress = computeProgress(crop);
+
+  return crop;
+};
+
+// Check every row and work out which garden each crop goes in, without
+// writing anything. Crops name their garden by garden_id (one the user can
+// edit, or the export id of a garden in the same import) or by garden_name,
+// matched without regard to case; the name is used when the id matches
+// nothing, as with an export from another account.
+//
+// Returns { gardens, crops, errors }; gardens and crops are the rows ready
+// for runImport.
+const planImport = async (user, { gardens = [], crops = [] }) => {
+  const errors = [];
+
+  const memberships = await repositories.gardenMembers.find(
+    { user_id: user.id, role: ['owner', 'editor'] },
+    { columns: ['garden_id'], include: { gardens: ['id', 'name', 'deleted_at'] } }
+  );
+  const editable = memberships
+    .filter((membership) => membership.gardens && !membership.gardens.deleted_at)
+    .map((membership) => membership.gardens);
+  const editableIds = new Set(editable.map((garden) => garden.id));
+
+  // A garden is either { gardenId } (existing) or { index } (in plan.gardens)
+  const byName = new Map();
+  const bySourceId = new Map();
+  const addName = (name, garden) => {
+    const key = normalizeName(name);
+    byName.set(key, [...(byName.get(key) || []), garden]);
+  };
+  editable.forEach((garden) => addName(garden.name, { gardenId: garden.id }));
+
+  const plannedGardens = [];
+
+  gardens.forEach((record, index) => {
+    const row = index + 1;
+    const { value, error } = schemas.gardens.validate(record, OPTIONS);
+
+    if (error) {
+      errors.push(...rowErrors('gardens', row, error));
+      return;
+    }
+
+    // Names must be unique for crops to find their garden by name
+    if (byName.has(normalizeName(value.name))) {
+      errors.push({ table: 'gardens', row, field: 'name', message: `A garden named "${value.name}" already exists` });
+      return;
+    }
+
+    const { id: sourceId, ...fields } = value;
+    const garden = { index: plannedGardens.length };
+
+    plannedGardens.push({ row, data: gardenData(user, fields) });
+    addName(fields.name, garden);
+
+    if (sourceId) {
+      bySourceId.set(sourceId, garden);
+    }
+  });
+
+  const plannedCrops = [];
+
+  crops.forEach((record, index) => {
+    const row = index + 1;
+    const { value, error } = schemas.crops.validate(record, OPTIONS);
+
+    if (error) {
+      errors.push(...rowErrors('crops', row, error));
+      return;
+    }
+
+    const { garden_id: gardenId, garden_name: gardenName, ...fields } = value;
+    let garden = null;
+
+    if (gardenId) {
+      garden = editableIds.has(gardenId) ? { gardenId } : bySourceId.get(gardenId) || null;
+    }
+
+    if (!garden && gardenName) {
+      const matches = byName.get(normalizeName(gardenName)) || [];
+
+      if (matches.length > 1) {
+        errors.push({
+          table: 'crops',
+          row,
+          field: 'garden_name',
+          message: `More than one garden is named "${gardenName}", use garden_id instead`
+        });
+        return;
+      }
+
+      [garden] = matches;
+    }
+
+    if (!garden) {
+      errors.push({
+        table: 'crops',
+        row,
+        field: gardenName ? 'garden_name' : 'garden_id',
+        message: gardenName
+          ? `No garden named "${gardenName}" that you can edit`
+          : 'No garden with this id that you can edit'
+      });
+      return;
+    }
+
+    plannedCrops.push({ row, garden, data: cropData(user, fields) });
+  });
+
+  return { gardens: plannedGardens, crops: plannedCrops, errors };
+};
+
+// Write a plan from planImport with no errors. New gardens are owned by the
+// user. When a write fails, what was already written is removed again.
+// Returns { gardens, crops } as inserted.
+const runImport = async (user, plan) => {
+  const now = new Date().toISOString();
+  let gardens = [];
+  let crops = [];
+
+  try {
+    if (plan.gardens.length) {
+      gardens = await repositories.gardens.insert(
+        plan.gardens.map(({ data }) => ({ ...data, created_at: now, updated_at: now })),
+        { columns: ['id', 'name'] }
+      );
+
+      await repositories.gardenMembers.insert(
+        gardens.map((garden) => ({ garden_id: garden.id, user_id: user.id, role: 'owner', created_at: now })),
+        { columns: ['garden_id'] }
+      );
+    }
+
+    if (plan.crops.length) {
+      crops = await repositories.crops.insert(
+        plan.crops.map(({ garden, data }) => ({
+          ...data,
+          garden_id: garden.gardenId || gardens[garden.index].id,
+          created_at: now,
+          updated_at: now
+        })),
+        { columns: ['id', 'garden_id', 'name', 'status'] }
+      );
+
+      await repositories.cropStatusHistory.insert(
+        crops.map((crop) => ({
+          crop_id: crop.id,
+          from_status: null,
+          to_status: crop.status,
+          changed_by: user.id,
+          changed_at: now
+        })),
+        { columns: ['id'] }
+      );
+    }
+  } catch (error) {
+    // New gardens take their crops and memberships with them
+    if (crops.length) {
+      await repositories.crops.remove({ id: crops.map((crop) => crop.id) }, { columns: ['id'] });
+    }
+    if (gardens.length) {
+      await repositories.gardens.remove({ id: gardens.map((garden) => garden.id) }, { columns: ['id'] });
+    }
+    throw error;
+  }
+
+  const counts = new Map();
+  crops.forEach((crop) => counts.set(crop.garden_id, (counts.get(crop.garden_id) || 0) + 1));
+  counts.forEach((count, gardenId) => publish('crops.imported', { gardenId, data: { count } }));
+
+  return { gardens, crops };
+};
+
+module.exports = { MAX_IMPORT_ROWS, planImport, runImport };
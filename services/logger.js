@@ -0,0 +1,91 @@
+require('dotenv').config();
+
+// Structured logging: one JSON object per line on stdout, e.g.
+//   {"time":"...","level":"info","msg":"Request completed","request_id":"...","status":200}
+//
+// LOG_LEVEL is the least severe level written: debug, info (default), warn,
+// error or silent. Entries are redacted before they are written: fields
+// named like credentials or personal data (password, token, authorization,
+// email, phone...) are replaced anywhere in an entry, as are email addresses,
+// bearer tokens and token query parameters inside text. Errors are written as
+// { type, message, code, stack }.
+
+const LEVELS = { debug: 20, info: 30, warn: 40, error: 50, silent: Infinity };
+
+const REDACTED = '[redacted]';
+const SENSITIVE_FIELD = /pass(word)?|token|secret|authorization|cookie|api[-_]?key|e-?mail|phone/i;
+const TEXT_PATTERNS = [
+  [/[\w.+-]+@[\w-]+(\.[\w-]+)+/g, '[email]'],
+  [/(bearer\s+)[\w.~+/-]+=*/gi, `$1${REDACTED}`],
+  [/([?&](?:token|code)=)[^&\s"']+/gi, `$1${REDACTED}`]
+];
+const MAX_DEPTH = 8;
+
+const redactText = (text) => TEXT_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+
+const serializeError = (error) => ({
+  type: error.name,
+  message: redactText(String(error.message)),
+  ...(error.code !== undefined && { code: error.code }),
+  ...(error.stack && { stack: redactText(error.stack) })
+});
+
+// A copy of `value` safe to write
+const redact = (value, depth = 0, seen = new WeakSet()) => {
+  if (typeof value === 'string') return redactText(value);
+  if (value instanceof Error) return serializeError(value);
+  if (!value || typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (depth >= MAX_DEPTH || seen.has(value)) return '[truncated]';
+
+  seen.add(value);
+
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1, seen));
+
+  return Object.fromEntries(Object.entries(value).map(([field, fieldValue]) => [
+    field,
+    SENSITIVE_FIELD.test(field) && fieldValue !== null && fieldValue !== undefined
+      ? REDACTED
+      : redact(fieldValue, depth + 1, seen)
+  ]));
+};
+
+const settings = {
+  level: process.env.LOG_LEVEL || 'info',
+  write: (line) => process.stdout.write(`${line}\n`)
+};
+
+// Change the level or where lines go, e.g. to capture them in tests
+const configureLogger = ({ level, write } = {}) => {
+  if (level) settings.level = level;
+  if (write) settings.write = write;
+};
+
+const isEnabled = (level) => LEVELS[level] >= (LEVELS[settings.level] || LEVELS.info);
+
+// A logger whose entries all carry `bindings`, e.g. the request id
+const createLogger = (bindings = {}) => {
+  const log = (level) => (msg, fields = {}) => {
+    if (!isEnabled(level)) return;
+
+    const entry = redact({ time: new Date().toISOString(), level, msg, ...bindings, ...fields });
+
+    try {
+      settings.write(JSON.stringify(entry));
+    } catch (error) {
+      // A log line is never worth failing a request over
+    }
+  };
+
+  return {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+    child: (more) => createLogger({ ...bindings, ...more })
+  };
+};
+
+const logger = createLogger();
+
+module.exports = { LEVELS, logger, createLogger, configureLogger, redact };
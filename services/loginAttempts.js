@@ -0,0 +1,45 @@
+const { getStore } = require('./rateLimit');
+require('dotenv').config();
+
+// Progressive lockout after failed logins. Failures are counted per email
+// address, whether or not an account exists, so responses don't reveal
+// which emails are registered. From the LOGIN_LOCKOUT_THRESHOLD-th failure
+// on, each failure locks the address for LOGIN_LOCKOUT_SECONDS, doubling
+// every time up to LOGIN_LOCKOUT_MAX_SECONDS. A successful login clears the
+// count; otherwise it is forgotten a day after the first failure.
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const settings = () => ({
+  threshold: Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5,
+  baseSeconds: Number(process.env.LOGIN_LOCKOUT_SECONDS) || 60,
+  maxSeconds: Number(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 60 * 60
+});
+
+const failuresKey = (email) => `login-failures:${email.toLowerCase()}`;
+const lockKey = (email) => `login-lock:${email.toLowerCase()}`;
+
+// Seconds until the address can try again, 0 when it isn't locked
+const getLockout = async (email) => {
+  const lock = await getStore().get(lockKey(email));
+
+  return lock ? Math.max(1, Math.ceil((lock.resetAt - Date.now()) / 1000)) : 0;
+};
+
+// Count a failed login; returns the lockout it caused in seconds, or 0
+const recordFailedLogin = async (email) => {
+  const { threshold, baseSeconds, maxSeconds } = settings();
+  const { count } = await getStore().increment(failuresKey(email), FAILURE_WINDOW_MS);
+
+  if (count < threshold) return 0;
+
+  const seconds = Math.min(baseSeconds * 2 ** (count - threshold), maxSeconds);
+  await getStore().set(lockKey(email), count, seconds * 1000);
+
+  return seconds;
+};
+
+const clearFailedLogins = async (email) => {
+  await Promise.all([getStore().reset(failuresKey(email)), getStore().reset(lockKey(email))]);
+};
+
+module.exports = { getLockout, recordFailedLogin, clearFailedLogins };
@@ -0,0 +1,47 @@
+const createConsoleTransport = require('./transports/console');
+const createFileTransport = require('./transports/file');
+require('dotenv').config();
+
+// A transport is any object with an async send({ to, subject, text, html })
+const transports = {
+  console: createConsoleTransport,
+  file: createFileTransport
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transports[name];
+
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    }
+
+    transport = factory();
+  }
+
+  return transport;
+};
+
+// Replace the active transport, e.g. with an SMTP or API-backed one
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  if (!to || !subject || !text) {
+    throw new Error('Mail requires to, subject and text');
+  }
+
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'Harvest Hub <no-reply@harvesthub.app>',
+    to,
+    subject,
+    text,
+    html: html || null
+  });
+};
+
+module.exports = { sendMail, setTransport, getTransport };
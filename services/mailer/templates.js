@@ -0,0 +1,56 @@
+require('dotenv').config();
+
+const appUrl = () => (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const passwordReset = (user, token) => {
+  const link = `${appUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+
+  return {
+    to: user.email,
+    subject: 'Reset your Harvest Hub password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'We received a request to reset your password. Use the link below to choose a new one:',
+      link,
+      '',
+      'The link expires in one hour and can only be used once.',
+      "If you didn't ask for this, you can ignore this email."
+    ].join('\n')
+  };
+};
+
+const emailVerification = (user, token) => {
+  const link = `${appUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+
+  return {
+    to: user.email,
+    subject: 'Confirm your Harvest Hub email',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Please confirm that this is your email address:',
+      link,
+      '',
+      'The link expires in 24 hours.'
+    ].join('\n')
+  };
+};
+
+const gardenInvitation = ({ email, garden, inviter, code, role }) => {
+  const link = `${appUrl()}/join-garden?code=${encodeURIComponent(code)}`;
+
+  return {
+    to: email,
+    subject: `${inviter.name} invited you to ${garden.name} on Harvest Hub`,
+    text: [
+      'Hi,',
+      '',
+      `${inviter.name} has invited you to join the garden "${garden.name}" as ${/^[aeiou]/.test(role) ? 'an' : 'a'} ${role}.`,
+      `Sign in to Harvest Hub with this email address and use the code ${code}, or follow this link:`,
+      link
+    ].join('\n')
+  };
+};
+
+module.exports = { passwordReset, emailVerification, gardenInvitation };
@@ -0,0 +1,14 @@
+const { logger } = require('../../logger');
+
+// Writes outgoing mail to the log. Default transport for local development.
+// Addresses and links carrying tokens are redacted like anything else logged;
+// use MAIL_TRANSPORT=file to read whole messages.
+const createConsoleTransport = () => ({
+  name: 'console',
+  async send(message) {
+    logger.info('Mail sent', { transport: 'console', to: message.to, subject: message.subject, text: message.text });
+    return { id: null };
+  }
+});
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,22 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Writes each outgoing mail as a JSON file so it can be inspected or picked
+// up by tests. Directory comes from MAIL_FILE_DIR.
+const createFileTransport = ({ directory = process.env.MAIL_FILE_DIR || 'mail' } = {}) => ({
+  name: 'file',
+  async send(message) {
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(
+      path.join(directory, `${id}.json`),
+      JSON.stringify({ id, sent_at: new Date().toISOString(), ...message }, null, 2)
+    );
+
+    return { id };
+  }
+});
+
+module.exports = createFileTransport;
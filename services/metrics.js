@@ -0,0 +1,70 @@
+const client = require('prom-client');
+
+// Prometheus metrics, served at /metrics:
+//   http_requests_total                 requests by method, route and status
+//   http_request_duration_seconds       their latency
+//   http_request_errors_total           4xx and 5xx responses by error code
+//   supabase_query_duration_seconds     Supabase calls by table (or
+//                                       "storage.<bucket>"), operation and
+//                                       outcome (ok or error)
+// plus the process metrics prom-client collects (memory, CPU, event loop).
+//
+// Routes are labelled by their pattern ("/api/crops/:id"), never the path,
+// so each label set stays small; requests no route matched are "unmatched".
+
+const register = new client.Registry();
+
+client.collectDefaultMetrics({ register });
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests handled',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+const httpDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency in seconds',
+  labelNames: ['method', 'route', 'status'],
+  buckets: LATENCY_BUCKETS,
+  registers: [register]
+});
+
+const httpErrors = new client.Counter({
+  name: 'http_request_errors_total',
+  help: 'HTTP requests answered with an error, by error code',
+  labelNames: ['method', 'route', 'status', 'code'],
+  registers: [register]
+});
+
+const queryDuration = new client.Histogram({
+  name: 'supabase_query_duration_seconds',
+  help: 'Supabase call latency in seconds',
+  labelNames: ['table', 'operation', 'outcome'],
+  buckets: LATENCY_BUCKETS,
+  registers: [register]
+});
+
+// Count a finished request. `code` is the error code of an error response.
+const observeRequest = ({ method, route, status, seconds, code }) => {
+  const labels = { method, route, status: String(status) };
+
+  httpRequests.inc(labels);
+  httpDuration.observe(labels, seconds);
+
+  if (status >= 400) {
+    httpErrors.inc({ ...labels, code: code || 'unknown' });
+  }
+};
+
+// Start timing a Supabase call; call the result with 'ok' or 'error' when it
+// is done
+const timeQuery = (table, operation) => {
+  const end = queryDuration.startTimer({ table, operation });
+  return (outcome) => end({ outcome });
+};
+
+module.exports = { register, observeRequest, timeQuery };
@@ -0,0 +1,34 @@
+const createLogChannel = require('./channels/log');
+require('dotenv').config();
+
+// A channel is any object with an async deliver(userId, { title, body, data })
+const channels = {
+  log: createLogChannel
+};
+
+let channel = null;
+
+const getChannel = () => {
+  if (!channel) {
+    const name = process.env.NOTIFY_CHANNEL || 'log';
+    const factory = channels[name];
+
+    if (!factory) {
+      throw new Error(`Unknown NOTIFY_CHANNEL "${name}"`);
+    }
+
+    channel = factory();
+  }
+
+  return channel;
+};
+
+// Replace the active channel, e.g. with FCM or APNs
+const setChannel = (customChannel) => {
+  channel = customChannel;
+};
+
+const notify = async (userId, { title, body, data }) =>
+  getChannel().deliver(userId, { title, body, data: data || {} });
+
+module.exports = { notify, setChannel, getChannel };
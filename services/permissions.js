@@ -0,0 +1,87 @@
+const repositories = require('../repositories');
+
+// Garden roles, weakest first. Each role can do everything the ones before it can.
+//   viewer - read gardens, crops, harvests and members
+//   editor - add, edit and delete crops and harvests, edit the garden
+//   owner  - manage members and invitations, delete the garden
+const ROLES = ['viewer', 'editor', 'owner'];
+
+const isValidRole = (role) => ROLES.includes(role);
+
+const hasRole = (role, minRole) =>
+  isValidRole(role) && ROLES.indexOf(role) >= ROLES.indexOf(minRole);
+
+// Gardens in the trash (see services/trash) are treated as gone: nobody has
+// access to them until they are restored.
+const inUse = (membership) => Boolean(membership.gardens) && !membership.gardens.deleted_at;
+
+// Returns { garden, role } when the user is a member of the garden, otherwise null
+const getGardenAccess = async (gardenId, userId) => {
+  const membership = await repositories.gardenMembers.findMembership(gardenId, userId, {
+    columns: ['role'],
+    include: { gardens: '*' }
+  });
+
+  if (!membership || !inUse(membership)) return null;
+
+  return { garden: membership.gardens, role: membership.role };
+};
+
+// Returns { crop, role } when the user is a member of the crop's garden, otherwise null
+const getCropAccess = async (cropId, userId, fields = '*') => {
+  const crop = await repositories.crops.findById(cropId, {
+    columns: fields === '*' ? '*' : `${fields}, garden_id`
+  });
+
+  if (!crop) return null;
+
+  const role = await getGardenRole(crop.garden_id, userId);
+
+  if (!role) return null;
+
+  return { crop, role };
+};
+
+const getGardenRole = async (gardenId, userId) => {
+  const membership = await repositories.gardenMembers.findMembership(gardenId, userId, {
+    columns: ['role'],
+    include: { gardens: ['deleted_at'] }
+  });
+
+  return membership && inUse(membership) ? membership.role : null;
+};
+
+// Ids of the gardens a user belongs to, optionally only those with at least minRole
+const getMemberGardenIds = async (userId, minRole = 'viewer') => {
+  const memberships = await repositories.gardenMembers.find(
+    { user_id: userId },
+    { columns: ['garden_id', 'role'], include: { gardens: ['deleted_at'] } }
+  );
+
+  return memberships
+    .filter((membership) => inUse(membership) && hasRole(membership.role, minRole))
+    .map((membership) => membership.garden_id);
+};
+
+// A listing the shared feed shows, which anyone signed in can see: shared,
+// not hidden, with some left and from a grower who isn't suspended.
+// Otherwise null.
+const findFeedListing = async (cropId, options) => {
+  const [listing] = await repositories.crops.findShared(
+    { id: cropId, user_id: { notIn: await repositories.users.findSuspendedIds() } },
+    options
+  );
+
+  return listing || null;
+};
+
+module.exports = {
+  ROLES,
+  isValidRole,
+  hasRole,
+  getGardenAccess,
+  getCropAccess,
+  getGardenRole,
+  getMemberGardenIds,
+  findFeedListing
+};
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const repositories = require('../repositories');
+const { getStorage } = require('./storage');
+const { BadRequestError } = require('../utils/errors');
+
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp'];
+const MAX_DIMENSION = 2048;
+const THUMBNAIL_SIZE = 400;
+
+class InvalidPhotoError extends BadRequestError {
+  constructor(message) {
+    super(message, { code: 'invalid_photo' });
+  }
+}
+
+// Decode the upload to make sure it really is an image (the client's
+// content type can't be trusted), then re-encode it. Re-encoding also drops
+// EXIF data, which can include the GPS position of the garden.
+const processPhoto = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw new InvalidPhotoError('File is not a readable image');
+  }
+
+  if (!ALLOWED_FORMATS.includes(metadata.format)) {
+    throw new InvalidPhotoError(`Only ${ALLOWED_FORMATS.join(', ')} images are allowed`);
+  }
+
+  const image = sharp(buffer).rotate();
+
+  const { data: full, info } = await image
+    .clone()
+    .resize(MAX_DIMENSION, MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 85 })
+    .toBuffer({ resolveWithObject: true });
+
+  const thumbnail = await image
+    .clone()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+    .webp({ quality: 75 })
+    .toBuffer();
+
+  return { full, thumbnail, width: info.width, height: info.height };
+};
+
+// Process and store one uploaded file for a crop; returns the row to insert
+const storeCropPhoto = async (cropId, file) => {
+  const { full, thumbnail, width, height } = await processPhoto(file.buffer);
+  const storage = getStorage();
+  const id = crypto.randomUUID();
+
+  const stored = await storage.put(`crops/${cropId}/${id}.webp`, full, 'image/webp');
+  const storedThumbnail = await storage.put(`crops/${cropId}/${id}_thumb.webp`, thumbnail, 'image/webp');
+
+  return {
+    crop_id: cropId,
+    storage_key: stored.key,
+    thumbnail_key: storedThumbnail.key,
+    url: stored.url,
+    thumbnail_url: storedThumbnail.url,
+    content_type: 'image/webp',
+    size_bytes: full.length,
+    width,
+    height
+  };
+};
+
+const removePhotoFiles = async (photos) => {
+  const keys = photos.flatMap((photo) => [photo.storage_key, photo.thumbnail_key]).filter(Boolean);
+  if (keys.length) {
+    await getStorage().remove(keys);
+  }
+};
+
+// Delete the stored files for every photo of the given crops. Rows go away
+// with the crops themselves (on delete cascade).
+const deleteCropPhotoFiles = async (cropIds) => {
+  if (!cropIds.length) return;
+
+  const photos = await repositories.cropPhotos.find(
+    { crop_id: cropIds },
+    { columns: ['storage_key', 'thumbnail_key'] }
+  );
+
+  await removePhotoFiles(photos);
+};
+
+const deleteGardenPhotoFiles = async (gardenId) => {
+  await deleteCropPhotoFiles(await repositories.crops.findIdsInGardens([gardenId], { withTrashed: true }));
+};
+
+module.exports = {
+  InvalidPhotoError,
+  storeCropPhoto,
+  removePhotoFiles,
+  deleteCropPhotoFiles,
+  deleteGardenPhotoFiles
+};
@@ -0,0 +1,37 @@
+require('dotenv').config();
+
+// A rate limit store is any object with
+//   async increment(key, ttlMs) -> { count, resetAt }  adds one to the counter,
+//                                  which expires ttlMs after it was created
+//   async get(key)              -> { count, resetAt } or null
+//   async set(key, count, ttlMs)
+//   async reset(key)
+// resetAt is a timestamp in milliseconds. The memory store only counts
+// requests to this process; run several instances behind a shared store
+// (e.g. Redis, with INCR and PEXPIRE) instead.
+const stores = {
+  memory: () => require('./memory')()
+};
+
+let store = null;
+
+const getStore = () => {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    const factory = stores[name];
+
+    if (!factory) {
+      throw new Error(`Unknown RATE_LIMIT_STORE "${name}"`);
+    }
+
+    store = factory();
+  }
+
+  return store;
+};
+
+const setStore = (customStore) => {
+  store = customStore;
+};
+
+module.exports = { getStore, setStore };
@@ -0,0 +1,58 @@
+// Counters in a Map, for a single server process. Expired counters are
+// swept at most once a minute when counting.
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const createMemoryStore = () => {
+  const counters = new Map();
+  let nextSweep = Date.now() + SWEEP_INTERVAL_MS;
+
+  const live = (key, now = Date.now()) => {
+    const counter = counters.get(key);
+
+    if (counter && counter.resetAt <= now) {
+      counters.delete(key);
+      return null;
+    }
+
+    return counter || null;
+  };
+
+  const sweep = (now) => {
+    if (now < nextSweep) return;
+
+    counters.forEach((counter, key) => {
+      if (counter.resetAt <= now) counters.delete(key);
+    });
+    nextSweep = now + SWEEP_INTERVAL_MS;
+  };
+
+  return {
+    name: 'memory',
+
+    async increment(key, ttlMs) {
+      const now = Date.now();
+      sweep(now);
+
+      const counter = live(key, now) || { count: 0, resetAt: now + ttlMs };
+      counter.count += 1;
+      counters.set(key, counter);
+
+      return { ...counter };
+    },
+
+    async get(key) {
+      const counter = live(key);
+      return counter ? { ...counter } : null;
+    },
+
+    async set(key, count, ttlMs) {
+      counters.set(key, { count, resetAt: Date.now() + ttlMs });
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    }
+  };
+};
+
+module.exports = createMemoryStore;
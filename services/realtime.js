@@ -0,0 +1,175 @@
+const http = require('http');
+const { WebSocketServer } = require('ws');
+const { verifyAccessToken } = require('../middleware/auth');
+const { getActiveSession } = require('./sessions');
+const { getGardenRole } = require('./permissions');
+const events = require('./events');
+const { logger } = require('./logger');
+require('dotenv').config();
+
+// WebSocket endpoint pushing events from services/events to signed-in users.
+//
+// Connect to /api/realtime with the same access token as the REST API, in an
+// "Authorization: Bearer" header or, for browsers, a ?token= parameter. The
+// server sends JSON messages:
+//   { type: 'ready', user_id }
+//   { type: <event type>, garden_id, data, at }     see services/events
+//   { type: 'subscribed' | 'unsubscribed', garden_id }
+//   { type: 'error', code, message }
+// Events about the user (claims on their crops, messages, gardens they
+// created, joined or were removed from) always arrive. Garden events
+// (garden.*, member.*, crop.*, crops.imported, harvest.*, layout.updated)
+// arrive for gardens the client subscribed to by sending
+//   { type: 'subscribe', garden_id } / { type: 'unsubscribe', garden_id }
+
+const REALTIME_PATH = '/api/realtime';
+
+const tokenFrom = (request, url) => {
+  const authHeader = request.headers['authorization'];
+  return (authHeader && authHeader.split(' ')[1]) || url.searchParams.get('token');
+};
+
+// Refuse the upgrade with a plain HTTP response
+const rejectUpgrade = (socket, status) => {
+  socket.write(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+};
+
+const send = (client, message) => {
+  if (client.socket.readyState === client.socket.OPEN) {
+    client.socket.send(JSON.stringify(message));
+  }
+};
+
+const handleMessage = async (client, raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    message = null;
+  }
+
+  const type = message && message.type;
+  const gardenId = message && message.garden_id;
+
+  if (type === 'ping') {
+    send(client, { type: 'pong' });
+    return;
+  }
+
+  if (!['subscribe', 'unsubscribe'].includes(type) || typeof gardenId !== 'string') {
+    send(client, { type: 'error', code: 'invalid_message', message: 'Expected subscribe or unsubscribe with a garden_id' });
+    return;
+  }
+
+  if (type === 'unsubscribe') {
+    client.gardens.delete(gardenId);
+    send(client, { type: 'unsubscribed', garden_id: gardenId });
+    return;
+  }
+
+  if (!(await getGardenRole(gardenId, client.user.id))) {
+    send(client, { type: 'error', code: 'garden_not_found', message: 'Garden not found or access denied', garden_id: gardenId });
+    return;
+  }
+
+  client.gardens.add(gardenId);
+  send(client, { type: 'subscribed', garden_id: gardenId });
+};
+
+// Drop connections whose session was revoked (logout, suspension) and garden
+// subscriptions the user has lost access to
+const recheckAccess = async (client) => {
+  if (!(await getActiveSession(client.user.sid))) {
+    client.socket.close(4401, 'Session has been revoked');
+    return;
+  }
+
+  await Promise.all([...client.gardens].map(async (gardenId) => {
+    if (!(await getGardenRole(gardenId, client.user.id))) {
+      client.gardens.delete(gardenId);
+      send(client, { type: 'unsubscribed', garden_id: gardenId });
+    }
+  }));
+};
+
+// Serve realtime connections on an HTTP server, e.g. the one app.listen
+// returns. Returns { clients, close }.
+const attachRealtime = (server, {
+  path = REALTIME_PATH,
+  heartbeatMs = Number(process.env.REALTIME_HEARTBEAT_SECONDS || 30) * 1000
+} = {}) => {
+  const wss = new WebSocketServer({ noServer: true });
+  const clients = new Set();
+
+  server.on('upgrade', async (request, socket, head) => {
+    const url = new URL(request.url, 'http://localhost');
+
+    if (url.pathname !== path) {
+      rejectUpgrade(socket, 404);
+      return;
+    }
+
+    let user;
+    try {
+      user = await verifyAccessToken(tokenFrom(request, url));
+    } catch (error) {
+      rejectUpgrade(socket, error.status || 500);
+      return;
+    }
+
+    wss.handleUpgrade(request, socket, head, (ws) => {
+      const client = { socket: ws, user, gardens: new Set(), alive: true };
+      clients.add(client);
+
+      ws.on('pong', () => { client.alive = true; });
+      ws.on('message', (raw) => {
+        handleMessage(client, raw.toString()).catch((error) => {
+          logger.error('Realtime message failed', { user_id: client.user.id, error });
+          send(client, { type: 'error', code: 'internal_error', message: 'Something went wrong' });
+        });
+      });
+      ws.on('close', () => clients.delete(client));
+
+      send(client, { type: 'ready', user_id: user.id });
+    });
+  });
+
+  const unsubscribe = events.subscribe((event) => {
+    const message = { type: event.type, garden_id: event.garden_id, data: event.data, at: event.at };
+
+    clients.forEach((client) => {
+      if (event.user_ids.includes(client.user.id) || (event.garden_id && client.gardens.has(event.garden_id))) {
+        send(client, message);
+      }
+    });
+  });
+
+  // Ping every client; one that didn't answer the last ping is gone
+  const heartbeat = setInterval(() => {
+    clients.forEach((client) => {
+      if (!client.alive) {
+        client.socket.terminate();
+        return;
+      }
+
+      client.alive = false;
+      client.socket.ping();
+      recheckAccess(client).catch((error) => logger.error('Realtime access check failed', { user_id: client.user.id, error }));
+    });
+  }, heartbeatMs);
+  heartbeat.unref();
+
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    clients.forEach((client) => client.socket.terminate());
+    wss.close();
+  };
+
+  server.on('close', close);
+
+  return { clients, close };
+};
+
+module.exports = { REALTIME_PATH, attachRealtime };
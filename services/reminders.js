@@ -0,0 +1,66 @@
+const repositories = require('../repositories');
+const { notify } = require('./notifier');
+const { logger } = require('./logger');
+const { today } = require('../utils/schedule');
+
+// Send one reminder per day for each active task that is due or overdue, to
+// everyone who can do it (editors and owners of the garden). Tasks of gardens
+// or crops in the trash are skipped. Returns the number of tasks reminded
+// about.
+const sendDueReminders = async () => {
+  const onDate = today();
+
+  const dueTasks = await repositories.careTasks.find(
+    {
+      active: true,
+      next_due_on: { lte: onDate },
+      $or: [{ last_reminded_on: null }, { last_reminded_on: { lt: onDate } }]
+    },
+    {
+      columns: ['id', 'garden_id', 'title', 'next_due_on', 'last_reminded_on'],
+      include: { gardens: ['name', 'deleted_at'], crops: ['deleted_at'] }
+    }
+  );
+  const tasks = dueTasks.filter((task) => ![task.gardens, task.crops].some((row) => row && row.deleted_at));
+
+  for (const task of tasks) {
+    const members = await repositories.gardenMembers.find(
+      { garden_id: task.garden_id, role: ['owner', 'editor'] },
+      { columns: ['user_id'] }
+    );
+
+    const overdue = task.next_due_on < onDate;
+    const gardenName = task.gardens ? task.gardens.name : 'your garden';
+
+    await Promise.all(members.map((member) => notify(member.user_id, {
+      title: overdue ? `Overdue: ${task.title}` : `Due today: ${task.title}`,
+      body: overdue
+        ? `${task.title} in ${gardenName} was due on ${task.next_due_on}`
+        : `${task.title} in ${gardenName} is due today`,
+      data: { type: 'care_task', task_id: task.id, garden_id: task.garden_id }
+    })));
+
+    await repositories.careTasks.update({ id: task.id }, { last_reminded_on: onDate });
+  }
+
+  return tasks.length;
+};
+
+// Run sendDueReminders every `intervalMinutes`. Returns the timer so it can be cleared.
+const scheduleReminders = (intervalMinutes) => {
+  const run = () => {
+    sendDueReminders()
+      .then((count) => {
+        if (count) logger.info('Sent care task reminders', { tasks: count });
+      })
+      .catch((error) => logger.error('Care task reminders failed', { error }));
+  };
+
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+  run();
+
+  return timer;
+};
+
+module.exports = { sendDueReminders, scheduleReminders };
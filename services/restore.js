@@ -0,0 +1,157 @@
+const repositories = require('../repositories');
+
+// Snapshots taken before a crop or garden is purged from the trash (see
+// services/trash), kept in the audit log, and putting them back. A snapshot is
+//   { tables: { <table>: rows }, photo_urls }
+// Photos are not restored: their files are deleted with the crop, so an
+// image_url pointing at one is cleared. Share claims go with the crop too.
+
+// Tables in the order their rows can be inserted, with the repository
+// holding them
+const TABLES = [
+  ['gardens', 'gardens'],
+  ['garden_members', 'gardenMembers'],
+  ['garden_beds', 'gardenBeds'],
+  ['crops', 'crops'],
+  ['crop_status_history', 'cropStatusHistory'],
+  ['harvests', 'harvests'],
+  ['crop_placements', 'cropPlacements'],
+  ['care_tasks', 'careTasks'],
+  ['care_task_completions', 'careTaskCompletions']
+];
+
+const idsOf = (rows) => rows.map((row) => row.id);
+
+const findCompletions = (tasks) =>
+  tasks.length ? repositories.careTaskCompletions.find({ task_id: idsOf(tasks) }) : [];
+
+const photoUrls = async (cropIds) => {
+  const photos = await repositories.cropPhotos.find({ crop_id: cropIds }, { columns: ['url'] });
+  return photos.map((photo) => photo.url);
+};
+
+// Everything deleting the crop removes with it
+const snapshotCrop = async (cropId) => {
+  const [crops, history, harvests, placements, tasks, urls] = await Promise.all([
+    repositories.crops.find({ id: cropId }, { withTrashed: true }),
+    repositories.cropStatusHistory.find({ crop_id: cropId }),
+    repositories.harvests.find({ crop_id: cropId }),
+    repositories.cropPlacements.find({ crop_id: cropId }),
+    repositories.careTasks.find({ crop_id: cropId }),
+    photoUrls([cropId])
+  ]);
+
+  return {
+    tables: {
+      crops,
+      crop_status_history: history,
+      harvests,
+      crop_placements: placements,
+      care_tasks: tasks,
+      care_task_completions: await findCompletions(tasks)
+    },
+    photo_urls: urls
+  };
+};
+
+// Everything deleting the garden removes with it. Invitations are left out;
+// new ones can be sent.
+const snapshotGarden = async (gardenId) => {
+  const [gardens, members, beds, crops, harvests, placements, tasks] = await Promise.all([
+    repositories.gardens.find({ id: gardenId }, { withTrashed: true }),
+    repositories.gardenMembers.find({ garden_id: gardenId }),
+    repositories.gardenBeds.find({ garden_id: gardenId }),
+    repositories.crops.find({ garden_id: gardenId }, { withTrashed: true }),
+    repositories.harvests.find({ garden_id: gardenId }),
+    repositories.cropPlacements.find({ garden_id: gardenId }),
+    repositories.careTasks.find({ garden_id: gardenId })
+  ]);
+
+  const [history, completions, urls] = await Promise.all([
+    repositories.cropStatusHistory.find({ crop_id: idsOf(crops) }),
+    findCompletions(tasks),
+    photoUrls(idsOf(crops))
+  ]);
+
+  return {
+    tables: {
+      gardens,
+      garden_members: members,
+      garden_beds: beds,
+      crops,
+      crop_status_history: history,
+      harvests,
+      crop_placements: placements,
+      care_tasks: tasks,
+      care_task_completions: completions
+    },
+    photo_urls: urls
+  };
+};
+
+// Members whose accounts have since been deleted can't come back
+const withExistingMembers = async (members) => {
+  if (!members.length) return members;
+
+  const users = await repositories.users.find({ id: members.map((member) => member.user_id) }, { columns: ['id'] });
+  const userIds = new Set(idsOf(users));
+
+  return members.filter((member) => userIds.has(member.user_id));
+};
+
+// Placements in beds deleted since go back unplaced
+const withExistingBeds = async (placements) => {
+  if (!placements.length) return placements;
+
+  const beds = await repositories.gardenBeds.find({ id: placements.map((placement) => placement.bed_id) }, { columns: ['id'] });
+  const bedIds = new Set(idsOf(beds));
+
+  return placements.filter((placement) => bedIds.has(placement.bed_id));
+};
+
+// Insert the rows of a snapshot again, with their original ids. `root` is
+// { repository, id } of the crop or garden; if a later write fails it is
+// removed again, taking whatever was already restored with it. The root comes
+// out of the trash, along with the crops that went in with it.
+const restoreSnapshot = async (snapshot, root) => {
+  const [rootTable] = TABLES.find(([, repository]) => repository === root.repository);
+  const rootRow = (snapshot.tables[rootTable] || []).find((row) => row.id === root.id);
+  const deletedAt = rootRow ? rootRow.deleted_at : null;
+
+  const untrash = (row) => (deletedAt && row.deleted_at === deletedAt ? { ...row, deleted_at: null, deleted_by: null } : row);
+
+  const rowsFor = async (table) => {
+    const rows = snapshot.tables[table] || [];
+
+    if (table === 'garden_members') return withExistingMembers(rows);
+    if (table === 'crop_placements') return withExistingBeds(rows);
+    if (table === 'gardens') return rows.map(untrash);
+    if (table === 'crops') {
+      return rows
+        .map(untrash)
+        .map((crop) => (snapshot.photo_urls.includes(crop.image_url) ? { ...crop, image_url: null } : crop));
+    }
+
+    return rows;
+  };
+
+  let rootRestored = false;
+
+  try {
+    for (const [table, repository] of TABLES) {
+      const rows = await rowsFor(table);
+
+      if (rows.length) {
+        await repositories[repository].insert(rows, { columns: [table === 'garden_members' ? 'garden_id' : 'id'] });
+        rootRestored = rootRestored || repository === root.repository;
+      }
+    }
+  } catch (error) {
+    if (rootRestored) {
+      await repositories[root.repository].remove({ id: root.id }, { columns: ['id'] });
+    }
+    throw error;
+  }
+};
+
+module.exports = { snapshotCrop, snapshotGarden, restoreSnapshot };
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const repositories = require('../repositories');
+require('dotenv').config();
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const SESSION_FIELDS = ['id', 'user_agent', 'ip_address', 'created_at', 'last_used_at', 'expires_at'];
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(48).toString('base64url');
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+const signAccessToken = (user, sessionId) => {
+  const accessToken = jwt.sign(
+    {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      role: user.role || 'user',
+      sid: sessionId
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+  const { exp, iat } = jwt.decode(accessToken);
+
+  return { accessToken, expiresIn: exp - iat };
+};
+
+// Refresh tokens are "<session id>.<secret>"; only a hash of the secret is stored
+const buildTokens = (user, sessionId, secret) => {
+  const { accessToken, expiresIn } = signAccessToken(user, sessionId);
+
+  return {
+    token: accessToken,
+    refresh_token: `${sessionId}.${secret}`,
+    expires_in: expiresIn
+  };
+};
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+
+  const separator = refreshToken.indexOf('.');
+  if (separator <= 0) return null;
+
+  return {
+    sessionId: refreshToken.slice(0, separator),
+    secret: refreshToken.slice(separator + 1)
+  };
+};
+
+// Start a new signed-in session for a user and issue its first token pair
+const createSession = async (user, req) => {
+  const secret = newSecret();
+  const now = new Date().toISOString();
+
+  const session = await repositories.sessions.insert(
+    {
+      user_id: user.id,
+      refresh_token_hash: hashSecret(secret),
+      user_agent: req.headers['user-agent'] || null,
+      ip_address: req.ip || null,
+      created_at: now,
+      last_used_at: now,
+      expires_at: refreshExpiry()
+    },
+    { columns: ['id'] }
+  );
+
+  return buildTokens(user, session.id, secret);
+};
+
+// Exchange a refresh token for a new token pair. The old refresh token stops
+// working immediately; presenting it again is treated as theft and ends the
+// whole session. Returns null when the token can't be used.
+const rotateSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const session = await repositories.sessions.findById(parsed.sessionId);
+
+  if (!session) return null;
+
+  if (session.revoked_at || new Date(session.expires_at) <= new Date()) {
+    return null;
+  }
+
+  const presentedHash = hashSecret(parsed.secret);
+
+  if (presentedHash !== session.refresh_token_hash) {
+    await revokeSession(session.id, session.user_id);
+    return null;
+  }
+
+  const secret = newSecret();
+
+  const rotated = await repositories.sessions.update(
+    { id: session.id, refresh_token_hash: presentedHash, revoked_at: null },
+    {
+      refresh_token_hash: hashSecret(secret),
+      user_agent: req.headers['user-agent'] || session.user_agent,
+      ip_address: req.ip || session.ip_address,
+      last_used_at: new Date().toISOString(),
+      expires_at: refreshExpiry()
+    },
+    { columns: ['id'] }
+  );
+
+  // Someone else rotated this token first
+  if (!rotated.length) {
+    await revokeSession(session.id, session.user_id);
+    return null;
+  }
+
+  const user = await repositories.users.findById(session.user_id, {
+    columns: ['id', 'email', 'name', 'role', 'suspended_at']
+  });
+
+  if (!user || user.suspended_at) return null;
+
+  return buildTokens(user, session.id, secret);
+};
+
+// The session with its user's current role and suspension, or null when it
+// has been revoked or has expired
+const getActiveSession = async (sessionId) => {
+  if (!sessionId) return null;
+
+  const session = await repositories.sessions.findOne(
+    { id: sessionId, revoked_at: null },
+    { columns: ['id', 'expires_at'], include: { users: ['role', 'suspended_at'] } }
+  );
+
+  if (!session || !session.users || new Date(session.expires_at) <= new Date()) return null;
+
+  return session;
+};
+
+const listSessions = (userId) =>
+  repositories.sessions.find(
+    { user_id: userId, revoked_at: null, expires_at: { gt: new Date().toISOString() } },
+    { columns: SESSION_FIELDS, order: ['-last_used_at'] }
+  );
+
+// Returns true when a session was revoked
+const revokeSession = async (sessionId, userId) => {
+  const sessions = await repositories.sessions.update(
+    { id: sessionId, user_id: userId, revoked_at: null },
+    { revoked_at: new Date().toISOString() },
+    { columns: ['id'] }
+  );
+
+  return sessions.length > 0;
+};
+
+// Revoke every session a user has, optionally keeping one (usually the current)
+const revokeAllSessions = async (userId, { except } = {}) => {
+  const filter = { user_id: userId, revoked_at: null };
+
+  if (except) {
+    filter.id = { neq: except };
+  }
+
+  const sessions = await repositories.sessions.update(
+    filter,
+    { revoked_at: new Date().toISOString() },
+    { columns: ['id'] }
+  );
+
+  return sessions.length;
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  getActiveSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+};
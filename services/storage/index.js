@@ -0,0 +1,37 @@
+require('dotenv').config();
+
+// A storage driver is any object with
+//   async put(key, buffer, contentType) -> { key, url }
+//   async remove(keys)
+//   async locate(key) -> { path } of a local file, or { url } signed for a
+//                        short while
+// The url put returns is under /uploads, where routes/uploads checks who is
+// asking before handing over the file.
+// Drivers are loaded lazily so the local one doesn't need Supabase credentials.
+const drivers = {
+  local: () => require('./local')(),
+  supabase: () => require('./supabase')()
+};
+
+let storage = null;
+
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    const factory = drivers[name];
+
+    if (!factory) {
+      throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+    }
+
+    storage = factory();
+  }
+
+  return storage;
+};
+
+const setStorage = (customStorage) => {
+  storage = customStorage;
+};
+
+module.exports = { getStorage, setStorage };
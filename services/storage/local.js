@@ -0,0 +1,40 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Stores files on local disk under UPLOAD_DIR, served from /uploads to those
+// who may see them. Meant for development; use the supabase driver in
+// production.
+const createLocalStorage = ({
+  directory = process.env.UPLOAD_DIR || 'uploads',
+  baseUrl = `${(process.env.PUBLIC_URL || '').replace(/\/$/, '')}/uploads`
+} = {}) => {
+  const resolve = (key) => {
+    const filePath = path.resolve(directory, key);
+    if (!filePath.startsWith(path.resolve(directory) + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    directory,
+
+    async put(key, buffer) {
+      const filePath = resolve(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return { key, url: `${baseUrl}/${key}` };
+    },
+
+    async remove(keys) {
+      await Promise.all(keys.map((key) => fs.rm(resolve(key), { force: true })));
+    },
+
+    async locate(key) {
+      return { path: resolve(key) };
+    }
+  };
+};
+
+module.exports = createLocalStorage;
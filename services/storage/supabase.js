@@ -0,0 +1,62 @@
+const supabase = require('../../supabase');
+const { timeQuery } = require('../metrics');
+
+// Await a Storage call, timed for /metrics as table "storage.<bucket>"
+const timed = async (bucket, operation, call) => {
+  const done = timeQuery(`storage.${bucket}`, operation);
+
+  try {
+    const result = await call;
+    done(result.error ? 'error' : 'ok');
+    return result;
+  } catch (error) {
+    done('error');
+    throw error;
+  }
+};
+
+// How long a signed link to a file works
+const SIGNED_URL_SECONDS = 10 * 60;
+
+// Stores files in a private Supabase Storage bucket. Their URLs are under
+// /uploads, which checks who is asking and redirects to a signed link.
+const createSupabaseStorage = ({
+  bucket = process.env.SUPABASE_STORAGE_BUCKET || 'crop-photos',
+  baseUrl = `${(process.env.PUBLIC_URL || '').replace(/\/$/, '')}/uploads`
+} = {}) => ({
+  name: 'supabase',
+
+  async put(key, buffer, contentType) {
+    const { error } = await timed(
+      bucket,
+      'upload',
+      supabase.storage.from(bucket).upload(key, buffer, { contentType, upsert: false })
+    );
+
+    if (error) throw error;
+
+    return { key, url: `${baseUrl}/${key}` };
+  },
+
+  async remove(keys) {
+    if (!keys.length) return;
+
+    const { error } = await timed(bucket, 'remove', supabase.storage.from(bucket).remove(keys));
+
+    if (error) throw error;
+  },
+
+  async locate(key) {
+    const { data, error } = await timed(
+      bucket,
+      'sign',
+      supabase.storage.from(bucket).createSignedUrl(key, SIGNED_URL_SECONDS)
+    );
+
+    if (error) throw error;
+
+    return { url: data.signedUrl };
+  }
+});
+
+module.exports = createSupabaseStorage;
@@ -0,0 +1,149 @@
+const repositories = require('../repositories');
+const { publish } = require('./events');
+const { recordAudit } = require('./audit');
+const { logger } = require('./logger');
+const { snapshotCrop, snapshotGarden } = require('./restore');
+const { deleteCropPhotoFiles, deleteGardenPhotoFiles } = require('./photos');
+
+// Deleting a garden or crop moves it to the trash: deleted_at and deleted_by
+// are set and repository reads skip it (see repositories/trash). A garden's
+// crops go with it and share its deleted_at, so restoring the garden brings
+// back exactly those and not the ones trashed on their own before. Whatever
+// has been in the trash for TRASH_RETENTION_DAYS (default 30) is purged,
+// leaving a snapshot in the audit log.
+const RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS || 30);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// When a row deleted at `deletedAt` will be purged
+const purgeAt = (deletedAt) => new Date(Date.parse(deletedAt) + RETENTION_DAYS * DAY_MS).toISOString();
+
+const trashCrop = async (cropId, userId) => {
+  const [crop] = await repositories.crops.update(
+    { id: cropId, deleted_at: null },
+    { deleted_at: new Date().toISOString(), deleted_by: userId }
+  );
+
+  return crop;
+};
+
+const trashGarden = async (gardenId, userId) => {
+  const trashed = { deleted_at: new Date().toISOString(), deleted_by: userId };
+
+  const [garden] = await repositories.gardens.update({ id: gardenId, deleted_at: null }, trashed);
+
+  if (garden) {
+    await repositories.crops.update({ garden_id: gardenId, deleted_at: null }, trashed, { columns: ['id'] });
+  }
+
+  return garden;
+};
+
+const restored = () => ({ deleted_at: null, deleted_by: null, updated_at: new Date().toISOString() });
+
+// Take a crop back out of the trash. Its garden must not be in the trash.
+const restoreCrop = async (crop) => {
+  const [restoredCrop] = await repositories.crops.update({ id: crop.id, deleted_at: { neq: null } }, restored());
+  return restoredCrop;
+};
+
+// Take a garden back out of the trash, with the crops that went with it
+const restoreGarden = async (garden) => {
+  const [restoredGarden] = await repositories.gardens.update({ id: garden.id, deleted_at: { neq: null } }, restored());
+
+  if (restoredGarden) {
+    await repositories.crops.update(
+      { garden_id: garden.id, deleted_at: garden.deleted_at },
+      restored(),
+      { columns: ['id'] }
+    );
+  }
+
+  return restoredGarden;
+};
+
+// Tell clients about a restored crop or garden as if it had just been created
+const publishRestored = async (entityType, row) => {
+  if (entityType === 'crop') {
+    publish('crop.created', { gardenId: row.garden_id, data: { crop: row } });
+    return;
+  }
+
+  const members = await repositories.gardenMembers.find({ garden_id: row.id }, { columns: ['user_id'] });
+  publish('garden.created', { userIds: members.map((member) => member.user_id), data: { garden: row } });
+};
+
+// Permanently delete what has been in the trash longer than the retention
+// period, gardens first so their crops go with them. Returns the number of
+// { gardens, crops } purged.
+const purgeTrash = async (now = Date.now()) => {
+  const cutoff = new Date(now - RETENTION_DAYS * DAY_MS).toISOString();
+  const expired = { deleted_at: { lt: cutoff } };
+
+  const gardens = await repositories.gardens.find(expired);
+
+  for (const garden of gardens) {
+    const snapshot = await snapshotGarden(garden.id);
+
+    await deleteGardenPhotoFiles(garden.id);
+    await repositories.gardens.remove({ id: garden.id }, { columns: ['id'] });
+
+    await recordAudit(null, {
+      action: 'garden.purged',
+      entityType: 'garden',
+      entityId: garden.id,
+      gardenId: garden.id,
+      before: garden,
+      snapshot
+    });
+  }
+
+  const crops = await repositories.crops.find(expired);
+
+  for (const crop of crops) {
+    const snapshot = await snapshotCrop(crop.id);
+
+    await deleteCropPhotoFiles([crop.id]);
+    await repositories.crops.remove({ id: crop.id }, { columns: ['id'] });
+
+    await recordAudit(null, {
+      action: 'crop.purged',
+      entityType: 'crop',
+      entityId: crop.id,
+      gardenId: crop.garden_id,
+      before: crop,
+      snapshot
+    });
+  }
+
+  return { gardens: gardens.length, crops: crops.length };
+};
+
+// Run purgeTrash every `intervalMinutes`. Returns the timer so it can be cleared.
+const schedulePurge = (intervalMinutes) => {
+  const run = () => {
+    purgeTrash()
+      .then(({ gardens, crops }) => {
+        if (gardens || crops) logger.info('Purged the trash', { gardens, crops });
+      })
+      .catch((error) => logger.error('Trash purge failed', { error }));
+  };
+
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+  run();
+
+  return timer;
+};
+
+module.exports = {
+  RETENTION_DAYS,
+  purgeAt,
+  trashCrop,
+  trashGarden,
+  restoreCrop,
+  restoreGarden,
+  publishRestored,
+  purgeTrash,
+  schedulePurge
+};
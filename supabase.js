@@ -1,18 +1,20 @@
 const { createClient } = require('@supabase/supabase-js');
+const { logger } = require('./services/logger');
 require('dotenv').config();
 
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_SERVICE_KEY; // Use service key for admin access
 
 if (!supabaseUrl || !supabaseKey) {
-  console.error('❌ Missing Supabase environment variables');
-  console.error('SUPABASE_URL:', process.env.SUPABASE_URL ? '✓ Set' : '✗ Missing');
-  console.error('SUPABASE_SERVICE_KEY:', process.env.SUPABASE_SERVICE_KEY ? '✓ Set' : '✗ Missing');
+  logger.error('Missing Supabase environment variables', {
+    SUPABASE_URL: supabaseUrl ? 'set' : 'missing',
+    SUPABASE_SERVICE_KEY: supabaseKey ? 'set' : 'missing'
+  });
   throw new Error('Missing Supabase environment variables');
 }
 
-console.log('✅ Supabase configured with URL:', supabaseUrl);
+logger.info('Supabase configured', { url: supabaseUrl });
 
 const supabase = createClient(supabaseUrl, supabaseKey);
 
-module.exports = supabase;
\ No newline at end of file
+module.exports = supabase;
@@ -0,0 +1,177 @@
+const { useTestApp, api, registerUser, createGarden, createCrop, makeAdmin } = require('./helpers');
+
+const sent = useTestApp();
+
+const shareCrop = async (grower, fields = {}) =>
+  createCrop(grower, (await createGarden(grower)).id, { is_shared: true, quantity: 3, ...fields });
+
+const report = (user, body) => api().post('/api/reports').set(user.auth).send(body);
+
+describe('admin access', () => {
+  it('is refused to everyone but admins', async () => {
+    const user = await registerUser();
+    const admin = await makeAdmin(await registerUser());
+
+    await api().get('/api/admin/users').expect(401);
+
+    const res = await api().get('/api/admin/users').set(user.auth).expect(403);
+    expect(res.body.code).toBe('admin_required');
+
+    await api().get('/api/admin/users').set(admin.auth).expect(200);
+  });
+});
+
+describe('users', () => {
+  it('lists, searches and filters users', async () => {
+    const admin = await makeAdmin(await registerUser({ name: 'Ada Admin' }));
+    await registerUser({ name: 'Bea Beans' });
+
+    const search = await api().get('/api/admin/users?q=beans').set(admin.auth).expect(200);
+    expect(search.body.users.map((user) => user.name)).toEqual(['Bea Beans']);
+    expect(search.body.users[0].password_hash).toBeUndefined();
+
+    const admins = await api().get('/api/admin/users?role=admin').set(admin.auth).expect(200);
+    expect(admins.body.users.map((user) => user.id)).toEqual([admin.id]);
+  });
+
+  it('suspends an account, signing it out and refusing logins, until unsuspended', async () => {
+    const admin = await makeAdmin(await registerUser());
+    const user = await registerUser();
+
+    const suspended = await api()
+      .post(`/api/admin/users/${user.id}/suspend`)
+      .set(admin.auth)
+      .send({ reason: 'Spam listings' })
+      .expect(200);
+    expect(suspended.body.user).toMatchObject({ suspended_reason: 'Spam listings', suspended_at: expect.any(String) });
+
+    const refused = await api().get('/api/gardens').set(user.auth).expect(401);
+    expect(refused.body.code).toBe('session_revoked');
+
+    const login = await api().post('/api/auth/login').send({ email: user.email, password: user.password }).expect(403);
+    expect(login.body.code).toBe('account_suspended');
+
+    await api().post('/api/auth/refresh').send({ refresh_token: user.refreshToken }).expect(401);
+
+    const filtered = await api().get('/api/admin/users?suspended=true').set(admin.auth).expect(200);
+    expect(filtered.body.users.map((row) => row.id)).toEqual([user.id]);
+
+    await api().post(`/api/admin/users/${user.id}/suspend`).set(admin.auth).send({}).expect(409);
+    await api().post(`/api/admin/users/${user.id}/unsuspend`).set(admin.auth).expect(200);
+    await api().post(`/api/admin/users/${user.id}/unsuspend`).set(admin.auth).expect(409);
+
+    await api().post('/api/auth/login').send({ email: user.email, password: user.password }).expect(200);
+  });
+
+  it('will not suspend admins', async () => {
+    const admin = await makeAdmin(await registerUser());
+    const otherAdmin = await makeAdmin(await registerUser());
+
+    const self = await api().post(`/api/admin/users/${admin.id}/suspend`).set(admin.auth).send({}).expect(400);
+    expect(self.body.code).toBe('cannot_suspend_self');
+
+    const other = await api().post(`/api/admin/users/${otherAdmin.id}/suspend`).set(admin.auth).send({}).expect(403);
+    expect(other.body.code).toBe('cannot_suspend_admin');
+  });
+
+  it('keeps a suspended grower\'s listings out of the shared feed', async () => {
+    const admin = await makeAdmin(await registerUser());
+    const grower = await registerUser();
+    const neighbour = await registerUser();
+    const crop = await shareCrop(grower);
+
+    await api().post(`/api/admin/users/${grower.id}/suspend`).set(admin.auth).send({}).expect(200);
+
+    const feed = await api().get('/api/shared').set(neighbour.auth).expect(200);
+    expect(feed.body.count).toBe(0);
+    await api().get(`/api/shared/${crop.id}`).set(neighbour.auth).expect(404);
+    await api().post(`/api/shared/${crop.id}/claims`).set(neighbour.auth).send({ quantity: 1 }).expect(404);
+  });
+});
+
+describe('listings', () => {
+  it('hides a listing from the feed, tells the grower and can unhide it', async () => {
+    const admin = await makeAdmin(await registerUser());
+    const grower = await registerUser();
+    const neighbour = await registerUser();
+    const crop = await shareCrop(grower, { name: 'Chard' });
+
+    const hidden = await api()
+      .post(`/api/admin/listings/${crop.id}/hide`)
+      .set(admin.auth)
+      .send({ reason: 'Not a crop' })
+      .expect(200);
+    expect(hidden.body.listing).toMatchObject({ hidden_reason: 'Not a crop', hidden_by: admin.id });
+    expect(sent.notifications).toEqual([
+      expect.objectContaining({ userId: grower.id, body: 'A moderator hid Chard from the shared feed: Not a crop' })
+    ]);
+
+    const feed = await api().get('/api/shared').set(neighbour.auth).expect(200);
+    expect(feed.body.count).toBe(0);
+    await api().get(`/api/shared/${crop.id}`).set(neighbour.auth).expect(404);
+
+    const listed = await api().get('/api/admin/listings?hidden=true').set(admin.auth).expect(200);
+    expect(listed.body.listings.map((listing) => listing.id)).toEqual([crop.id]);
+
+    await api().post(`/api/admin/listings/${crop.id}/hide`).set(admin.auth).send({}).expect(409);
+    await api().post(`/api/admin/listings/${crop.id}/unhide`).set(admin.auth).expect(200);
+    await api().post(`/api/admin/listings/${crop.id}/unhide`).set(admin.auth).expect(404);
+
+    await api().get(`/api/shared/${crop.id}`).set(neighbour.auth).expect(200);
+  });
+
+  it('only moderates shared crops', async () => {
+    const admin = await makeAdmin(await registerUser());
+    const grower = await registerUser();
+    const crop = await createCrop(grower, (await createGarden(grower)).id);
+
+    await api().post(`/api/admin/listings/${crop.id}/hide`).set(admin.auth).send({}).expect(404);
+  });
+});
+
+describe('reports', () => {
+  it('queues open reports, oldest first, until they are closed', async () => {
+    const admin = await makeAdmin(await registerUser());
+    const grower = await registerUser();
+    const first = await registerUser();
+    const second = await registerUser();
+    const crop = await shareCrop(grower, { name: 'Plastic plant' });
+
+    const older = await report(first, { target_type: 'crop', target_id: crop.id, reason: 'misleading' }).expect(201);
+    await report(second, { target_type: 'user', target_id: grower.id, reason: 'spam' }).expect(201);
+
+    const queue = await api().get('/api/admin/reports').set(admin.auth).expect(200);
+    expect(queue.body.total).toBe(2);
+    expect(queue.body.reports[0]).toMatchObject({
+      id: older.body.report.id,
+      reporter: { name: first.name, email: first.email },
+      reported_user: expect.objectContaining({ name: grower.name }),
+      crops: expect.objectContaining({ name: 'Plastic plant' })
+    });
+
+    const users = await api().get('/api/admin/reports?target_type=user').set(admin.auth).expect(200);
+    expect(users.body.count).toBe(1);
+
+    const profile = await api().get(`/api/admin/users/${grower.id}`).set(admin.auth).expect(200);
+    expect(profile.body.user.open_reports).toBe(2);
+
+    const resolved = await api()
+      .patch(`/api/admin/reports/${older.body.report.id}`)
+      .set(admin.auth)
+      .send({ status: 'resolved', note: 'Listing hidden' })
+      .expect(200);
+    expect(resolved.body.report).toMatchObject({ status: 'resolved', resolution_note: 'Listing hidden', resolved_by: admin.id });
+
+    await api()
+      .patch(`/api/admin/reports/${older.body.report.id}`)
+      .set(admin.auth)
+      .send({ status: 'dismissed' })
+      .expect(409);
+
+    const open = await api().get('/api/admin/reports').set(admin.auth).expect(200);
+    expect(open.body.total).toBe(1);
+
+    const closed = await api().get('/api/admin/reports?status=resolved').set(admin.auth).expect(200);
+    expect(closed.body.reports.map((row) => row.id)).toEqual([older.body.report.id]);
+  });
+});
@@ -0,0 +1,41 @@
+const { useTestApp, api } = require('./helpers');
+
+useTestApp();
+
+describe('app', () => {
+  it('reports health', async () => {
+    const res = await api().get('/health').expect(200);
+
+    expect(res.body.status).toBe('OK');
+  });
+
+  it('lists the API endpoints', async () => {
+    const res = await api().get('/api').expect(200);
+
+    expect(res.body.endpoints).toMatchObject({ auth: '/api/auth', crops: '/api/crops' });
+  });
+
+  it('answers unknown routes with a 404 error body', async () => {
+    const res = await api().get('/api/nothing-here').expect(404);
+
+    expect(res.body).toMatchObject({ success: false, code: 'route_not_found', request_id: expect.any(String) });
+  });
+
+  it('rejects malformed JSON', async () => {
+    const res = await api()
+      .post('/api/auth/login')
+      .set('Content-Type', 'application/json')
+      .send('{"email":')
+      .expect(400);
+
+    expect(res.body.code).toBe('invalid_json');
+  });
+
+  it('echoes a valid X-Request-Id and generates one otherwise', async () => {
+    const echoed = await api().get('/health').set('X-Request-Id', 'client-abc-123').expect(200);
+    expect(echoed.headers['x-request-id']).toBe('client-abc-123');
+
+    const generated = await api().get('/health').expect(200);
+    expect(generated.headers['x-request-id']).toEqual(expect.any(String));
+  });
+});
@@ -0,0 +1,259 @@
+const { useTestApp, api, registerUser, createGarden, createCrop, addMember, makeAdmin } = require('./helpers');
+const repositories = require('../repositories');
+
+useTestApp();
+
+// Generic entries are written once the response has been sent
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+const entriesFor = async (user, query = {}) => {
+  const res = await api().get('/api/audit').query(query).set(user.auth).expect(200);
+  return res.body.entries;
+};
+
+describe('audit log', () => {
+  it('records auth events, including failed logins', async () => {
+    const user = await registerUser();
+
+    await api().post('/api/auth/login').send({ email: user.email, password: 'wrong-password1' }).expect(401);
+    const login = await api().post('/api/auth/login').send({ email: user.email, password: user.password }).expect(200);
+    await api().post('/api/auth/logout').set({ Authorization: `Bearer ${login.body.token}` }).expect(200);
+
+    const entries = await entriesFor(user);
+    expect(entries.map((entry) => entry.action).sort()).toEqual([
+      'auth.login',
+      'auth.login_failed',
+      'auth.logout',
+      'auth.register'
+    ]);
+
+    const byAction = (action) => entries.find((entry) => entry.action === action);
+    const failed = byAction('auth.login_failed');
+    expect(failed).toMatchObject({ actor_id: null, entity_type: 'user', entity_id: user.id });
+    expect(failed.metadata).toEqual({ reason: 'invalid_credentials' });
+    expect(byAction('auth.register').changes).not.toHaveProperty('password_hash');
+    expect(entries.every((entry) => entry.request_id)).toBe(true);
+  });
+
+  it('keeps personal data out of entries about users', async () => {
+    const user = await registerUser();
+
+    await api().patch('/api/auth/me').set(user.auth).send({ name: 'Renamed', phone: '+441234567890' }).expect(200);
+
+    const entries = await entriesFor(user);
+    const updated = entries.find((entry) => entry.action === 'user.updated');
+    expect(updated.metadata).toEqual({ fields: ['name', 'phone'] });
+
+    const written = JSON.stringify(entries);
+    expect(written).not.toContain(user.email);
+    expect(written).not.toContain('Renamed');
+    expect(written).not.toContain('+441234567890');
+  });
+
+  it('records who changed what on a crop', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user);
+    const crop = await createCrop(user, garden.id);
+
+    await api().put(`/api/crops/${crop.id}`).set(user.auth).send({ name: 'Cherry tomato' }).expect(200);
+
+    const [updated] = await entriesFor(user, { action: 'crop.updated' });
+    expect(updated).toMatchObject({
+      actor_id: user.id,
+      entity_type: 'crop',
+      entity_id: crop.id,
+      garden_id: garden.id,
+      restorable: false
+    });
+    expect(updated.changes).toEqual({ name: { from: 'Tomato', to: 'Cherry tomato' } });
+  });
+
+  it('records routes without their own entries generically', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user);
+
+    await api()
+      .post(`/api/gardens/${garden.id}/beds`)
+      .set(user.auth)
+      .send({ name: 'Bed 1', x_cm: 0, y_cm: 0, width_cm: 120, length_cm: 240 })
+      .expect(201);
+    await settle();
+
+    const entries = await entriesFor(user, { action: 'POST /api/gardens/:id/beds' });
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({ actor_id: user.id, entity_id: garden.id });
+  });
+
+  it('records task changes against the task', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user);
+
+    const created = await api()
+      .post('/api/tasks')
+      .set(user.auth)
+      .send({ garden_id: garden.id, task_type: 'water', every: 2, unit: 'days' })
+      .expect(201);
+    const task = created.body.task;
+    await api().post(`/api/tasks/${task.id}/complete`).set(user.auth).send({}).expect(200);
+    await api().delete(`/api/tasks/${task.id}`).set(user.auth).expect(200);
+    await settle();
+
+    const entries = await entriesFor(user, { entity_type: 'task', entity_id: task.id });
+    expect(entries.map((entry) => entry.action).sort()).toEqual(['task.completed', 'task.created', 'task.deleted']);
+    expect(entries.every((entry) => entry.garden_id === garden.id)).toBe(true);
+
+    const completed = entries.find((entry) => entry.action === 'task.completed');
+    expect(completed.changes.last_completed_at).toEqual({ from: null, to: expect.any(String) });
+    expect(completed.changes).not.toHaveProperty('gardens');
+  });
+
+  it('shows a suspended user their suspension', async () => {
+    const user = await registerUser();
+    const admin = await makeAdmin(await registerUser());
+
+    await api().post(`/api/admin/users/${user.id}/suspend`).set(admin.auth).send({ reason: 'Spam' }).expect(200);
+    await api().post(`/api/admin/users/${user.id}/unsuspend`).set(admin.auth).expect(200);
+
+    // Suspending signed them out
+    const login = await api().post('/api/auth/login').send({ email: user.email, password: user.password }).expect(200);
+    const entries = await entriesFor({ auth: { Authorization: `Bearer ${login.body.token}` } });
+    const suspended = entries.find((entry) => entry.action === 'user.suspended');
+    expect(suspended).toMatchObject({ actor_id: admin.id, entity_type: 'user', entity_id: user.id });
+    expect(suspended.changes.suspended_reason).toEqual({ from: null, to: 'Spam' });
+    expect(entries.some((entry) => entry.action === 'user.unsuspended')).toBe(true);
+  });
+
+  it('records claims without the message to the grower', async () => {
+    const grower = await registerUser();
+    const requester = await registerUser();
+    const garden = await createGarden(grower);
+    const crop = await createCrop(grower, garden.id, { is_shared: true, quantity: 5, quantity_unit: 'kg' });
+
+    const res = await api()
+      .post(`/api/shared/${crop.id}/claims`)
+      .set(requester.auth)
+      .send({ quantity: 2, message: 'Call me on 07700 900123' })
+      .expect(201);
+    await api().post(`/api/shared/claims/${res.body.claim.id}/accept`).set(grower.auth).expect(200);
+
+    const entries = await entriesFor(grower, { entity_type: 'claim' });
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({ action: 'claim.accepted', entity_id: res.body.claim.id, garden_id: garden.id });
+    expect(entries[0].changes.status).toEqual({ from: 'pending', to: 'accepted' });
+    expect(entries[0].metadata).toEqual({ crop_id: crop.id, quantity: { from: 5, to: 3 } });
+
+    const [created] = await entriesFor(requester, { action: 'claim.created' });
+    expect(JSON.stringify(created)).not.toContain('07700');
+  });
+
+  it('shows users their own history and admins everyone\'s', async () => {
+    const owner = await registerUser();
+    const other = await registerUser();
+    const garden = await createGarden(owner);
+
+    const mine = await entriesFor(other);
+    expect(mine.some((entry) => entry.garden_id === garden.id)).toBe(false);
+
+    await api().get('/api/audit').query({ actor_id: owner.id }).set(other.auth).expect(403);
+
+    const [created] = await entriesFor(owner, { action: 'garden.created' });
+    await api().get(`/api/audit/${created.id}`).set(other.auth).expect(404);
+
+    const admin = await makeAdmin(other);
+    const res = await api().get('/api/audit').query({ actor_id: owner.id }).set(admin.auth).expect(200);
+    expect(res.body.entries.map((entry) => entry.action).sort()).toEqual(['auth.register', 'garden.created']);
+    expect(res.body.entries[0]).not.toHaveProperty('snapshot');
+  });
+
+  it('filters by creation date', async () => {
+    const user = await registerUser();
+    const day = new Date().toISOString().slice(0, 10);
+
+    expect(await entriesFor(user, { created_from: day, created_to: day })).toHaveLength(1);
+    expect(await entriesFor(user, { created_to: '2000-01-01' })).toHaveLength(0);
+  });
+
+  it('is append only', async () => {
+    const user = await registerUser();
+    const [entry] = await entriesFor(user);
+
+    await api().put(`/api/audit/${entry.id}`).set(user.auth).send({}).expect(404);
+    await api().delete(`/api/audit/${entry.id}`).set(user.auth).expect(404);
+  });
+});
+
+describe('POST /api/audit/:id/restore', () => {
+  it('restores a deleted crop with its harvests', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user);
+    const crop = await createCrop(user, garden.id, { quantity_unit: 'kg' });
+
+    await api()
+      .post(`/api/crops/${crop.id}/harvests`)
+      .set(user.auth)
+      .send({ amount: 1.5, harvested_on: '2025-08-01' })
+      .expect(201);
+    await api().delete(`/api/crops/${crop.id}`).set(user.auth).expect(200);
+
+    const [deleted] = await entriesFor(user, { action: 'crop.deleted' });
+    expect(deleted).toMatchObject({ entity_id: crop.id, restorable: true });
+
+    const res = await api().post(`/api/audit/${deleted.id}/restore`).set(user.auth).expect(200);
+    expect(res.body.crop).toMatchObject({ id: crop.id, name: 'Tomato', garden_id: garden.id });
+
+    const harvests = await api().get(`/api/crops/${crop.id}/harvests`).set(user.auth).expect(200);
+    expect(harvests.body.harvests).toHaveLength(1);
+
+    const [restored] = await entriesFor(user, { action: 'crop.restored' });
+    expect(restored.metadata).toEqual({ audit_id: deleted.id });
+
+    const again = await api().post(`/api/audit/${deleted.id}/restore`).set(user.auth).expect(409);
+    expect(again.body.code).toBe('already_restored');
+  });
+
+  it('needs the crop\'s garden and editor access to it', async () => {
+    const owner = await registerUser();
+    const viewer = await registerUser();
+    const garden = await createGarden(owner);
+    const crop = await createCrop(owner, garden.id);
+    await addMember(owner, garden.id, viewer);
+
+    await api().delete(`/api/crops/${crop.id}`).set(owner.auth).expect(200);
+    const [deleted] = await entriesFor(owner, { action: 'crop.deleted' });
+
+    // Viewers can't see the owner's entries at all
+    await api().post(`/api/audit/${deleted.id}/restore`).set(viewer.auth).expect(404);
+
+    await api().delete(`/api/gardens/${garden.id}`).set(owner.auth).expect(200);
+
+    const res = await api().post(`/api/audit/${deleted.id}/restore`).set(owner.auth).expect(409);
+    expect(res.body.code).toBe('garden_deleted');
+  });
+
+  it('restores a deleted garden with its crops and members', async () => {
+    const owner = await registerUser();
+    const member = await registerUser();
+    const garden = await createGarden(owner, { name: 'Allotment' });
+    const crop = await createCrop(owner, garden.id);
+    await addMember(owner, garden.id, member, 'editor');
+
+    await api().delete(`/api/gardens/${garden.id}`).set(owner.auth).expect(200);
+    const [deleted] = await entriesFor(owner, { action: 'garden.deleted' });
+
+    const res = await api().post(`/api/audit/${deleted.id}/restore`).set(owner.auth).expect(200);
+    expect(res.body.garden).toMatchObject({ id: garden.id, name: 'Allotment' });
+
+    await api().get(`/api/crops/${crop.id}`).set(member.auth).expect(200);
+    const members = await repositories.gardenMembers.find({ garden_id: garden.id });
+    expect(members).toHaveLength(2);
+  });
+
+  it('only restores deletions', async () => {
+    const user = await registerUser();
+    await createGarden(user);
+    const [created] = await entriesFor(user, { action: 'garden.created' });
+
+    const res = await api().post(`/api/audit/${created.id}/restore`).set(user.auth).expect(400);
+    expect(res.body.code).toBe('not_restorable');
+  });
+});
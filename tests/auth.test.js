@@ -0,0 +1,315 @@
+const { useTestApp, api, registerUser, createGarden, createCrop, addMember, tokenFromMail } = require('./helpers');
+const repositories = require('../repositories');
+const { purgeTrash } = require('../services/trash');
+
+const sent = useTestApp();
+
+describe('POST /api/auth/register', () => {
+  it('creates a user and returns a token pair without the password hash', async () => {
+    const res = await api()
+      .post('/api/auth/register')
+      .send({ email: 'ada@example.com', password: 'carrots42', name: 'Ada' })
+      .expect(201);
+
+    expect(res.body.user).toMatchObject({ email: 'ada@example.com', name: 'Ada', email_verified: false });
+    expect(res.body.user.password_hash).toBeUndefined();
+    expect(res.body.token).toEqual(expect.any(String));
+    expect(res.body.refresh_token).toEqual(expect.any(String));
+  });
+
+  it('rejects an email that is already registered', async () => {
+    const user = await registerUser();
+
+    const res = await api()
+      .post('/api/auth/register')
+      .send({ email: user.email, password: 'carrots42', name: 'Someone else' })
+      .expect(400);
+
+    expect(res.body.code).toBe('user_exists');
+  });
+
+  it('treats emails that differ only in case as the same', async () => {
+    const user = await registerUser();
+    const shouted = user.email.toUpperCase();
+
+    await api()
+      .post('/api/auth/register')
+      .send({ email: shouted, password: 'carrots42', name: 'Someone else' })
+      .expect(400);
+
+    const login = await api().post('/api/auth/login').send({ email: shouted, password: user.password }).expect(200);
+    expect(login.body.user.email).toBe(user.email);
+  });
+
+  it('validates the body', async () => {
+    const res = await api()
+      .post('/api/auth/register')
+      .send({ email: 'not-an-email', password: 'short' })
+      .expect(422);
+
+    expect(res.body.code).toBe('validation_failed');
+    expect(res.body.details.map((detail) => detail.field)).toEqual(
+      expect.arrayContaining(['email', 'password', 'name'])
+    );
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  it('signs in with the right password', async () => {
+    const user = await registerUser();
+
+    const res = await api()
+      .post('/api/auth/login')
+      .send({ email: user.email, password: user.password })
+      .expect(200);
+
+    expect(res.body.user.id).toBe(user.id);
+    expect(res.body.token).toEqual(expect.any(String));
+  });
+
+  it('rejects a wrong password or unknown email the same way', async () => {
+    const user = await registerUser();
+
+    const wrongPassword = await api()
+      .post('/api/auth/login')
+      .send({ email: user.email, password: 'nope12345' })
+      .expect(401);
+    const unknownEmail = await api()
+      .post('/api/auth/login')
+      .send({ email: 'nobody@example.com', password: 'nope12345' })
+      .expect(401);
+
+    expect(wrongPassword.body.code).toBe('invalid_credentials');
+    expect(unknownEmail.body.code).toBe('invalid_credentials');
+  });
+});
+
+describe('POST /api/auth/refresh', () => {
+  it('rotates the refresh token', async () => {
+    const user = await registerUser();
+
+    const res = await api()
+      .post('/api/auth/refresh')
+      .send({ refresh_token: user.refreshToken })
+      .expect(200);
+
+    expect(res.body.refresh_token).not.toBe(user.refreshToken);
+
+    // The old refresh token can't be used twice
+    await api().post('/api/auth/refresh').send({ refresh_token: user.refreshToken }).expect(401);
+  });
+
+  it('rejects a malformed refresh token', async () => {
+    const res = await api().post('/api/auth/refresh').send({ refresh_token: 'garbage' }).expect(401);
+
+    expect(res.body.code).toBe('invalid_refresh_token');
+  });
+});
+
+describe('password reset', () => {
+  it('mails a reset link that sets a new password once', async () => {
+    const user = await registerUser();
+
+    await api().post('/api/auth/forgot-password').send({ email: user.email }).expect(200);
+
+    const token = tokenFromMail(user.email);
+    expect(token).toEqual(expect.any(String));
+
+    await api().post('/api/auth/reset-password').send({ token, password: 'newpass123' }).expect(200);
+    await api().post('/api/auth/login').send({ email: user.email, password: 'newpass123' }).expect(200);
+
+    const reused = await api()
+      .post('/api/auth/reset-password')
+      .send({ token, password: 'another123' })
+      .expect(400);
+
+    expect(reused.body.code).toBe('invalid_reset_token');
+  });
+
+  it('answers the same for unknown emails and sends nothing', async () => {
+    await api().post('/api/auth/forgot-password').send({ email: 'nobody@example.com' }).expect(200);
+
+    expect(sent.mail).toHaveLength(0);
+  });
+
+  it('signs out every session of the account', async () => {
+    const user = await registerUser();
+
+    await api().post('/api/auth/forgot-password').send({ email: user.email }).expect(200);
+    await api()
+      .post('/api/auth/reset-password')
+      .send({ token: tokenFromMail(user.email), password: 'newpass123' })
+      .expect(200);
+
+    const res = await api().get('/api/auth/me').set(user.auth).expect(401);
+    expect(res.body.code).toBe('session_revoked');
+  });
+});
+
+describe('email verification', () => {
+  it('verifies the address with the mailed token', async () => {
+    const user = await registerUser();
+
+    await api().post('/api/auth/resend-verification').set(user.auth).expect(200);
+    await api()
+      .post('/api/auth/verify-email')
+      .send({ token: tokenFromMail(user.email) })
+      .expect(200);
+
+    const me = await api().get('/api/auth/me').set(user.auth).expect(200);
+    expect(me.body.user.email_verified).toBe(true);
+
+    const again = await api().post('/api/auth/resend-verification').set(user.auth).expect(400);
+    expect(again.body.code).toBe('already_verified');
+  });
+
+  it('rejects an unknown token', async () => {
+    const res = await api().post('/api/auth/verify-email').send({ token: 'made-up' }).expect(400);
+
+    expect(res.body.code).toBe('invalid_verification_token');
+  });
+});
+
+describe('/api/auth/me', () => {
+  it('requires a token', async () => {
+    const res = await api().get('/api/auth/me').expect(401);
+
+    expect(res.body.code).toBe('token_required');
+  });
+
+  it('rejects an invalid token', async () => {
+    const res = await api().get('/api/auth/me').set('Authorization', 'Bearer nonsense').expect(403);
+
+    expect(res.body.code).toBe('invalid_token');
+  });
+
+  it('returns and updates the profile', async () => {
+    const user = await registerUser();
+
+    const me = await api().get('/api/auth/me').set(user.auth).expect(200);
+    expect(me.body.user).toMatchObject({ id: user.id, email: user.email });
+    expect(me.body.user.password_hash).toBeUndefined();
+
+    const updated = await api()
+      .patch('/api/auth/me')
+      .set(user.auth)
+      .send({ name: 'Renamed', phone: '+44 20 7946 0000' })
+      .expect(200);
+
+    expect(updated.body.user).toMatchObject({ name: 'Renamed', phone: '+44 20 7946 0000' });
+  });
+
+  it('refuses an empty profile update', async () => {
+    const user = await registerUser();
+
+    await api().patch('/api/auth/me').set(user.auth).send({}).expect(422);
+  });
+
+  it('deletes the account and the gardens it owns, leaving no personal data in the audit log', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user, { location: '12 Elm Street', latitude: 51.5, longitude: -0.12 });
+    const trashed = await createGarden(user, { location: '9 Oak Lane', description: 'Behind the shed' });
+    await api().put(`/api/gardens/${garden.id}`).set(user.auth).send({ description: 'Front yard' }).expect(200);
+    await api().delete(`/api/gardens/${trashed.id}`).set(user.auth).expect(200);
+    // Purged, leaving a snapshot behind
+    await purgeTrash(Date.now() + 365 * 24 * 60 * 60 * 1000);
+
+    await api().delete('/api/auth/me').set(user.auth).send({ password: 'wrong1234' }).expect(401);
+    await api().delete('/api/auth/me').set(user.auth).send({ password: user.password }).expect(200);
+
+    await api().post('/api/auth/login').send({ email: user.email, password: user.password }).expect(401);
+
+    const entries = await repositories.auditLog.find({});
+    expect(entries.map((entry) => entry.action)).toEqual(expect.arrayContaining([
+      'garden.created', 'garden.updated', 'garden.deleted', 'garden.purged', 'user.deleted'
+    ]));
+    const written = JSON.stringify(entries);
+    [user.email, user.name, '12 Elm Street', '9 Oak Lane', 'Behind the shed', 'Front yard', '51.5', '-0.12']
+      .forEach((text) => expect(written).not.toContain(text));
+  });
+
+  it('hands a shared garden to its longest-standing editor', async () => {
+    const owner = await registerUser();
+    const [first, second, viewer] = [await registerUser(), await registerUser(), await registerUser()];
+    const garden = await createGarden(owner);
+    const crop = await createCrop(owner, garden.id);
+    await addMember(owner, garden.id, viewer, 'viewer');
+    await addMember(owner, garden.id, first, 'editor');
+    await addMember(owner, garden.id, second, 'editor');
+
+    await api().delete('/api/auth/me').set(owner.auth).send({ password: owner.password }).expect(200);
+
+    const members = await repositories.gardenMembers.find({ garden_id: garden.id }, { columns: ['user_id', 'role'] });
+    expect(members).toEqual(expect.arrayContaining([
+      { user_id: first.id, role: 'owner' },
+      { user_id: second.id, role: 'editor' },
+      { user_id: viewer.id, role: 'viewer' }
+    ]));
+
+    const res = await api().get(`/api/crops/${crop.id}`).set(first.auth).expect(200);
+    expect(res.body.crop.user_id).toBe(first.id);
+  });
+});
+
+describe('POST /api/auth/change-password', () => {
+  it('changes the password and signs out the other sessions', async () => {
+    const user = await registerUser();
+    const otherDevice = await api()
+      .post('/api/auth/login')
+      .send({ email: user.email, password: user.password })
+      .expect(200);
+
+    const res = await api()
+      .post('/api/auth/change-password')
+      .set(user.auth)
+      .send({ current_password: user.password, new_password: 'fresh4567' })
+      .expect(200);
+
+    expect(res.body.sessions_revoked).toBe(1);
+    await api().get('/api/auth/me').set(user.auth).expect(200);
+    await api().get('/api/auth/me').set('Authorization', `Bearer ${otherDevice.body.token}`).expect(401);
+  });
+
+  it('requires the current password', async () => {
+    const user = await registerUser();
+
+    const res = await api()
+      .post('/api/auth/change-password')
+      .set(user.auth)
+      .send({ current_password: 'wrong1234', new_password: 'fresh4567' })
+      .expect(401);
+
+    expect(res.body.code).toBe('incorrect_password');
+  });
+});
+
+describe('sessions', () => {
+  it('lists sessions and revokes one', async () => {
+    const user = await registerUser();
+    await api().post('/api/auth/login').send({ email: user.email, password: user.password }).expect(200);
+
+    const list = await api().get('/api/auth/sessions').set(user.auth).expect(200);
+    expect(list.body.count).toBe(2);
+
+    const other = list.body.sessions.find((session) => !session.current);
+    await api().delete(`/api/auth/sessions/${other.id}`).set(user.auth).expect(200);
+    await api().delete(`/api/auth/sessions/${other.id}`).set(user.auth).expect(404);
+  });
+
+  it('logs out the current session', async () => {
+    const user = await registerUser();
+
+    await api().post('/api/auth/logout').set(user.auth).expect(200);
+    await api().get('/api/auth/me').set(user.auth).expect(401);
+  });
+
+  it('logs out every session', async () => {
+    const user = await registerUser();
+    await api().post('/api/auth/login').send({ email: user.email, password: user.password }).expect(200);
+
+    const res = await api().post('/api/auth/logout-all').set(user.auth).expect(200);
+
+    expect(res.body.count).toBe(2);
+    await api().post('/api/auth/refresh').send({ refresh_token: user.refreshToken }).expect(401);
+  });
+});
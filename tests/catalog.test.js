@@ -0,0 +1,142 @@
+const { useTestApp, api, registerUser, createGarden, createCrop } = require('./helpers');
+const species = require('../data/catalog.json');
+
+useTestApp();
+
+describe('crop catalogue data', () => {
+  it('has unique ids and only refers to species it contains', () => {
+    const speciesIds = new Set(species.map((item) => item.id));
+    const ids = species.flatMap((item) => [item.id, ...item.varieties.map((variety) => variety.id)]);
+
+    expect(new Set(ids).size).toBe(ids.length);
+
+    species.forEach((item) => {
+      [...item.companions, ...item.antagonists].forEach((id) => expect(speciesIds).toContain(id));
+      expect(item.antagonists.filter((id) => item.companions.includes(id))).toEqual([]);
+    });
+  });
+});
+
+describe('GET /api/catalog', () => {
+  it('searches species by name, variety and growing conditions', async () => {
+    const user = await registerUser();
+
+    const byVariety = await api().get('/api/catalog?q=moneymaker').set(user.auth).expect(200);
+    expect(byVariety.body.species.map((item) => item.id)).toEqual(['tomato']);
+
+    const byAlias = await api().get('/api/catalog?q=zucchini').set(user.auth).expect(200);
+    expect(byAlias.body.species.map((item) => item.id)).toEqual(['courgette']);
+
+    const herbs = await api().get('/api/catalog?category=herb&water=low').set(user.auth).expect(200);
+    expect(herbs.body.species.length).toBeGreaterThan(0);
+    herbs.body.species.forEach((item) => expect(item).toMatchObject({ category: 'herb', water: 'low' }));
+
+    await api().get('/api/catalog?sun=sometimes').set(user.auth).expect(422);
+    await api().get('/api/catalog').expect(401);
+  });
+
+  it('gets a variety with its species\' growing metadata and named neighbours', async () => {
+    const user = await registerUser();
+
+    const res = await api().get('/api/catalog/tomato-san-marzano').set(user.auth).expect(200);
+
+    expect(res.body.entry).toMatchObject({
+      id: 'tomato-san-marzano',
+      species_id: 'tomato',
+      name: 'Tomato',
+      variety: 'San Marzano',
+      days_to_maturity: 80,
+      sun: 'full',
+      antagonists: expect.arrayContaining([{ id: 'potato', name: 'Potato' }])
+    });
+
+    await api().get('/api/catalog/triffid').set(user.auth).expect(404);
+  });
+});
+
+describe('crops linked to the catalogue', () => {
+  it('fills in the name and expected harvest from the entry', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user);
+
+    const crop = await createCrop(user, garden.id, {
+      name: undefined,
+      catalog_id: 'radish-cherry-belle',
+      planting_date: '2025-04-01'
+    });
+
+    expect(crop).toMatchObject({
+      catalog_id: 'radish-cherry-belle',
+      name: 'Radish',
+      variety: 'Cherry Belle',
+      category: 'vegetable',
+      expected_harvest: '2025-04-25'
+    });
+
+    const manual = await createCrop(user, garden.id, {
+      name: 'Radish',
+      catalog_id: 'radish',
+      planting_date: '2025-04-01',
+      expected_harvest: '2025-05-10'
+    });
+    expect(manual.expected_harvest).toBe('2025-05-10');
+
+    await api()
+      .post('/api/crops')
+      .set(user.auth)
+      .send({ garden_id: garden.id, catalog_id: 'triffid' })
+      .expect(422);
+  });
+
+  it('moves an estimated harvest date with the planting date but keeps one set by hand', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user);
+    const estimated = await createCrop(user, garden.id, { name: 'Lettuce', catalog_id: 'lettuce', planting_date: '2025-04-01' });
+    const manual = await createCrop(user, garden.id, {
+      name: 'Lettuce',
+      catalog_id: 'lettuce',
+      planting_date: '2025-04-01',
+      expected_harvest: '2025-06-30'
+    });
+
+    const moved = await api()
+      .put(`/api/crops/${estimated.id}`)
+      .set(user.auth)
+      .send({ planting_date: '2025-05-01' })
+      .expect(200);
+    expect(moved.body.crop.expected_harvest).toBe('2025-06-20');
+
+    const kept = await api()
+      .put(`/api/crops/${manual.id}`)
+      .set(user.auth)
+      .send({ planting_date: '2025-05-01' })
+      .expect(200);
+    expect(kept.body.crop.expected_harvest).toBe('2025-06-30');
+  });
+
+  it('warns about antagonistic crops growing in the same garden', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user);
+    const otherGarden = await createGarden(user, { name: 'Allotment' });
+    const potato = await createCrop(user, garden.id, { name: 'Potato' });
+    await createCrop(user, otherGarden.id, { name: 'Fennel', catalog_id: 'fennel' });
+    await createCrop(user, garden.id, { name: 'Fennel', status: 'finished' });
+
+    const res = await api()
+      .post('/api/crops')
+      .set(user.auth)
+      .send({ garden_id: garden.id, catalog_id: 'tomato-moneymaker' })
+      .expect(201);
+
+    expect(res.body.warnings).toEqual([
+      { code: 'antagonist', message: 'Tomato does not grow well next to Potato', crop_id: potato.id, crop_name: 'Potato' }
+    ]);
+
+    const basil = await api()
+      .post('/api/crops')
+      .set(user.auth)
+      .send({ garden_id: garden.id, catalog_id: 'basil' })
+      .expect(201);
+    expect(basil.body.warnings).toEqual([]);
+  });
+});
@@ -0,0 +1,133 @@
+const { useTestApp, api, registerUser, createGarden, createCrop } = require('./helpers');
+
+const sent = useTestApp();
+
+const shareCrop = async (grower) =>
+  createCrop(grower, (await createGarden(grower)).id, { name: 'Squash', is_shared: true, quantity: 4 });
+
+const start = (user, cropId, message = 'Could I pick some up on Saturday?') =>
+  api().post('/api/conversations').set(user.auth).send({ crop_id: cropId, message });
+
+const send = (user, conversationId, body) =>
+  api().post(`/api/conversations/${conversationId}/messages`).set(user.auth).send({ body });
+
+describe('POST /api/conversations', () => {
+  it('starts a conversation about a listing and notifies the grower', async () => {
+    const grower = await registerUser();
+    const neighbour = await registerUser();
+    const crop = await shareCrop(grower);
+
+    const res = await start(neighbour, crop.id).expect(201);
+
+    expect(res.body.conversation).toMatchObject({
+      crop_id: crop.id,
+      grower_id: grower.id,
+      requester_id: neighbour.id,
+      crops: { name: 'Squash', image_url: null },
+      grower: { name: grower.name },
+      requester: { name: neighbour.name }
+    });
+    expect(res.body.conversation.grower.email).toBeUndefined();
+    expect(sent.notifications).toEqual([
+      expect.objectContaining({ userId: grower.id, title: `New message from ${neighbour.name}` })
+    ]);
+
+    const again = await start(neighbour, crop.id, 'Or Sunday?').expect(200);
+    expect(again.body.conversation.id).toBe(res.body.conversation.id);
+  });
+
+  it('refuses the grower\'s own crops and crops that are not shared', async () => {
+    const grower = await registerUser();
+    const neighbour = await registerUser();
+    const crop = await shareCrop(grower);
+    const privateCrop = await createCrop(grower, crop.garden_id);
+
+    await start(grower, crop.id).expect(400);
+    await start(neighbour, privateCrop.id).expect(404);
+  });
+});
+
+describe('messages', () => {
+  it('lists messages newest first to participants only', async () => {
+    const grower = await registerUser();
+    const neighbour = await registerUser();
+    const stranger = await registerUser();
+    const crop = await shareCrop(grower);
+    const { conversation } = (await start(neighbour, crop.id, 'Hello')).body;
+
+    await send(grower, conversation.id, 'Saturday works').expect(201);
+    await send(neighbour, conversation.id, 'Great').expect(201);
+
+    const first = await api()
+      .get(`/api/conversations/${conversation.id}/messages?limit=2`)
+      .set(grower.auth)
+      .expect(200);
+    const second = await api()
+      .get(`/api/conversations/${conversation.id}/messages?limit=2&cursor=${first.body.next_cursor}`)
+      .set(grower.auth)
+      .expect(200);
+
+    expect([...first.body.messages, ...second.body.messages].map((message) => message.body))
+      .toEqual(['Great', 'Saturday works', 'Hello']);
+    expect(first.body.messages[0].sender).toEqual({ name: neighbour.name });
+
+    await api().get(`/api/conversations/${conversation.id}`).set(stranger.auth).expect(404);
+    await api().get(`/api/conversations/${conversation.id}/messages`).set(stranger.auth).expect(404);
+    await send(stranger, conversation.id, 'Hi').expect(404);
+  });
+
+  it('counts unread messages until the conversation is read', async () => {
+    const grower = await registerUser();
+    const neighbour = await registerUser();
+    const crop = await shareCrop(grower);
+    const { conversation } = (await start(neighbour, crop.id, 'Hello')).body;
+    await send(neighbour, conversation.id, 'Are they still available?').expect(201);
+
+    const unread = await api().get('/api/conversations/unread').set(grower.auth).expect(200);
+    expect(unread.body).toMatchObject({ unread_count: 2, unread_conversations: 1 });
+
+    const list = await api().get('/api/conversations').set(grower.auth).expect(200);
+    expect(list.body.conversations).toEqual([expect.objectContaining({ id: conversation.id, unread_count: 2 })]);
+
+    const ownSide = await api().get('/api/conversations/unread').set(neighbour.auth).expect(200);
+    expect(ownSide.body.unread_count).toBe(0);
+
+    await api().get(`/api/conversations/${conversation.id}/messages`).set(grower.auth).expect(200);
+
+    const read = await api().get('/api/conversations/unread').set(grower.auth).expect(200);
+    expect(read.body.unread_count).toBe(0);
+  });
+});
+
+describe('blocking', () => {
+  it('stops messages in both directions until the block is lifted', async () => {
+    const grower = await registerUser();
+    const neighbour = await registerUser();
+    const crop = await shareCrop(grower);
+    const { conversation } = (await start(neighbour, crop.id)).body;
+
+    await api().post('/api/blocks').set(grower.auth).send({ user_id: neighbour.id }).expect(201);
+    await api().post('/api/blocks').set(grower.auth).send({ user_id: neighbour.id }).expect(409);
+
+    const refused = await send(neighbour, conversation.id, 'Hello?').expect(403);
+    expect(refused.body.code).toBe('blocked');
+    await send(grower, conversation.id, 'Bye').expect(403);
+    await start(neighbour, crop.id).expect(403);
+
+    const thread = await api().get(`/api/conversations/${conversation.id}`).set(neighbour.auth).expect(200);
+    expect(thread.body.conversation.blocked).toBe(true);
+
+    const blocks = await api().get('/api/blocks').set(grower.auth).expect(200);
+    expect(blocks.body.blocks).toEqual([expect.objectContaining({ blocked_id: neighbour.id, blocked: { name: neighbour.name } })]);
+
+    await api().delete(`/api/blocks/${neighbour.id}`).set(grower.auth).expect(200);
+    await api().delete(`/api/blocks/${neighbour.id}`).set(grower.auth).expect(404);
+    await send(neighbour, conversation.id, 'Hello again').expect(201);
+  });
+
+  it('refuses to block yourself', async () => {
+    const user = await registerUser();
+
+    await api().post('/api/blocks').set(user.auth).send({ user_id: user.id }).expect(400);
+  });
+});
@@ -0,0 +1,341 @@
+const sharp = require('sharp');
+const { useTestApp, api, registerUser, createGarden, createCrop, addMember, makeAdmin } = require('./helpers');
+
+const sent = useTestApp();
+
+const image = () =>
+  sharp({ create: { width: 32, height: 24, channels: 3, background: '#3a7d44' } }).png().toBuffer();
+
+describe('POST /api/crops', () => {
+  it('creates a crop with defaults and records its first status', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user);
+
+    const crop = await createCrop(user, garden.id, { name: 'Courgette' });
+
+    expect(crop).toMatchObject({
+      name: 'Courgette',
+      garden_id: garden.id,
+      user_id: user.id,
+      category: 'vegetable',
+      status: 'seedling',
+      is_shared: false,
+      quantity: 1
+    });
+
+    const history = await api().get(`/api/crops/${crop.id}/history`).set(user.auth).expect(200);
+    expect(history.body.history).toEqual([expect.objectContaining({ from_status: null, to_status: 'seedling' })]);
+  });
+
+  it('needs editor access to the garden', async () => {
+    const owner = await registerUser();
+    const viewer = await registerUser();
+    const stranger = await registerUser();
+    const garden = await createGarden(owner);
+    await addMember(owner, garden.id, viewer);
+
+    const body = { garden_id: garden.id, name: 'Kale' };
+    await api().post('/api/crops').set(viewer.auth).send(body).expect(403);
+    await api().post('/api/crops').set(stranger.auth).send(body).expect(404);
+  });
+
+  it('rejects a harvest date before the planting date', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user);
+
+    await api()
+      .post('/api/crops')
+      .set(user.auth)
+      .send({ garden_id: garden.id, name: 'Leek', planting_date: '2025-05-01', expected_harvest: '2025-04-01' })
+      .expect(422);
+  });
+});
+
+describe('GET /api/crops', () => {
+  it('lists crops across the user\'s gardens with filters and search', async () => {
+    const user = await registerUser();
+    const other = await registerUser();
+    const front = await createGarden(user, { name: 'Front' });
+    const back = await createGarden(user, { name: 'Back' });
+    await createCrop(user, front.id, { name: 'Tomato', planting_date: '2025-04-10' });
+    await createCrop(user, back.id, { name: 'Mint', category: 'herb', notes: 'keep in a pot' });
+    await createCrop(user, back.id, { name: 'Strawberry', category: 'fruit', status: 'ready', planting_date: '2025-03-01' });
+    await createCrop(other, (await createGarden(other)).id, { name: 'Not mine' });
+
+    const all = await api().get('/api/crops').set(user.auth).expect(200);
+    expect(all.body.total).toBe(3);
+    expect(all.body.crops[0]).toHaveProperty('progress');
+
+    const herbs = await api().get('/api/crops?category=herb,fruit&sort=name').set(user.auth).expect(200);
+    expect(herbs.body.crops.map((crop) => crop.name)).toEqual(['Mint', 'Strawberry']);
+
+    const ready = await api().get('/api/crops?status=ready').set(user.auth).expect(200);
+    expect(ready.body.crops.map((crop) => crop.name)).toEqual(['Strawberry']);
+
+    const planted = await api().get('/api/crops?planted_from=2025-04-01').set(user.auth).expect(200);
+    expect(planted.body.crops.map((crop) => crop.name)).toEqual(['Tomato']);
+
+    const search = await api().get('/api/crops?q=pot').set(user.auth).expect(200);
+    expect(search.body.crops.map((crop) => crop.name)).toEqual(['Mint']);
+  });
+
+  it('pages with a cursor', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user);
+    for (const name of ['Bean', 'Carrot', 'Daikon']) {
+      await createCrop(user, garden.id, { name });
+    }
+
+    const first = await api().get('/api/crops?sort=name&limit=2').set(user.auth).expect(200);
+    const second = await api()
+      .get(`/api/crops?sort=name&limit=2&cursor=${first.body.next_cursor}`)
+      .set(user.auth)
+      .expect(200);
+
+    expect([...first.body.crops, ...second.body.crops].map((crop) => crop.name)).toEqual(['Bean', 'Carrot', 'Daikon']);
+    expect(second.body.next_cursor).toBeNull();
+  });
+
+  it('rejects an unknown status', async () => {
+    const user = await registerUser();
+
+    const res = await api().get('/api/crops?status=wilting').set(user.auth).expect(422);
+    expect(res.body.code).toBe('validation_failed');
+    expect(res.body.details).toEqual([{ field: 'status', location: 'query', message: 'Invalid status "wilting"' }]);
+  });
+
+  it('rejects a bad sort or cursor like any other invalid parameter', async () => {
+    const user = await registerUser();
+
+    for (const [query, field] of [['sort=secret', 'sort'], ['cursor=nope', 'cursor']]) {
+      const res = await api().get(`/api/crops?${query}`).set(user.auth).expect(422);
+      expect(res.body.code).toBe('validation_failed');
+      expect(res.body.details.map((detail) => detail.field)).toEqual([field]);
+    }
+  });
+
+  it('lists the crops of one garden', async () => {
+    const user = await registerUser();
+    const stranger = await registerUser();
+    const front = await createGarden(user);
+    const back = await createGarden(user);
+    await createCrop(user, front.id, { name: 'Pea' });
+    await createCrop(user, back.id, { name: 'Onion' });
+
+    const res = await api().get(`/api/crops/garden/${front.id}`).set(user.auth).expect(200);
+    expect(res.body.crops.map((crop) => crop.name)).toEqual(['Pea']);
+
+    await api().get(`/api/crops/garden/${front.id}`).set(stranger.auth).expect(404);
+  });
+});
+
+describe('GET /api/crops/:id', () => {
+  it('returns the crop with its garden to members', async () => {
+    const user = await registerUser();
+    const stranger = await registerUser();
+    const garden = await createGarden(user, { name: 'Roof', location: 'Top floor' });
+    const crop = await createCrop(user, garden.id);
+
+    const res = await api().get(`/api/crops/${crop.id}`).set(user.auth).expect(200);
+    expect(res.body.crop.gardens).toEqual({ name: 'Roof', location: 'Top floor' });
+
+    await api().get(`/api/crops/${crop.id}`).set(stranger.auth).expect(404);
+  });
+});
+
+describe('PUT /api/crops/:id', () => {
+  it('updates fields and moves through the lifecycle', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user);
+    const crop = await createCrop(user, garden.id);
+
+    const res = await api()
+      .put(`/api/crops/${crop.id}`)
+      .set(user.auth)
+      .send({ status: 'growing', notes: 'staked' })
+      .expect(200);
+    expect(res.body.crop).toMatchObject({ status: 'growing', notes: 'staked', name: crop.name });
+
+    const history = await api().get(`/api/crops/${crop.id}/history`).set(user.auth).expect(200);
+    expect(history.body.history.map((entry) => entry.to_status)).toEqual(['seedling', 'growing']);
+    expect(history.body.next_statuses).toEqual(['flowering', 'ready', 'finished']);
+  });
+
+  it('refuses to skip lifecycle stages', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user);
+    const crop = await createCrop(user, garden.id);
+
+    const res = await api().put(`/api/crops/${crop.id}`).set(user.auth).send({ status: 'harvested' }).expect(400);
+
+    expect(res.body.code).toBe('invalid_transition');
+    expect(res.body.details.allowed).toEqual(['growing', 'finished']);
+  });
+
+  it('needs editor access', async () => {
+    const owner = await registerUser();
+    const viewer = await registerUser();
+    const garden = await createGarden(owner);
+    const crop = await createCrop(owner, garden.id);
+    await addMember(owner, garden.id, viewer);
+
+    await api().put(`/api/crops/${crop.id}`).set(viewer.auth).send({ notes: 'hi' }).expect(403);
+  });
+});
+
+describe('DELETE /api/crops/:id', () => {
+  it('deletes the crop', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user);
+    const crop = await createCrop(user, garden.id);
+
+    await api().delete(`/api/crops/${crop.id}`).set(user.auth).expect(200);
+    await api().get(`/api/crops/${crop.id}`).set(user.auth).expect(404);
+    await api().delete(`/api/crops/${crop.id}`).set(user.auth).expect(404);
+  });
+});
+
+describe('harvests', () => {
+  it('logs, lists and deletes harvests', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user);
+    const crop = await createCrop(user, garden.id, { quantity_unit: 'kg' });
+
+    const logged = await api()
+      .post(`/api/crops/${crop.id}/harvests`)
+      .set(user.auth)
+      .send({ amount: 1.5, harvested_on: '2025-08-01' })
+      .expect(201);
+    expect(logged.body.harvest).toMatchObject({ amount: 1.5, unit: 'kg', garden_id: garden.id });
+
+    await api()
+      .post(`/api/crops/${crop.id}/harvests`)
+      .set(user.auth)
+      .send({ amount: 500, unit: 'g', harvested_on: '2025-08-03' })
+      .expect(201);
+
+    const list = await api().get(`/api/crops/${crop.id}/harvests`).set(user.auth).expect(200);
+    expect(list.body.harvests.map((harvest) => harvest.harvested_on)).toEqual(['2025-08-03', '2025-08-01']);
+    expect(list.body.totals).toEqual(expect.anything());
+
+    const path = `/api/crops/${crop.id}/harvests/${logged.body.harvest.id}`;
+    await api().delete(path).set(user.auth).expect(200);
+    await api().delete(path).set(user.auth).expect(404);
+  });
+
+  it('rejects unknown units', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user);
+    const crop = await createCrop(user, garden.id);
+
+    await api().post(`/api/crops/${crop.id}/harvests`).set(user.auth).send({ amount: 3, unit: 'bushels' }).expect(400);
+  });
+});
+
+describe('photos', () => {
+  it('uploads photos, makes the first the cover and mirrors it to image_url', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user);
+    const crop = await createCrop(user, garden.id);
+
+    const res = await api()
+      .post(`/api/crops/${crop.id}/photos`)
+      .set(user.auth)
+      .attach('photos', await image(), 'one.png')
+      .attach('photos', await image(), 'two.png')
+      .expect(201);
+
+    expect(res.body.photos).toHaveLength(2);
+    expect(res.body.photos[0].is_cover).toBe(true);
+    expect(sent.files.size).toBe(4);
+
+    const updated = await api().get(`/api/crops/${crop.id}`).set(user.auth).expect(200);
+    expect(updated.body.crop.image_url).toBe(res.body.photos[0].url);
+  });
+
+  it('switches the cover and promotes another photo when the cover is deleted', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user);
+    const crop = await createCrop(user, garden.id);
+    const uploaded = await api()
+      .post(`/api/crops/${crop.id}/photos`)
+      .set(user.auth)
+      .attach('photos', await image(), 'one.png')
+      .attach('photos', await image(), 'two.png')
+      .expect(201);
+    const [first, second] = uploaded.body.photos;
+
+    await api().put(`/api/crops/${crop.id}/photos/${second.id}/cover`).set(user.auth).expect(200);
+
+    const afterSwitch = await api().get(`/api/crops/${crop.id}/photos`).set(user.auth).expect(200);
+    expect(afterSwitch.body.photos.map((photo) => [photo.id, photo.is_cover])).toEqual([
+      [second.id, true],
+      [first.id, false]
+    ]);
+
+    await api().delete(`/api/crops/${crop.id}/photos/${second.id}`).set(user.auth).expect(200);
+
+    const afterDelete = await api().get(`/api/crops/${crop.id}/photos`).set(user.auth).expect(200);
+    expect(afterDelete.body.photos).toEqual([expect.objectContaining({ id: first.id, is_cover: true })]);
+    expect(sent.files.size).toBe(2);
+  });
+
+  it('rejects files that are not images', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user);
+    const crop = await createCrop(user, garden.id);
+
+    const res = await api()
+      .post(`/api/crops/${crop.id}/photos`)
+      .set(user.auth)
+      .attach('photos', Buffer.from('not an image'), { filename: 'fake.png', contentType: 'image/png' })
+      .expect(400);
+
+    expect(res.body.code).toBe('invalid_photo');
+  });
+
+  it('requires at least one photo', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user);
+    const crop = await createCrop(user, garden.id);
+
+    await api().post(`/api/crops/${crop.id}/photos`).set(user.auth).expect(400);
+  });
+
+  it('serves files only to those who can see the crop', async () => {
+    const user = await registerUser();
+    const viewer = await registerUser();
+    const stranger = await registerUser();
+    const garden = await createGarden(user);
+    const crop = await createCrop(user, garden.id, { quantity: 3 });
+    await addMember(user, garden.id, viewer);
+
+    const uploaded = await api()
+      .post(`/api/crops/${crop.id}/photos`)
+      .set(user.auth)
+      .attach('photos', await image(), 'one.png')
+      .expect(201);
+    const [photo] = uploaded.body.photos;
+    const file = `/uploads${new URL(photo.url).pathname}`;
+    const thumbnail = `/uploads${new URL(photo.thumbnail_url).pathname}`;
+
+    await api().get(file).expect(401);
+    await api().get(file).set(stranger.auth).expect(404);
+
+    const res = await api().get(thumbnail).set(viewer.auth).expect(302);
+    expect(res.headers.location).toBe(`http://files.test${new URL(photo.thumbnail_url).pathname}?signed`);
+
+    // Anyone can see the photos of a listing in the feed, until moderators pull it
+    await api().put(`/api/crops/${crop.id}`).set(user.auth).send({ is_shared: true }).expect(200);
+    await api().get(file).set(stranger.auth).expect(302);
+
+    const admin = await makeAdmin(await registerUser());
+    await api().post(`/api/admin/listings/${crop.id}/hide`).set(admin.auth).send({}).expect(200);
+    await api().get(file).set(stranger.auth).expect(404);
+    await api().get(file).set(viewer.auth).expect(302);
+
+    await api().post(`/api/admin/listings/${crop.id}/unhide`).set(admin.auth).expect(200);
+    await api().post(`/api/admin/users/${user.id}/suspend`).set(admin.auth).send({}).expect(200);
+    await api().get(file).set(stranger.auth).expect(404);
+  });
+});
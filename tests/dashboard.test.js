@@ -0,0 +1,97 @@
+const { useTestApp, api, registerUser, createGarden, createCrop, addMember } = require('./helpers');
+const repositories = require('../repositories');
+const { today, addDays } = require('../utils/schedule');
+
+useTestApp();
+
+const season = new Date().getUTCFullYear();
+
+describe('GET /api/dashboard', () => {
+  it('aggregates crops, harvests and sharing across the user\'s gardens', async () => {
+    const user = await registerUser();
+    const neighbour = await registerUser();
+    const front = await createGarden(user, { name: 'Front' });
+    const back = await createGarden(user, { name: 'Back' });
+
+    const soon = await createCrop(user, front.id, {
+      name: 'Radish', planting_date: `${season}-01-01`, expected_harvest: addDays(today(), 3)
+    });
+    const late = await createCrop(user, front.id, {
+      name: 'Leek', expected_harvest: addDays(today(), -2)
+    });
+    await createCrop(user, back.id, { name: 'Mint', category: 'herb', expected_harvest: addDays(today(), 40) });
+    await createCrop(user, back.id, { name: 'Pea', status: 'finished', expected_harvest: addDays(today(), -5) });
+
+    const beans = await createCrop(user, back.id, {
+      name: 'Bean', quantity: 5, quantity_unit: 'kg', is_shared: true, status: 'ready'
+    });
+    await api().post(`/api/crops/${beans.id}/harvests`).set(user.auth).send({ amount: 5, unit: 'kg' }).expect(201);
+    const claim = await api().post(`/api/shared/${beans.id}/claims`).set(neighbour.auth).send({ quantity: 2 }).expect(201);
+    await api().post(`/api/shared/claims/${claim.body.claim.id}/accept`).set(user.auth).expect(200);
+    await api().post(`/api/shared/${beans.id}/claims`).set(neighbour.auth).send({ quantity: 1 }).expect(201);
+
+    const res = await api().get('/api/dashboard').set(user.auth).expect(200);
+
+    expect(res.body).toMatchObject({
+      season,
+      days: 14,
+      totals: { gardens: 2, crops: 5, growing: 4 },
+      sharing: {
+        harvested: [{ dimension: 'mass', amount: 5, unit: 'kg' }],
+        shared: [{ dimension: 'mass', amount: 2, unit: 'kg' }],
+        kept: [{ dimension: 'mass', amount: 3, unit: 'kg' }],
+        pending_claims: 1
+      }
+    });
+    expect(res.body.gardens).toEqual(expect.arrayContaining([
+      expect.objectContaining({ name: 'Front', role: 'owner', crop_count: 2, by_status: { seedling: 2 } }),
+      expect.objectContaining({
+        name: 'Back',
+        crop_count: 3,
+        by_status: { seedling: 1, finished: 1, ready: 1 },
+        by_category: { herb: 1, vegetable: 2 }
+      })
+    ]));
+    expect(res.body.upcoming_harvests).toEqual([
+      expect.objectContaining({ id: soon.id, garden_name: 'Front', days_until: 3 })
+    ]);
+    expect(res.body.overdue_harvests).toEqual([expect.objectContaining({ id: late.id, days_overdue: 2 })]);
+    expect(res.body.plantings_by_month).toHaveLength(12);
+    expect(res.body.plantings_by_month[0]).toEqual({ month: `${season}-01`, count: 1 });
+
+    const wider = await api().get('/api/dashboard?days=60').set(user.auth).expect(200);
+    expect(wider.body.upcoming_harvests.map((crop) => crop.name)).toEqual(['Radish', 'Mint']);
+  });
+
+  it('serves a cached dashboard until something in the user\'s gardens changes', async () => {
+    const user = await registerUser();
+    const member = await registerUser();
+    const garden = await createGarden(user);
+    await addMember(user, garden.id, member, 'editor');
+    const crop = await createCrop(user, garden.id, { name: 'Kale' });
+
+    await api().get('/api/dashboard').set(user.auth).expect('X-Cache', 'MISS');
+
+    // Writes that bypass the API publish no event, so the cache still holds
+    await repositories.crops.update({ id: crop.id }, { category: 'herb' }, { columns: ['id'] });
+    const cached = await api().get('/api/dashboard').set(user.auth).expect('X-Cache', 'HIT');
+    expect(cached.body.totals.crops).toBe(1);
+
+    // Another member's change to the garden clears it
+    await createCrop(member, garden.id, { name: 'Chard' });
+    const fresh = await api().get('/api/dashboard').set(user.auth).expect('X-Cache', 'MISS');
+    expect(fresh.body.totals.crops).toBe(2);
+
+    // So does a new garden
+    await createGarden(user, { name: 'Allotment' });
+    const joined = await api().get('/api/dashboard').set(user.auth).expect('X-Cache', 'MISS');
+    expect(joined.body.totals.gardens).toBe(2);
+  });
+
+  it('validates its parameters', async () => {
+    const user = await registerUser();
+
+    await api().get('/api/dashboard?days=0').set(user.auth).expect(422);
+    await api().get('/api/dashboard').expect(401);
+  });
+});
@@ -0,0 +1,212 @@
+const { useTestApp, api, registerUser, createGarden, createCrop, addMember } = require('./helpers');
+const { toCsv, parseCsv } = require('../utils/csv');
+
+useTestApp();
+
+const importJson = (user, body, query = '') => api().post(`/api/import${query}`).set(user.auth).send(body);
+
+const importCsv = (user, csv, query) =>
+  api().post(`/api/import${query}`).set(user.auth).set('Content-Type', 'text/csv').send(csv);
+
+describe('GET /api/export', () => {
+  it('exports the user\'s gardens, crops and their records as JSON', async () => {
+    const user = await registerUser();
+    const stranger = await registerUser();
+    const garden = await createGarden(user, { name: 'Allotment' });
+    const crop = await createCrop(user, garden.id, { name: 'Leek', quantity_unit: 'kg' });
+    await api().post(`/api/crops/${crop.id}/harvests`).set(user.auth).send({ amount: 2 }).expect(201);
+    await createCrop(stranger, (await createGarden(stranger)).id, { name: 'Not mine' });
+
+    const res = await api().get('/api/export').set(user.auth).expect(200);
+
+    expect(res.headers['content-disposition']).toMatch(/attachment; filename="harvest-hub-export-\d{4}-\d{2}-\d{2}\.json"/);
+    expect(res.body).toMatchObject({
+      format: 'harvest-hub-export',
+      version: 1,
+      user: { id: user.id, email: user.email },
+      gardens: [expect.objectContaining({ id: garden.id, name: 'Allotment', role: 'owner' })],
+      crops: [expect.objectContaining({ id: crop.id, garden_name: 'Allotment' })],
+      crop_status_history: [expect.objectContaining({ crop_id: crop.id, to_status: 'seedling' })],
+      harvests: [expect.objectContaining({ crop_name: 'Leek', amount: 2, unit: 'kg' })]
+    });
+  });
+
+  it('leaves claims out for gardens the user only views', async () => {
+    const owner = await registerUser();
+    const viewer = await registerUser();
+    const requester = await registerUser();
+    const garden = await createGarden(owner);
+    const crop = await createCrop(owner, garden.id, { is_shared: true, quantity: 4, quantity_unit: 'kg' });
+    await addMember(owner, garden.id, viewer, 'viewer');
+    await api()
+      .post(`/api/shared/${crop.id}/claims`)
+      .set(requester.auth)
+      .send({ quantity: 1, message: 'Pick up Friday?' })
+      .expect(201);
+
+    const viewed = await api().get('/api/export').set(viewer.auth).expect(200);
+    expect(viewed.body.crops.map((row) => row.id)).toEqual([crop.id]);
+    expect(viewed.body.share_claims).toEqual([]);
+
+    const owned = await api().get('/api/export').set(owner.auth).expect(200);
+    expect(owned.body.share_claims).toEqual([expect.objectContaining({ message: 'Pick up Friday?' })]);
+  });
+
+  it('exports one table as CSV', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user, { name: 'Back, left' });
+    await createCrop(user, garden.id, { name: 'Pea', notes: '=not a formula' });
+
+    const res = await api().get('/api/export?format=csv&table=crops').set(user.auth).expect(200);
+
+    expect(res.headers['content-type']).toMatch(/^text\/csv/);
+    expect(res.text).toMatch(/^id,garden_id,garden_name,catalog_id,name,/);
+    expect(res.text).toContain('"Back, left",,Pea');
+    expect(res.text).toContain("'=not a formula");
+
+    const { records } = parseCsv(res.text);
+    expect(records).toEqual([expect.objectContaining({ name: 'Pea', garden_name: 'Back, left', notes: '=not a formula' })]);
+  });
+
+  it('needs a table for CSV', async () => {
+    const user = await registerUser();
+
+    await api().get('/api/export?format=csv').set(user.auth).expect(422);
+  });
+});
+
+describe('CSV', () => {
+  it('reads back what it writes, formulas and quotes included', () => {
+    const notes = ['=a,b', '=sum(1)', "'=already escaped", '-5 "quoted"', ' padded ', "it's", 'line\nbreak'];
+
+    const { records } = parseCsv(toCsv(notes.map((note) => ({ notes: note })), ['notes']));
+
+    expect(records.map((record) => record.notes)).toEqual(notes);
+  });
+});
+
+describe('POST /api/import', () => {
+  it('imports gardens and crops, mapping garden names and export ids', async () => {
+    const user = await registerUser();
+    const existing = await createGarden(user, { name: 'Greenhouse' });
+
+    const res = await importJson(user, {
+      gardens: [{ id: 'old-garden-1', name: 'Raised beds', type: 'outdoor' }],
+      crops: [
+        { name: 'Chilli', garden_name: 'greenhouse ', quantity: '3' },
+        { name: 'Carrot', garden_id: 'old-garden-1', status: 'growing' },
+        { name: 'Bean', garden_id: existing.id }
+      ]
+    }).expect(201);
+
+    expect(res.body.summary).toEqual({ gardens: 1, crops: 3 });
+    const [raisedBeds] = res.body.gardens;
+
+    const gardens = await api().get('/api/gardens').set(user.auth).expect(200);
+    expect(gardens.body.gardens.map((garden) => garden.name).sort()).toEqual(['Greenhouse', 'Raised beds']);
+
+    const crops = await api().get('/api/crops?sort=name').set(user.auth).expect(200);
+    expect(crops.body.crops.map((crop) => [crop.name, crop.garden_id, crop.status])).toEqual([
+      ['Bean', existing.id, 'seedling'],
+      ['Carrot', raisedBeds.id, 'growing'],
+      ['Chilli', existing.id, 'seedling']
+    ]);
+  });
+
+  it('reports every invalid row on a dry run without writing anything', async () => {
+    const user = await registerUser();
+    await createGarden(user, { name: 'Patio' });
+
+    const res = await importJson(user, {
+      gardens: [{ name: 'Patio' }],
+      crops: [
+        { name: 'Basil', garden_name: 'Patio', category: 'herb' },
+        { name: 'Melon', garden_name: 'Orchard' },
+        { garden_name: 'Patio', quantity: 'lots' }
+      ]
+    }, '?dry_run=true').expect(200);
+
+    expect(res.body).toMatchObject({ dry_run: true, valid: false, summary: { gardens: 0, crops: 1 } });
+    expect(res.body.errors).toEqual([
+      { table: 'gardens', row: 1, field: 'name', message: 'A garden named "Patio" already exists' },
+      { table: 'crops', row: 2, field: 'garden_name', message: 'No garden named "Orchard" that you can edit' },
+      expect.objectContaining({ table: 'crops', row: 3, field: 'name' }),
+      expect.objectContaining({ table: 'crops', row: 3, field: 'quantity' })
+    ]);
+
+    const crops = await api().get('/api/crops').set(user.auth).expect(200);
+    expect(crops.body.total).toBe(0);
+  });
+
+  it('imports nothing when any row is invalid', async () => {
+    const user = await registerUser();
+    await createGarden(user, { name: 'Patio' });
+
+    const res = await importJson(user, {
+      crops: [
+        { name: 'Basil', garden_name: 'Patio' },
+        { name: 'Melon', garden_name: 'Orchard' }
+      ]
+    }).expect(422);
+
+    expect(res.body.code).toBe('import_invalid');
+    expect(res.body.details).toHaveLength(1);
+
+    const crops = await api().get('/api/crops').set(user.auth).expect(200);
+    expect(crops.body.total).toBe(0);
+  });
+
+  it('imports crops from a spreadsheet CSV', async () => {
+    const user = await registerUser();
+    await createGarden(user, { name: 'Front' });
+
+    const csv = [
+      'Name,Garden_Name,Category,Planting_Date,Quantity,Notes',
+      'Lettuce,Front,vegetable,2025-04-01,6,"Cut and come again, keep watered"',
+      'Sage,front,herb,,,'
+    ].join('\n');
+
+    const res = await importCsv(user, csv, '?table=crops').expect(201);
+    expect(res.body.summary).toEqual({ gardens: 0, crops: 2 });
+
+    const crops = await api().get('/api/crops?sort=name').set(user.auth).expect(200);
+    expect(crops.body.crops).toEqual([
+      expect.objectContaining({ name: 'Lettuce', quantity: 6, notes: 'Cut and come again, keep watered' }),
+      expect.objectContaining({ name: 'Sage', category: 'herb', quantity: 1 })
+    ]);
+  });
+
+  it('round-trips an export into another account', async () => {
+    const user = await registerUser();
+    const newcomer = await registerUser();
+    const garden = await createGarden(user, { name: 'Orchard' });
+    await createCrop(user, garden.id, { name: 'Apple', category: 'fruit' });
+
+    const archive = await api().get('/api/export').set(user.auth).expect(200);
+    await importJson(newcomer, archive.body).expect(201);
+
+    const crops = await api().get('/api/crops').set(newcomer.auth).expect(200);
+    expect(crops.body.crops).toEqual([expect.objectContaining({ name: 'Apple', user_id: newcomer.id })]);
+    expect(crops.body.crops[0].garden_id).not.toBe(garden.id);
+  });
+
+  it('only puts crops in gardens the user can edit', async () => {
+    const owner = await registerUser();
+    const viewer = await registerUser();
+    const garden = await createGarden(owner, { name: 'Shared plot' });
+    await addMember(owner, garden.id, viewer);
+
+    const res = await importJson(viewer, { crops: [{ name: 'Kale', garden_id: garden.id }] }, '?dry_run=true').expect(200);
+
+    expect(res.body.errors).toEqual([expect.objectContaining({ field: 'garden_id' })]);
+  });
+
+  it('rejects bodies it cannot read', async () => {
+    const user = await registerUser();
+
+    await importJson(user, { plants: [] }).expect(400);
+    await importCsv(user, 'name\nTomato', '').expect(400);
+    await importCsv(user, 'name\n"Tomato', '?table=crops').expect(400);
+    await api().post('/api/import').send({ crops: [] }).expect(401);
+  });
+});
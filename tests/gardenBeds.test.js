@@ -0,0 +1,207 @@
+const { useTestApp, api, registerUser, createGarden, createCrop, addMember } = require('./helpers');
+const repositories = require('../repositories');
+
+useTestApp();
+
+const createBed = async (user, gardenId, fields = {}) => {
+  const res = await api()
+    .post(`/api/gardens/${gardenId}/beds`)
+    .set(user.auth)
+    .send({ name: 'Bed 1', x_cm: 0, y_cm: 0, width_cm: 120, length_cm: 240, ...fields })
+    .expect(201);
+
+  return res.body.bed;
+};
+
+const place = (user, gardenId, cropId, body) =>
+  api().put(`/api/gardens/${gardenId}/placements/${cropId}`).set(user.auth).send(body);
+
+describe('garden beds', () => {
+  it('adds beds that don\'t overlap', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user);
+    const bed = await createBed(user, garden.id);
+
+    expect(bed).toMatchObject({ garden_id: garden.id, kind: 'bed', width_cm: 120, cell_cm: null });
+
+    // Sharing an edge is fine
+    await createBed(user, garden.id, { name: 'Bed 2', x_cm: 120 });
+
+    const res = await api()
+      .post(`/api/gardens/${garden.id}/beds`)
+      .set(user.auth)
+      .send({ name: 'Bed 3', x_cm: 60, y_cm: 200, width_cm: 100, length_cm: 100 })
+      .expect(409);
+    expect(res.body).toMatchObject({ code: 'overlap', details: { bed_id: bed.id } });
+
+    await api()
+      .post(`/api/gardens/${garden.id}/beds`)
+      .set(user.auth)
+      .send({ name: 'bed 1', x_cm: 0, y_cm: 500, width_cm: 100, length_cm: 100 })
+      .expect(409);
+  });
+
+  it('needs grid beds to be whole cells', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user);
+
+    await api()
+      .post(`/api/gardens/${garden.id}/beds`)
+      .set(user.auth)
+      .send({ name: 'Square foot', kind: 'grid', x_cm: 0, y_cm: 0, width_cm: 120, length_cm: 120 })
+      .expect(422);
+
+    const res = await api()
+      .post(`/api/gardens/${garden.id}/beds`)
+      .set(user.auth)
+      .send({ name: 'Square foot', kind: 'grid', cell_cm: 30, x_cm: 0, y_cm: 0, width_cm: 100, length_cm: 120 })
+      .expect(400);
+    expect(res.body.code).toBe('not_on_grid');
+  });
+
+  it('needs editor access to change the plan', async () => {
+    const owner = await registerUser();
+    const viewer = await registerUser();
+    const garden = await createGarden(owner);
+    await addMember(owner, garden.id, viewer);
+
+    await api()
+      .post(`/api/gardens/${garden.id}/beds`)
+      .set(viewer.auth)
+      .send({ name: 'Bed', x_cm: 0, y_cm: 0, width_cm: 100, length_cm: 100 })
+      .expect(403);
+    await api().get(`/api/gardens/${garden.id}/layout`).set(viewer.auth).expect(200);
+  });
+});
+
+describe('changes racing a delete', () => {
+  // Run `remove` just before the route's own update
+  const removeFirst = (repository, remove) => {
+    const update = repository.update;
+    return jest.spyOn(repository, 'update').mockImplementationOnce(async (...args) => {
+      await remove();
+      return update(...args);
+    });
+  };
+
+  it('do not find a bed deleted meanwhile', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user);
+    const bed = await createBed(user, garden.id);
+    const spy = removeFirst(repositories.gardenBeds, () => repositories.gardenBeds.remove({ id: bed.id }));
+
+    try {
+      await api().put(`/api/gardens/${garden.id}/beds/${bed.id}`).set(user.auth).send({ name: 'Renamed' }).expect(404);
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  it('place a crop again when its placement was removed meanwhile', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user);
+    const bed = await createBed(user, garden.id);
+    const crop = await createCrop(user, garden.id, { catalog_id: 'tomato' });
+    await place(user, garden.id, crop.id, { bed_id: bed.id, x_cm: 0, y_cm: 0 }).expect(201);
+    const spy = removeFirst(repositories.cropPlacements, () => repositories.cropPlacements.remove({ crop_id: crop.id }));
+
+    try {
+      const res = await place(user, garden.id, crop.id, { bed_id: bed.id, x_cm: 0, y_cm: 120 }).expect(201);
+      expect(res.body.placement).toMatchObject({ crop_id: crop.id, y_cm: 120 });
+    } finally {
+      spy.mockRestore();
+    }
+  });
+});
+
+describe('crop placements', () => {
+  it('places crops in beds and rejects overlapping placements', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user);
+    const bed = await createBed(user, garden.id);
+    const tomato = await createCrop(user, garden.id, { catalog_id: 'tomato' });
+    const marrow = await createCrop(user, garden.id, { name: 'Marrow' });
+
+    const res = await place(user, garden.id, tomato.id, { bed_id: bed.id, x_cm: 0, y_cm: 0 }).expect(201);
+    // Defaults to the catalogue spacing
+    expect(res.body.placement).toMatchObject({ crop_id: tomato.id, bed_id: bed.id, width_cm: 60, length_cm: 60 });
+
+    const unsized = await place(user, garden.id, marrow.id, { bed_id: bed.id, x_cm: 30, y_cm: 30 }).expect(400);
+    expect(unsized.body.code).toBe('size_required');
+
+    const overlap = await place(user, garden.id, marrow.id, {
+      bed_id: bed.id, x_cm: 30, y_cm: 30, width_cm: 60, length_cm: 60
+    }).expect(409);
+    expect(overlap.body).toMatchObject({ code: 'overlap', details: { crop_id: tomato.id } });
+
+    await place(user, garden.id, marrow.id, { bed_id: bed.id, x_cm: 100, y_cm: 0, width_cm: 60, length_cm: 60 })
+      .expect(400);
+    await place(user, garden.id, marrow.id, { bed_id: bed.id, x_cm: 60, y_cm: 0, width_cm: 60, length_cm: 60 })
+      .expect(201);
+
+    // Moving a crop replaces its placement
+    await place(user, garden.id, tomato.id, { bed_id: bed.id, x_cm: 0, y_cm: 120 }).expect(200);
+  });
+
+  it('returns a renderable layout of the crops in the ground', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user);
+    const bed = await createBed(user, garden.id, { x_cm: 50, y_cm: 20 });
+    const grid = await createBed(user, garden.id, {
+      name: 'Herbs', kind: 'grid', cell_cm: 30, x_cm: 200, y_cm: 20, width_cm: 90, length_cm: 90
+    });
+    const leek = await createCrop(user, garden.id, { catalog_id: 'leek', name: 'Leek' });
+    const basil = await createCrop(user, garden.id, { catalog_id: 'basil', name: 'Basil' });
+    const old = await createCrop(user, garden.id, { name: 'Old peas', catalog_id: 'pea', status: 'finished' });
+    const unplaced = await createCrop(user, garden.id, { name: 'Chard' });
+
+    await place(user, garden.id, leek.id, { bed_id: bed.id, x_cm: 0, y_cm: 0 }).expect(201);
+    await place(user, garden.id, basil.id, { bed_id: grid.id, x_cm: 30, y_cm: 30 }).expect(201);
+    await place(user, garden.id, old.id, { bed_id: bed.id, x_cm: 0, y_cm: 0 }).expect(201);
+    await place(user, garden.id, basil.id, { bed_id: grid.id, x_cm: 20, y_cm: 30 }).expect(400);
+
+    const res = await api().get(`/api/gardens/${garden.id}/layout`).set(user.auth).expect(200);
+
+    expect(res.body).toMatchObject({ width_cm: 290, length_cm: 260 });
+    expect(res.body.beds.map((item) => item.name)).toEqual(['Bed 1', 'Herbs']);
+    expect(res.body.beds[0].placements).toEqual([
+      expect.objectContaining({ crop_id: leek.id, crop: expect.objectContaining({ name: 'Leek', family: 'Amaryllidaceae' }) })
+    ]);
+    expect(res.body.beds[1].placements).toEqual([
+      expect.objectContaining({ x_cm: 30, y_cm: 30, width_cm: 30, length_cm: 30 })
+    ]);
+    expect(res.body.unplaced.map((crop) => crop.id)).toEqual([unplaced.id]);
+
+    // A bed can't shrink away from what grows in it
+    const shrink = await api()
+      .put(`/api/gardens/${garden.id}/beds/${grid.id}`)
+      .set(user.auth)
+      .send({ width_cm: 30 })
+      .expect(409);
+    expect(shrink.body.code).toBe('placement_outside_bed');
+  });
+
+  it('warns when a plant family returns to a bed too soon', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user);
+    const bed = await createBed(user, garden.id);
+    const potato = await createCrop(user, garden.id, {
+      name: 'Potato', planting_date: '2024-04-01', status: 'finished'
+    });
+    const leek = await createCrop(user, garden.id, { name: 'Leek', planting_date: '2023-04-01', status: 'finished' });
+    const tomato = await createCrop(user, garden.id, { catalog_id: 'tomato', planting_date: '2026-05-01' });
+    const onion = await createCrop(user, garden.id, { catalog_id: 'onion', name: 'Onion', planting_date: '2026-04-01' });
+
+    await place(user, garden.id, potato.id, { bed_id: bed.id, x_cm: 0, y_cm: 0 }).expect(201);
+    await place(user, garden.id, leek.id, { bed_id: bed.id, x_cm: 0, y_cm: 0 }).expect(201);
+
+    const res = await place(user, garden.id, tomato.id, { bed_id: bed.id, x_cm: 0, y_cm: 0 }).expect(201);
+    expect(res.body.warnings).toEqual([
+      expect.objectContaining({ code: 'rotation', crop_id: potato.id, season: 2024 })
+    ]);
+
+    // Three seasons on is long enough
+    const later = await place(user, garden.id, onion.id, { bed_id: bed.id, x_cm: 60, y_cm: 0 }).expect(201);
+    expect(later.body.warnings).toEqual([]);
+  });
+});
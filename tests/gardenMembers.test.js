@@ -0,0 +1,148 @@
+const { useTestApp, api, registerUser, createGarden, addMember, tokenFromMail } = require('./helpers');
+
+const sent = useTestApp();
+
+const invite = (owner, gardenId, body = {}) =>
+  api().post(`/api/gardens/${gardenId}/invitations`).set(owner.auth).send(body);
+
+describe('invitations', () => {
+  it('creates a shareable code anyone can join with', async () => {
+    const owner = await registerUser();
+    const friend = await registerUser();
+    const garden = await createGarden(owner);
+
+    const created = await invite(owner, garden.id, { role: 'editor' }).expect(201);
+    expect(created.body.invitation).toMatchObject({ email: null, role: 'editor' });
+
+    const joined = await api()
+      .post('/api/gardens/join')
+      .set(friend.auth)
+      .send({ code: created.body.invitation.code.toLowerCase() })
+      .expect(200);
+
+    expect(joined.body.garden).toMatchObject({ id: garden.id, role: 'editor' });
+
+    await api()
+      .post('/api/gardens/join')
+      .set(friend.auth)
+      .send({ code: created.body.invitation.code })
+      .expect(409);
+  });
+
+  it('mails email invitations, which only that address can accept once', async () => {
+    const owner = await registerUser();
+    const invitee = await registerUser();
+    const other = await registerUser();
+    const garden = await createGarden(owner);
+    const verification = tokenFromMail(invitee.email);
+
+    const created = await invite(owner, garden.id, { email: invitee.email }).expect(201);
+    const { code } = created.body.invitation;
+
+    expect(sent.mail.map((mail) => mail.to)).toContain(invitee.email);
+
+    await api().post('/api/gardens/join').set(other.auth).send({ code }).expect(403);
+
+    // Only once they have shown the address is theirs
+    const unverified = await api().post('/api/gardens/join').set(invitee.auth).send({ code }).expect(403);
+    expect(unverified.body.code).toBe('email_not_verified');
+
+    await api().post('/api/auth/verify-email').send({ token: verification }).expect(200);
+    await api().post('/api/gardens/join').set(invitee.auth).send({ code }).expect(200);
+
+    const pending = await api().get(`/api/gardens/${garden.id}/invitations`).set(owner.auth).expect(200);
+    expect(pending.body.count).toBe(0);
+  });
+
+  it('lists and revokes pending invitations', async () => {
+    const owner = await registerUser();
+    const friend = await registerUser();
+    const garden = await createGarden(owner);
+    const created = await invite(owner, garden.id).expect(201);
+
+    const pending = await api().get(`/api/gardens/${garden.id}/invitations`).set(owner.auth).expect(200);
+    expect(pending.body.invitations.map((invitation) => invitation.id)).toEqual([created.body.invitation.id]);
+
+    const path = `/api/gardens/${garden.id}/invitations/${created.body.invitation.id}`;
+    await api().delete(path).set(owner.auth).expect(200);
+    await api().delete(path).set(owner.auth).expect(404);
+
+    await api()
+      .post('/api/gardens/join')
+      .set(friend.auth)
+      .send({ code: created.body.invitation.code })
+      .expect(404);
+  });
+
+  it('is only for owners', async () => {
+    const owner = await registerUser();
+    const editor = await registerUser();
+    const garden = await createGarden(owner);
+    await addMember(owner, garden.id, editor, 'editor');
+
+    await invite(editor, garden.id).expect(403);
+    await api().get(`/api/gardens/${garden.id}/invitations`).set(editor.auth).expect(403);
+  });
+});
+
+describe('members', () => {
+  it('lists members, with emails for owners only', async () => {
+    const owner = await registerUser();
+    const viewer = await registerUser();
+    const garden = await createGarden(owner);
+    await addMember(owner, garden.id, viewer);
+
+    const asOwner = await api().get(`/api/gardens/${garden.id}/members`).set(owner.auth).expect(200);
+    expect(asOwner.body.members).toEqual([
+      expect.objectContaining({ user_id: owner.id, role: 'owner', name: owner.name, email: owner.email }),
+      expect.objectContaining({ user_id: viewer.id, role: 'viewer', name: viewer.name, email: viewer.email })
+    ]);
+
+    const asViewer = await api().get(`/api/gardens/${garden.id}/members`).set(viewer.auth).expect(200);
+    expect(asViewer.body.members.every((member) => member.email === undefined)).toBe(true);
+  });
+
+  it('changes roles but keeps at least one owner', async () => {
+    const owner = await registerUser();
+    const member = await registerUser();
+    const garden = await createGarden(owner);
+    await addMember(owner, garden.id, member);
+
+    const promoted = await api()
+      .patch(`/api/gardens/${garden.id}/members/${member.id}`)
+      .set(owner.auth)
+      .send({ role: 'editor' })
+      .expect(200);
+    expect(promoted.body.member).toMatchObject({ user_id: member.id, role: 'editor' });
+
+    await api()
+      .patch(`/api/gardens/${garden.id}/members/${owner.id}`)
+      .set(owner.auth)
+      .send({ role: 'viewer' })
+      .expect(409);
+
+    await api()
+      .patch(`/api/gardens/${garden.id}/members/${owner.id}`)
+      .set(member.auth)
+      .send({ role: 'viewer' })
+      .expect(403);
+  });
+
+  it('lets owners remove members and members leave', async () => {
+    const owner = await registerUser();
+    const first = await registerUser();
+    const second = await registerUser();
+    const garden = await createGarden(owner);
+    await addMember(owner, garden.id, first);
+    await addMember(owner, garden.id, second);
+
+    await api().delete(`/api/gardens/${garden.id}/members/${second.id}`).set(first.auth).expect(403);
+    await api().delete(`/api/gardens/${garden.id}/members/${second.id}`).set(owner.auth).expect(200);
+
+    const left = await api().delete(`/api/gardens/${garden.id}/members/${first.id}`).set(first.auth).expect(200);
+    expect(left.body.message).toBe('You left the garden');
+    await api().get(`/api/gardens/${garden.id}`).set(first.auth).expect(404);
+
+    await api().delete(`/api/gardens/${garden.id}/members/${owner.id}`).set(owner.auth).expect(409);
+  });
+});
@@ -0,0 +1,166 @@
+const { useTestApp, api, registerUser, createGarden, createCrop, addMember } = require('./helpers');
+
+useTestApp();
+
+describe('POST /api/gardens', () => {
+  it('creates a garden owned by the user', async () => {
+    const user = await registerUser();
+
+    const res = await api()
+      .post('/api/gardens')
+      .set(user.auth)
+      .send({ name: 'Allotment', type: 'community', latitude: 51.5, longitude: -0.12 })
+      .expect(201);
+
+    expect(res.body.garden).toMatchObject({
+      name: 'Allotment',
+      type: 'community',
+      size: 'medium',
+      user_id: user.id,
+      role: 'owner'
+    });
+  });
+
+  it('needs both coordinates or neither', async () => {
+    const user = await registerUser();
+
+    await api()
+      .post('/api/gardens')
+      .set(user.auth)
+      .send({ name: 'Half placed', latitude: 51.5 })
+      .expect(422);
+  });
+});
+
+describe('GET /api/gardens', () => {
+  it('lists only the gardens the user belongs to, with their role', async () => {
+    const owner = await registerUser();
+    const viewer = await registerUser();
+    const shared = await createGarden(owner, { name: 'Shared plot' });
+    await createGarden(owner, { name: 'Private plot' });
+    await createGarden(viewer, { name: 'Own plot' });
+    await addMember(owner, shared.id, viewer);
+
+    const res = await api().get('/api/gardens?sort=name').set(viewer.auth).expect(200);
+
+    expect(res.body.total).toBe(2);
+    expect(res.body.gardens.map((garden) => [garden.name, garden.role])).toEqual([
+      ['Own plot', 'owner'],
+      ['Shared plot', 'viewer']
+    ]);
+  });
+
+  it('filters, searches and pages', async () => {
+    const user = await registerUser();
+    await createGarden(user, { name: 'Greenhouse A', type: 'greenhouse' });
+    await createGarden(user, { name: 'Greenhouse B', type: 'greenhouse' });
+    await createGarden(user, { name: 'Balcony pots', type: 'balcony', description: 'herbs by the window' });
+
+    const greenhouses = await api().get('/api/gardens?type=greenhouse').set(user.auth).expect(200);
+    expect(greenhouses.body.total).toBe(2);
+
+    const search = await api().get('/api/gardens?q=window').set(user.auth).expect(200);
+    expect(search.body.gardens.map((garden) => garden.name)).toEqual(['Balcony pots']);
+
+    const first = await api().get('/api/gardens?sort=name&limit=2').set(user.auth).expect(200);
+    expect(first.body.gardens.map((garden) => garden.name)).toEqual(['Balcony pots', 'Greenhouse A']);
+    expect(first.body.next_cursor).toEqual(expect.any(String));
+
+    const second = await api()
+      .get(`/api/gardens?sort=name&limit=2&cursor=${first.body.next_cursor}`)
+      .set(user.auth)
+      .expect(200);
+    expect(second.body.gardens.map((garden) => garden.name)).toEqual(['Greenhouse B']);
+    expect(second.body.next_cursor).toBeNull();
+  });
+
+  it('rejects an unknown sort field', async () => {
+    const user = await registerUser();
+
+    const res = await api().get('/api/gardens?sort=secret').set(user.auth).expect(422);
+    expect(res.body.code).toBe('validation_failed');
+    expect(res.body.details).toEqual([expect.objectContaining({ field: 'sort', location: 'query' })]);
+  });
+});
+
+describe('GET /api/gardens/:id', () => {
+  it('returns a garden to its members only', async () => {
+    const owner = await registerUser();
+    const stranger = await registerUser();
+    const garden = await createGarden(owner);
+
+    const res = await api().get(`/api/gardens/${garden.id}`).set(owner.auth).expect(200);
+    expect(res.body.garden).toMatchObject({ id: garden.id, role: 'owner' });
+
+    await api().get(`/api/gardens/${garden.id}`).set(stranger.auth).expect(404);
+  });
+
+  it('rejects ids that are not uuids', async () => {
+    const user = await registerUser();
+
+    await api().get('/api/gardens/123').set(user.auth).expect(422);
+  });
+});
+
+describe('PUT /api/gardens/:id', () => {
+  it('lets editors update the garden but not viewers', async () => {
+    const owner = await registerUser();
+    const editor = await registerUser();
+    const viewer = await registerUser();
+    const garden = await createGarden(owner);
+    await addMember(owner, garden.id, editor, 'editor');
+    await addMember(owner, garden.id, viewer, 'viewer');
+
+    const res = await api()
+      .put(`/api/gardens/${garden.id}`)
+      .set(editor.auth)
+      .send({ name: 'Renamed', size: 'large' })
+      .expect(200);
+    expect(res.body.garden).toMatchObject({ name: 'Renamed', size: 'large', type: garden.type });
+
+    await api().put(`/api/gardens/${garden.id}`).set(viewer.auth).send({ name: 'Nope' }).expect(403);
+  });
+});
+
+describe('DELETE /api/gardens/:id', () => {
+  it('lets only the owner delete the garden and its crops', async () => {
+    const owner = await registerUser();
+    const editor = await registerUser();
+    const garden = await createGarden(owner);
+    const crop = await createCrop(owner, garden.id);
+    await addMember(owner, garden.id, editor, 'editor');
+
+    await api().delete(`/api/gardens/${garden.id}`).set(editor.auth).expect(403);
+    await api().delete(`/api/gardens/${garden.id}`).set(owner.auth).expect(200);
+
+    await api().get(`/api/gardens/${garden.id}`).set(owner.auth).expect(404);
+    await api().get(`/api/crops/${crop.id}`).set(owner.auth).expect(404);
+  });
+});
+
+describe('GET /api/gardens/:id/yield', () => {
+  it('totals harvests per crop and per season', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user);
+    const tomato = await createCrop(user, garden.id, { name: 'Tomato', quantity_unit: 'kg' });
+    const basil = await createCrop(user, garden.id, { name: 'Basil', quantity_unit: 'g' });
+
+    const harvest = (crop, fields) =>
+      api().post(`/api/crops/${crop.id}/harvests`).set(user.auth).send(fields).expect(201);
+
+    await harvest(tomato, { amount: 2, harvested_on: '2024-08-01' });
+    await harvest(tomato, { amount: 500, unit: 'g', harvested_on: '2025-07-15' });
+    await harvest(basil, { amount: 50, harvested_on: '2025-06-01' });
+
+    const all = await api().get(`/api/gardens/${garden.id}/yield`).set(user.auth).expect(200);
+
+    expect(all.body.harvest_count).toBe(3);
+    expect(all.body.by_crop.map((crop) => [crop.name, crop.harvest_count])).toEqual(
+      expect.arrayContaining([['Tomato', 2], ['Basil', 1]])
+    );
+    expect(all.body.by_season.map((season) => season.season)).toEqual([2024, 2025]);
+
+    const season = await api().get(`/api/gardens/${garden.id}/yield?season=2025`).set(user.auth).expect(200);
+    expect(season.body.harvest_count).toBe(2);
+  });
+});
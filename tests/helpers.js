@@ -0,0 +1,132 @@
+const request = require('supertest');
+const app = require('../app');
+const repositories = require('../repositories');
+const { createRepositories, setRepositories } = repositories;
+const { setTransport } = require('../services/mailer');
+const { setStorage } = require('../services/storage');
+const { setChannel } = require('../services/notifier');
+const { setStore } = require('../services/rateLimit');
+const createRateLimitStore = require('../services/rateLimit/memory');
+
+// What the app sent or stored during the current test
+const sent = {
+  mail: [],
+  notifications: [],
+  files: new Map()
+};
+
+// Empty store, outbox, file storage and rate limits before every test of the
+// calling file
+const useTestApp = () => {
+  beforeEach(() => {
+    setRepositories(createRepositories('memory'));
+    setStore(createRateLimitStore());
+
+    sent.mail = [];
+    sent.notifications = [];
+    sent.files = new Map();
+
+    setTransport({ send: async (message) => { sent.mail.push(message); } });
+    setChannel({ deliver: async (userId, message) => { sent.notifications.push({ userId, ...message }); } });
+    setStorage({
+      put: async (key, buffer) => {
+        sent.files.set(key, buffer);
+        return { key, url: `http://files.test/${key}` };
+      },
+      remove: async (keys) => {
+        keys.forEach((key) => sent.files.delete(key));
+      },
+      locate: async (key) => ({ url: `http://files.test/${key}?signed` })
+    });
+  });
+
+  return sent;
+};
+
+const api = () => request(app);
+
+let userCount = 0;
+
+// Register a user through the API. The result has the user's fields plus
+// password, tokens and `auth`, a header object for supertest's set().
+const registerUser = async (fields = {}) => {
+  userCount += 1;
+
+  const body = {
+    email: `grower${userCount}@example.com`,
+    password: 'tomato123',
+    name: `Grower ${userCount}`,
+    ...fields
+  };
+
+  const res = await api().post('/api/auth/register').send(body).expect(201);
+
+  return {
+    ...res.body.user,
+    password: body.password,
+    token: res.body.token,
+    refreshToken: res.body.refresh_token,
+    auth: { Authorization: `Bearer ${res.body.token}` }
+  };
+};
+
+const createGarden = async (user, fields = {}) => {
+  const res = await api()
+    .post('/api/gardens')
+    .set(user.auth)
+    .send({ name: 'Back yard', ...fields })
+    .expect(201);
+
+  return res.body.garden;
+};
+
+const createCrop = async (user, gardenId, fields = {}) => {
+  const res = await api()
+    .post('/api/crops')
+    .set(user.auth)
+    .send({ garden_id: gardenId, name: 'Tomato', ...fields })
+    .expect(201);
+
+  return res.body.crop;
+};
+
+// Invite a user to a garden and have them join with the code
+const addMember = async (owner, gardenId, member, role = 'viewer') => {
+  const invite = await api()
+    .post(`/api/gardens/${gardenId}/invitations`)
+    .set(owner.auth)
+    .send({ role })
+    .expect(201);
+
+  await api()
+    .post('/api/gardens/join')
+    .set(member.auth)
+    .send({ code: invite.body.invitation.code })
+    .expect(200);
+};
+
+// Give a registered user the admin role; the auth middleware reads it from
+// the database, so their existing token works
+const makeAdmin = async (user) => {
+  await repositories.users.update({ id: user.id }, { role: 'admin' });
+  return { ...user, role: 'admin' };
+};
+
+// The token from the link in the last email sent to an address
+const tokenFromMail = (to) => {
+  const message = [...sent.mail].reverse().find((mail) => mail.to === to);
+  const match = message && message.text.match(/token=([^\s&]+)/);
+
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+module.exports = {
+  useTestApp,
+  api,
+  registerUser,
+  createGarden,
+  createCrop,
+  addMember,
+  makeAdmin,
+  tokenFromMail
+};
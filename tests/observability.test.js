@@ -0,0 +1,160 @@
+const { useTestApp, api, registerUser } = require('./helpers');
+const repositories = require('../repositories');
+const { createLogger, configureLogger } = require('../services/logger');
+
+useTestApp();
+
+// Log lines written while `fn` runs, parsed
+const captureLogs = async (fn) => {
+  const lines = [];
+  configureLogger({ level: 'debug', write: (line) => lines.push(JSON.parse(line)) });
+
+  try {
+    await fn();
+  } finally {
+    configureLogger({ level: 'silent' });
+  }
+
+  return lines;
+};
+
+describe('logging', () => {
+  it('writes JSON lines with credentials and personal data redacted', async () => {
+    const lines = await captureLogs(() => {
+      createLogger({ request_id: 'abc' }).warn('Something happened', {
+        user: { email: 'grower@example.com', password: 'tomato123', name: 'Grower' },
+        headers: { Authorization: 'Bearer eyJhbGciOi.xyz' },
+        note: 'Reset sent to grower@example.com: https://app.test/reset?token=s3cret&x=1',
+        error: new Error('Lookup failed for grower@example.com')
+      });
+    });
+
+    expect(lines).toHaveLength(1);
+    expect(lines[0]).toMatchObject({
+      level: 'warn',
+      msg: 'Something happened',
+      request_id: 'abc',
+      user: { email: '[redacted]', password: '[redacted]', name: 'Grower' },
+      headers: { Authorization: '[redacted]' },
+      note: 'Reset sent to [email]: https://app.test/reset?token=[redacted]&x=1',
+      error: { type: 'Error', message: 'Lookup failed for [email]' }
+    });
+    expect(lines[0].time).toEqual(expect.any(String));
+  });
+
+  it('leaves out levels below LOG_LEVEL', async () => {
+    const lines = [];
+    configureLogger({ level: 'warn', write: (line) => lines.push(line) });
+
+    const logger = createLogger();
+    logger.info('Quiet');
+    logger.error('Loud');
+    configureLogger({ level: 'silent' });
+
+    expect(lines.map((line) => JSON.parse(line).msg)).toEqual(['Loud']);
+  });
+
+  it('logs each request with its id, route, status and latency but not its query', async () => {
+    const user = await registerUser();
+
+    const lines = await captureLogs(() =>
+      api().get('/api/gardens?q=secret').set(user.auth).set('X-Request-Id', 'req-1').expect(200));
+
+    const entry = lines.find((line) => line.msg === 'Request completed');
+    expect(entry).toMatchObject({
+      level: 'info',
+      request_id: 'req-1',
+      method: 'GET',
+      route: '/api/gardens/',
+      path: '/api/gardens',
+      status: 200,
+      user_id: user.id
+    });
+    expect(entry.duration_ms).toEqual(expect.any(Number));
+  });
+
+  it('logs failed requests at warn with the route they matched', async () => {
+    const user = await registerUser();
+    const missing = '00000000-0000-4000-8000-000000000000';
+
+    const lines = await captureLogs(() => api().get(`/api/crops/${missing}`).set(user.auth).expect(404));
+
+    expect(lines.find((line) => line.msg === 'Request completed')).toMatchObject({
+      level: 'warn',
+      route: '/api/crops/:id',
+      status: 404
+    });
+  });
+
+  it('logs notifications without their title or body', async () => {
+    const createLogChannel = require('../services/notifier/channels/log');
+
+    const lines = await captureLogs(() => createLogChannel().deliver('user-1', {
+      title: 'New message from Grower',
+      body: 'Meet me at 12 Elm Street',
+      data: { type: 'message', conversation_id: 'c-1' }
+    }));
+
+    expect(lines).toHaveLength(1);
+    expect(lines[0]).toMatchObject({ msg: 'Notification delivered', user_id: 'user-1', type: 'message' });
+    expect(JSON.stringify(lines[0])).not.toMatch(/Grower|Elm Street/);
+  });
+});
+
+describe('GET /metrics', () => {
+  it('reports request counts, latency and errors by route in Prometheus format', async () => {
+    const user = await registerUser();
+    await api().get('/api/gardens').set(user.auth).expect(200);
+    await api().get('/api/crops/not-a-uuid').set(user.auth).expect(422);
+
+    const res = await api().get('/metrics').expect(200);
+
+    expect(res.headers['content-type']).toMatch(/^text\/plain/);
+    expect(res.text).toMatch(/http_requests_total\{method="GET",route="\/api\/gardens\/",status="200"\} \d+/);
+    expect(res.text).toMatch(/http_request_duration_seconds_bucket\{le="0.005",method="GET",route="\/api\/gardens\/"/);
+    expect(res.text).toMatch(
+      /http_request_errors_total\{method="GET",route="\/api\/crops\/:id",status="422",code="validation_failed"\} \d+/
+    );
+    expect(res.text).toContain('supabase_query_duration_seconds');
+  });
+
+  it('needs METRICS_TOKEN when one is set', async () => {
+    process.env.METRICS_TOKEN = 'scrape-me';
+
+    try {
+      await api().get('/metrics').expect(401);
+      await api().get('/metrics').set('Authorization', 'Bearer wrong').expect(401);
+      await api().get('/metrics').set('Authorization', 'Bearer scrape-me').expect(200);
+    } finally {
+      delete process.env.METRICS_TOKEN;
+    }
+  });
+});
+
+describe('health checks', () => {
+  it('reports liveness', async () => {
+    const res = await api().get('/health/live').expect(200);
+    expect(res.body).toMatchObject({ status: 'OK', uptime_seconds: expect.any(Number) });
+  });
+
+  it('is ready when the database answers', async () => {
+    const res = await api().get('/health/ready').expect(200);
+    expect(res.body.checks.database).toMatchObject({ status: 'ok', duration_ms: expect.any(Number) });
+  });
+
+  it('is not ready when the database fails', async () => {
+    const users = repositories.users;
+    const findOne = users.findOne;
+    users.findOne = async () => { throw new Error('connection refused'); };
+
+    try {
+      const res = await api().get('/health/ready').expect(503);
+      expect(res.body).toMatchObject({
+        status: 'UNAVAILABLE',
+        checks: { database: { status: 'error', error: 'connection refused' } }
+      });
+    } finally {
+      users.findOne = findOne;
+    }
+  });
+});
@@ -0,0 +1,146 @@
+const { useTestApp, api, registerUser } = require('./helpers');
+const { parseLimit } = require('../middleware/rateLimit');
+
+useTestApp();
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.RATE_LIMIT_ENABLED;
+});
+
+// Pretend `seconds` have passed, for counters and lockouts to expire
+const advanceClock = (seconds) => {
+  const now = Date.now();
+  jest.spyOn(Date, 'now').mockReturnValue(now + seconds * 1000);
+};
+
+const login = (email, password) => api().post('/api/auth/login').send({ email, password });
+
+describe('parseLimit', () => {
+  it('reads requests per window', () => {
+    expect(parseLimit('20/15m')).toEqual({ max: 20, windowMs: 15 * 60 * 1000 });
+    expect(parseLimit('5 / h')).toEqual({ max: 5, windowMs: 60 * 60 * 1000 });
+  });
+
+  it('rejects anything else', () => {
+    expect(() => parseLimit('lots')).toThrow('Invalid rate limit');
+    expect(() => parseLimit('0/1m')).toThrow('Invalid rate limit');
+  });
+});
+
+describe('auth endpoints', () => {
+  it('limit requests per IP and say when to retry', async () => {
+    for (let i = 0; i < 20; i += 1) {
+      const res = await api().post('/api/auth/register').send({}).expect(422);
+      expect(res.headers['ratelimit-remaining']).toBe(String(19 - i));
+    }
+
+    const limited = await api().post('/api/auth/register').send({}).expect(429);
+
+    expect(limited.body.code).toBe('rate_limited');
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+    expect(limited.body.details.retry_after).toBe(Number(limited.headers['retry-after']));
+
+    advanceClock(15 * 60);
+    await api().post('/api/auth/register').send({}).expect(422);
+  });
+
+  it('limit password reset requests per email address', async () => {
+    const forgot = (email) => api().post('/api/auth/forgot-password').send({ email });
+
+    for (let i = 0; i < 10; i += 1) {
+      await forgot('target@example.com').expect(200);
+    }
+
+    await forgot('TARGET@example.com').expect(429);
+    await forgot('someone-else@example.com').expect(200);
+  });
+
+  it('can be turned off', async () => {
+    process.env.RATE_LIMIT_ENABLED = 'false';
+
+    for (let i = 0; i < 21; i += 1) {
+      await api().post('/api/auth/register').send({}).expect(422);
+    }
+  });
+});
+
+describe('login lockout', () => {
+  it('locks an account after five failures, even for the right password', async () => {
+    const user = await registerUser();
+
+    for (let i = 0; i < 4; i += 1) {
+      await login(user.email, 'wrong-password1').expect(401);
+    }
+
+    const locked = await login(user.email, 'wrong-password1').expect(429);
+    expect(locked.body.code).toBe('account_locked');
+    expect(locked.headers['retry-after']).toBe('60');
+
+    await login(user.email, user.password).expect(429);
+  });
+
+  it('doubles the lockout for every further failure', async () => {
+    const user = await registerUser();
+
+    for (let i = 0; i < 5; i += 1) {
+      await login(user.email, 'wrong-password1');
+    }
+
+    advanceClock(61);
+    const again = await login(user.email, 'wrong-password1').expect(429);
+
+    expect(again.headers['retry-after']).toBe('120');
+  });
+
+  it('clears the failures after a successful login', async () => {
+    const user = await registerUser();
+
+    for (let i = 0; i < 5; i += 1) {
+      await login(user.email, 'wrong-password1');
+    }
+
+    advanceClock(61);
+    await login(user.email, user.password).expect(200);
+
+    const res = await login(user.email, 'wrong-password1').expect(401);
+    expect(res.body.code).toBe('invalid_credentials');
+  });
+
+  it('treats unknown emails like existing ones', async () => {
+    for (let i = 0; i < 4; i += 1) {
+      await login('nobody@example.com', 'wrong-password1').expect(401);
+    }
+
+    await login('nobody@example.com', 'wrong-password1').expect(429);
+  });
+});
+
+describe('write routes', () => {
+  it('limit garden and crop changes per user', async () => {
+    const user = await registerUser();
+    const other = await registerUser();
+
+    for (let i = 0; i < 60; i += 1) {
+      await api().post('/api/gardens').set(user.auth).send({}).expect(422);
+    }
+
+    await api().post('/api/crops').set(user.auth).send({}).expect(429);
+    await api().get('/api/gardens').set(user.auth).expect(200);
+    await api().post('/api/gardens').set(other.auth).send({}).expect(422);
+  });
+
+  it('limit claims and tasks too', async () => {
+    const user = await registerUser();
+    const missing = '00000000-0000-4000-8000-000000000000';
+
+    for (let i = 0; i < 60; i += 1) {
+      await api().post(`/api/shared/${missing}/claims`).set(user.auth).send({ quantity: 1 }).expect(404);
+    }
+
+    const limited = await api().post(`/api/shared/${missing}/claims`).set(user.auth).send({ quantity: 1 }).expect(429);
+    expect(limited.body.code).toBe('rate_limited');
+    await api().post(`/api/shared/claims/${missing}/cancel`).set(user.auth).expect(429);
+    await api().post(`/api/tasks/${missing}/complete`).set(user.auth).send({}).expect(429);
+  });
+});
@@ -0,0 +1,153 @@
+const WebSocket = require('ws');
+const app = require('../app');
+const { attachRealtime } = require('../services/realtime');
+const { useTestApp, api, registerUser, createGarden, createCrop, addMember } = require('./helpers');
+
+useTestApp();
+
+let server;
+let url;
+const sockets = [];
+
+beforeAll((done) => {
+  server = app.listen(0, () => {
+    attachRealtime(server);
+    url = `ws://127.0.0.1:${server.address().port}/api/realtime`;
+    done();
+  });
+});
+
+afterEach(() => {
+  sockets.splice(0).forEach((socket) => socket.terminate());
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+// Open a connection as the user. Resolves once the server says it is ready,
+// with next(type), which waits for the next message of that type.
+const connect = (user, options = {}) => new Promise((resolve, reject) => {
+  const socket = new WebSocket(url, { headers: user ? user.auth : {}, ...options });
+  const received = [];
+  const waiting = [];
+  sockets.push(socket);
+
+  const next = (type) => new Promise((resolveNext) => {
+    const index = received.findIndex((message) => message.type === type);
+    if (index >= 0) {
+      resolveNext(received.splice(index, 1)[0]);
+    } else {
+      waiting.push({ type, resolve: resolveNext });
+    }
+  });
+
+  socket.on('message', (raw) => {
+    const message = JSON.parse(raw.toString());
+    const index = waiting.findIndex((waiter) => waiter.type === message.type);
+
+    if (index >= 0) {
+      waiting.splice(index, 1)[0].resolve(message);
+    } else {
+      received.push(message);
+    }
+  });
+  socket.on('unexpected-response', (request, response) => reject(new Error(`HTTP ${response.statusCode}`)));
+  socket.on('error', reject);
+
+  const send = (message) => socket.send(JSON.stringify(message));
+
+  next('ready').then((ready) => resolve({ socket, next, send, received, ready }));
+});
+
+describe('connecting', () => {
+  it('needs a valid access token, in a header or the query string', async () => {
+    const user = await registerUser();
+
+    await expect(connect(null)).rejects.toThrow('HTTP 401');
+    await expect(connect({ auth: { Authorization: 'Bearer nonsense' } })).rejects.toThrow('HTTP 403');
+
+    const socket = new WebSocket(`${url}?token=${user.token}`);
+    sockets.push(socket);
+    const [raw] = await new Promise((resolve) => socket.once('message', (...args) => resolve(args)));
+    expect(JSON.parse(raw.toString())).toEqual({ type: 'ready', user_id: user.id });
+  });
+});
+
+describe('garden subscriptions', () => {
+  it('pushes crop changes in subscribed gardens to members', async () => {
+    const owner = await registerUser();
+    const viewer = await registerUser();
+    const garden = await createGarden(owner);
+    await addMember(owner, garden.id, viewer);
+
+    const client = await connect(viewer);
+    client.send({ type: 'subscribe', garden_id: garden.id });
+    expect(await client.next('subscribed')).toEqual({ type: 'subscribed', garden_id: garden.id });
+
+    const crop = await createCrop(owner, garden.id, { name: 'Beetroot' });
+    const created = await client.next('crop.created');
+    expect(created).toMatchObject({ garden_id: garden.id, data: { crop: { id: crop.id, name: 'Beetroot' } } });
+
+    await api().put(`/api/crops/${crop.id}`).set(owner.auth).send({ notes: 'thinned out' }).expect(200);
+    expect((await client.next('crop.updated')).data.crop.notes).toBe('thinned out');
+
+    await api().delete(`/api/crops/${crop.id}`).set(owner.auth).expect(200);
+    expect((await client.next('crop.deleted')).data).toEqual({ id: crop.id });
+  });
+
+  it('refuses gardens the user is not a member of', async () => {
+    const owner = await registerUser();
+    const stranger = await registerUser();
+    const garden = await createGarden(owner);
+
+    const client = await connect(stranger);
+    client.send({ type: 'subscribe', garden_id: garden.id });
+
+    expect(await client.next('error')).toMatchObject({ code: 'garden_not_found', garden_id: garden.id });
+
+    await createCrop(owner, garden.id);
+    client.send({ type: 'ping' });
+    await client.next('pong');
+    expect(client.received.map((message) => message.type)).not.toContain('crop.created');
+  });
+
+  it('rejects messages it does not understand', async () => {
+    const user = await registerUser();
+    const client = await connect(user);
+
+    client.socket.send('not json');
+    expect(await client.next('error')).toMatchObject({ code: 'invalid_message' });
+  });
+});
+
+describe('user events', () => {
+  it('tells the grower about claims and both sides about messages', async () => {
+    const grower = await registerUser();
+    const neighbour = await registerUser();
+    const garden = await createGarden(grower);
+    const crop = await createCrop(grower, garden.id, { is_shared: true, quantity: 4 });
+
+    const growerClient = await connect(grower);
+    const neighbourClient = await connect(neighbour);
+
+    await api().post(`/api/shared/${crop.id}/claims`).set(neighbour.auth).send({ quantity: 1 }).expect(201);
+    expect((await growerClient.next('claim.created')).data.claim).toMatchObject({ crop_id: crop.id, quantity: 1 });
+
+    const started = await api()
+      .post('/api/conversations')
+      .set(neighbour.auth)
+      .send({ crop_id: crop.id, message: 'When can I come by?' })
+      .expect(201);
+
+    const [toGrower, toNeighbour] = await Promise.all([
+      growerClient.next('message.created'),
+      neighbourClient.next('message.created')
+    ]);
+    expect(toGrower.data).toMatchObject({
+      conversation_id: started.body.conversation.id,
+      message: { body: 'When can I come by?' }
+    });
+    expect(toNeighbour.data.message.id).toBe(toGrower.data.message.id);
+  });
+});
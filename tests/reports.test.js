@@ -0,0 +1,62 @@
+const { useTestApp, api, registerUser, createGarden, createCrop } = require('./helpers');
+
+useTestApp();
+
+const report = (user, body) => api().post('/api/reports').set(user.auth).send(body);
+
+const shareCrop = async (grower) =>
+  createCrop(grower, (await createGarden(grower)).id, { is_shared: true, quantity: 3 });
+
+describe('POST /api/reports', () => {
+  it('reports a listing, recording its grower', async () => {
+    const grower = await registerUser();
+    const neighbour = await registerUser();
+    const crop = await shareCrop(grower);
+
+    const res = await report(neighbour, {
+      target_type: 'crop',
+      target_id: crop.id,
+      reason: 'spam',
+      details: 'Posted twenty times'
+    }).expect(201);
+
+    expect(res.body.report).toMatchObject({
+      target_type: 'crop',
+      crop_id: crop.id,
+      reported_user_id: grower.id,
+      reason: 'spam',
+      status: 'open'
+    });
+
+    const mine = await api().get('/api/reports').set(neighbour.auth).expect(200);
+    expect(mine.body.reports.map((row) => row.id)).toEqual([res.body.report.id]);
+  });
+
+  it('refuses a second open report on the same target', async () => {
+    const grower = await registerUser();
+    const neighbour = await registerUser();
+
+    await report(neighbour, { target_type: 'user', target_id: grower.id, reason: 'abuse' }).expect(201);
+    const again = await report(neighbour, { target_type: 'user', target_id: grower.id, reason: 'other' }).expect(409);
+
+    expect(again.body.code).toBe('already_reported');
+  });
+
+  it('refuses reports on yourself, your own listings and crops that are not shared', async () => {
+    const grower = await registerUser();
+    const neighbour = await registerUser();
+    const crop = await shareCrop(grower);
+    const privateCrop = await createCrop(grower, crop.garden_id);
+
+    await report(grower, { target_type: 'user', target_id: grower.id, reason: 'spam' }).expect(400);
+    await report(grower, { target_type: 'crop', target_id: crop.id, reason: 'spam' }).expect(400);
+    await report(neighbour, { target_type: 'crop', target_id: privateCrop.id, reason: 'spam' }).expect(404);
+  });
+
+  it('validates the reason', async () => {
+    const grower = await registerUser();
+    const neighbour = await registerUser();
+
+    await report(neighbour, { target_type: 'user', target_id: grower.id, reason: 'ugly' }).expect(422);
+  });
+});
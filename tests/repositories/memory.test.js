@@ -0,0 +1,81 @@
+const { createRepositories } = require('../../repositories');
+
+let repositories;
+
+beforeEach(() => {
+  repositories = createRepositories('memory');
+});
+
+const seedGarden = async () => {
+  const user = await repositories.users.insert({ email: 'ada@example.com', name: 'Ada', password_hash: 'x' });
+  const garden = await repositories.gardens.insert({ user_id: user.id, name: 'Plot' });
+
+  return { user, garden };
+};
+
+describe('memory store', () => {
+  it('fills in ids and defaults', async () => {
+    const { user } = await seedGarden();
+
+    expect(user).toMatchObject({ id: expect.any(String), email_verified: false, created_at: expect.any(String) });
+  });
+
+  it('filters with operators, lists, nulls and $or', async () => {
+    const { user, garden } = await seedGarden();
+    await repositories.crops.insert([
+      { garden_id: garden.id, user_id: user.id, name: 'Bean', quantity: 0, variety: null },
+      { garden_id: garden.id, user_id: user.id, name: 'Pea', quantity: 4, variety: 'Kelvedon' },
+      { garden_id: garden.id, user_id: user.id, name: 'Leek', quantity: 9, variety: 'Musselburgh' }
+    ]);
+
+    const names = async (filter, options) =>
+      (await repositories.crops.find(filter, { order: ['name'], ...options })).map((crop) => crop.name);
+
+    expect(await names({ quantity: { gt: 0, lte: 4 } })).toEqual(['Pea']);
+    expect(await names({ name: ['Bean', 'Leek'] })).toEqual(['Bean', 'Leek']);
+    expect(await names({ variety: null })).toEqual(['Bean']);
+    expect(await names({ variety: { neq: null }, name: { notIn: ['Pea'] } })).toEqual(['Leek']);
+    expect(await names({ $or: [{ quantity: 0 }, { variety: { ilike: 'mus%' } }] })).toEqual(['Bean', 'Leek']);
+    expect(await names({}, { search: { term: 'kelv', columns: ['name', 'variety'] } })).toEqual(['Pea']);
+    expect(await names({}, { order: ['-quantity'], limit: 2 })).toEqual(['Leek', 'Pea']);
+  });
+
+  it('embeds related rows', async () => {
+    const { user, garden } = await seedGarden();
+    await repositories.crops.insert({ garden_id: garden.id, user_id: user.id, name: 'Kale' });
+
+    const [crop] = await repositories.crops.find({}, {
+      columns: ['name'],
+      include: { gardens: ['name'], grower: ['name'] }
+    });
+
+    expect(crop).toEqual({ name: 'Kale', gardens: { name: 'Plot' }, grower: { name: 'Ada' } });
+  });
+
+  it('enforces unique keys with the Postgres error code, inserting nothing', async () => {
+    await seedGarden();
+
+    await expect(repositories.users.insert([
+      { email: 'new@example.com', name: 'New', password_hash: 'x' },
+      { email: 'ada@example.com', name: 'Again', password_hash: 'x' }
+    ])).rejects.toMatchObject({ code: '23505' });
+
+    expect(await repositories.users.count()).toBe(1);
+  });
+
+  it('applies on delete rules', async () => {
+    const { user, garden } = await seedGarden();
+    const crop = await repositories.crops.insert({ garden_id: garden.id, user_id: user.id, name: 'Kale' });
+    await repositories.cropPhotos.insert({ crop_id: crop.id, uploaded_by: user.id, url: 'x' });
+
+    await repositories.gardens.remove({ id: garden.id });
+
+    expect(await repositories.crops.count()).toBe(0);
+    expect(await repositories.cropPhotos.count()).toBe(0);
+  });
+
+  it('refuses to update or delete without a filter', async () => {
+    await expect(repositories.users.update({}, { name: 'Everyone' })).rejects.toThrow('without a filter');
+    await expect(repositories.users.remove({})).rejects.toThrow('without a filter');
+  });
+});
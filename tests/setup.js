@@ -0,0 +1,8 @@
+// Runs before each test file: the API on the in-memory store, so the suite
+// needs no Supabase project. helpers.js swaps in fresh data for every test.
+process.env.DATA_STORE = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+process.env.STORAGE_DRIVER = 'local';
+process.env.MAIL_TRANSPORT = 'console';
+process.env.NOTIFY_CHANNEL = 'log';
+process.env.LOG_LEVEL = 'silent';
@@ -0,0 +1,194 @@
+const { useTestApp, api, registerUser, createGarden, createCrop, addMember } = require('./helpers');
+
+useTestApp();
+
+// A grower sharing 5 kg of tomatoes from a garden in central London
+const shareTomatoes = async () => {
+  const grower = await registerUser();
+  const garden = await createGarden(grower, { name: 'Canal side', location: '12 Canal Street', latitude: 51.5074, longitude: -0.1278 });
+  const crop = await createCrop(grower, garden.id, {
+    name: 'Tomato',
+    is_shared: true,
+    quantity: 5,
+    quantity_unit: 'kg'
+  });
+
+  return { grower, garden, crop };
+};
+
+const claim = (user, cropId, quantity) =>
+  api().post(`/api/shared/${cropId}/claims`).set(user.auth).send({ quantity, message: 'Thanks!' });
+
+describe('GET /api/shared', () => {
+  it('lists crops shared from other people\'s gardens', async () => {
+    const { crop, grower } = await shareTomatoes();
+    const givenAway = await shareTomatoes();
+    await api()
+      .put(`/api/crops/${givenAway.crop.id}`)
+      .set(givenAway.grower.auth)
+      .send({ quantity: 0 })
+      .expect(200);
+    const neighbour = await registerUser();
+    await createCrop(neighbour, (await createGarden(neighbour)).id, { name: 'Own', is_shared: true, quantity: 2 });
+
+    const res = await api().get('/api/shared').set(neighbour.auth).expect(200);
+
+    expect(res.body.listings).toEqual([
+      expect.objectContaining({
+        id: crop.id,
+        gardens: { name: 'Canal side' },
+        grower: { name: grower.name }
+      })
+    ]);
+  });
+
+  it('no longer opens or takes claims on a listing with nothing left', async () => {
+    const { crop, grower } = await shareTomatoes();
+    const neighbour = await registerUser();
+
+    await api().put(`/api/crops/${crop.id}`).set(grower.auth).send({ quantity: 0 }).expect(200);
+
+    await api().get(`/api/shared/${crop.id}`).set(neighbour.auth).expect(404);
+    await claim(neighbour, crop.id, 1).expect(404);
+  });
+
+  it('filters by category', async () => {
+    await shareTomatoes();
+    const neighbour = await registerUser();
+
+    const res = await api().get('/api/shared?category=herb').set(neighbour.auth).expect(200);
+    expect(res.body.count).toBe(0);
+  });
+
+  it('leaves out crops from gardens the user is a member of', async () => {
+    const { grower, garden } = await shareTomatoes();
+    const member = await registerUser();
+    await addMember(grower, garden.id, member);
+
+    const res = await api().get('/api/shared').set(member.auth).expect(200);
+    expect(res.body.count).toBe(0);
+  });
+});
+
+describe('GET /api/shared/nearby', () => {
+  it('finds listings within the radius with a blurred location', async () => {
+    const { crop } = await shareTomatoes();
+    const neighbour = await registerUser();
+
+    const near = await api()
+      .get('/api/shared/nearby?lat=51.51&lng=-0.13&radius_km=5')
+      .set(neighbour.auth)
+      .expect(200);
+
+    expect(near.body.listings).toEqual([expect.objectContaining({ id: crop.id, distance_km: expect.any(Number) })]);
+    expect(near.body.listings[0].gardens.latitude).toBeUndefined();
+    expect(near.body.listings[0].gardens.approximate_location).toBeDefined();
+
+    const far = await api()
+      .get('/api/shared/nearby?lat=48.85&lng=2.35&radius_km=5')
+      .set(neighbour.auth)
+      .expect(200);
+    expect(far.body.count).toBe(0);
+  });
+
+  it('requires coordinates', async () => {
+    const user = await registerUser();
+
+    await api().get('/api/shared/nearby').set(user.auth).expect(422);
+  });
+});
+
+describe('GET /api/shared/:id', () => {
+  it('returns a shared crop and hides crops that are not shared', async () => {
+    const { crop, grower, garden } = await shareTomatoes();
+    const privateCrop = await createCrop(grower, garden.id, { name: 'Secret' });
+    const neighbour = await registerUser();
+
+    const res = await api().get(`/api/shared/${crop.id}`).set(neighbour.auth).expect(200);
+    expect(res.body.listing).toMatchObject({ id: crop.id, grower: { name: grower.name } });
+
+    await api().get(`/api/shared/${privateCrop.id}`).set(neighbour.auth).expect(404);
+  });
+});
+
+describe('claims', () => {
+  it('lets a neighbour claim and the grower accept, taking it off the quantity', async () => {
+    const { crop, grower } = await shareTomatoes();
+    const neighbour = await registerUser();
+
+    const created = await claim(neighbour, crop.id, 2).expect(201);
+    expect(created.body.claim).toMatchObject({ status: 'pending', quantity: 2, quantity_unit: 'kg', grower_id: grower.id });
+
+    const incoming = await api().get('/api/shared/claims/incoming').set(grower.auth).expect(200);
+    expect(incoming.body.claims).toEqual([
+      expect.objectContaining({ id: created.body.claim.id, requester: { name: neighbour.name } })
+    ]);
+
+    const accepted = await api()
+      .post(`/api/shared/claims/${created.body.claim.id}/accept`)
+      .set(grower.auth)
+      .expect(200);
+    expect(accepted.body.claim.status).toBe('accepted');
+    expect(accepted.body.crop.quantity).toBe(3);
+
+    await api().post(`/api/shared/claims/${created.body.claim.id}/accept`).set(grower.auth).expect(409);
+
+    const outgoing = await api().get('/api/shared/claims/outgoing?status=accepted').set(neighbour.auth).expect(200);
+    expect(outgoing.body.claims).toEqual([
+      expect.objectContaining({ id: created.body.claim.id, grower: { name: grower.name } })
+    ]);
+  });
+
+  it('refuses claims for more than is left or on the user\'s own crops', async () => {
+    const { crop, grower } = await shareTomatoes();
+    const neighbour = await registerUser();
+
+    await claim(neighbour, crop.id, 6).expect(400);
+    await claim(grower, crop.id, 1).expect(400);
+  });
+
+  it('refuses to accept more than is left', async () => {
+    const { crop, grower } = await shareTomatoes();
+    const first = await registerUser();
+    const second = await registerUser();
+    const firstClaim = await claim(first, crop.id, 4).expect(201);
+    const secondClaim = await claim(second, crop.id, 4).expect(201);
+
+    await api().post(`/api/shared/claims/${firstClaim.body.claim.id}/accept`).set(grower.auth).expect(200);
+    await api().post(`/api/shared/claims/${secondClaim.body.claim.id}/accept`).set(grower.auth).expect(409);
+  });
+
+  it('lets the grower decline and the requester cancel', async () => {
+    const { crop, grower } = await shareTomatoes();
+    const neighbour = await registerUser();
+    const declined = await claim(neighbour, crop.id, 1).expect(201);
+    const cancelled = await claim(neighbour, crop.id, 1).expect(201);
+
+    await api().post(`/api/shared/claims/${declined.body.claim.id}/decline`).set(neighbour.auth).expect(404);
+    const res = await api().post(`/api/shared/claims/${declined.body.claim.id}/decline`).set(grower.auth).expect(200);
+    expect(res.body.claim.status).toBe('declined');
+
+    await api().post(`/api/shared/claims/${cancelled.body.claim.id}/cancel`).set(grower.auth).expect(404);
+    const withdrawn = await api()
+      .post(`/api/shared/claims/${cancelled.body.claim.id}/cancel`)
+      .set(neighbour.auth)
+      .expect(200);
+    expect(withdrawn.body.claim.status).toBe('cancelled');
+
+    const pending = await api().get('/api/shared/claims/incoming?status=pending').set(grower.auth).expect(200);
+    expect(pending.body.count).toBe(0);
+  });
+
+  it('hides claims from gardens the user can only view', async () => {
+    const { crop, grower, garden } = await shareTomatoes();
+    const viewer = await registerUser();
+    const neighbour = await registerUser();
+    await addMember(grower, garden.id, viewer);
+    const created = await claim(neighbour, crop.id, 1).expect(201);
+
+    const incoming = await api().get('/api/shared/claims/incoming').set(viewer.auth).expect(200);
+    expect(incoming.body.count).toBe(0);
+
+    await api().post(`/api/shared/claims/${created.body.claim.id}/accept`).set(viewer.auth).expect(404);
+  });
+});
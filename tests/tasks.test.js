@@ -0,0 +1,213 @@
+const { useTestApp, api, registerUser, createGarden, createCrop, addMember } = require('./helpers');
+const repositories = require('../repositories');
+const { sendDueReminders } = require('../services/reminders');
+const { today, addDays } = require('../utils/schedule');
+
+const sent = useTestApp();
+
+const createTask = async (user, fields) => {
+  const res = await api().post('/api/tasks').set(user.auth).send(fields).expect(201);
+  return res.body.task;
+};
+
+describe('POST /api/tasks', () => {
+  it('creates a garden task due today by default', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user, { name: 'Patio' });
+
+    const task = await createTask(user, { garden_id: garden.id, task_type: 'water', every: 2, unit: 'days' });
+
+    expect(task).toMatchObject({
+      garden_id: garden.id,
+      crop_id: null,
+      title: 'water Patio',
+      interval_days: 2,
+      next_due_on: today(),
+      overdue: false,
+      gardens: { name: 'Patio' }
+    });
+  });
+
+  it('creates a crop task in the crop\'s garden', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user);
+    const crop = await createCrop(user, garden.id, { name: 'Rose' });
+
+    const task = await createTask(user, { crop_id: crop.id, task_type: 'prune', every: 3, unit: 'weeks' });
+
+    expect(task).toMatchObject({ garden_id: garden.id, crop_id: crop.id, interval_days: 21, crops: { name: 'Rose' } });
+  });
+
+  it('rejects a crop from another garden and viewers', async () => {
+    const owner = await registerUser();
+    const viewer = await registerUser();
+    const garden = await createGarden(owner);
+    const otherGarden = await createGarden(owner);
+    const crop = await createCrop(owner, otherGarden.id);
+    await addMember(owner, garden.id, viewer);
+
+    await api()
+      .post('/api/tasks')
+      .set(owner.auth)
+      .send({ garden_id: garden.id, crop_id: crop.id, interval_days: 7 })
+      .expect(404);
+    await api().post('/api/tasks').set(viewer.auth).send({ garden_id: garden.id, interval_days: 7 }).expect(403);
+  });
+
+  it('needs exactly one way of giving the interval', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user);
+
+    await api().post('/api/tasks').set(user.auth).send({ garden_id: garden.id }).expect(422);
+    await api()
+      .post('/api/tasks')
+      .set(user.auth)
+      .send({ garden_id: garden.id, interval_days: 3, every: 1 })
+      .expect(422);
+  });
+});
+
+describe('GET /api/tasks', () => {
+  it('lists tasks in the user\'s gardens, soonest first, with filters', async () => {
+    const user = await registerUser();
+    const front = await createGarden(user);
+    const back = await createGarden(user);
+    const later = await createTask(user, { garden_id: front.id, title: 'Later', interval_days: 7, starts_on: addDays(today(), 3) });
+    const sooner = await createTask(user, { garden_id: back.id, title: 'Sooner', interval_days: 7 });
+    await api().put(`/api/tasks/${later.id}`).set(user.auth).send({ active: false }).expect(200);
+
+    const all = await api().get('/api/tasks').set(user.auth).expect(200);
+    expect(all.body.tasks.map((task) => task.title)).toEqual(['Sooner', 'Later']);
+
+    const inBack = await api().get(`/api/tasks?garden_id=${back.id}`).set(user.auth).expect(200);
+    expect(inBack.body.tasks.map((task) => task.id)).toEqual([sooner.id]);
+
+    const inactive = await api().get('/api/tasks?active=false').set(user.auth).expect(200);
+    expect(inactive.body.tasks.map((task) => task.id)).toEqual([later.id]);
+  });
+
+  it('ignores gardens the user does not belong to', async () => {
+    const user = await registerUser();
+    const stranger = await registerUser();
+    const garden = await createGarden(stranger);
+    await createTask(stranger, { garden_id: garden.id, interval_days: 1 });
+
+    const res = await api().get(`/api/tasks?garden_id=${garden.id}`).set(user.auth).expect(200);
+    expect(res.body.count).toBe(0);
+  });
+});
+
+describe('GET /api/tasks/due', () => {
+  it('returns overdue tasks and those due within the window', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user);
+    await createTask(user, { garden_id: garden.id, title: 'Overdue', interval_days: 7, starts_on: addDays(today(), -2) });
+    await createTask(user, { garden_id: garden.id, title: 'Soon', interval_days: 7, starts_on: addDays(today(), 5) });
+    await createTask(user, { garden_id: garden.id, title: 'Far', interval_days: 7, starts_on: addDays(today(), 30) });
+
+    const res = await api().get('/api/tasks/due').set(user.auth).expect(200);
+
+    expect(res.body.tasks.map((task) => [task.title, task.overdue])).toEqual([['Overdue', true], ['Soon', false]]);
+    expect(res.body.overdue_count).toBe(1);
+
+    const dueToday = await api().get('/api/tasks/due?days=0').set(user.auth).expect(200);
+    expect(dueToday.body.count).toBe(1);
+  });
+});
+
+describe('/api/tasks/:id', () => {
+  it('gets, updates and deletes a task', async () => {
+    const user = await registerUser();
+    const stranger = await registerUser();
+    const garden = await createGarden(user);
+    const task = await createTask(user, { garden_id: garden.id, title: 'Feed', interval_days: 14 });
+
+    await api().get(`/api/tasks/${task.id}`).set(user.auth).expect(200);
+    await api().get(`/api/tasks/${task.id}`).set(stranger.auth).expect(404);
+
+    const updated = await api()
+      .put(`/api/tasks/${task.id}`)
+      .set(user.auth)
+      .send({ every: 1, unit: 'week', notes: 'tomato feed' })
+      .expect(200);
+    expect(updated.body.task).toMatchObject({ title: 'Feed', interval_days: 7, notes: 'tomato feed' });
+
+    await api().delete(`/api/tasks/${task.id}`).set(user.auth).expect(200);
+    await api().get(`/api/tasks/${task.id}`).set(user.auth).expect(404);
+  });
+
+  it('is not found when deleted while being updated or completed', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user);
+
+    for (const send of [
+      (task) => api().put(`/api/tasks/${task.id}`).set(user.auth).send({ notes: 'late' }),
+      (task) => api().post(`/api/tasks/${task.id}/complete`).set(user.auth).send({})
+    ]) {
+      const task = await createTask(user, { garden_id: garden.id, title: 'Feed', interval_days: 14 });
+      const update = repositories.careTasks.update;
+      const spy = jest.spyOn(repositories.careTasks, 'update').mockImplementationOnce(async (...args) => {
+        await repositories.careTasks.remove({ id: task.id });
+        return update(...args);
+      });
+
+      try {
+        await send(task).expect(404);
+      } finally {
+        spy.mockRestore();
+      }
+    }
+  });
+});
+
+describe('completing tasks', () => {
+  it('schedules the next occurrence and records who did it', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user);
+    const task = await createTask(user, { garden_id: garden.id, interval_days: 3 });
+
+    const res = await api()
+      .post(`/api/tasks/${task.id}/complete`)
+      .set(user.auth)
+      .send({ notes: 'soaked' })
+      .expect(200);
+
+    expect(res.body.task.next_due_on).toBe(addDays(today(), 3));
+    expect(res.body.completion).toMatchObject({ completed_by: user.id, notes: 'soaked' });
+
+    const completions = await api().get(`/api/tasks/${task.id}/completions`).set(user.auth).expect(200);
+    expect(completions.body.completions).toEqual([
+      expect.objectContaining({ completed_by: user.id, users: { name: user.name } })
+    ]);
+  });
+
+  it('rejects completion dates in the future', async () => {
+    const user = await registerUser();
+    const garden = await createGarden(user);
+    const task = await createTask(user, { garden_id: garden.id, interval_days: 3 });
+
+    await api()
+      .post(`/api/tasks/${task.id}/complete`)
+      .set(user.auth)
+      .send({ completed_at: new Date(Date.now() + 86400000).toISOString() })
+      .expect(422);
+  });
+});
+
+describe('reminders', () => {
+  it('notifies editors and owners of due tasks once a day', async () => {
+    const owner = await registerUser();
+    const viewer = await registerUser();
+    const garden = await createGarden(owner, { name: 'Plot 7' });
+    await addMember(owner, garden.id, viewer);
+    await createTask(owner, { garden_id: garden.id, title: 'Water beans', interval_days: 2 });
+    await createTask(owner, { garden_id: garden.id, title: 'Not yet', interval_days: 2, starts_on: addDays(today(), 1) });
+
+    expect(await sendDueReminders()).toBe(1);
+    expect(sent.notifications).toEqual([
+      expect.objectContaining({ userId: owner.id, title: 'Due today: Water beans' })
+    ]);
+
+    expect(await sendDueReminders()).toBe(0);
+  });
+});
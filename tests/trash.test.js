@@ -0,0 +1,216 @@
+const { useTestApp, api, registerUser, createGarden, createCrop, addMember } = require('./helpers');
+const repositories = require('../repositories');
+const { purgeTrash } = require('../services/trash');
+
+useTestApp();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const restore = (user, type, id) => api().post(`/api/trash/${type}/${id}/restore`).set(user.auth);
+
+describe('deleting a garden', () => {
+  it('moves it to the trash with its crops, hidden everywhere', async () => {
+    const owner = await registerUser();
+    const garden = await createGarden(owner, { name: 'Allotment' });
+    const crop = await createCrop(owner, garden.id);
+
+    const res = await api().delete(`/api/gardens/${garden.id}`).set(owner.auth).expect(200);
+    expect(res.body.purge_at).toEqual(expect.any(String));
+
+    await api().get(`/api/gardens/${garden.id}`).set(owner.auth).expect(404);
+    await api().get(`/api/crops/${crop.id}`).set(owner.auth).expect(404);
+
+    const gardens = await api().get('/api/gardens').set(owner.auth).expect(200);
+    expect(gardens.body.gardens).toEqual([]);
+    const crops = await api().get('/api/crops').set(owner.auth).expect(200);
+    expect(crops.body.crops).toEqual([]);
+    const dashboard = await api().get('/api/dashboard').set(owner.auth).expect(200);
+    expect(dashboard.body.totals).toMatchObject({ gardens: 0, crops: 0 });
+
+    const trash = await api().get('/api/trash').set(owner.auth).expect(200);
+    expect(trash.body.gardens).toEqual([
+      expect.objectContaining({ id: garden.id, name: 'Allotment', deleted_by: owner.id, crop_count: 1 })
+    ]);
+    expect(trash.body.crops).toEqual([]);
+  });
+
+  it('can be undone by an owner, bringing back the crops that went with it', async () => {
+    const owner = await registerUser();
+    const editor = await registerUser();
+    const garden = await createGarden(owner);
+    const kept = await createCrop(owner, garden.id, { name: 'Bean' });
+    const trashedBefore = await createCrop(owner, garden.id, { name: 'Pea' });
+    await addMember(owner, garden.id, editor, 'editor');
+
+    await api().delete(`/api/crops/${trashedBefore.id}`).set(owner.auth).expect(200);
+    // A day earlier, so it can't share the garden's deleted_at
+    await repositories.crops.update({ id: trashedBefore.id }, { deleted_at: new Date(Date.now() - DAY_MS).toISOString() });
+    await api().delete(`/api/gardens/${garden.id}`).set(owner.auth).expect(200);
+
+    // The editor's crop can't come back on its own while the garden is in the trash
+    const blocked = await restore(editor, 'crop', trashedBefore.id).expect(409);
+    expect(blocked.body.code).toBe('garden_in_trash');
+    await restore(editor, 'garden', garden.id).expect(403);
+
+    const res = await restore(owner, 'garden', garden.id).expect(200);
+    expect(res.body.garden).toMatchObject({ id: garden.id, deleted_at: null });
+
+    const crops = await api().get('/api/crops').set(editor.auth).expect(200);
+    expect(crops.body.crops.map((crop) => crop.id)).toEqual([kept.id]);
+
+    const trash = await api().get('/api/trash').set(editor.auth).expect(200);
+    expect(trash.body.crops.map((crop) => crop.id)).toEqual([trashedBefore.id]);
+
+    await restore(owner, 'garden', garden.id).expect(404);
+  });
+});
+
+describe('deleting a garden twice at once', () => {
+  it('is not found for the second delete', async () => {
+    const owner = await registerUser();
+    const garden = await createGarden(owner);
+
+    const update = jest.spyOn(repositories.gardens, 'update').mockResolvedValueOnce([]);
+
+    try {
+      await api().delete(`/api/gardens/${garden.id}`).set(owner.auth).expect(404);
+    } finally {
+      update.mockRestore();
+    }
+  });
+});
+
+describe('editing something trashed at the same time', () => {
+  // Trash the row just before the route's own update runs
+  const trashFirst = (repository, trash) => {
+    const update = repository.update;
+    return jest.spyOn(repository, 'update').mockImplementationOnce(async (...args) => {
+      await trash();
+      return update(...args);
+    });
+  };
+
+  it('is not found for a crop', async () => {
+    const grower = await registerUser();
+    const crop = await createCrop(grower, (await createGarden(grower)).id);
+    const spy = trashFirst(repositories.crops, () =>
+      repositories.crops.update({ id: crop.id }, { deleted_at: new Date().toISOString() }));
+
+    try {
+      await api().put(`/api/crops/${crop.id}`).set(grower.auth).send({ name: 'Renamed' }).expect(404);
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  it('is not found for a garden', async () => {
+    const owner = await registerUser();
+    const garden = await createGarden(owner);
+    const spy = trashFirst(repositories.gardens, () =>
+      repositories.gardens.update({ id: garden.id }, { deleted_at: new Date().toISOString() }));
+
+    try {
+      await api().put(`/api/gardens/${garden.id}`).set(owner.auth).send({ name: 'Renamed' }).expect(404);
+    } finally {
+      spy.mockRestore();
+    }
+  });
+});
+
+describe('deleting a crop', () => {
+  it('hides it from its garden and the shared listings until it is restored', async () => {
+    const grower = await registerUser();
+    const neighbour = await registerUser();
+    const viewer = await registerUser();
+    const garden = await createGarden(grower);
+    const crop = await createCrop(grower, garden.id, { is_shared: true, quantity: 5 });
+    await addMember(grower, garden.id, viewer);
+
+    await api().delete(`/api/crops/${crop.id}`).set(grower.auth).expect(200);
+
+    const listings = await api().get('/api/shared').set(neighbour.auth).expect(200);
+    expect(listings.body.listings).toEqual([]);
+    await api().get(`/api/shared/${crop.id}`).set(neighbour.auth).expect(404);
+
+    const viewerTrash = await api().get('/api/trash').set(viewer.auth).expect(200);
+    expect(viewerTrash.body.count).toBe(0);
+    await restore(viewer, 'crop', crop.id).expect(403);
+    await restore(neighbour, 'crop', crop.id).expect(404);
+
+    const trash = await api().get('/api/trash').query({ type: 'crop' }).set(grower.auth).expect(200);
+    expect(trash.body.crops).toEqual([
+      expect.objectContaining({ id: crop.id, gardens: { name: garden.name }, purge_at: expect.any(String) })
+    ]);
+
+    await restore(grower, 'crop', crop.id).expect(200);
+
+    await api().get(`/api/crops/${crop.id}`).set(grower.auth).expect(200);
+    const again = await api().get('/api/shared').set(neighbour.auth).expect(200);
+    expect(again.body.listings.map((listing) => listing.id)).toEqual([crop.id]);
+  });
+
+  it('says so when someone else restored it first', async () => {
+    const grower = await registerUser();
+    const crop = await createCrop(grower, (await createGarden(grower)).id);
+    await api().delete(`/api/crops/${crop.id}`).set(grower.auth).expect(200);
+
+    const update = repositories.crops.update;
+    const spy = jest.spyOn(repositories.crops, 'update').mockImplementationOnce(async (...args) => {
+      await update({ id: crop.id }, { deleted_at: null });
+      return update(...args);
+    });
+
+    try {
+      const res = await restore(grower, 'crop', crop.id).expect(409);
+      expect(res.body.code).toBe('already_restored');
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  it('is not found when someone else trashed it first', async () => {
+    const grower = await registerUser();
+    const crop = await createCrop(grower, (await createGarden(grower)).id);
+
+    // The other delete lands between the access check and the update
+    const update = jest.spyOn(repositories.crops, 'update').mockResolvedValueOnce([]);
+
+    try {
+      await api().delete(`/api/crops/${crop.id}`).set(grower.auth).expect(404);
+    } finally {
+      update.mockRestore();
+    }
+  });
+});
+
+describe('purging the trash', () => {
+  it('deletes what is past the retention period, leaving a snapshot to restore it from', async () => {
+    const owner = await registerUser();
+    const garden = await createGarden(owner, { name: 'Orchard' });
+    const crop = await createCrop(owner, garden.id, { name: 'Apple', quantity_unit: 'kg' });
+    await api()
+      .post(`/api/crops/${crop.id}/harvests`)
+      .set(owner.auth)
+      .send({ amount: 3, harvested_on: '2025-09-01' })
+      .expect(201);
+
+    await api().delete(`/api/gardens/${garden.id}`).set(owner.auth).expect(200);
+
+    expect(await purgeTrash()).toEqual({ gardens: 0, crops: 0 });
+    expect(await purgeTrash(Date.now() + 31 * DAY_MS)).toEqual({ gardens: 1, crops: 0 });
+
+    const trash = await api().get('/api/trash').set(owner.auth).expect(200);
+    expect(trash.body.count).toBe(0);
+
+    const audit = await api().get('/api/audit').query({ action: 'garden.deleted' }).set(owner.auth).expect(200);
+    const [deleted] = audit.body.entries;
+
+    const res = await api().post(`/api/audit/${deleted.id}/restore`).set(owner.auth).expect(200);
+    expect(res.body.garden).toMatchObject({ id: garden.id, name: 'Orchard', deleted_at: null });
+
+    const crops = await api().get('/api/crops').set(owner.auth).expect(200);
+    expect(crops.body.crops).toEqual([expect.objectContaining({ id: crop.id, deleted_at: null })]);
+    const harvests = await api().get(`/api/crops/${crop.id}/harvests`).set(owner.auth).expect(200);
+    expect(harvests.body.harvests).toHaveLength(1);
+  });
+});
@@ -0,0 +1,87 @@
+// Stages a crop moves through, in order
+const STAGES = [
+  'planned',
+  'seeded',
+  'seedling',
+  'growing',
+  'flowering',
+  'ready',
+  'harvested',
+  'finished'
+];
+
+const DEFAULT_STAGE = 'seedling';
+
+// Stages of crops that are out of the ground
+const FINISHED_STAGES = ['harvested', 'finished'];
+
+// Allowed next stages. Transplants can go straight from planned to seedling,
+// leafy crops can be ready without flowering, and any crop can be finished
+// early (failed, pulled, eaten by slugs).
+const TRANSITIONS = {
+  planned: ['seeded', 'seedling', 'finished'],
+  seeded: ['seedling', 'finished'],
+  seedling: ['growing', 'finished'],
+  growing: ['flowering', 'ready', 'finished'],
+  flowering: ['ready', 'finished'],
+  ready: ['harvested', 'finished'],
+  harvested: ['finished'],
+  finished: []
+};
+
+// Progress range (percent) each stage may report
+const STAGE_PROGRESS = {
+  planned: [0, 0],
+  seeded: [0, 20],
+  seedling: [10, 40],
+  growing: [30, 75],
+  flowering: [60, 95],
+  ready: [100, 100],
+  harvested: [100, 100],
+  finished: [100, 100]
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isValidStage = (stage) => STAGES.includes(stage);
+
+const allowedTransitions = (from) => {
+  // Rows written before the lifecycle existed may hold any string
+  if (!isValidStage(from)) return STAGES.slice();
+  return TRANSITIONS[from];
+};
+
+const canTransition = (from, to) => from === to || allowedTransitions(from).includes(to);
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Progress comes from how far we are between planting and expected harvest,
+// kept within the range the current stage allows. Without both dates the
+// stage's lower bound is used.
+const computeProgress = (crop, now = new Date()) => {
+  const [min, max] = STAGE_PROGRESS[crop.status] || [0, 100];
+
+  const planted = crop.planting_date ? new Date(crop.planting_date).getTime() : NaN;
+  const expected = crop.expected_harvest ? new Date(crop.expected_harvest).getTime() : NaN;
+
+  if (Number.isNaN(planted) || Number.isNaN(expected) || expected - planted < DAY_MS) {
+    return min;
+  }
+
+  const elapsed = clamp((now.getTime() - planted) / (expected - planted), 0, 1);
+
+  return clamp(Math.round(elapsed * 100), min, max);
+};
+
+const withProgress = (crop) => ({ ...crop, progress: computeProgress(crop) });
+
+module.exports = {
+  STAGES,
+  DEFAULT_STAGE,
+  FINISHED_STAGES,
+  isValidStage,
+  allowedTransitions,
+  canTransition,
+  computeProgress,
+  withProgress
+};
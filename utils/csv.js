@@ -0,0 +1,125 @@
+// CSV reading and writing for exports and imports (RFC 4180: comma
+// separated, fields with commas, quotes or line breaks in double quotes,
+// quotes doubled).
+//
+// Text starting with = + - or @ is written with a leading ' so spreadsheets
+// show it instead of running it as a formula; parseCsv takes the ' off again,
+// quoted or not. Text that already starts with ' before one of those gets
+// another, so it comes back as it was.
+
+const FORMULA_START = /^'*[=+\-@]/;
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  if (typeof value === 'string' && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+
+  // Unquoted fields are trimmed when read, so keep edge whitespace quoted
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// A header row of `columns` and one line per row
+const toCsv = (rows, columns) =>
+  [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((values) => values.map(formatValue).join(','))
+    .join('\r\n') + '\r\n';
+
+// Rows are numbered from 1 after the header, as in import error reports
+const position = (row) => (row === 0 ? 'the header' : `row ${row}`);
+
+const unescapeFormula = (text) => (text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text);
+
+// Parse CSV text with a header row. Returns { records } with an object per
+// line, keyed by the trimmed header names, or { error }. Empty cells are left
+// out of the object.
+const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const lines = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  const endField = () => {
+    fields.push(unescapeFormula(quoted ? field : field.trim()));
+    field = '';
+    quoted = false;
+  };
+
+  const endLine = () => {
+    endField();
+    if (fields.length > 1 || fields[0] !== '') lines.push(fields);
+    fields = [];
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (char === '"' && field.trim() === '' && !quoted) {
+      // Quoted field: read up to the closing quote
+      let end = i + 1;
+      let value = '';
+
+      for (;;) {
+        const next = input.indexOf('"', end);
+        if (next === -1) return { error: `Unclosed quote in ${position(lines.length)}` };
+
+        value += input.slice(end, next);
+
+        if (input[next + 1] === '"') {
+          value += '"';
+          end = next + 2;
+        } else {
+          end = next + 1;
+          break;
+        }
+      }
+
+      field = value;
+      quoted = true;
+      i = end;
+
+      // Only whitespace may follow the closing quote
+      while (input[i] === ' ' || input[i] === '\t') i += 1;
+      if (i < input.length && ![',', '\r', '\n'].includes(input[i])) {
+        return { error: `Unexpected character after a quoted field in ${position(lines.length)}` };
+      }
+    } else if (char === ',') {
+      endField();
+      i += 1;
+    } else if (char === '\r' || char === '\n') {
+      endLine();
+      i += char === '\r' && input[i + 1] === '\n' ? 2 : 1;
+    } else {
+      field += char;
+      i += 1;
+    }
+  }
+
+  if (field !== '' || quoted || fields.length) endLine();
+
+  if (!lines.length) {
+    return { error: 'CSV has no header row' };
+  }
+
+  const [header, ...rows] = lines;
+  const columns = header.map((name) => name.trim().toLowerCase());
+
+  const records = rows.map((values) => {
+    const record = {};
+    columns.forEach((column, index) => {
+      if (column && values[index] !== undefined && values[index] !== '') {
+        record[column] = values[index];
+      }
+    });
+    return record;
+  });
+
+  return { records };
+};
+
+module.exports = { toCsv, parseCsv };
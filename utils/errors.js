@@ -0,0 +1,68 @@
+// Application errors. Routes throw (or pass to next) one of these and the
+// central error handler (middleware/errorHandler.js) turns it into the
+// response: `status` is the HTTP status, `code` a stable machine-readable
+// string clients can branch on, and `details` optional extra data such as
+// the invalid fields of a request.
+class AppError extends Error {
+  constructor(message, { status = 500, code = 'internal_error', details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const define = (status, defaultCode, defaultMessage) =>
+  class extends AppError {
+    constructor(message = defaultMessage, { code = defaultCode, details } = {}) {
+      super(message, { status, code, details });
+    }
+  };
+
+class BadRequestError extends define(400, 'bad_request', 'Bad request') {}
+class UnauthorizedError extends define(401, 'unauthorized', 'Authentication required') {}
+class ForbiddenError extends define(403, 'forbidden', 'You do not have access to this resource') {}
+class NotFoundError extends define(404, 'not_found', 'Resource not found') {}
+class ConflictError extends define(409, 'conflict', 'Resource conflict') {}
+class PayloadTooLargeError extends define(413, 'payload_too_large', 'Request is too large') {}
+class ValidationError extends define(422, 'validation_failed', 'Validation failed') {}
+
+// retryAfter (seconds) is sent as the Retry-After header
+class TooManyRequestsError extends define(429, 'rate_limited', 'Too many requests, please try again later') {
+  constructor(message, { retryAfter, ...options } = {}) {
+    super(message, { details: { retry_after: retryAfter }, ...options });
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Supabase/PostgREST error codes (PGRST*) and the Postgres SQLSTATE codes
+// they pass through, mapped to the application error to raise instead of a 500
+const DATABASE_ERRORS = {
+  PGRST116: () => new NotFoundError('Resource not found'),
+  23505: () => new ConflictError('Resource already exists', { code: 'already_exists' }),
+  23503: () => new ConflictError('A related resource is missing or still in use', { code: 'reference_conflict' }),
+  23502: () => new ValidationError('A required field is missing', { code: 'missing_field' }),
+  23514: () => new ValidationError('A value is out of the allowed range', { code: 'constraint_violation' }),
+  '22P02': () => new BadRequestError('Invalid input syntax', { code: 'invalid_input' }),
+  42501: () => new ForbiddenError('Permission denied', { code: 'permission_denied' })
+};
+
+// Application error for a Supabase error, or null when it has no mapping
+const fromDatabaseError = (error) => {
+  const build = error && typeof error.code === 'string' && DATABASE_ERRORS[error.code];
+  return build ? build() : null;
+};
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PayloadTooLargeError,
+  ValidationError,
+  TooManyRequestsError,
+  fromDatabaseError
+};
@@ -0,0 +1,66 @@
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LAT = 111.32;
+
+// Shared listings never expose more than this many decimals (~1.1 km)
+const BLUR_DECIMALS = 2;
+// Distances are rounded up to this step so exact spots can't be triangulated
+const DISTANCE_STEP_KM = 0.5;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+const isValidLatitude = (value) =>
+  typeof value === 'number' && Number.isFinite(value) && value >= -90 && value <= 90;
+
+const isValidLongitude = (value) =>
+  typeof value === 'number' && Number.isFinite(value) && value >= -180 && value <= 180;
+
+// Great-circle distance between two points in kilometres
+const haversineKm = (lat1, lng1, lat2, lng2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Rough rectangle around a point, used to pre-filter rows in the database
+// before the exact distance is computed. Longitude bounds are null when the
+// box would wrap around a pole or the antimeridian.
+const boundingBox = (lat, lng, radiusKm) => {
+  const latDelta = radiusKm / KM_PER_DEGREE_LAT;
+  const minLat = Math.max(-90, lat - latDelta);
+  const maxLat = Math.min(90, lat + latDelta);
+
+  const cosLat = Math.cos(toRadians(lat));
+  const lngDelta = cosLat > 0 ? radiusKm / (KM_PER_DEGREE_LAT * cosLat) : 360;
+  const wraps = lngDelta >= 180 || lng - lngDelta < -180 || lng + lngDelta > 180;
+
+  return {
+    minLat,
+    maxLat,
+    minLng: wraps ? null : lng - lngDelta,
+    maxLng: wraps ? null : lng + lngDelta
+  };
+};
+
+const blurCoordinates = (lat, lng) => {
+  const factor = 10 ** BLUR_DECIMALS;
+  return {
+    latitude: Math.round(lat * factor) / factor,
+    longitude: Math.round(lng * factor) / factor
+  };
+};
+
+const blurDistance = (distanceKm) =>
+  Math.max(DISTANCE_STEP_KM, Math.ceil(distanceKm / DISTANCE_STEP_KM) * DISTANCE_STEP_KM);
+
+module.exports = {
+  isValidLatitude,
+  isValidLongitude,
+  haversineKm,
+  boundingBox,
+  blurCoordinates,
+  blurDistance
+};
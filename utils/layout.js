@@ -0,0 +1,29 @@
+// Geometry for garden plans. Beds and placements are rectangles
+// { x_cm, y_cm, width_cm, length_cm } measured from the top-left corner of
+// what contains them; width runs along x and length along y.
+
+const right = (rect) => rect.x_cm + rect.width_cm;
+const bottom = (rect) => rect.y_cm + rect.length_cm;
+
+// Rectangles that only share an edge don't overlap
+const overlaps = (a, b) =>
+  a.x_cm < right(b) && b.x_cm < right(a) && a.y_cm < bottom(b) && b.y_cm < bottom(a);
+
+// Whether a rectangle positioned inside `outer` stays within its size
+const fitsInside = (rect, outer) => right(rect) <= outer.width_cm && bottom(rect) <= outer.length_cm;
+
+// Whether a rectangle lines up with a grid of `cellCm` squares
+const onGrid = (rect, cellCm) =>
+  [rect.x_cm, rect.y_cm, rect.width_cm, rect.length_cm].every((value) => value % cellCm === 0);
+
+// Width and length of the area covered by a set of rectangles
+const extent = (rects) => ({
+  width_cm: Math.max(0, ...rects.map(right)),
+  length_cm: Math.max(0, ...rects.map(bottom))
+});
+
+// Plans are kept by season, the calendar year a crop was planted (or added
+// when it has no planting date)
+const seasonOf = (crop) => Number(String(crop.planting_date || crop.created_at).slice(0, 4));
+
+module.exports = { overlaps, fitsInside, onGrid, extent, seasonOf };
@@ -0,0 +1,173 @@
+// Cursor pagination, sorting and search helpers for list endpoints.
+//
+// Lists are ordered by one sort field plus `id` as a tie-breaker. The cursor
+// is the (sort value, id) of the last row on a page, base64url encoded, and
+// the next page is everything strictly after it. Unlike offsets this stays
+// correct when rows are added while a client is paging. Nulls sort last in
+// both directions.
+
+const { ValidationError } = require('./errors');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const encodeCursor = (row, field) =>
+  Buffer.from(JSON.stringify({ v: row[field] === undefined ? null : row[field], id: row.id }))
+    .toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!decoded || decoded.id === undefined || !('v' in decoded)) return null;
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+};
+
+// PostgREST filter values containing reserved characters must be quoted
+const quote = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+// Parse limit, sort and cursor from the query string.
+// `sort` is a field name, prefixed with "-" for descending order.
+// Returns { limit, field, ascending, cursor }, or { error, param } naming the
+// invalid parameter (see invalidQuery).
+const parsePagination = (query, { sortFields, defaultSort = '-created_at' }) => {
+  const limit = query.limit !== undefined ? Number(query.limit) : DEFAULT_LIMIT;
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be a whole number between 1 and ${MAX_LIMIT}`, param: 'limit' };
+  }
+
+  const sort = query.sort || defaultSort;
+  const ascending = !sort.startsWith('-');
+  const field = ascending ? sort : sort.slice(1);
+
+  if (!sortFields.includes(field)) {
+    return { error: `sort must be one of: ${sortFields.join(', ')} (prefix with - for descending)`, param: 'sort' };
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      return { error: 'Invalid cursor', param: 'cursor' };
+    }
+  }
+
+  return { limit, field, ascending, cursor };
+};
+
+// The 422 validation_failed error middleware/validate gives, for a query
+// parameter the schemas accept but these helpers reject
+const invalidQuery = ({ error, param }) => new ValidationError('Validation failed', {
+  details: [{ field: param, location: 'query', message: error }]
+});
+
+// Combine PostgREST "or" conditions so they are all required. A query can
+// only carry one top-level or filter, so several are nested inside an and().
+const applyConditions = (query, conditions) => {
+  const present = conditions.filter(Boolean);
+
+  if (!present.length) return query;
+  if (present.length === 1) return query.or(present[0]);
+
+  return query.or(`and(${present.map((condition) => `or(${condition})`).join(',')})`);
+};
+
+// Rows strictly after the cursor in the current sort order
+const cursorCondition = ({ field, ascending, cursor }) => {
+  if (!cursor) return null;
+
+  const op = ascending ? 'gt' : 'lt';
+  const id = quote(cursor.id);
+
+  if (cursor.v === null) {
+    return `and(${field}.is.null,id.${op}.${id})`;
+  }
+
+  return [
+    `${field}.${op}.${quote(cursor.v)}`,
+    `and(${field}.eq.${quote(cursor.v)},id.${op}.${id})`,
+    `${field}.is.null`
+  ].join(',');
+};
+
+// Apply ordering, the cursor and any other "or" conditions (such as a search)
+// and the page size to a Supabase query. One extra row is fetched to know
+// whether there is a next page.
+const paginate = (query, page, conditions = []) => {
+  const ordered = query
+    .order(page.field, { ascending: page.ascending, nullsFirst: false })
+    .order('id', { ascending: page.ascending });
+
+  return applyConditions(ordered, [...conditions, cursorCondition(page)]).limit(page.limit + 1);
+};
+
+// Split the fetched rows into this page's items and the cursor for the next page
+const buildPage = (rows, { limit, field }) => {
+  const items = rows.slice(0, limit);
+  const hasMore = rows.length > limit;
+
+  return {
+    items,
+    next_cursor: hasMore ? encodeCursor(items[items.length - 1], field) : null
+  };
+};
+
+// Search text with the characters that have a meaning in PostgREST filters
+// dropped
+const searchTerm = (text) => String(text || '').replace(/[,()"'\\%*]/g, ' ').trim();
+
+// Case-insensitive search over several columns, as an "or" condition for
+// paginate/applyConditions. Returns null for an empty search.
+const searchCondition = (text, columns) => {
+  const term = searchTerm(text);
+
+  if (!term) return null;
+
+  return columns.map((column) => `${column}.ilike.%${term}%`).join(',');
+};
+
+const isDateString = (value) =>
+  typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) && !Number.isNaN(Date.parse(value));
+
+// Repository condition for a <label>_from / <label>_to pair of query
+// parameters on a date column, e.g. { gte, lte }. Returns { range } (null when
+// neither is given) or { error, param }.
+const dateRange = (query, label) => {
+  const range = {};
+  const from = query[`${label}_from`];
+  const to = query[`${label}_to`];
+
+  if (from !== undefined) {
+    if (!isDateString(from)) return { error: `${label}_from must be a date (YYYY-MM-DD)`, param: `${label}_from` };
+    range.gte = from;
+  }
+
+  if (to !== undefined) {
+    if (!isDateString(to)) return { error: `${label}_to must be a date (YYYY-MM-DD)`, param: `${label}_to` };
+    range.lte = to;
+  }
+
+  return { range: Object.keys(range).length ? range : null };
+};
+
+// Comma-separated list parameter, e.g. ?status=growing,ready
+const listParam = (value) =>
+  String(value).split(',').map((item) => item.trim()).filter(Boolean);
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parsePagination,
+  invalidQuery,
+  paginate,
+  buildPage,
+  applyConditions,
+  quote,
+  searchTerm,
+  searchCondition,
+  dateRange,
+  listParam
+};
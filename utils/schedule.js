@@ -0,0 +1,50 @@
+// Date helpers for recurring care tasks. Due dates are plain calendar dates
+// (YYYY-MM-DD) so they don't shift with the server's timezone.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const UNIT_DAYS = {
+  day: 1,
+  days: 1,
+  week: 7,
+  weeks: 7
+};
+
+const TASK_TYPES = ['water', 'fertilise', 'prune', 'weed', 'pest_check', 'mulch', 'other'];
+
+const isValidDate = (value) =>
+  typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+const today = () => toDateString(new Date());
+
+const addDays = (dateString, days) => toDateString(new Date(Date.parse(dateString) + days * DAY_MS));
+
+// "every 3 weeks" -> 21. Accepts { interval_days } or { every, unit }.
+// Returns null when the interval is missing or invalid.
+const toIntervalDays = ({ interval_days, every, unit }) => {
+  if (interval_days !== undefined) {
+    const days = Number(interval_days);
+    return Number.isInteger(days) && days > 0 ? days : null;
+  }
+
+  const count = Number(every);
+  const multiplier = UNIT_DAYS[String(unit || 'days').toLowerCase()];
+
+  if (!Number.isInteger(count) || count <= 0 || !multiplier) return null;
+
+  return count * multiplier;
+};
+
+// Next due date after a task was done on `completedOn`
+const nextDueAfter = (completedOn, intervalDays) => addDays(completedOn, intervalDays);
+
+module.exports = {
+  TASK_TYPES,
+  isValidDate,
+  toDateString,
+  today,
+  addDays,
+  toIntervalDays,
+  nextDueAfter
+};
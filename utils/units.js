@@ -0,0 +1,92 @@
+// Units harvests can be logged in. Units in the same dimension are converted
+// to a common base (grams, millilitres, pieces) before they are added up;
+// units that can't be converted (bunch, bag...) are totalled on their own.
+const UNITS = {
+  g: { dimension: 'mass', factor: 1 },
+  kg: { dimension: 'mass', factor: 1000 },
+  oz: { dimension: 'mass', factor: 28.349523125 },
+  lb: { dimension: 'mass', factor: 453.59237 },
+  ml: { dimension: 'volume', factor: 1 },
+  l: { dimension: 'volume', factor: 1000 },
+  pcs: { dimension: 'count', factor: 1 },
+  bunch: { dimension: 'bunch', factor: 1 },
+  bag: { dimension: 'bag', factor: 1 },
+  basket: { dimension: 'basket', factor: 1 }
+};
+
+const ALIASES = {
+  gram: 'g',
+  grams: 'g',
+  kgs: 'kg',
+  kilo: 'kg',
+  kilos: 'kg',
+  kilogram: 'kg',
+  kilograms: 'kg',
+  ounce: 'oz',
+  ounces: 'oz',
+  lbs: 'lb',
+  pound: 'lb',
+  pounds: 'lb',
+  millilitre: 'ml',
+  millilitres: 'ml',
+  milliliter: 'ml',
+  milliliters: 'ml',
+  litre: 'l',
+  litres: 'l',
+  liter: 'l',
+  liters: 'l',
+  piece: 'pcs',
+  pieces: 'pcs',
+  pc: 'pcs',
+  item: 'pcs',
+  items: 'pcs',
+  each: 'pcs',
+  bunches: 'bunch',
+  bags: 'bag',
+  baskets: 'basket'
+};
+
+// Unit each dimension is reported in
+const DISPLAY_UNITS = {
+  mass: 'kg',
+  volume: 'l',
+  count: 'pcs'
+};
+
+const KNOWN_UNITS = Object.keys(UNITS);
+
+// Canonical unit name, or null when the unit isn't supported
+const normalizeUnit = (unit) => {
+  if (typeof unit !== 'string') return null;
+
+  const key = unit.trim().toLowerCase();
+  if (UNITS[key]) return key;
+
+  return ALIASES[key] || null;
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Add up a list of { amount, unit } entries, one total per dimension
+const sumAmounts = (entries) => {
+  const totals = {};
+
+  entries.forEach(({ amount, unit }) => {
+    const canonical = normalizeUnit(unit);
+    if (!canonical) return;
+
+    const { dimension, factor } = UNITS[canonical];
+    totals[dimension] = (totals[dimension] || 0) + Number(amount) * factor;
+  });
+
+  return Object.entries(totals).map(([dimension, base]) => {
+    const unit = DISPLAY_UNITS[dimension] || dimension;
+    return {
+      dimension,
+      amount: round(base / UNITS[unit].factor),
+      unit
+    };
+  });
+};
+
+module.exports = { KNOWN_UNITS, normalizeUnit, sumAmounts };
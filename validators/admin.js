@@ -0,0 +1,63 @@
+const { Joi, optionalText, idParams, pagination } = require('./common');
+const { REPORT_TARGETS } = require('./reports');
+
+const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+
+const listUsers = {
+  query: Joi.object({
+    ...pagination,
+    role: Joi.string().valid('user', 'admin'),
+    suspended: Joi.string().valid('true', 'false')
+  })
+};
+
+const suspend = {
+  params: idParams,
+  body: Joi.object({
+    reason: optionalText(500)
+  })
+};
+
+const listListings = {
+  query: Joi.object({
+    ...pagination,
+    hidden: Joi.string().valid('true', 'false')
+  })
+};
+
+const hide = {
+  params: idParams,
+  body: Joi.object({
+    reason: optionalText(500)
+  })
+};
+
+const listReports = {
+  query: Joi.object({
+    ...pagination,
+    status: Joi.string().valid(...REPORT_STATUSES).default('open'),
+    target_type: Joi.string().valid(...REPORT_TARGETS)
+  })
+};
+
+// Closing a report; acting on the listing or user is a separate request
+const updateReport = {
+  params: idParams,
+  body: Joi.object({
+    status: Joi.string().valid('resolved', 'dismissed').required(),
+    note: optionalText(1000)
+  })
+};
+
+module.exports = {
+  REPORT_STATUSES,
+  byId: { params: idParams },
+  listUsers,
+  suspend,
+  unsuspend: { params: idParams },
+  listListings,
+  hide,
+  unhide: { params: idParams },
+  listReports,
+  updateReport
+};
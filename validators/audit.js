@@ -0,0 +1,24 @@
+const { Joi, id, date, idParams, pagination } = require('./common');
+
+const ENTITY_TYPES = ['garden', 'crop', 'user', 'harvest', 'task', 'claim', 'report'];
+
+const list = {
+  query: Joi.object({
+    ...pagination,
+    action: Joi.string().trim().max(200),
+    entity_type: Joi.string().valid(...ENTITY_TYPES),
+    entity_id: Joi.string().trim().max(100),
+    garden_id: id,
+    // Admins only; everyone else sees their own history
+    actor_id: id,
+    created_from: date,
+    created_to: date
+  })
+};
+
+module.exports = {
+  ENTITY_TYPES,
+  list,
+  byId: { params: idParams },
+  restore: { params: idParams }
+};
@@ -0,0 +1,84 @@
+const { Joi, email, password } = require('./common');
+
+const phone = Joi.string().trim().max(30).pattern(/^[+\d][\d\s()-]*$/, 'phone number').allow(null, '');
+const name = Joi.string().trim().min(1).max(100);
+
+const register = {
+  body: Joi.object({
+    email: email.required(),
+    password: password.required(),
+    name: name.required(),
+    phone
+  })
+};
+
+const login = {
+  body: Joi.object({
+    email: email.required(),
+    password: Joi.string().required()
+  })
+};
+
+const refresh = {
+  body: Joi.object({
+    refresh_token: Joi.string().required()
+  })
+};
+
+const forgotPassword = {
+  body: Joi.object({
+    email: email.required()
+  })
+};
+
+const resetPassword = {
+  body: Joi.object({
+    token: Joi.string().required(),
+    password: password.required()
+  })
+};
+
+const verifyEmail = {
+  body: Joi.object({
+    token: Joi.string().required()
+  })
+};
+
+const updateProfile = {
+  body: Joi.object({
+    name,
+    phone
+  }).min(1).messages({ 'object.min': 'Nothing to update. Allowed fields: name, phone' })
+};
+
+const changePassword = {
+  body: Joi.object({
+    current_password: Joi.string().required(),
+    new_password: password.required()
+  })
+};
+
+const deleteAccount = {
+  body: Joi.object({
+    password: Joi.string().required()
+  })
+};
+
+const sessionParams = {
+  params: Joi.object({
+    id: Joi.string().guid().required()
+  })
+};
+
+module.exports = {
+  register,
+  login,
+  refresh,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  updateProfile,
+  changePassword,
+  deleteAccount,
+  sessionParams
+};
@@ -0,0 +1,20 @@
+const { Joi } = require('./common');
+const { CROP_CATEGORIES } = require('./crops');
+const { SUN_LEVELS, WATER_LEVELS } = require('../services/catalog');
+
+const search = {
+  query: Joi.object({
+    q: Joi.string().trim().max(100).allow(''),
+    category: Joi.string().valid(...CROP_CATEGORIES),
+    family: Joi.string().trim().max(50),
+    sun: Joi.string().valid(...SUN_LEVELS),
+    water: Joi.string().valid(...WATER_LEVELS),
+    limit: Joi.number().integer().min(1).max(100)
+  })
+};
+
+const byId = {
+  params: Joi.object({ id: Joi.string().max(100).required() })
+};
+
+module.exports = { search, byId };
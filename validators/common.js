@@ -0,0 +1,36 @@
+const Joi = require('joi');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const id = Joi.string().guid();
+
+// Calendar date kept as a YYYY-MM-DD string
+const date = Joi.string()
+  .pattern(DATE_PATTERN, 'YYYY-MM-DD')
+  .custom((value, helpers) => (Number.isNaN(Date.parse(value)) ? helpers.error('any.invalid') : value))
+  .messages({ 'string.pattern.name': '{#label} must be a date (YYYY-MM-DD)' });
+
+// Lowercased, so an address can only have one account whatever its case
+const email = Joi.string().trim().lowercase().email().max(254);
+
+// At least 8 characters with a letter and a number
+const password = Joi.string()
+  .min(8)
+  .max(128)
+  .pattern(/[A-Za-z]/, 'letter')
+  .pattern(/\d/, 'number')
+  .messages({ 'string.pattern.name': '{#label} must contain at least one {#name}' });
+
+const optionalText = (max) => Joi.string().trim().max(max).allow(null, '');
+
+const idParams = Joi.object({ id: id.required() });
+
+// Query parameters shared by paginated lists; semantics are checked in utils/pagination
+const pagination = {
+  sort: Joi.string().max(50),
+  limit: Joi.number().integer().min(1).max(100),
+  cursor: Joi.string().max(500),
+  q: Joi.string().trim().max(100).allow('')
+};
+
+module.exports = { Joi, id, date, email, password, optionalText, idParams, pagination };
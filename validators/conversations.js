@@ -0,0 +1,46 @@
+const { Joi, id, idParams } = require('./common');
+
+const messageBody = Joi.string().trim().min(1).max(2000);
+
+const create = {
+  body: Joi.object({
+    crop_id: id.required(),
+    message: messageBody.required()
+  })
+};
+
+const messages = {
+  params: idParams,
+  query: Joi.object({
+    limit: Joi.number().integer().min(1).max(100),
+    cursor: Joi.string().max(500)
+  })
+};
+
+const sendMessage = {
+  params: idParams,
+  body: Joi.object({
+    body: messageBody.required()
+  })
+};
+
+const block = {
+  body: Joi.object({
+    user_id: id.required()
+  })
+};
+
+const unblock = {
+  params: Joi.object({
+    userId: id.required()
+  })
+};
+
+module.exports = {
+  byId: { params: idParams },
+  create,
+  messages,
+  sendMessage,
+  block,
+  unblock
+};
@@ -0,0 +1,103 @@
+const { Joi, id, date, optionalText, idParams, pagination } = require('./common');
+const { STAGES } = require('../utils/cropLifecycle');
+const { isCatalogId } = require('../services/catalog');
+
+const CROP_CATEGORIES = ['vegetable', 'fruit', 'herb', 'flower', 'grain', 'legume', 'other'];
+
+// Species or variety id from GET /api/catalog
+const catalogId = Joi.string()
+  .trim()
+  .max(100)
+  .custom((value, helpers) => (isCatalogId(value) ? value : helpers.error('any.invalid')))
+  .messages({ 'any.invalid': '{#label} is not in the crop catalogue' });
+
+const cropFields = {
+  catalog_id: catalogId.allow(null),
+  name: Joi.string().trim().min(1).max(100),
+  category: Joi.string().valid(...CROP_CATEGORIES),
+  variety: optionalText(100),
+  planting_date: date.allow(null),
+  expected_harvest: date.allow(null),
+  status: Joi.string().valid(...STAGES),
+  notes: optionalText(2000),
+  image_url: Joi.string().uri({ scheme: ['http', 'https'] }).max(2048).allow(null, ''),
+  is_shared: Joi.boolean(),
+  quantity: Joi.number().min(0).max(1000000),
+  quantity_unit: optionalText(20)
+};
+
+// Dates are YYYY-MM-DD strings, so they compare correctly as text
+const harvestAfterPlanting = (value, helpers) => {
+  if (value.planting_date && value.expected_harvest && value.expected_harvest < value.planting_date) {
+    return helpers.message('expected_harvest cannot be before planting_date');
+  }
+  return value;
+};
+
+// A crop linked to the catalogue may leave out its name
+const create = {
+  body: Joi.object({
+    ...cropFields,
+    garden_id: id.required(),
+    name: cropFields.name.when('catalog_id', { is: Joi.string().required(), otherwise: Joi.required() })
+  }).custom(harvestAfterPlanting)
+};
+
+const update = {
+  params: idParams,
+  body: Joi.object(cropFields).custom(harvestAfterPlanting)
+};
+
+const list = {
+  query: Joi.object({
+    ...pagination,
+    status: Joi.string().max(200),
+    category: Joi.string().max(200),
+    is_shared: Joi.string().valid('true', 'false'),
+    planted_from: date,
+    planted_to: date,
+    harvest_from: date,
+    harvest_to: date
+  })
+};
+
+const gardenList = {
+  params: Joi.object({ gardenId: id.required() }),
+  query: list.query
+};
+
+const createHarvest = {
+  params: idParams,
+  body: Joi.object({
+    harvested_on: date,
+    amount: Joi.number().positive().max(1000000).required(),
+    unit: Joi.string().trim().max(20),
+    notes: optionalText(1000)
+  })
+};
+
+const harvestParams = {
+  params: Joi.object({
+    id: id.required(),
+    harvestId: id.required()
+  })
+};
+
+const photoParams = {
+  params: Joi.object({
+    id: id.required(),
+    photoId: id.required()
+  })
+};
+
+module.exports = {
+  CROP_CATEGORIES,
+  byId: { params: idParams },
+  create,
+  update,
+  list,
+  gardenList,
+  createHarvest,
+  harvestParams,
+  photoParams
+};
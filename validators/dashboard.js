@@ -0,0 +1,10 @@
+const { Joi } = require('./common');
+
+const show = {
+  query: Joi.object({
+    days: Joi.number().integer().min(1).max(365).default(14),
+    season: Joi.number().integer().min(1900).max(2200).default(() => new Date().getUTCFullYear())
+  })
+};
+
+module.exports = { show };
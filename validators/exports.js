@@ -0,0 +1,21 @@
+const { Joi } = require('./common');
+const { CSV_COLUMNS } = require('../services/exports');
+
+const EXPORT_FORMATS = ['json', 'csv'];
+
+// CSV is one table per file, so it needs the table
+const archive = {
+  query: Joi.object({
+    format: Joi.string().valid(...EXPORT_FORMATS).default('json'),
+    table: Joi.string().valid(...Object.keys(CSV_COLUMNS)).when('format', {
+      is: 'csv',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    })
+  })
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  archive
+};
@@ -0,0 +1,76 @@
+const { Joi, id, optionalText, idParams } = require('./common');
+
+const BED_KINDS = ['bed', 'row', 'grid'];
+
+// Centimetres; 1 km is more than any garden plan needs
+const position = Joi.number().integer().min(0).max(100000);
+const length = Joi.number().integer().min(1).max(100000);
+
+const bedFields = {
+  name: Joi.string().trim().min(1).max(100),
+  kind: Joi.string().valid(...BED_KINDS),
+  x_cm: position,
+  y_cm: position,
+  width_cm: length,
+  length_cm: length,
+  cell_cm: length.allow(null),
+  notes: optionalText(1000)
+};
+
+const bedParams = Joi.object({
+  id: id.required(),
+  bedId: id.required()
+});
+
+const placementParams = Joi.object({
+  id: id.required(),
+  cropId: id.required()
+});
+
+const layout = {
+  params: idParams,
+  query: Joi.object({
+    season: Joi.number().integer().min(1900).max(2200)
+  })
+};
+
+// Grids need the size of their cells
+const createBed = {
+  params: idParams,
+  body: Joi.object({
+    ...bedFields,
+    name: bedFields.name.required(),
+    x_cm: position.required(),
+    y_cm: position.required(),
+    width_cm: length.required(),
+    length_cm: length.required(),
+    cell_cm: bedFields.cell_cm.when('kind', { is: 'grid', then: length.required() })
+  })
+};
+
+const updateBed = {
+  params: bedParams,
+  body: Joi.object(bedFields)
+};
+
+// Width and length default to the crop's spacing in the catalogue
+const place = {
+  params: placementParams,
+  body: Joi.object({
+    bed_id: id.required(),
+    x_cm: position.required(),
+    y_cm: position.required(),
+    width_cm: length,
+    length_cm: length
+  })
+};
+
+module.exports = {
+  BED_KINDS,
+  layout,
+  createBed,
+  updateBed,
+  deleteBed: { params: bedParams },
+  place,
+  unplace: { params: placementParams }
+};
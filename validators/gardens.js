@@ -0,0 +1,105 @@
+const { Joi, id, optionalText, idParams, pagination } = require('./common');
+const { ROLES } = require('../services/permissions');
+
+const GARDEN_TYPES = ['outdoor', 'indoor', 'greenhouse', 'balcony', 'rooftop', 'community'];
+const GARDEN_SIZES = ['small', 'medium', 'large'];
+
+const latitude = Joi.number().min(-90).max(90).allow(null);
+const longitude = Joi.number().min(-180).max(180).allow(null);
+
+const gardenFields = {
+  name: Joi.string().trim().min(1).max(100),
+  location: optionalText(200),
+  latitude,
+  longitude,
+  type: Joi.string().valid(...GARDEN_TYPES),
+  size: Joi.string().valid(...GARDEN_SIZES),
+  description: optionalText(2000)
+};
+
+// Coordinates come as a pair: both numbers, or both null to clear them
+const coordinatePair = (value, helpers) => {
+  if (value.latitude !== undefined && (value.latitude === null) !== (value.longitude === null)) {
+    return helpers.message('latitude and longitude must be provided together');
+  }
+  return value;
+};
+
+const create = {
+  body: Joi.object({
+    ...gardenFields,
+    name: gardenFields.name.required()
+  }).and('latitude', 'longitude').custom(coordinatePair)
+};
+
+const update = {
+  params: idParams,
+  body: Joi.object(gardenFields).and('latitude', 'longitude').custom(coordinatePair)
+};
+
+const list = {
+  query: Joi.object({
+    ...pagination,
+    type: Joi.string().max(200),
+    size: Joi.string().max(200)
+  })
+};
+
+const gardenYield = {
+  params: idParams,
+  query: Joi.object({
+    season: Joi.number().integer().min(1900).max(2200)
+  })
+};
+
+const join = {
+  body: Joi.object({
+    code: Joi.string().trim().uppercase().alphanum().min(4).max(16).required()
+  })
+};
+
+const memberParams = Joi.object({
+  id: id.required(),
+  userId: id.required()
+});
+
+const updateMember = {
+  params: memberParams,
+  body: Joi.object({
+    role: Joi.string().valid(...ROLES).required()
+  })
+};
+
+const removeMember = {
+  params: memberParams
+};
+
+const createInvitation = {
+  params: idParams,
+  body: Joi.object({
+    email: Joi.string().trim().lowercase().email().allow(null),
+    role: Joi.string().valid(...ROLES).default('viewer')
+  })
+};
+
+const revokeInvitation = {
+  params: Joi.object({
+    id: id.required(),
+    invitationId: id.required()
+  })
+};
+
+module.exports = {
+  GARDEN_TYPES,
+  GARDEN_SIZES,
+  byId: { params: idParams },
+  create,
+  update,
+  list,
+  gardenYield,
+  join,
+  updateMember,
+  removeMember,
+  createInvitation,
+  revokeInvitation
+};
@@ -0,0 +1,32 @@
+const { Joi } = require('./common');
+const gardens = require('./gardens');
+const crops = require('./crops');
+
+const IMPORT_TABLES = ['gardens', 'crops'];
+
+const run = {
+  query: Joi.object({
+    dry_run: Joi.boolean().default(false),
+    table: Joi.string().valid(...IMPORT_TABLES)
+  })
+};
+
+// Rows are checked like the bodies of POST /api/gardens and POST /api/crops.
+// A garden may carry the id it had in an export, so crops in the same import
+// can point at it. A crop names its garden by id or by name.
+const gardenRow = gardens.create.body.keys({
+  id: Joi.string().trim().max(100)
+});
+
+const cropRow = crops.create.body
+  .keys({
+    garden_id: Joi.string().trim().max(100),
+    garden_name: Joi.string().trim().max(100)
+  })
+  .or('garden_id', 'garden_name');
+
+module.exports = {
+  IMPORT_TABLES,
+  run,
+  rows: { gardens: gardenRow, crops: cropRow }
+};
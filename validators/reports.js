@@ -0,0 +1,19 @@
+const { Joi, id, optionalText } = require('./common');
+
+const REPORT_TARGETS = ['crop', 'user'];
+const REPORT_REASONS = ['spam', 'abuse', 'inappropriate', 'misleading', 'other'];
+
+const create = {
+  body: Joi.object({
+    target_type: Joi.string().valid(...REPORT_TARGETS).required(),
+    target_id: id.required(),
+    reason: Joi.string().valid(...REPORT_REASONS).required(),
+    details: optionalText(1000)
+  })
+};
+
+module.exports = {
+  REPORT_TARGETS,
+  REPORT_REASONS,
+  create
+};
@@ -0,0 +1,47 @@
+const { Joi, id, optionalText, idParams } = require('./common');
+
+const CLAIM_STATUSES = ['pending', 'accepted', 'declined', 'cancelled'];
+
+const list = {
+  query: Joi.object({
+    category: Joi.string().max(50)
+  })
+};
+
+const nearby = {
+  query: Joi.object({
+    lat: Joi.number().min(-90).max(90).required(),
+    lng: Joi.number().min(-180).max(180).required(),
+    radius_km: Joi.number().positive().max(100).default(10),
+    category: Joi.string().max(50)
+  })
+};
+
+const claims = {
+  query: Joi.object({
+    status: Joi.string().valid(...CLAIM_STATUSES)
+  })
+};
+
+const claimParams = {
+  params: Joi.object({
+    claimId: id.required()
+  })
+};
+
+const createClaim = {
+  params: idParams,
+  body: Joi.object({
+    quantity: Joi.number().positive().required(),
+    message: optionalText(500)
+  })
+};
+
+module.exports = {
+  byId: { params: idParams },
+  list,
+  nearby,
+  claims,
+  claimParams,
+  createClaim
+};
@@ -0,0 +1,68 @@
+const { Joi, id, date, optionalText, idParams } = require('./common');
+const { TASK_TYPES } = require('../utils/schedule');
+
+const interval = {
+  interval_days: Joi.number().integer().min(1).max(365),
+  every: Joi.number().integer().min(1).max(52),
+  unit: Joi.string().lowercase().valid('day', 'days', 'week', 'weeks')
+};
+
+const list = {
+  query: Joi.object({
+    garden_id: id,
+    crop_id: id,
+    active: Joi.string().valid('true', 'false')
+  })
+};
+
+const due = {
+  query: Joi.object({
+    days: Joi.number().integer().min(0).max(90).default(7)
+  })
+};
+
+const create = {
+  body: Joi.object({
+    garden_id: id,
+    crop_id: id,
+    title: Joi.string().trim().min(1).max(100),
+    task_type: Joi.string().valid(...TASK_TYPES),
+    ...interval,
+    starts_on: date,
+    notes: optionalText(1000)
+  })
+    .or('garden_id', 'crop_id')
+    .xor('interval_days', 'every')
+    .with('unit', 'every')
+};
+
+const update = {
+  params: idParams,
+  body: Joi.object({
+    title: Joi.string().trim().min(1).max(100),
+    task_type: Joi.string().valid(...TASK_TYPES),
+    ...interval,
+    next_due_on: date,
+    notes: optionalText(1000),
+    active: Joi.boolean()
+  })
+    .oxor('interval_days', 'every')
+    .with('unit', 'every')
+};
+
+const complete = {
+  params: idParams,
+  body: Joi.object({
+    completed_at: Joi.date().iso().max('now'),
+    notes: optionalText(1000)
+  })
+};
+
+module.exports = {
+  byId: { params: idParams },
+  list,
+  due,
+  create,
+  update,
+  complete
+};
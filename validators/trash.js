@@ -0,0 +1,18 @@
+const { Joi, id } = require('./common');
+
+const TRASH_TYPES = ['garden', 'crop'];
+
+const list = {
+  query: Joi.object({
+    type: Joi.string().valid(...TRASH_TYPES)
+  })
+};
+
+const restore = {
+  params: Joi.object({
+    type: Joi.string().valid(...TRASH_TYPES).required(),
+    id: id.required()
+  })
+};
+
+module.exports = { TRASH_TYPES, list, restore };
@@ -0,0 +1,11 @@
+const { Joi, id } = require('./common');
+
+// A photo or its thumbnail, as named by services/photos
+const cropFile = {
+  params: Joi.object({
+    cropId: id.required(),
+    file: Joi.string().pattern(/^[0-9a-f-]{36}(_thumb)?\.webp$/i, 'photo file name').required()
+  })
+};
+
+module.exports = { cropFile };